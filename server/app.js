@@ -0,0 +1,297 @@
+// Request handling for the API proxy and static file server, kept apart
+// from server/index.js (environment and listening) so it can be tested.
+import { createServer } from 'node:http'
+import { readFile, stat } from 'node:fs/promises'
+import { extname, join, normalize } from 'node:path'
+import { Readable } from 'node:stream'
+
+// A little above the 25 MB upload limit in the browser
+const MAX_BODY_BYTES = 30 * 1024 * 1024
+
+const LOOPBACK_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]'])
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json',
+  '.txt': 'text/plain; charset=utf-8',
+}
+
+class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message)
+    this.status = status
+    this.code = code
+  }
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' })
+  res.end(JSON.stringify(data))
+}
+
+/**
+ * Whether a browser request may use the API. Requests without an Origin
+ * header (same-origin GETs, curl) pass; otherwise the page must be served by
+ * this server, from localhost (the Vite dev server) or from allowedOrigins.
+ * A plain form or fetch POST from any other site would otherwise reach the
+ * providers with the server's credentials.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {string[]} allowedOrigins
+ * @returns {boolean}
+ */
+function isAllowedOrigin(req, allowedOrigins) {
+  const origin = req.headers.origin
+  if (!origin) return true
+  if (allowedOrigins.includes(origin)) return true
+  let originUrl
+  try {
+    originUrl = new URL(origin)
+  } catch {
+    return false
+  }
+  return originUrl.host === req.headers.host || LOOPBACK_HOSTNAMES.has(originUrl.hostname)
+}
+
+/**
+ * Read a request body into memory, refusing anything over MAX_BODY_BYTES
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(req) {
+  const chunks = []
+  let size = 0
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES / 1024 / 1024} MB`)
+    }
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Look up the upstream named by ?provider= and make sure it is configured
+ * @param {Object<string, Object>} upstreams
+ * @param {URLSearchParams} query
+ * @returns {Object}
+ */
+function getUpstream(upstreams, query) {
+  const providerId = query.get('provider') || 'huggingface'
+  const upstream = upstreams[providerId]
+  if (!upstream) {
+    throw new HttpError(400, `Unknown inference provider "${providerId}". Available providers: ${Object.keys(upstreams).join(', ')}`)
+  }
+  const configError = upstream.getConfigError()
+  if (configError) {
+    throw new HttpError(500, configError, 'provider_not_configured')
+  }
+  return upstream
+}
+
+/**
+ * Read ?model= and make sure the upstream accepts it as a model id
+ * @param {Object} upstream
+ * @param {URLSearchParams} query
+ * @returns {string}
+ */
+function getModelId(upstream, query) {
+  const modelId = query.get('model')
+  if (!modelId) {
+    throw new HttpError(400, 'The model query parameter is required')
+  }
+  const modelError = upstream.getModelError(modelId)
+  if (modelError) {
+    throw new HttpError(400, modelError)
+  }
+  return modelId
+}
+
+/**
+ * Abort the upstream request when the browser cancels or disconnects
+ * @param {import('node:http').ServerResponse} res
+ * @returns {AbortSignal}
+ */
+function abortOnClose(res) {
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort()
+  })
+  return controller.signal
+}
+
+/**
+ * Relay an upstream response unchanged, streaming the body so SSE works too
+ * @param {Response} upstreamResponse
+ * @param {import('node:http').ServerResponse} res
+ */
+function relay(upstreamResponse, res) {
+  const headers = {}
+  for (const name of ['content-type', 'cache-control', 'retry-after']) {
+    const value = upstreamResponse.headers.get(name)
+    if (value) headers[name] = value
+  }
+  res.writeHead(upstreamResponse.status, headers)
+  if (!upstreamResponse.body) {
+    res.end()
+    return
+  }
+  const body = Readable.fromWeb(upstreamResponse.body)
+  body.on('error', (error) => {
+    console.error('Upstream stream failed:', error.message)
+    res.destroy(error)
+  })
+  body.pipe(res)
+}
+
+/**
+ * Build the /api/* route table
+ * @param {Object<string, Object>} upstreams
+ * @returns {Object<string, Function>} - Handlers keyed by "METHOD /path"
+ */
+function createApiRoutes(upstreams) {
+  /**
+   * Forward an uploaded clip to upstream.transcribe or upstream.classify
+   * @param {'transcribe'|'classify'} method
+   */
+  const forwardAudio = (method) => async (req, res, query) => {
+    const upstream = getUpstream(upstreams, query)
+    const modelId = getModelId(upstream, query)
+    const body = await readBody(req)
+    if (body.length === 0) {
+      throw new HttpError(400, 'No audio was sent')
+    }
+    relay(await upstream[method](modelId, {
+      body,
+      contentType: req.headers['content-type'] || 'application/octet-stream',
+      fileName: query.get('filename') || 'audio.webm',
+    }, abortOnClose(res)), res)
+  }
+
+  return {
+    'GET /api/health': async () => {
+      const providers = {}
+      Object.entries(upstreams).forEach(([providerId, upstream]) => {
+        providers[providerId] = { configError: upstream.getConfigError() }
+      })
+      return { providers }
+    },
+
+    'GET /api/models': async (req, res, query) => {
+      const upstream = getUpstream(upstreams, query)
+      const task = query.get('task') || 'automatic-speech-recognition'
+      try {
+        return { models: await upstream.listModels(task) }
+      } catch (error) {
+        throw new HttpError(502, error.message)
+      }
+    },
+
+    'POST /api/transcribe': forwardAudio('transcribe'),
+
+    'POST /api/classify': forwardAudio('classify'),
+
+    'POST /api/translate': async (req, res, query) => {
+      const upstream = getUpstream(upstreams, query)
+      const body = await readBody(req)
+      relay(await upstream.chat(body.toString('utf8'), abortOnClose(res)), res)
+    },
+  }
+}
+
+/**
+ * Serve a file from distDir, falling back to index.html for client-side routes
+ * @param {string} distDir
+ * @param {string} pathname
+ * @param {import('node:http').ServerResponse} res
+ */
+async function serveStatic(distDir, pathname, res) {
+  let decodedPath
+  try {
+    decodedPath = decodeURIComponent(pathname)
+  } catch {
+    decodedPath = '/'
+  }
+  // normalize() collapses ../ so requests can't leave distDir
+  const requested = join(distDir, normalize(decodedPath))
+  let filePath = requested.startsWith(distDir) ? requested : join(distDir, 'index.html')
+  const fileStat = await stat(filePath).catch(() => null)
+  if (!fileStat || fileStat.isDirectory()) {
+    filePath = join(distDir, 'index.html')
+  }
+
+  let contents
+  try {
+    contents = await readFile(filePath)
+  } catch {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' })
+    res.end('The app has not been built yet. Run "npm run build" first.')
+    return
+  }
+  const extension = extname(filePath)
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+    // Vite fingerprints everything under assets/, so those never change
+    'Cache-Control': filePath.includes(`${distDir}/assets/`) ? 'public, max-age=31536000, immutable' : 'no-cache',
+  })
+  res.end(contents)
+}
+
+/**
+ * Create the HTTP server; the caller decides where it listens
+ * @param {Object} options
+ * @param {Object<string, Object>} options.upstreams - From createUpstreams()
+ * @param {string} options.distDir - Built app to serve
+ * @param {string[]} [options.allowedOrigins] - Extra origins allowed to call the API
+ * @returns {import('node:http').Server}
+ */
+export function createAppServer({ upstreams, distDir, allowedOrigins = [] }) {
+  const apiRoutes = createApiRoutes(upstreams)
+
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+
+    if (url.pathname.startsWith('/api/')) {
+      if (!isAllowedOrigin(req, allowedOrigins)) {
+        sendJson(res, 403, { error: `Origin ${req.headers.origin} may not use this API. Add it to ALLOWED_ORIGINS on the server.` })
+        return
+      }
+      const route = apiRoutes[`${req.method} ${url.pathname}`]
+      if (!route) {
+        sendJson(res, 404, { error: `No API route for ${req.method} ${url.pathname}` })
+        return
+      }
+      try {
+        const result = await route(req, res, url.searchParams)
+        if (result !== undefined) {
+          sendJson(res, 200, result)
+        }
+      } catch (error) {
+        // The browser cancelled; there's nobody left to answer
+        if (error.name === 'AbortError') return
+        const status = error.status || 502
+        if (status >= 500) {
+          console.error(`${req.method} ${url.pathname} failed:`, error.message)
+        }
+        if (res.headersSent) {
+          res.destroy(error)
+        } else {
+          sendJson(res, status, { error: error.message, ...(error.code ? { code: error.code } : {}) })
+        }
+      }
+      return
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405).end()
+      return
+    }
+    await serveStatic(distDir, url.pathname, res)
+  })
+}
@@ -0,0 +1,199 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createAppServer } from './app.js'
+
+function createFakeUpstream(overrides = {}) {
+  return {
+    getConfigError: () => null,
+    getModelError: modelId => (modelId.includes('..') ? `"${modelId}" is not a model id` : null),
+    transcribe: vi.fn(async () => Response.json({ text: 'woof' })),
+    classify: vi.fn(async () => Response.json([{ label: 'Dog', score: 0.9 }])),
+    chat: vi.fn(async () => Response.json({ choices: [] })),
+    listModels: vi.fn(async () => ['owner/model']),
+    ...overrides,
+  }
+}
+
+describe('createAppServer', () => {
+  let server
+  let baseUrl
+  let distDir
+  let upstreams
+
+  async function start(options = {}) {
+    server = createAppServer({ upstreams, distDir, ...options })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  }
+
+  beforeEach(async () => {
+    distDir = await mkdtemp(join(tmpdir(), 'animal-translator-dist-'))
+    upstreams = {
+      huggingface: createFakeUpstream(),
+      openai: createFakeUpstream({
+        getConfigError: () => 'OpenAI-compatible server URL is required.',
+      }),
+    }
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(async () => {
+    vi.restoreAllMocks()
+    if (server) {
+      await new Promise(resolve => server.close(resolve))
+      server = null
+    }
+    await rm(distDir, { recursive: true, force: true })
+  })
+
+  it('reports which providers are configured', async () => {
+    await start()
+    const response = await fetch(`${baseUrl}/api/health`)
+    expect(response.status).toBe(200)
+    expect(await response.json()).toEqual({
+      providers: {
+        huggingface: { configError: null },
+        openai: { configError: 'OpenAI-compatible server URL is required.' },
+      },
+    })
+  })
+
+  it('answers 404 for unknown API routes', async () => {
+    await start()
+    const response = await fetch(`${baseUrl}/api/nope`)
+    expect(response.status).toBe(404)
+    expect((await response.json()).error).toBe('No API route for GET /api/nope')
+  })
+
+  it('relays the transcription with the audio, content type and file name', async () => {
+    await start()
+    const response = await fetch(`${baseUrl}/api/transcribe?model=openai/whisper-small&filename=clip.wav`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/wav' },
+      body: new Uint8Array([1, 2, 3]),
+    })
+    expect(response.status).toBe(200)
+    expect(await response.json()).toEqual({ text: 'woof' })
+    const [modelId, audio, signal] = upstreams.huggingface.transcribe.mock.calls[0]
+    expect(modelId).toBe('openai/whisper-small')
+    expect([...audio.body]).toEqual([1, 2, 3])
+    expect(audio.contentType).toBe('audio/wav')
+    expect(audio.fileName).toBe('clip.wav')
+    expect(signal).toBeInstanceOf(AbortSignal)
+  })
+
+  it('relays upstream errors with their status', async () => {
+    upstreams.huggingface.classify.mockResolvedValue(
+      Response.json({ error: 'Model is loading' }, { status: 503, headers: { 'Retry-After': '20' } }),
+    )
+    await start()
+    const response = await fetch(`${baseUrl}/api/classify?model=MIT/ast`, { method: 'POST', body: 'x' })
+    expect(response.status).toBe(503)
+    expect(response.headers.get('retry-after')).toBe('20')
+    expect(await response.json()).toEqual({ error: 'Model is loading' })
+  })
+
+  it.each([
+    ['/api/transcribe', 'The model query parameter is required'],
+    ['/api/transcribe?model=../../v1/chat', '"../../v1/chat" is not a model id'],
+    ['/api/classify?model=a/b&provider=nope', 'Unknown inference provider "nope". Available providers: huggingface, openai'],
+  ])('refuses POST %s with 400', async (path, message) => {
+    await start()
+    const response = await fetch(`${baseUrl}${path}`, { method: 'POST', body: 'x' })
+    expect(response.status).toBe(400)
+    expect((await response.json()).error).toBe(message)
+    expect(upstreams.huggingface.transcribe).not.toHaveBeenCalled()
+    expect(upstreams.huggingface.classify).not.toHaveBeenCalled()
+  })
+
+  it('refuses an empty upload', async () => {
+    await start()
+    const response = await fetch(`${baseUrl}/api/transcribe?model=a/b`, { method: 'POST' })
+    expect(response.status).toBe(400)
+    expect((await response.json()).error).toBe('No audio was sent')
+  })
+
+  it('answers 500 with a code when the provider is not configured', async () => {
+    await start()
+    const response = await fetch(`${baseUrl}/api/translate?provider=openai`, { method: 'POST', body: '{}' })
+    expect(response.status).toBe(500)
+    expect(await response.json()).toEqual({
+      error: 'OpenAI-compatible server URL is required.',
+      code: 'provider_not_configured',
+    })
+    expect(upstreams.openai.chat).not.toHaveBeenCalled()
+  })
+
+  it('passes the chat body through as text', async () => {
+    await start()
+    const body = JSON.stringify({ model: 'owner/chat', messages: [] })
+    const response = await fetch(`${baseUrl}/api/translate`, { method: 'POST', body })
+    expect(response.status).toBe(200)
+    expect(upstreams.huggingface.chat.mock.calls[0][0]).toBe(body)
+  })
+
+  it('answers 502 when the model catalog fails', async () => {
+    upstreams.huggingface.listModels.mockRejectedValue(new Error('Model catalog request failed with status 500'))
+    await start()
+    const response = await fetch(`${baseUrl}/api/models?task=chat-completion`)
+    expect(response.status).toBe(502)
+    expect((await response.json()).error).toBe('Model catalog request failed with status 500')
+    expect(upstreams.huggingface.listModels).toHaveBeenCalledWith('chat-completion')
+  })
+
+  describe('origin check', () => {
+    it('refuses API requests from other sites', async () => {
+      await start()
+      const response = await fetch(`${baseUrl}/api/translate`, {
+        method: 'POST',
+        headers: { Origin: 'https://evil.example' },
+        body: '{}',
+      })
+      expect(response.status).toBe(403)
+      expect(upstreams.huggingface.chat).not.toHaveBeenCalled()
+    })
+
+    it.each([
+      ['the same origin', () => baseUrl],
+      ['the Vite dev server', () => 'http://localhost:5173'],
+      ['a configured origin', () => 'https://translator.example'],
+    ])('allows %s', async (label, getOrigin) => {
+      await start({ allowedOrigins: ['https://translator.example'] })
+      const response = await fetch(`${baseUrl}/api/health`, { headers: { Origin: getOrigin() } })
+      expect(response.status).toBe(200)
+    })
+  })
+
+  describe('static files', () => {
+    it('serves files from dist and falls back to index.html', async () => {
+      await mkdir(join(distDir, 'assets'))
+      await writeFile(join(distDir, 'index.html'), '<!doctype html>')
+      await writeFile(join(distDir, 'assets', 'app-1234.js'), 'console.log(1)')
+      await start()
+
+      const asset = await fetch(`${baseUrl}/assets/app-1234.js`)
+      expect(asset.headers.get('content-type')).toBe('text/javascript; charset=utf-8')
+      expect(asset.headers.get('cache-control')).toBe('public, max-age=31536000, immutable')
+      expect(await asset.text()).toBe('console.log(1)')
+
+      const route = await fetch(`${baseUrl}/history/123`)
+      expect(route.headers.get('cache-control')).toBe('no-cache')
+      expect(await route.text()).toBe('<!doctype html>')
+    })
+
+    it('explains when the app has not been built', async () => {
+      await start()
+      const response = await fetch(`${baseUrl}/`)
+      expect(response.status).toBe(404)
+      expect(await response.text()).toContain('npm run build')
+    })
+
+    it('refuses other methods outside the API', async () => {
+      await start()
+      const response = await fetch(`${baseUrl}/`, { method: 'POST' })
+      expect(response.status).toBe(405)
+    })
+  })
+})
@@ -0,0 +1,44 @@
+// API proxy and static file server.
+// Keeps provider credentials on the server, exposes /api/transcribe,
+// /api/classify and /api/translate to the browser, and serves the built app from dist/.
+import { existsSync } from 'node:fs'
+import { join, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createAppServer } from './app.js'
+import { createUpstreams } from './upstreams.js'
+
+const ROOT_DIR = resolve(fileURLToPath(new URL('.', import.meta.url)), '..')
+const DIST_DIR = join(ROOT_DIR, 'dist')
+const ENV_FILE = join(ROOT_DIR, '.env')
+
+if (existsSync(ENV_FILE)) {
+  process.loadEnvFile(ENV_FILE)
+}
+
+const PORT = parseInt(process.env.PORT, 10) || 3001
+// Loopback only by default: the API spends the server's provider credentials
+// for whoever can reach it
+const HOST = process.env.HOST || '127.0.0.1'
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean)
+
+// Vite inlines every VITE_* variable into the client bundle
+for (const name of ['VITE_HF_TOKEN', 'VITE_OPENAI_API_KEY']) {
+  if (process.env[name]) {
+    console.warn(`⚠️ ${name} is set. VITE_* variables are bundled into the browser app; rename it to ${name.replace(/^VITE_/, '')}.`)
+  }
+}
+
+const upstreams = createUpstreams(process.env)
+
+const server = createAppServer({ upstreams, distDir: DIST_DIR, allowedOrigins: ALLOWED_ORIGINS })
+
+server.listen(PORT, HOST, () => {
+  console.log(`🐾 Animal Translator server listening on http://${HOST.includes(':') ? `[${HOST}]` : HOST}:${PORT}`)
+  Object.entries(upstreams).forEach(([providerId, upstream]) => {
+    const configError = upstream.getConfigError()
+    console.log(`   ${providerId}: ${configError ? `not configured (${configError})` : 'ready'}`)
+  })
+})
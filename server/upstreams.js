@@ -0,0 +1,216 @@
+// Server-side halves of the inference providers: the only place that
+// knows upstream URLs and credentials. The browser talks to /api/* and
+// never sees a token.
+
+// Serverless Inference API (ASR) and Inference Providers router (chat)
+const HF_ASR_BASE_URL = 'https://api-inference.huggingface.co/models'
+const HF_CHAT_BASE_URL = 'https://router.huggingface.co/v1'
+// Hub API, used to list ASR models that have a warm serverless deployment
+const HF_HUB_API_URL = 'https://huggingface.co/api'
+// How many ASR models to list from the Hub, most downloaded first
+const HF_ASR_CATALOG_LIMIT = 50
+// Hub repo ids are owner/name; neither part may start with a dot, so ids
+// can't walk up the upstream path
+const HF_MODEL_ID_PATTERN = /^[\w-][\w.-]*\/[\w-][\w.-]*$/
+
+// /models doesn't say what a model does, so guess from the names
+const ASR_MODEL_PATTERN = /whisper|transcri|speech|asr|wav2vec|parakeet/i
+const CLASSIFICATION_MODEL_PATTERN = /classif|audioset|\bast\b|clap|yamnet|beats|panns/i
+
+/**
+ * Guess which task an OpenAI-compatible model id belongs to
+ * @param {string} modelId
+ * @returns {string}
+ */
+function guessModelTask(modelId) {
+  if (CLASSIFICATION_MODEL_PATTERN.test(modelId)) return 'audio-classification'
+  if (ASR_MODEL_PATTERN.test(modelId)) return 'automatic-speech-recognition'
+  return 'chat-completion'
+}
+
+/**
+ * Create the Hugging Face upstream
+ * @param {Object} config
+ * @param {string} [config.token] - Hugging Face access token
+ * @returns {Object}
+ */
+function createHuggingFaceUpstream({ token }) {
+  const authHeaders = token ? { 'Authorization': `Bearer ${token}` } : {}
+
+  return {
+    getConfigError() {
+      return token
+        ? null
+        : 'Hugging Face token is required. Please set HF_TOKEN in the .env file of the API server.'
+    },
+
+    /**
+     * @param {string} modelId
+     * @returns {string|null} - Why the id is refused, or null
+     */
+    getModelError(modelId) {
+      return HF_MODEL_ID_PATTERN.test(modelId)
+        ? null
+        : `"${modelId}" is not a Hugging Face model id (expected owner/name)`
+    },
+
+    /**
+     * @param {string} modelId
+     * @param {{body: Buffer, contentType: string, fileName: string}} audio
+     * @param {AbortSignal} [signal] - Fires when the browser goes away
+     * @returns {Promise<Response>}
+     */
+    transcribe(modelId, { body, contentType }, signal) {
+      // The Inference API expects raw audio bytes, not FormData
+      const modelPath = modelId.split('/').map(encodeURIComponent).join('/')
+      return fetch(`${HF_ASR_BASE_URL}/${modelPath}`, {
+        method: 'POST',
+        headers: { ...authHeaders, 'Content-Type': contentType },
+        body,
+        signal,
+      })
+    },
+
+    /**
+     * Audio classification runs on the same endpoint as ASR; the model decides the output
+     * @param {string} modelId
+     * @param {{body: Buffer, contentType: string, fileName: string}} audio
+     * @param {AbortSignal} [signal] - Fires when the browser goes away
+     * @returns {Promise<Response>}
+     */
+    classify(modelId, audio, signal) {
+      return this.transcribe(modelId, audio, signal)
+    },
+
+    /**
+     * @param {string} body - Chat completion request body (JSON)
+     * @param {AbortSignal} [signal] - Fires when the browser goes away
+     * @returns {Promise<Response>}
+     */
+    chat(body, signal) {
+      return fetch(`${HF_CHAT_BASE_URL}/chat/completions`, {
+        method: 'POST',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body,
+        signal,
+      })
+    },
+
+    /**
+     * @param {string} task - 'automatic-speech-recognition' or 'chat-completion'
+     * @returns {Promise<string[]>}
+     */
+    async listModels(task) {
+      if (task === 'chat-completion') {
+        // The router lists every chat model some inference provider currently serves
+        const response = await fetch(`${HF_CHAT_BASE_URL}/models`, { headers: authHeaders })
+        if (!response.ok) {
+          throw new Error(`Model catalog request failed with status ${response.status}`)
+        }
+        const result = await response.json()
+        return (result.data || []).map(model => model.id)
+      }
+
+      const query = new URLSearchParams({
+        pipeline_tag: task,
+        inference: 'warm',
+        sort: 'downloads',
+        direction: '-1',
+        limit: String(HF_ASR_CATALOG_LIMIT),
+      })
+      const response = await fetch(`${HF_HUB_API_URL}/models?${query}`)
+      if (!response.ok) {
+        throw new Error(`Model catalog request failed with status ${response.status}`)
+      }
+      const result = await response.json()
+      return result.map(model => model.id)
+    },
+  }
+}
+
+/**
+ * Create the upstream for an OpenAI-compatible server
+ * @param {Object} config
+ * @param {string} [config.baseUrl] - API root including the version, e.g. http://localhost:11434/v1
+ * @param {string} [config.apiKey] - Bearer token, if the server requires one
+ * @returns {Object}
+ */
+function createOpenAICompatibleUpstream({ baseUrl = '', apiKey = '' }) {
+  const apiRoot = baseUrl.replace(/\/+$/, '')
+  const authHeaders = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+
+  return {
+    getConfigError() {
+      return apiRoot
+        ? null
+        : 'OpenAI-compatible server URL is required. Please set OPENAI_BASE_URL in the .env file of the API server.'
+    },
+
+    // The model id only travels in the request body, so any name the server knows is fine
+    getModelError() {
+      return null
+    },
+
+    transcribe(modelId, { body, contentType, fileName }, signal) {
+      const formData = new FormData()
+      formData.append('file', new Blob([body], { type: contentType }), fileName)
+      formData.append('model', modelId)
+      // verbose_json adds per-segment logprobs used for the confidence score
+      formData.append('response_format', 'verbose_json')
+      return fetch(`${apiRoot}/audio/transcriptions`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: formData,
+        signal,
+      })
+    },
+
+    // Not part of the OpenAI API: a local stand-in classifier can serve this
+    // route and answer with [{ label, score }]
+    classify(modelId, { body, contentType, fileName }, signal) {
+      const formData = new FormData()
+      formData.append('file', new Blob([body], { type: contentType }), fileName)
+      formData.append('model', modelId)
+      return fetch(`${apiRoot}/audio/classifications`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: formData,
+        signal,
+      })
+    },
+
+    chat(body, signal) {
+      return fetch(`${apiRoot}/chat/completions`, {
+        method: 'POST',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body,
+        signal,
+      })
+    },
+
+    async listModels(task) {
+      const response = await fetch(`${apiRoot}/models`, { headers: authHeaders })
+      if (!response.ok) {
+        throw new Error(`Model catalog request failed with status ${response.status}`)
+      }
+      const result = await response.json()
+      const ids = (result.data || result.models || []).map(model => model.id || model.name)
+      return ids.filter(id => guessModelTask(id) === task)
+    },
+  }
+}
+
+/**
+ * Build every upstream from server environment variables
+ * @param {Object} env - Usually process.env
+ * @returns {Object<string, Object>} - Upstreams keyed by provider id
+ */
+export function createUpstreams(env) {
+  return {
+    huggingface: createHuggingFaceUpstream({ token: env.HF_TOKEN }),
+    openai: createOpenAICompatibleUpstream({
+      baseUrl: env.OPENAI_BASE_URL,
+      apiKey: env.OPENAI_API_KEY,
+    }),
+  }
+}
@@ -0,0 +1,65 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createUpstreams } from './upstreams.js'
+
+describe('createUpstreams', () => {
+  let fetchMock
+
+  beforeEach(() => {
+    fetchMock = vi.fn(async () => new Response('{}'))
+    vi.stubGlobal('fetch', fetchMock)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  describe('huggingface', () => {
+    const { huggingface } = createUpstreams({ HF_TOKEN: 'hf_secret' })
+
+    it.each([
+      ['openai/whisper-large-v3', null],
+      ['MIT/ast-finetuned-audioset-10-10-0.4593', null],
+      ['gpt2', '"gpt2" is not a Hugging Face model id (expected owner/name)'],
+      ['../v1', '"../v1" is not a Hugging Face model id (expected owner/name)'],
+      ['owner/..', '"owner/.." is not a Hugging Face model id (expected owner/name)'],
+      ['owner/name/extra', '"owner/name/extra" is not a Hugging Face model id (expected owner/name)'],
+      ['owner/name?wait_for_model=true', '"owner/name?wait_for_model=true" is not a Hugging Face model id (expected owner/name)'],
+    ])('checks the model id %s', (modelId, expected) => {
+      expect(huggingface.getModelError(modelId)).toBe(expected)
+    })
+
+    it('posts raw audio to the model URL with the token', async () => {
+      const body = Buffer.from([1, 2, 3])
+      await huggingface.transcribe('openai/whisper-small', { body, contentType: 'audio/wav' })
+      const [url, init] = fetchMock.mock.calls[0]
+      expect(url).toBe('https://api-inference.huggingface.co/models/openai/whisper-small')
+      expect(init.headers).toEqual({ 'Authorization': 'Bearer hf_secret', 'Content-Type': 'audio/wav' })
+      expect(init.body).toBe(body)
+    })
+
+    it('reports a missing token', () => {
+      expect(createUpstreams({}).huggingface.getConfigError()).toMatch(/HF_TOKEN/)
+    })
+  })
+
+  describe('openai', () => {
+    it('accepts any model id and sends it in the form', async () => {
+      const { openai } = createUpstreams({ OPENAI_BASE_URL: 'http://localhost:11434/v1/' })
+      expect(openai.getConfigError()).toBeNull()
+      expect(openai.getModelError('llama3.1:8b')).toBeNull()
+
+      await openai.transcribe('whisper-1', { body: Buffer.from([1]), contentType: 'audio/wav', fileName: 'clip.wav' })
+      const [url, init] = fetchMock.mock.calls[0]
+      expect(url).toBe('http://localhost:11434/v1/audio/transcriptions')
+      expect(init.body.get('model')).toBe('whisper-1')
+      expect(init.body.get('file').name).toBe('clip.wav')
+    })
+
+    it('keeps the models of the requested task', async () => {
+      fetchMock.mockImplementation(async () => Response.json({ data: [{ id: 'whisper-1' }, { id: 'llama3.1' }] }))
+      const { openai } = createUpstreams({ OPENAI_BASE_URL: 'http://localhost:11434/v1' })
+      expect(await openai.listModels('automatic-speech-recognition')).toEqual(['whisper-1'])
+      expect(await openai.listModels('chat-completion')).toEqual(['llama3.1'])
+    })
+  })
+})
@@ -1,78 +1,303 @@
-import { useState } from 'react'
+import { useState, useRef, useEffect } from 'react'
 import AnimalSelector from './components/AnimalSelector'
 import VoiceRecorder from './components/VoiceRecorder'
+import AudioFileUpload from './components/AudioFileUpload'
 import TranslationDisplay from './components/TranslationDisplay'
 import Header from './components/Header'
+import TranslationHistory from './components/TranslationHistory'
+import SettingsPanel from './components/SettingsPanel'
+import PetSelector from './components/PetSelector'
+import ReverseTranslator from './components/ReverseTranslator'
+import SharedResultView from './components/SharedResultView'
+import OfflineQueuePanel from './components/OfflineQueuePanel'
 import { processAnimalSound } from './services/huggingFaceService'
+import { getProviderConfigError } from './services/providers'
+import { computeConfidence } from './services/confidence'
+import { createHistoryEntry, toHistoryFields } from './services/historyStore'
+import { getPipelineOptions } from './services/settingsStore'
+import { isAbortError } from './services/retry'
+import { AUTO_DETECT_ANIMAL, findAnimal, pickFallbackPhrase } from './services/animalRegistry'
+import { toPetReference } from './services/petStore'
+import { readPermalink, clearPermalink } from './services/permalink'
+import { getVoiceKey } from './services/speech'
+import { createTurn } from './services/conversation'
+import { createQueuedRecording, isOfflineFailure } from './services/offlineQueue'
+import useTranslationHistory from './hooks/useTranslationHistory'
+import useSettings from './hooks/useSettings'
+import usePets from './hooks/usePets'
+import useConversation from './hooks/useConversation'
+import useOfflineQueue from './hooks/useOfflineQueue'
 
 function App() {
   console.log('App component rendering...')
   const [selectedAnimal, setSelectedAnimal] = useState(null)
   const [isRecording, setIsRecording] = useState(false)
   const [translation, setTranslation] = useState(null)
+  const [recordingBlob, setRecordingBlob] = useState(null)
   const [isTranslating, setIsTranslating] = useState(false)
   const [error, setError] = useState(null)
+  const [retranslatingId, setRetranslatingId] = useState(null)
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false)
+  const [progress, setProgress] = useState([])
+  const [streamingText, setStreamingText] = useState('')
+  const [currentEntryId, setCurrentEntryId] = useState(null)
+  const [sharedResult, setSharedResult] = useState(() => readPermalink(window.location.hash))
+  const abortControllerRef = useRef(null)
+  const history = useTranslationHistory()
+  const { settings, updateSettings, resetSettings } = useSettings()
+  const { pets, savePet, removePet } = usePets()
+  const conversation = useConversation()
+  const offlineQueue = useOfflineQueue({ pets, onTranslated: history.reload })
+
+  // Warn early when the API server is missing the configured provider's settings
+  useEffect(() => {
+    getProviderConfigError().then((configError) => {
+      if (configError) {
+        console.warn(`⚠️ ${configError} API calls will fail.`)
+      }
+    })
+  }, [])
+
+  // Opening another permalink in the same tab only changes the fragment
+  useEffect(() => {
+    const handleHashChange = () => setSharedResult(readPermalink(window.location.hash))
+    window.addEventListener('hashchange', handleHashChange)
+    return () => window.removeEventListener('hashchange', handleHashChange)
+  }, [])
+
+  const handleCloseSharedResult = () => {
+    clearPermalink()
+    setSharedResult(null)
+  }
 
   const handleAnimalSelect = (animal) => {
     setSelectedAnimal(animal)
     setTranslation(null) // Reset translation when animal changes
+    setRecordingBlob(null)
   }
 
   const handleRecordingStart = () => {
     setIsRecording(true)
     setTranslation(null)
+    setRecordingBlob(null)
   }
 
-  const handleRecordingStop = async (audioBlob) => {
+  /**
+   * Translate a recording and save it to history
+   * @param {Blob} audioBlob
+   * @param {Object} [animal] - Defaults to the selected animal
+   * @param {string} [replaceEntryId] - History entry to overwrite instead of adding a new one
+   */
+  const handleRecordingStop = async (audioBlob, animal = selectedAnimal, replaceEntryId = null) => {
     setIsRecording(false)
+    setRecordingBlob(audioBlob)
     setIsTranslating(true)
     setError(null)
+    setProgress([])
+    setStreamingText('')
 
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+
+    // Conversation mode: earlier turns with this animal go along as chat history
+    const contextMessages = settings.conversation.enabled && animal
+      ? conversation.getContextMessages(getVoiceKey(animal), settings.conversation.contextTokens, replaceEntryId)
+      : []
+
+    // No connection: a new recording waits in the offline queue instead of getting a stand-in translation
+    const queueIfOffline = async (isOffline) => {
+      if (!animal || replaceEntryId || !isOffline) return false
+      try {
+        await offlineQueue.enqueue(createQueuedRecording({
+          audioBlob,
+          animal,
+          options: getPipelineOptions(settings),
+          history: contextMessages
+        }))
+        setRecordingBlob(null)
+        return true
+      } catch (err) {
+        console.error('Error saving recording for later:', err)
+        return false
+      }
+    }
+
+    let translationResult
     try {
-      // Process the audio through Hugging Face API
-      const result = await processAnimalSound(audioBlob, selectedAnimal?.name)
+      if (await queueIfOffline(!navigator.onLine)) return
+
+      // Process the audio through the configured inference provider
+      const result = await processAnimalSound(audioBlob, animal?.isAutoDetect ? null : animal?.name, {
+        ...getPipelineOptions(settings),
+        pet: animal?.pet || null,
+        history: contextMessages,
+        signal: abortController.signal,
+        onProgress: event => setProgress(prev => [...prev, event]),
+        onPartialText: text => setStreamingText(text)
+      })
+      // A request got no answer: the connection is gone
+      if (isOfflineFailure(result)) {
+        if (await queueIfOffline(true)) return
+        throw new Error(`The API server did not answer (${result.error}). Check your connection and try again.`)
+      }
 
-      setTranslation({
+      translationResult = {
         text: result.text,
+        structured: result.structured || null,
+        language: result.language || null,
         confidence: result.confidence,
+        confidenceBreakdown: result.confidenceBreakdown || null,
         transcribedText: result.transcribedText,
+        acousticFeatures: result.acousticFeatures || null,
+        audioPreprocessing: result.audioPreprocessing || null,
+        samples: result.samples || [],
+        events: result.events || null,
         isMockTranscription: result.isMockTranscription || false,
-        isMockTranslation: result.isMockTranslation || false
-      })
+        isMockTranslation: result.isMockTranslation || false,
+        provider: result.provider,
+        transcriptionModel: result.transcriptionModel || null,
+        model: result.model || null,
+        speciesDetection: result.speciesDetection || null,
+        wasAutoDetected: false
+      }
+
+      // Auto-detect mode: pre-select whatever the classifier heard
+      const detectedAnimal = animal?.isAutoDetect && findAnimal(result.speciesDetection?.detectedAnimal)
+      if (detectedAnimal) {
+        animal = detectedAnimal
+        translationResult.wasAutoDetected = true
+        setSelectedAnimal(detectedAnimal)
+      }
+      setTranslation(translationResult)
     } catch (err) {
+      if (isAbortError(err)) {
+        // Cancelled on purpose: no error, no fallback, nothing to save
+        setRecordingBlob(null)
+        return
+      }
       console.error('Translation error:', err)
       setError(err.message || 'Failed to translate animal sound. Please check your API token and try again.')
 
       // Fallback to placeholder if API fails
-      setTranslation({
-        text: `[Fallback] The ${selectedAnimal?.name} said: "${getPlaceholderTranslation(selectedAnimal?.name)}"`,
-        confidence: 0.5,
+      const confidenceBreakdown = computeConfidence({ isFallback: true })
+      translationResult = {
+        text: `[Fallback] The ${animal?.name} said: "${pickFallbackPhrase(animal?.name, settings.language)}"`,
+        language: settings.language,
+        confidence: confidenceBreakdown.score,
+        confidenceBreakdown,
         isFallback: true
-      })
+      }
+      setTranslation(translationResult)
     } finally {
+      abortControllerRef.current = null
+      setStreamingText('')
       setIsTranslating(false)
     }
+
+    // Keep every recording, including fallbacks, so it can be re-translated later
+    if (!animal) return
+    let entryId = replaceEntryId
+    if (replaceEntryId) {
+      await history.updateEntry(replaceEntryId, {
+        animal: { name: animal.name, emoji: animal.emoji },
+        pet: animal.pet ? toPetReference(animal.pet) : null,
+        ...toHistoryFields(translationResult)
+      })
+    } else {
+      const entry = createHistoryEntry({ audioBlob, animal, result: translationResult })
+      entryId = entry.id
+      setCurrentEntryId(entry.id)
+      history.addEntry(entry)
+    }
+    if (settings.conversation.enabled) {
+      conversation.addTurn(getVoiceKey(animal), createTurn(entryId, animal.name, translationResult))
+    }
+  }
+
+  /**
+   * Turn conversation mode on or off; turning it off forgets the session
+   * @param {boolean} enabled
+   */
+  const handleConversationToggle = (enabled) => {
+    updateSettings(prev => ({ conversation: { ...prev.conversation, enabled } }))
+    if (!enabled) {
+      conversation.reset()
+    }
+  }
+
+  /**
+   * Save or clear (null) a speaker's voice preset
+   * @param {string} key - From getVoiceKey
+   * @param {Object|null} preset
+   */
+  const handleVoicePresetChange = (key, preset) => {
+    updateSettings((prev) => {
+      const voices = { ...prev.voices }
+      if (preset) {
+        voices[key] = preset
+      } else {
+        delete voices[key]
+      }
+      return { voices }
+    })
+  }
+
+  // The detection disagreed with the user's pick: translate the same recording again as the detected animal
+  const handleSwitchAnimal = (animalName) => {
+    const animal = findAnimal(animalName)
+    if (!animal || !recordingBlob) return
+    setSelectedAnimal(animal)
+    handleRecordingStop(recordingBlob, animal, currentEntryId)
   }
 
-  const getPlaceholderTranslation = (animalName) => {
-    const translations = {
-      'Dog': 'Woof woof! I want to play!',
-      'Cat': 'Meow meow! Feed me now!',
-      'Bird': 'Tweet tweet! Beautiful day!',
-      'Cow': 'Moo moo! Time for grass!',
-      'Pig': 'Oink oink! I love mud!',
-      'Rooster': 'Cock-a-doodle-doo! Morning time!',
-      'Duck': 'Quack quack! Water is nice!',
-      'Sheep': 'Baa baa! I need a haircut!',
-      'Horse': 'Neigh neigh! Let\'s run!',
-      'Lion': 'Roar! I\'m the king!'
+  const handleCancelTranslation = () => {
+    abortControllerRef.current?.abort()
+  }
+
+  const handleRetranslate = async (entry) => {
+    // Offline, this would overwrite the entry with stand-ins
+    if (!navigator.onLine) {
+      alert('You are offline. Re-translate this recording once the connection returns.')
+      return
+    }
+    setRetranslatingId(entry.id)
+    try {
+      const isMystery = entry.animal.name === AUTO_DETECT_ANIMAL.name
+      // Use the pet's current profile; a deleted pet translates as its species
+      const pet = pets.find(profile => profile.id === entry.pet?.id) || null
+      const result = await processAnimalSound(entry.audioBlob, isMystery ? null : entry.animal.name, {
+        ...getPipelineOptions(settings),
+        pet
+      })
+      // The server stopped answering halfway; keep the translation the entry already has
+      if (isOfflineFailure(result)) {
+        alert('The connection was lost. Re-translate this recording once it returns.')
+        return
+      }
+      const detectedAnimal = isMystery && findAnimal(result.speciesDetection?.detectedAnimal)
+      await history.updateEntry(entry.id, {
+        ...(detectedAnimal ? { animal: { name: detectedAnimal.name, emoji: detectedAnimal.emoji } } : {}),
+        ...toHistoryFields(result)
+      })
+    } catch (err) {
+      console.error('Re-translation error:', err)
+      alert(`Could not re-translate: ${err.message}`)
+    } finally {
+      setRetranslatingId(null)
     }
-    return translations[animalName] || 'Making animal sounds!'
   }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-50 via-pink-50 to-orange-50 overflow-x-hidden">
-      <Header />
+      <Header onOpenSettings={() => setIsSettingsOpen(true)} />
+      {isSettingsOpen && (
+        <SettingsPanel
+          settings={settings}
+          onChange={updateSettings}
+          onReset={resetSettings}
+          onClose={() => setIsSettingsOpen(false)}
+        />
+      )}
 
       <main className="mx-auto px-3 sm:px-4 py-4 sm:py-8 max-w-4xl w-full">
         <div className="text-center mb-6 sm:mb-8">
@@ -84,79 +309,174 @@ function App() {
           </p>
         </div>
 
-        <div className="space-y-4 sm:space-y-6 md:space-y-8">
-          {/* Animal Selection */}
+        {sharedResult ? (
           <div className="bg-white rounded-xl sm:rounded-2xl shadow-xl p-4 sm:p-6">
             <h2 className="text-lg sm:text-xl md:text-2xl font-semibold text-gray-800 mb-3 sm:mb-4">
-              Step 1: Choose an Animal
+              🔗 Shared Translation
             </h2>
-            <AnimalSelector
-              selectedAnimal={selectedAnimal}
-              onSelect={handleAnimalSelect}
-            />
+            <SharedResultView shared={sharedResult} onClose={handleCloseSharedResult} />
           </div>
-
-          {/* Voice Recording */}
-          {selectedAnimal && (
+        ) : (
+          <div className="space-y-4 sm:space-y-6 md:space-y-8">
+            {/* Animal Selection */}
             <div className="bg-white rounded-xl sm:rounded-2xl shadow-xl p-4 sm:p-6">
               <h2 className="text-lg sm:text-xl md:text-2xl font-semibold text-gray-800 mb-3 sm:mb-4">
-                Step 2: Record {selectedAnimal.name}'s Voice
+                Step 1: Choose a Pet or an Animal
               </h2>
-              <VoiceRecorder
-                animal={selectedAnimal}
-                isRecording={isRecording}
-                onRecordingStart={handleRecordingStart}
-                onRecordingStop={handleRecordingStop}
+              <PetSelector
+                pets={pets}
+                selectedAnimal={selectedAnimal}
+                onSelect={handleAnimalSelect}
+                onSavePet={savePet}
+                onRemovePet={removePet}
+              />
+              <div className="flex items-center my-4 sm:my-6 text-xs sm:text-sm text-gray-400">
+                <div className="flex-1 border-t border-gray-200"></div>
+                <span className="px-3">or choose an animal</span>
+                <div className="flex-1 border-t border-gray-200"></div>
+              </div>
+              <AnimalSelector
+                selectedAnimal={selectedAnimal}
+                onSelect={handleAnimalSelect}
               />
             </div>
-          )}
-
-          {/* Error Display */}
-          {error && (
-            <div className="bg-red-50 border-2 border-red-200 rounded-xl sm:rounded-2xl p-4 sm:p-6">
-              <div className="flex items-start space-x-2 sm:space-x-3">
-                <span className="text-xl sm:text-2xl flex-shrink-0">⚠️</span>
-                <div className="flex-1 min-w-0">
-                  <h3 className="font-semibold text-red-800 mb-2 text-sm sm:text-base">Translation Error</h3>
-                  <div className="text-red-700 text-xs sm:text-sm whitespace-pre-wrap font-mono bg-red-100 p-2 sm:p-3 rounded mb-3 max-h-48 sm:max-h-60 overflow-y-auto break-words">
-                    {error}
-                  </div>
-                  <div className="text-red-600 text-xs space-y-1">
-                    <p className="font-semibold">Troubleshooting:</p>
-                    <ul className="list-disc list-inside space-y-1 ml-1 sm:ml-2">
-                      <li>Make sure you've set <code className="bg-red-200 px-1 rounded">VITE_HF_TOKEN</code> in your <code className="bg-red-200 px-1 rounded">.env</code> file</li>
-                      <li>Verify your token has "Inference API" permissions at{' '}
-                        <a
-                          href="https://huggingface.co/settings/tokens"
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="underline break-all"
-                        >
-                          Hugging Face Settings
-                        </a>
-                      </li>
-                      <li>Check the browser console for detailed error logs</li>
-                    </ul>
+
+            {/* Voice Recording */}
+            {selectedAnimal && (
+              <div className="bg-white rounded-xl sm:rounded-2xl shadow-xl p-4 sm:p-6">
+                <h2 className="text-lg sm:text-xl md:text-2xl font-semibold text-gray-800 mb-3 sm:mb-4">
+                  Step 2: Record {selectedAnimal.isAutoDetect ? "the Animal's" : `${selectedAnimal.pet?.name || selectedAnimal.name}'s`} Voice
+                </h2>
+                <VoiceRecorder
+                  animal={selectedAnimal}
+                  isRecording={isRecording}
+                  onRecordingStart={handleRecordingStart}
+                  onRecordingStop={handleRecordingStop}
+                />
+                <div className="flex items-center my-4 sm:my-6 text-xs sm:text-sm text-gray-400">
+                  <div className="flex-1 border-t border-gray-200"></div>
+                  <span className="px-3">or upload a recording</span>
+                  <div className="flex-1 border-t border-gray-200"></div>
+                </div>
+                <AudioFileUpload
+                  animal={selectedAnimal}
+                  disabled={isRecording || isTranslating}
+                  onAudioSelected={handleRecordingStop}
+                />
+                <label className="flex items-start gap-2 mt-4 sm:mt-6 text-xs sm:text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={settings.conversation.enabled}
+                    onChange={(event) => handleConversationToggle(event.target.checked)}
+                    className="mt-0.5 accent-purple-600"
+                  />
+                  <span>
+                    <span className="font-semibold text-gray-700">💬 Conversation mode:</span> each new recording of {selectedAnimal.isAutoDetect ? 'the same animal' : (selectedAnimal.pet?.name || `the ${selectedAnimal.name.toLowerCase()}`)} remembers what it said before
+                  </span>
+                </label>
+              </div>
+            )}
+
+            {/* Offline Queue */}
+            {(!offlineQueue.isOnline || offlineQueue.items.length > 0) && (
+              <OfflineQueuePanel
+                items={offlineQueue.items}
+                isOnline={offlineQueue.isOnline}
+                sendingId={offlineQueue.sendingId}
+                error={offlineQueue.error}
+                onRetry={offlineQueue.retry}
+                onDiscard={offlineQueue.discard}
+                onCheckConnection={offlineQueue.checkConnection}
+              />
+            )}
+
+            {/* Error Display */}
+            {error && (
+              <div className="bg-red-50 border-2 border-red-200 rounded-xl sm:rounded-2xl p-4 sm:p-6">
+                <div className="flex items-start space-x-2 sm:space-x-3">
+                  <span className="text-xl sm:text-2xl flex-shrink-0">⚠️</span>
+                  <div className="flex-1 min-w-0">
+                    <h3 className="font-semibold text-red-800 mb-2 text-sm sm:text-base">Translation Error</h3>
+                    <div className="text-red-700 text-xs sm:text-sm whitespace-pre-wrap font-mono bg-red-100 p-2 sm:p-3 rounded mb-3 max-h-48 sm:max-h-60 overflow-y-auto break-words">
+                      {error}
+                    </div>
+                    <div className="text-red-600 text-xs space-y-1">
+                      <p className="font-semibold">Troubleshooting:</p>
+                      <ul className="list-disc list-inside space-y-1 ml-1 sm:ml-2">
+                        <li>Make sure the API server is running (<code className="bg-red-200 px-1 rounded">npm run server</code>) and <code className="bg-red-200 px-1 rounded">HF_TOKEN</code> is set in its <code className="bg-red-200 px-1 rounded">.env</code> file</li>
+                        <li>Verify your token has "Inference API" permissions at{' '}
+                          <a
+                            href="https://huggingface.co/settings/tokens"
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="underline break-all"
+                          >
+                            Hugging Face Settings
+                          </a>
+                        </li>
+                        <li>Check the browser console for detailed error logs</li>
+                      </ul>
+                    </div>
                   </div>
                 </div>
               </div>
-            </div>
-          )}
+            )}
 
-          {/* Translation Display */}
-          {(translation || isTranslating) && (
+            {/* Translation Display */}
+            {(translation || isTranslating) && (
+              <div className="bg-white rounded-xl sm:rounded-2xl shadow-xl p-4 sm:p-6">
+                <h2 className="text-lg sm:text-xl md:text-2xl font-semibold text-gray-800 mb-3 sm:mb-4">
+                  Step 3: Translation
+                </h2>
+                <TranslationDisplay
+                  translation={translation}
+                  isTranslating={isTranslating}
+                  animal={selectedAnimal}
+                  audioBlob={recordingBlob}
+                  progress={progress}
+                  streamingText={streamingText}
+                  voicePresets={settings.voices}
+                  onVoicePresetChange={handleVoicePresetChange}
+                  conversationTurns={settings.conversation.enabled && selectedAnimal && conversation.session?.speakerKey === getVoiceKey(selectedAnimal) ? conversation.session.turns : null}
+                  contextTokens={settings.conversation.contextTokens}
+                  onResetConversation={conversation.reset}
+                  onCancel={handleCancelTranslation}
+                  onSwitchAnimal={handleSwitchAnimal}
+                />
+              </div>
+            )}
+
+            {/* Reverse Mode */}
+            {selectedAnimal && !selectedAnimal.isAutoDetect && (
+              <div className="bg-white rounded-xl sm:rounded-2xl shadow-xl p-4 sm:p-6">
+                <h2 className="text-lg sm:text-xl md:text-2xl font-semibold text-gray-800 mb-1 sm:mb-2">
+                  🔁 Talk Back
+                </h2>
+                <p className="text-xs sm:text-sm text-gray-600 mb-3 sm:mb-4">
+                  Say something and hear how {selectedAnimal.pet?.name || `a ${selectedAnimal.name.toLowerCase()}`} would answer.
+                </p>
+                <ReverseTranslator animal={selectedAnimal} settings={settings} />
+              </div>
+            )}
+
+            {/* Translation History */}
             <div className="bg-white rounded-xl sm:rounded-2xl shadow-xl p-4 sm:p-6">
               <h2 className="text-lg sm:text-xl md:text-2xl font-semibold text-gray-800 mb-3 sm:mb-4">
-                Step 3: Translation
+                📜 Translation History
               </h2>
-              <TranslationDisplay
-                translation={translation}
-                isTranslating={isTranslating}
-                animal={selectedAnimal}
+              <TranslationHistory
+                entries={history.entries}
+                pets={pets}
+                isLoading={history.isLoading}
+                error={history.error}
+                retranslatingId={retranslatingId}
+                onRetranslate={handleRetranslate}
+                onDelete={history.removeEntry}
+                onImport={history.importEntries}
               />
             </div>
-          )}
-        </div>
+          </div>
+        )}
       </main>
 
       <footer className="text-center py-4 sm:py-8 text-gray-600 text-sm sm:text-base px-4">
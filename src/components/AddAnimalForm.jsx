@@ -0,0 +1,97 @@
+import { useState } from 'react'
+
+const EMPTY_FIELDS = { name: '', emoji: '', sounds: '', persona: '' }
+
+/**
+ * Inline form for a user-defined animal
+ */
+function AddAnimalForm({ onAdd, onCancel }) {
+  const [fields, setFields] = useState(EMPTY_FIELDS)
+  const [error, setError] = useState(null)
+
+  const updateField = (key, value) => {
+    setFields(prev => ({ ...prev, [key]: value }))
+    setError(null)
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    try {
+      onAdd(fields)
+      setFields(EMPTY_FIELDS)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const inputClassName = 'w-full border-2 border-gray-200 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-purple-400'
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-50 rounded-lg sm:rounded-xl p-3 sm:p-4 space-y-3">
+      <div className="grid grid-cols-[4rem_1fr] gap-2 sm:gap-3">
+        <label className="text-xs text-gray-600 font-semibold">
+          Emoji
+          <input
+            type="text"
+            value={fields.emoji}
+            onChange={(event) => updateField('emoji', event.target.value)}
+            placeholder="🐾"
+            maxLength={8}
+            className={`${inputClassName} mt-1 text-center`}
+          />
+        </label>
+        <label className="text-xs text-gray-600 font-semibold">
+          Name
+          <input
+            type="text"
+            value={fields.name}
+            onChange={(event) => updateField('name', event.target.value)}
+            placeholder="Goat, Parrot, Hamster..."
+            autoFocus
+            className={`${inputClassName} mt-1`}
+          />
+        </label>
+      </div>
+      <label className="block text-xs text-gray-600 font-semibold">
+        Typical sounds
+        <input
+          type="text"
+          value={fields.sounds}
+          onChange={(event) => updateField('sounds', event.target.value)}
+          placeholder="maa maa bleat"
+          className={`${inputClassName} mt-1`}
+        />
+      </label>
+      <label className="block text-xs text-gray-600 font-semibold">
+        Personality
+        <input
+          type="text"
+          value={fields.persona}
+          onChange={(event) => updateField('persona', event.target.value)}
+          placeholder="a stubborn, curious goat who eats everything"
+          className={`${inputClassName} mt-1`}
+        />
+      </label>
+      {error && (
+        <p className="text-xs text-red-600">{error}</p>
+      )}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="flex-1 bg-purple-600 text-white font-semibold text-sm py-2 px-4 rounded-lg hover:bg-purple-700 transition-colors"
+        >
+          Add Animal
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="bg-white border-2 border-gray-200 text-gray-700 font-semibold text-sm py-2 px-4 rounded-lg hover:bg-gray-100 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default AddAnimalForm
@@ -1,49 +1,96 @@
-const animals = [
-  { name: 'Dog', emoji: '🐕', color: 'from-yellow-400 to-orange-500' },
-  { name: 'Cat', emoji: '🐱', color: 'from-gray-400 to-gray-600' },
-  { name: 'Bird', emoji: '🐦', color: 'from-blue-400 to-blue-600' },
-  { name: 'Cow', emoji: '🐄', color: 'from-white to-gray-300' },
-  { name: 'Pig', emoji: '🐷', color: 'from-pink-400 to-pink-600' },
-  { name: 'Rooster', emoji: '🐓', color: 'from-red-400 to-red-600' },
-  { name: 'Duck', emoji: '🦆', color: 'from-yellow-300 to-yellow-500' },
-  { name: 'Sheep', emoji: '🐑', color: 'from-white to-gray-200' },
-  { name: 'Horse', emoji: '🐴', color: 'from-amber-400 to-amber-600' },
-  { name: 'Lion', emoji: '🦁', color: 'from-yellow-500 to-orange-600' },
-]
+import { useState } from 'react'
+import AddAnimalForm from './AddAnimalForm'
+import useAnimals from '../hooks/useAnimals'
+import { AUTO_DETECT_ANIMAL } from '../services/animalRegistry'
 
 function AnimalSelector({ selectedAnimal, onSelect }) {
+  const { animals, addAnimal, removeAnimal } = useAnimals()
+  const [isAdding, setIsAdding] = useState(false)
+
+  const handleAdd = (fields) => {
+    const animal = addAnimal(fields)
+    setIsAdding(false)
+    onSelect(animal)
+  }
+
+  const handleRemove = (animal) => {
+    if (!window.confirm(`Remove ${animal.name} from your animals? Saved translations are kept.`)) return
+    removeAnimal(animal.name)
+    if (selectedAnimal?.name === animal.name) {
+      onSelect(null)
+    }
+  }
+
   return (
-    <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 gap-3 sm:gap-4">
-      {animals.map((animal) => {
-        const isSelected = selectedAnimal?.name === animal.name
-        return (
+    <div className="space-y-3 sm:space-y-4">
+      <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 gap-3 sm:gap-4">
+        {animals.map((animal) => {
+          // A pet of this species is selected in PetSelector, not here
+          const isSelected = !selectedAnimal?.pet && selectedAnimal?.name === animal.name
+          return (
+            <div key={animal.name} className="relative">
+              <button
+                onClick={() => onSelect(animal)}
+                className={`
+                  relative overflow-hidden w-full rounded-lg sm:rounded-xl p-3 sm:p-4 transition-all duration-300
+                  transform hover:scale-105 active:scale-95 touch-manipulation
+                  ${isSelected
+                    ? `bg-gradient-to-br ${animal.color} shadow-lg ring-2 sm:ring-4 ring-primary-400`
+                    : 'bg-gradient-to-br from-gray-100 to-gray-200 hover:shadow-md'
+                  }
+                `}
+              >
+                <div className="text-4xl sm:text-5xl mb-1 sm:mb-2">{animal.emoji}</div>
+                <div className={`
+                  text-xs sm:text-sm font-semibold truncate
+                  ${isSelected ? 'text-white' : 'text-gray-700'}
+                `}>
+                  {animal.name}
+                </div>
+                {isSelected && (
+                  <div className="absolute top-1.5 sm:top-2 right-1.5 sm:right-2">
+                    <span className="text-white text-base sm:text-lg">✓</span>
+                  </div>
+                )}
+              </button>
+              {animal.isCustom && (
+                <button
+                  onClick={() => handleRemove(animal)}
+                  aria-label={`Remove ${animal.name}`}
+                  className="absolute -top-2 -left-2 w-6 h-6 rounded-full bg-white border border-gray-300 text-gray-500 text-xs shadow hover:text-red-600 hover:border-red-300"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          )
+        })}
+        {!isAdding && (
           <button
-            key={animal.name}
-            onClick={() => onSelect(animal)}
-            className={`
-              relative overflow-hidden rounded-lg sm:rounded-xl p-3 sm:p-4 transition-all duration-300
-              transform hover:scale-105 active:scale-95 touch-manipulation
-              ${isSelected
-                ? `bg-gradient-to-br ${animal.color} shadow-lg ring-2 sm:ring-4 ring-primary-400`
-                : 'bg-gradient-to-br from-gray-100 to-gray-200 hover:shadow-md'
-              }
-            `}
+            onClick={() => setIsAdding(true)}
+            className="rounded-lg sm:rounded-xl p-3 sm:p-4 border-2 border-dashed border-gray-300 text-gray-500 hover:border-purple-400 hover:text-purple-600 transition-colors touch-manipulation"
           >
-            <div className="text-4xl sm:text-5xl mb-1 sm:mb-2">{animal.emoji}</div>
-            <div className={`
-              text-xs sm:text-sm font-semibold
-              ${isSelected ? 'text-white' : 'text-gray-700'}
-            `}>
-              {animal.name}
-            </div>
-            {isSelected && (
-              <div className="absolute top-1.5 sm:top-2 right-1.5 sm:right-2">
-                <span className="text-white text-base sm:text-lg">✓</span>
-              </div>
-            )}
+            <div className="text-4xl sm:text-5xl mb-1 sm:mb-2">➕</div>
+            <div className="text-xs sm:text-sm font-semibold">Add animal</div>
           </button>
-        )
-      })}
+        )}
+      </div>
+      {isAdding && (
+        <AddAnimalForm onAdd={handleAdd} onCancel={() => setIsAdding(false)} />
+      )}
+      <button
+        onClick={() => onSelect(AUTO_DETECT_ANIMAL)}
+        className={`
+          w-full rounded-lg sm:rounded-xl py-2.5 sm:py-3 px-4 text-sm sm:text-base font-semibold transition-all
+          ${selectedAnimal?.isAutoDetect
+            ? `bg-gradient-to-r ${AUTO_DETECT_ANIMAL.color} text-white shadow-lg`
+            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+          }
+        `}
+      >
+        {AUTO_DETECT_ANIMAL.emoji} Not sure? Let the app detect the animal
+        {selectedAnimal?.isAutoDetect && <span className="ml-2">✓</span>}
+      </button>
     </div>
   )
 }
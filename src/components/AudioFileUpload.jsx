@@ -0,0 +1,315 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { decodeAudioBlob, toMono, computeWaveformPeaks } from '../services/audioFeatures'
+import { encodeWav } from '../services/wavEncoder'
+
+// Same limit most hosted ASR endpoints apply to uploads
+const MAX_FILE_SIZE_MB = 25
+// Decode at CD rate so trimmed clips still sound right when played back
+const DECODE_SAMPLE_RATE = 44100
+const WAVEFORM_BARS = 160
+const MIN_SELECTION_SECONDS = 0.1
+// The pipeline sends 16 kHz 16-bit WAV (32 kB a second) whatever the file's format,
+// so ten minutes (about 19 MB) stays under the API server's 30 MB request limit
+const MAX_SELECTION_SECONDS = 10 * 60
+
+const ACCEPTED_TYPES = [
+  'audio/wav', 'audio/x-wav', 'audio/wave',
+  'audio/mpeg', 'audio/mp3',
+  'audio/mp4', 'audio/x-m4a', 'audio/m4a', 'audio/aac',
+  'audio/ogg', 'audio/webm', 'audio/flac', 'audio/x-flac',
+]
+// Some systems leave File.type empty, so fall back to the extension
+const ACCEPTED_EXTENSIONS = ['wav', 'mp3', 'm4a', 'mp4', 'aac', 'ogg', 'oga', 'opus', 'webm', 'flac']
+
+/**
+ * @param {File} file
+ * @returns {string|null} - Why the file can't be used, or null if it's fine
+ */
+function validateFile(file) {
+  const extension = file.name.split('.').pop()?.toLowerCase()
+  const typeOk = ACCEPTED_TYPES.includes(file.type) || ACCEPTED_EXTENSIONS.includes(extension)
+  if (!typeOk) {
+    return `"${file.name}" isn't a supported audio file. Use WAV, MP3, M4A or OGG.`
+  }
+  if (file.size === 0) {
+    return `"${file.name}" is empty.`
+  }
+  if (file.size > MAX_FILE_SIZE_MB * 1024 * 1024) {
+    return `"${file.name}" is ${(file.size / 1024 / 1024).toFixed(1)} MB. The limit is ${MAX_FILE_SIZE_MB} MB.`
+  }
+  return null
+}
+
+function AudioFileUpload({ animal, disabled, onAudioSelected }) {
+  const [file, setFile] = useState(null)
+  const [decoded, setDecoded] = useState(null)
+  const [peaks, setPeaks] = useState(null)
+  const [selection, setSelection] = useState({ start: 0, end: 0 })
+  const [error, setError] = useState(null)
+  const [isDecoding, setIsDecoding] = useState(false)
+  const [isDragging, setIsDragging] = useState(false)
+  const [isPreviewing, setIsPreviewing] = useState(false)
+  const inputRef = useRef(null)
+  const canvasRef = useRef(null)
+  const previewRef = useRef(null)
+
+  const stopPreview = useCallback(() => {
+    if (previewRef.current) {
+      previewRef.current.source.onended = null
+      previewRef.current.source.stop()
+      previewRef.current.context.close().catch(() => {})
+      previewRef.current = null
+    }
+    setIsPreviewing(false)
+  }, [])
+
+  useEffect(() => {
+    return () => stopPreview()
+  }, [stopPreview])
+
+  const handleFile = async (selectedFile) => {
+    stopPreview()
+    setError(null)
+    setDecoded(null)
+    setPeaks(null)
+
+    const validationError = validateFile(selectedFile)
+    if (validationError) {
+      setFile(null)
+      setError(validationError)
+      return
+    }
+
+    setFile(selectedFile)
+    setIsDecoding(true)
+    try {
+      const audioBuffer = await decodeAudioBlob(selectedFile, DECODE_SAMPLE_RATE)
+      const samples = toMono(audioBuffer)
+      setDecoded({ samples, sampleRate: audioBuffer.sampleRate, duration: audioBuffer.duration })
+      setPeaks(computeWaveformPeaks(samples, WAVEFORM_BARS))
+      setSelection({ start: 0, end: Math.min(audioBuffer.duration, MAX_SELECTION_SECONDS) })
+    } catch (err) {
+      console.error('Error decoding uploaded file:', err)
+      setFile(null)
+      setError(`Couldn't decode "${selectedFile.name}". The file may be corrupted or in a format your browser can't play.`)
+    } finally {
+      setIsDecoding(false)
+    }
+  }
+
+  const handleInputChange = (event) => {
+    const selectedFile = event.target.files?.[0]
+    if (selectedFile) {
+      handleFile(selectedFile)
+    }
+    // Allow picking the same file again after clearing
+    event.target.value = ''
+  }
+
+  const handleDrop = (event) => {
+    event.preventDefault()
+    setIsDragging(false)
+    if (disabled) return
+    const droppedFile = event.dataTransfer.files?.[0]
+    if (droppedFile) {
+      handleFile(droppedFile)
+    }
+  }
+
+  const handleClear = () => {
+    stopPreview()
+    setFile(null)
+    setDecoded(null)
+    setPeaks(null)
+    setError(null)
+  }
+
+  // Waveform with everything outside the selection dimmed
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || !peaks || !decoded) return
+
+    const pixelRatio = window.devicePixelRatio || 1
+    const width = canvas.clientWidth
+    const height = canvas.clientHeight
+    canvas.width = width * pixelRatio
+    canvas.height = height * pixelRatio
+    const context = canvas.getContext('2d')
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0)
+    context.clearRect(0, 0, width, height)
+
+    const startFraction = selection.start / decoded.duration
+    const endFraction = selection.end / decoded.duration
+    const barWidth = width / peaks.length
+    peaks.forEach((peak, bar) => {
+      const position = (bar + 0.5) / peaks.length
+      const barHeight = Math.max(2, peak * height * 0.9)
+      context.fillStyle = position >= startFraction && position <= endFraction ? '#9333ea' : '#e5e7eb'
+      context.fillRect(bar * barWidth + barWidth * 0.15, (height - barHeight) / 2, Math.max(1, barWidth * 0.7), barHeight)
+    })
+  }, [peaks, decoded, selection])
+
+  const handleStartChange = (event) => {
+    const start = Math.min(Number(event.target.value), selection.end - MIN_SELECTION_SECONDS)
+    setSelection(prev => ({ ...prev, start: Math.max(0, prev.end - MAX_SELECTION_SECONDS, start) }))
+  }
+
+  const handleEndChange = (event) => {
+    const end = Math.max(Number(event.target.value), selection.start + MIN_SELECTION_SECONDS)
+    setSelection(prev => ({ ...prev, end: Math.min(decoded.duration, prev.start + MAX_SELECTION_SECONDS, end) }))
+  }
+
+  const handlePreview = () => {
+    if (isPreviewing) {
+      stopPreview()
+      return
+    }
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    if (!AudioContextClass || !decoded) return
+
+    const context = new AudioContextClass()
+    const buffer = context.createBuffer(1, decoded.samples.length, decoded.sampleRate)
+    buffer.copyToChannel(decoded.samples, 0)
+    const source = context.createBufferSource()
+    source.buffer = buffer
+    source.connect(context.destination)
+    source.onended = () => stopPreview()
+    source.start(0, selection.start, selection.end - selection.start)
+    previewRef.current = { context, source }
+    setIsPreviewing(true)
+  }
+
+  const isFullSelection = decoded &&
+    selection.start <= 0.001 && selection.end >= decoded.duration - 0.001
+
+  const handleTranslate = () => {
+    if (!decoded || !file) return
+    stopPreview()
+    if (isFullSelection) {
+      // Untrimmed: send the original file untouched, exactly like a recording
+      onAudioSelected(file)
+    } else {
+      const startSample = Math.floor(selection.start * decoded.sampleRate)
+      const endSample = Math.ceil(selection.end * decoded.sampleRate)
+      onAudioSelected(encodeWav(decoded.samples.slice(startSample, endSample), decoded.sampleRate))
+    }
+    handleClear()
+  }
+
+  const formatSeconds = (seconds) => `${seconds.toFixed(1)}s`
+
+  return (
+    <div className="w-full space-y-3">
+      {!decoded && (
+        <div
+          onDragOver={(event) => {
+            event.preventDefault()
+            if (!disabled) setIsDragging(true)
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+          className={`
+            border-2 border-dashed rounded-xl p-4 sm:p-6 text-center transition-colors
+            ${isDragging ? 'border-purple-400 bg-purple-50' : 'border-gray-300 bg-gray-50'}
+            ${disabled ? 'opacity-50' : ''}
+          `}
+        >
+          <div className="text-3xl mb-2">📁</div>
+          <p className="text-sm sm:text-base text-gray-600">
+            {isDecoding ? 'Reading audio file...' : `Drop a ${animal.name.toLowerCase()} recording here, or`}
+          </p>
+          {!isDecoding && (
+            <button
+              onClick={() => inputRef.current?.click()}
+              disabled={disabled}
+              className="mt-2 bg-white border-2 border-purple-300 text-purple-700 font-semibold text-sm py-2 px-4 rounded-full hover:bg-purple-50 transition-colors disabled:cursor-not-allowed"
+            >
+              Choose File
+            </button>
+          )}
+          <p className="text-xs text-gray-400 mt-2">
+            WAV, MP3, M4A or OGG · up to {MAX_FILE_SIZE_MB} MB
+          </p>
+          <input
+            ref={inputRef}
+            type="file"
+            accept={[...ACCEPTED_TYPES, ...ACCEPTED_EXTENSIONS.map(extension => `.${extension}`)].join(',')}
+            onChange={handleInputChange}
+            className="hidden"
+          />
+        </div>
+      )}
+
+      {error && (
+        <div className="text-xs sm:text-sm text-red-600 bg-red-50 px-3 py-2 rounded break-words">
+          ⚠️ {error}
+        </div>
+      )}
+
+      {decoded && file && (
+        <div className="bg-gray-50 rounded-xl p-3 sm:p-4 border-2 border-purple-200 space-y-3">
+          <div className="flex items-center justify-between gap-2">
+            <div className="text-sm font-semibold text-gray-700 truncate">📄 {file.name}</div>
+            <button
+              onClick={handleClear}
+              className="text-xs text-gray-500 hover:text-gray-700 flex-shrink-0"
+            >
+              ✕ Remove
+            </button>
+          </div>
+
+          <canvas ref={canvasRef} aria-hidden="true" className="w-full h-16 sm:h-20" />
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 sm:gap-4 text-xs text-gray-600">
+            <label className="flex flex-col">
+              <span>Start: {formatSeconds(selection.start)}</span>
+              <input
+                type="range"
+                min={0}
+                max={decoded.duration}
+                step={0.01}
+                value={selection.start}
+                onChange={handleStartChange}
+                className="accent-purple-600"
+              />
+            </label>
+            <label className="flex flex-col">
+              <span>End: {formatSeconds(selection.end)}</span>
+              <input
+                type="range"
+                min={0}
+                max={decoded.duration}
+                step={0.01}
+                value={selection.end}
+                onChange={handleEndChange}
+                className="accent-purple-600"
+              />
+            </label>
+          </div>
+          <div className="text-xs text-gray-500">
+            Selected {formatSeconds(selection.end - selection.start)} of {formatSeconds(decoded.duration)}
+            {decoded.duration > MAX_SELECTION_SECONDS && ` · up to ${MAX_SELECTION_SECONDS / 60} minutes per translation`}
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-2">
+            <button
+              onClick={handlePreview}
+              className="flex-1 bg-blue-100 text-blue-700 font-semibold text-sm py-2 px-4 rounded-lg hover:bg-blue-200 transition-colors"
+            >
+              {isPreviewing ? '⏹️ Stop Preview' : '▶️ Preview Selection'}
+            </button>
+            <button
+              onClick={handleTranslate}
+              disabled={disabled}
+              className="flex-1 bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold text-sm py-2 px-4 rounded-lg hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              🐾 Translate {isFullSelection ? 'File' : 'Selection'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AudioFileUpload
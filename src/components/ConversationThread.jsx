@@ -0,0 +1,72 @@
+import { selectContextTurns } from '../services/conversation'
+import { MOOD_EMOJI, INTENT_EMOJI } from '../services/structuredTranslation'
+
+/**
+ * The conversation session as a chat thread: each sound, then what the animal said
+ * @param {Object} props
+ * @param {Object[]} props.turns - The session, oldest first
+ * @param {number} props.contextTokens - History budget, to show which turns the next translation remembers
+ * @param {string} props.speakerName
+ * @param {React.ReactNode} props.speakerAvatar
+ * @param {() => void} props.onReset
+ */
+function ConversationThread({ turns, contextTokens, speakerName, speakerAvatar, onReset }) {
+  const rememberedIds = new Set(selectContextTurns(turns, contextTokens).map(turn => turn.id))
+
+  const describeMemory = () => {
+    if (rememberedIds.size === 0) {
+      return 'The next translation starts fresh: nothing here fits the conversation memory, or the translations were stand-ins.'
+    }
+    if (turns.length === 1) {
+      return `Record ${speakerName} again and the translation will remember this.`
+    }
+    if (rememberedIds.size === turns.length) {
+      return 'The next translation remembers all of these.'
+    }
+    return `The next translation remembers ${rememberedIds.size} of these. Faded ones are older than the conversation memory allows, or were stand-in translations.`
+  }
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-3 sm:p-4 space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-xs sm:text-sm font-semibold text-gray-700">
+          💬 Conversation with {speakerName} ({turns.length} {turns.length === 1 ? 'sound' : 'sounds'})
+        </h3>
+        <button
+          type="button"
+          onClick={onReset}
+          className="text-xs font-semibold text-purple-700 hover:underline flex-shrink-0"
+        >
+          ↺ New conversation
+        </button>
+      </div>
+
+      <ol className="space-y-2 max-h-80 overflow-y-auto">
+        {turns.map(turn => (
+          <li key={turn.id} className={`space-y-1 ${rememberedIds.has(turn.id) ? '' : 'opacity-50'}`}>
+            <div className="flex justify-end">
+              <div className="max-w-[80%] bg-white border border-gray-200 text-xs text-gray-500 italic px-3 py-1.5 rounded-2xl rounded-br-sm break-words">
+                🔊 {turn.transcribedText ? `"${turn.transcribedText}"` : 'a sound'}
+              </div>
+            </div>
+            <div className="flex items-end gap-2">
+              <span className="text-xl flex-shrink-0">{speakerAvatar}</span>
+              <div className="max-w-[80%] bg-gradient-to-br from-purple-100 to-pink-100 text-sm text-gray-800 px-3 py-2 rounded-2xl rounded-bl-sm break-words">
+                {turn.structured && (
+                  <span className="mr-1" title={`${turn.structured.mood}, ${turn.structured.intent}`}>
+                    {MOOD_EMOJI[turn.structured.mood]}{INTENT_EMOJI[turn.structured.intent]}
+                  </span>
+                )}
+                {turn.text}
+              </div>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <p className="text-xs text-gray-500">{describeMemory()}</p>
+    </div>
+  )
+}
+
+export default ConversationThread
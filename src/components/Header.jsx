@@ -1,4 +1,4 @@
-function Header() {
+function Header({ onOpenSettings }) {
   return (
     <header className="bg-white shadow-md">
       <div className="mx-auto px-3 sm:px-4 py-3 sm:py-4 max-w-4xl w-full">
@@ -7,8 +7,18 @@ function Header() {
             <span className="text-2xl sm:text-3xl">🐾</span>
             <h1 className="text-lg sm:text-xl md:text-2xl font-bold text-gray-800">Animal Translator</h1>
           </div>
-          <div className="text-xs sm:text-sm text-gray-600 hidden sm:block">
-            Powered by AI 🧠
+          <div className="flex items-center space-x-2 sm:space-x-4">
+            <div className="text-xs sm:text-sm text-gray-600 hidden sm:block">
+              Powered by AI 🧠
+            </div>
+            {onOpenSettings && (
+              <button
+                onClick={onOpenSettings}
+                className="text-xs sm:text-sm font-semibold text-purple-700 bg-purple-50 hover:bg-purple-100 px-3 py-1.5 rounded-full transition-colors"
+              >
+                ⚙️ Settings
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,142 @@
+import { useState, useRef } from 'react'
+import {
+  exportHistoryJson,
+  exportHistoryCsv,
+  exportHistoryZip,
+  readHistoryFile,
+  planImport,
+  DUPLICATE_STRATEGIES,
+} from '../services/historyTransfer'
+import { downloadBlob } from '../services/shareCard'
+
+/**
+ * Export the chosen history entries and import bundles back
+ * @param {Object} props
+ * @param {Object[]} props.entries - The whole history, to find duplicates
+ * @param {Object[]} props.exportEntries - What an export includes: the selection, or everything shown
+ * @param {boolean} props.isSelection - Whether exportEntries is a selection
+ * @param {(entries: Object[]) => Promise<void>} props.onImport - Saves imported entries
+ */
+function HistoryTransferPanel({ entries, exportEntries, isSelection, onImport }) {
+  const [strategy, setStrategy] = useState('skip')
+  const [isBusy, setIsBusy] = useState(false)
+  const [status, setStatus] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const exportName = extension => `animal-translator-history-${new Date().toISOString().slice(0, 10)}.${extension}`
+
+  const handleExport = async (format) => {
+    setIsBusy(true)
+    setStatus(null)
+    try {
+      if (format === 'zip') {
+        downloadBlob(await exportHistoryZip(exportEntries), exportName('zip'))
+      } else if (format === 'csv') {
+        downloadBlob(exportHistoryCsv(exportEntries), exportName('csv'))
+      } else {
+        downloadBlob(exportHistoryJson(exportEntries), exportName('json'))
+      }
+    } catch (err) {
+      console.error('Error exporting history:', err)
+      setStatus({ type: 'error', message: `Could not export: ${err.message}` })
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0]
+    // Let the same file be picked again later
+    event.target.value = ''
+    if (!file) return
+
+    setIsBusy(true)
+    setStatus(null)
+    try {
+      const { entries: imported, invalid } = await readHistoryFile(file)
+      const plan = planImport(imported, entries, strategy)
+      await onImport(plan.toSave)
+      const parts = [
+        `${plan.added} added`,
+        plan.replaced > 0 && `${plan.replaced} replaced`,
+        plan.copied > 0 && `${plan.copied} kept as copies`,
+        plan.skipped > 0 && `${plan.skipped} already here`,
+        invalid > 0 && `${invalid} unreadable`,
+      ].filter(Boolean)
+      const withoutAudio = plan.toSave.filter(entry => !entry.audioBlob).length
+      setStatus({
+        type: 'success',
+        message: `Imported ${file.name}: ${parts.join(', ')}.` +
+          (withoutAudio > 0 ? ` ${withoutAudio} ${withoutAudio === 1 ? 'entry has' : 'entries have'} no recording and can't be replayed or re-translated.` : ''),
+      })
+    } catch (err) {
+      console.error('Error importing history:', err)
+      setStatus({ type: 'error', message: `Could not import ${file.name}: ${err.message}` })
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const buttonClassName = 'bg-white border-2 border-gray-200 text-gray-700 font-semibold text-xs sm:text-sm py-1.5 px-3 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+
+  return (
+    <details className="bg-gray-50 rounded-lg p-3 sm:p-4">
+      <summary className="text-xs sm:text-sm font-semibold text-gray-700 cursor-pointer">
+        📦 Export &amp; import
+      </summary>
+      <div className="mt-3 space-y-4 text-sm text-gray-700">
+        {entries.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-xs text-gray-500">
+              Exports {isSelection ? 'the' : 'all'} {exportEntries.length} {isSelection ? 'selected' : 'shown'} {exportEntries.length === 1 ? 'translation' : 'translations'}.
+              The ZIP bundle adds the original recordings and a manifest with every saved field, including whether the transcription or translation was a mock.
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <button type="button" onClick={() => handleExport('zip')} disabled={isBusy || exportEntries.length === 0} className={buttonClassName}>
+                🗜️ ZIP with audio
+              </button>
+              <button type="button" onClick={() => handleExport('json')} disabled={isBusy || exportEntries.length === 0} className={buttonClassName}>
+                {'{ }'} JSON
+              </button>
+              <button type="button" onClick={() => handleExport('csv')} disabled={isBusy || exportEntries.length === 0} className={buttonClassName}>
+                📊 CSV
+              </button>
+            </div>
+          </div>
+        )}
+        <div className="space-y-2">
+          <label className="flex flex-col gap-1 text-xs text-gray-600">
+            <span className="font-semibold">When an imported translation differs from one already here</span>
+            <select
+              value={strategy}
+              onChange={(event) => setStrategy(event.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-1.5 bg-white text-sm"
+            >
+              {Object.entries(DUPLICATE_STRATEGIES).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".zip,.json,application/zip,application/json"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+          <button type="button" onClick={() => fileInputRef.current?.click()} disabled={isBusy} className={buttonClassName}>
+            📥 Import a bundle or JSON export
+          </button>
+        </div>
+        {isBusy && <p className="text-xs text-gray-500">Working...</p>}
+        {status && (
+          <p className={`text-xs break-words ${status.type === 'error' ? 'text-red-600' : 'text-green-700'}`} role="status">
+            {status.message}
+          </p>
+        )}
+      </div>
+    </details>
+  )
+}
+
+export default HistoryTransferPanel
@@ -0,0 +1,140 @@
+import { useState, useEffect, useRef } from 'react'
+import { createStreamAnalyser } from '../services/liveAudio'
+
+const BAR_COUNT = 32
+// Most animal sounds sit well below this; higher bins would mostly draw hiss
+const MAX_DISPLAY_HZ = 8000
+// Meter range in dBFS
+const METER_FLOOR_DB = -60
+// Quieter than this for TOO_QUIET_MS straight triggers the warning
+const TOO_QUIET_DB = -45
+const TOO_QUIET_MS = 2000
+
+/**
+ * Group FFT bins into bars on a log scale, so low frequencies get as much room as high ones
+ */
+function getBarRanges(binCount, sampleRate) {
+  const hzPerBin = sampleRate / 2 / binCount
+  const maxBin = Math.min(binCount - 1, Math.floor(MAX_DISPLAY_HZ / hzPerBin))
+  const ranges = []
+  for (let bar = 0; bar < BAR_COUNT; bar++) {
+    const start = Math.max(1, Math.floor(maxBin ** (bar / BAR_COUNT)))
+    const end = Math.max(start + 1, Math.floor(maxBin ** ((bar + 1) / BAR_COUNT)))
+    ranges.push([start, end])
+  }
+  return ranges
+}
+
+function LiveAudioVisualizer({ stream }) {
+  const [isTooQuiet, setIsTooQuiet] = useState(false)
+  const canvasRef = useRef(null)
+  const meterRef = useRef(null)
+  const levelLabelRef = useRef(null)
+
+  useEffect(() => {
+    if (!stream) return
+
+    let analyser
+    try {
+      analyser = createStreamAnalyser(stream)
+    } catch (error) {
+      console.error('Could not start audio visualization:', error)
+      return
+    }
+
+    const barRanges = getBarRanges(analyser.analyser.frequencyBinCount, analyser.sampleRate)
+    let quietSince = performance.now()
+    let tooQuiet = false
+    let animationId = null
+
+    const draw = (now) => {
+      const levelDb = analyser.getLevelDb()
+
+      // Level meter: written straight to the DOM to avoid a React render per frame
+      const meterFraction = Math.min(1, Math.max(0, (levelDb - METER_FLOOR_DB) / -METER_FLOOR_DB))
+      if (meterRef.current) {
+        meterRef.current.style.width = `${meterFraction * 100}%`
+      }
+      if (levelLabelRef.current) {
+        levelLabelRef.current.textContent = levelDb <= METER_FLOOR_DB ? '—' : `${Math.round(levelDb)} dB`
+      }
+
+      if (levelDb >= TOO_QUIET_DB) {
+        quietSince = now
+      }
+      const nextTooQuiet = now - quietSince >= TOO_QUIET_MS
+      if (nextTooQuiet !== tooQuiet) {
+        tooQuiet = nextTooQuiet
+        setIsTooQuiet(nextTooQuiet)
+      }
+
+      const canvas = canvasRef.current
+      if (canvas) {
+        const pixelRatio = window.devicePixelRatio || 1
+        const width = canvas.clientWidth
+        const height = canvas.clientHeight
+        if (canvas.width !== width * pixelRatio || canvas.height !== height * pixelRatio) {
+          canvas.width = width * pixelRatio
+          canvas.height = height * pixelRatio
+        }
+        const context = canvas.getContext('2d')
+        context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0)
+        context.clearRect(0, 0, width, height)
+
+        const frequencyData = analyser.getFrequencyData()
+        const barWidth = width / BAR_COUNT
+        barRanges.forEach(([start, end], bar) => {
+          let peak = 0
+          for (let bin = start; bin < end; bin++) {
+            peak = Math.max(peak, frequencyData[bin])
+          }
+          const barHeight = Math.max(2, (peak / 255) * height)
+          const gradient = context.createLinearGradient(0, height, 0, 0)
+          gradient.addColorStop(0, '#ec4899')
+          gradient.addColorStop(1, '#a855f7')
+          context.fillStyle = gradient
+          context.fillRect(bar * barWidth + 1, height - barHeight, Math.max(1, barWidth - 2), barHeight)
+        })
+      }
+
+      animationId = requestAnimationFrame(draw)
+    }
+    animationId = requestAnimationFrame(draw)
+
+    return () => {
+      cancelAnimationFrame(animationId)
+      setIsTooQuiet(false)
+      analyser.close().catch(() => {
+        // Ignore errors if the context is already closed
+      })
+    }
+  }, [stream])
+
+  return (
+    <div className="w-full max-w-md space-y-2">
+      <canvas
+        ref={canvasRef}
+        aria-hidden="true"
+        className="w-full h-16 sm:h-20 bg-gray-50 rounded-lg"
+      />
+      <div className="flex items-center space-x-2">
+        <span className="text-xs text-gray-500 flex-shrink-0">🎚️ Level</span>
+        <div className="flex-1 bg-gray-200 rounded-full h-2.5 overflow-hidden">
+          <div
+            ref={meterRef}
+            className={`h-2.5 rounded-full ${isTooQuiet ? 'bg-yellow-400' : 'bg-gradient-to-r from-green-400 via-yellow-400 to-red-500'}`}
+            style={{ width: '0%' }}
+          ></div>
+        </div>
+        <span ref={levelLabelRef} className="text-xs text-gray-500 w-12 text-right flex-shrink-0">—</span>
+      </div>
+      {isTooQuiet && (
+        <div className="text-xs sm:text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 px-3 py-2 rounded text-center">
+          🔇 Too quiet — the microphone isn't picking up much. Move closer to the animal.
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default LiveAudioVisualizer
@@ -0,0 +1,124 @@
+import { QUEUE_STATUS } from '../services/offlineQueue'
+
+/**
+ * Connection state and the recordings waiting to be translated
+ * @param {Object} props
+ * @param {Object[]} props.items - From useOfflineQueue, oldest first
+ * @param {boolean} props.isOnline
+ * @param {string|null} props.sendingId - The recording being translated right now
+ * @param {string|null} props.error
+ * @param {(id: string) => void} props.onRetry
+ * @param {(id: string) => void} props.onDiscard
+ * @param {() => void} props.onCheckConnection
+ */
+function OfflineQueuePanel({ items, isOnline, sendingId, error, onRetry, onDiscard, onCheckConnection }) {
+  const hasWaiting = items.some(item => item.status === QUEUE_STATUS.waiting)
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleString(undefined, {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    })
+  }
+
+  const renderStatus = (item) => {
+    if (item.id === sendingId) {
+      return <span className="bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded">🌀 Translating...</span>
+    }
+    if (item.status === QUEUE_STATUS.failed) {
+      return <span className="bg-red-100 text-red-700 px-1.5 py-0.5 rounded">⚠️ Failed</span>
+    }
+    return (
+      <span className="bg-amber-100 text-amber-800 px-1.5 py-0.5 rounded">
+        {isOnline ? '⏳ Up next' : '📴 Waiting for a connection'}
+      </span>
+    )
+  }
+
+  const handleDiscard = (item) => {
+    if (!window.confirm(`Discard this ${item.animal.name} recording? It hasn't been translated yet.`)) return
+    onDiscard(item.id)
+  }
+
+  return (
+    <div className={`rounded-xl sm:rounded-2xl border-2 p-4 sm:p-6 ${isOnline ? 'bg-white border-purple-200' : 'bg-amber-50 border-amber-200'}`}>
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <h3 className="font-semibold text-gray-800 text-sm sm:text-base">
+            {!isOnline ? '📴 You are offline' : hasWaiting ? '📡 Sending saved recordings' : '📥 Saved recordings'}
+          </h3>
+          <p className="text-xs sm:text-sm text-gray-600 mt-1">
+            {!isOnline
+              ? 'Keep recording: new recordings are saved on this device and translated as soon as the connection returns.'
+              : hasWaiting
+                ? 'Recordings made offline are being translated and added to your history.'
+                : 'These recordings could not be translated. Retry or discard them.'}
+          </p>
+        </div>
+        {!isOnline && (
+          <button
+            type="button"
+            onClick={onCheckConnection}
+            className="flex-shrink-0 text-xs font-semibold text-amber-800 bg-amber-100 hover:bg-amber-200 px-3 py-1.5 rounded-full transition-colors"
+          >
+            🔌 Check again
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="text-xs text-red-600 bg-red-50 px-3 py-2 rounded mt-3 break-words">
+          ⚠️ Offline queue problem: {error}
+        </div>
+      )}
+
+      {items.length > 0 && (
+        <ul className="space-y-2 mt-3">
+          {items.map(item => (
+            <li key={item.id} className="bg-white/80 border border-gray-200 rounded-lg p-2 sm:p-3">
+              <div className="flex items-center gap-2">
+                <span className="text-xl sm:text-2xl flex-shrink-0">{item.animal.emoji}</span>
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-center gap-x-2 text-xs text-gray-500">
+                    <span className="font-semibold text-gray-700">{item.pet?.name || item.animal.name}</span>
+                    <span>{formatDate(item.createdAt)}</span>
+                  </div>
+                  <div className="flex flex-wrap gap-1 mt-1 text-[10px] sm:text-xs">
+                    {renderStatus(item)}
+                  </div>
+                </div>
+                <div className="flex flex-shrink-0 gap-1">
+                  {item.status === QUEUE_STATUS.failed && item.id !== sendingId && (
+                    <button
+                      type="button"
+                      onClick={() => onRetry(item.id)}
+                      className="bg-purple-100 text-purple-700 font-semibold text-xs py-1.5 px-2 rounded-lg hover:bg-purple-200 transition-colors"
+                    >
+                      🔄 Retry
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleDiscard(item)}
+                    disabled={item.id === sendingId}
+                    aria-label={`Discard the ${item.animal.name} recording from ${formatDate(item.createdAt)}`}
+                    className="bg-red-100 text-red-700 font-semibold text-xs py-1.5 px-2 rounded-lg hover:bg-red-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    🗑️
+                  </button>
+                </div>
+              </div>
+              {item.status === QUEUE_STATUS.failed && item.error && (
+                <div className="text-xs text-red-600 bg-red-50 px-2 py-1 rounded mt-2 break-words">
+                  {item.error}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default OfflineQueuePanel
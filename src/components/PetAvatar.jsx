@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react'
+
+/**
+ * A pet's photo, or its emoji when there is none
+ * @param {Object} props
+ * @param {{name: string, emoji: string, photo?: Blob|null}} props.pet
+ * @param {string} [props.className] - Size classes for the photo
+ */
+function PetAvatar({ pet, className = 'w-10 h-10' }) {
+  const [photoUrl, setPhotoUrl] = useState(null)
+
+  useEffect(() => {
+    if (!pet.photo) {
+      setPhotoUrl(null)
+      return
+    }
+    const url = URL.createObjectURL(pet.photo)
+    setPhotoUrl(url)
+    return () => URL.revokeObjectURL(url)
+  }, [pet.photo])
+
+  if (!photoUrl) {
+    return <span aria-hidden="true">{pet.emoji}</span>
+  }
+  return (
+    <img
+      src={photoUrl}
+      alt={pet.name}
+      className={`${className} inline-block rounded-full object-cover border-2 border-white shadow`}
+    />
+  )
+}
+
+export default PetAvatar
@@ -0,0 +1,172 @@
+import { useState } from 'react'
+import PetAvatar from './PetAvatar'
+import { getAllAnimals } from '../services/animalRegistry'
+import { createPetProfile, resizePhoto } from '../services/petStore'
+
+/**
+ * Create or edit a pet profile
+ * @param {Object} props
+ * @param {Object} [props.pet] - The profile to edit; omitted for a new pet
+ * @param {(pet: Object) => Promise<Object>} props.onSave
+ * @param {() => void} props.onCancel
+ */
+function PetProfileForm({ pet, onSave, onCancel }) {
+  const [animals] = useState(getAllAnimals)
+  const [fields, setFields] = useState(() => ({
+    name: pet?.name || '',
+    species: pet?.species || animals[0].name,
+    breed: pet?.breed || '',
+    age: pet?.age || '',
+    emoji: pet?.emoji || '',
+    photo: pet?.photo || null,
+    personality: pet?.personality || '',
+  }))
+  const [error, setError] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const updateField = (key, value) => {
+    setFields(prev => ({ ...prev, [key]: value }))
+    setError(null)
+  }
+
+  const handlePhotoChange = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    try {
+      updateField('photo', await resizePhoto(file))
+    } catch (err) {
+      console.error('Error reading pet photo:', err)
+      setError(err.message)
+    }
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setIsSaving(true)
+    try {
+      await onSave(createPetProfile(fields, pet))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const inputClassName = 'w-full border-2 border-gray-200 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-purple-400'
+  const speciesEmoji = animals.find(animal => animal.name === fields.species)?.emoji
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-50 rounded-lg sm:rounded-xl p-3 sm:p-4 space-y-3">
+      <div className="flex items-center gap-3">
+        <div className="text-4xl flex-shrink-0">
+          <PetAvatar pet={{ ...fields, emoji: fields.emoji || speciesEmoji }} className="w-14 h-14" />
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <label className="bg-white border-2 border-gray-200 text-gray-700 font-semibold text-xs py-1.5 px-3 rounded-lg hover:bg-gray-100 cursor-pointer">
+            📷 {fields.photo ? 'Change photo' : 'Add photo'}
+            <input type="file" accept="image/*" onChange={handlePhotoChange} className="hidden" />
+          </label>
+          {fields.photo && (
+            <button
+              type="button"
+              onClick={() => updateField('photo', null)}
+              className="text-xs text-gray-500 hover:text-red-600"
+            >
+              Remove photo
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="grid grid-cols-[4rem_1fr] gap-2 sm:gap-3">
+        <label className="text-xs text-gray-600 font-semibold">
+          Emoji
+          <input
+            type="text"
+            value={fields.emoji}
+            onChange={(event) => updateField('emoji', event.target.value)}
+            placeholder={speciesEmoji}
+            maxLength={8}
+            className={`${inputClassName} mt-1 text-center`}
+          />
+        </label>
+        <label className="text-xs text-gray-600 font-semibold">
+          Name
+          <input
+            type="text"
+            value={fields.name}
+            onChange={(event) => updateField('name', event.target.value)}
+            placeholder="Biscuit"
+            autoFocus
+            className={`${inputClassName} mt-1`}
+          />
+        </label>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 sm:gap-3">
+        <label className="text-xs text-gray-600 font-semibold">
+          Species
+          <select
+            value={fields.species}
+            onChange={(event) => updateField('species', event.target.value)}
+            className={`${inputClassName} mt-1 bg-white`}
+          >
+            {animals.map(animal => (
+              <option key={animal.name} value={animal.name}>{animal.emoji} {animal.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600 font-semibold">
+          Breed
+          <input
+            type="text"
+            value={fields.breed}
+            onChange={(event) => updateField('breed', event.target.value)}
+            placeholder="Beagle"
+            className={`${inputClassName} mt-1`}
+          />
+        </label>
+        <label className="text-xs text-gray-600 font-semibold">
+          Age
+          <input
+            type="text"
+            value={fields.age}
+            onChange={(event) => updateField('age', event.target.value)}
+            placeholder="3 years"
+            className={`${inputClassName} mt-1`}
+          />
+        </label>
+      </div>
+      <label className="block text-xs text-gray-600 font-semibold">
+        Personality
+        <textarea
+          value={fields.personality}
+          onChange={(event) => updateField('personality', event.target.value)}
+          placeholder="Shy with strangers, obsessed with the postman, sulks when left alone"
+          rows={2}
+          className={`${inputClassName} mt-1 resize-y`}
+        />
+      </label>
+      {error && (
+        <p className="text-xs text-red-600">{error}</p>
+      )}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="flex-1 bg-purple-600 text-white font-semibold text-sm py-2 px-4 rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50"
+        >
+          {pet ? 'Save Changes' : 'Add Pet'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="bg-white border-2 border-gray-200 text-gray-700 font-semibold text-sm py-2 px-4 rounded-lg hover:bg-gray-100 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default PetProfileForm
@@ -0,0 +1,94 @@
+import { useState } from 'react'
+import PetAvatar from './PetAvatar'
+import PetProfileForm from './PetProfileForm'
+import { toPetSelection } from '../services/petStore'
+
+/**
+ * The user's pets, selectable in place of a generic animal
+ */
+function PetSelector({ pets, selectedAnimal, onSelect, onSavePet, onRemovePet }) {
+  // null: closed, 'new': adding, otherwise the pet being edited
+  const [editing, setEditing] = useState(null)
+
+  const handleSave = async (pet) => {
+    await onSavePet(pet)
+    setEditing(null)
+    onSelect(toPetSelection(pet))
+  }
+
+  const handleRemove = (pet) => {
+    if (!window.confirm(`Delete ${pet.name}'s profile? Saved translations are kept.`)) return
+    onRemovePet(pet.id)
+    if (selectedAnimal?.pet?.id === pet.id) {
+      onSelect(null)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2 sm:gap-3">
+        {pets.map((pet) => {
+          const isSelected = selectedAnimal?.pet?.id === pet.id
+          return (
+            <div key={pet.id} className="relative">
+              <button
+                onClick={() => onSelect(toPetSelection(pet))}
+                className={`
+                  flex items-center gap-2 rounded-full py-1.5 pl-1.5 pr-4 transition-all touch-manipulation
+                  ${isSelected
+                    ? 'bg-gradient-to-r from-purple-500 to-pink-500 text-white shadow-lg'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }
+                `}
+              >
+                <span className="text-2xl w-9 h-9 flex items-center justify-center">
+                  <PetAvatar pet={pet} className="w-9 h-9" />
+                </span>
+                <span className="text-left">
+                  <span className="block text-sm font-semibold">{pet.name}</span>
+                  <span className={`block text-[10px] sm:text-xs ${isSelected ? 'text-white/80' : 'text-gray-500'}`}>
+                    {[pet.breed || pet.species, pet.age].filter(Boolean).join(' · ')}
+                  </span>
+                </span>
+              </button>
+              <div className="absolute -top-2 -right-2 flex gap-1">
+                <button
+                  onClick={() => setEditing(pet)}
+                  aria-label={`Edit ${pet.name}`}
+                  className="w-6 h-6 rounded-full bg-white border border-gray-300 text-gray-500 text-xs shadow hover:text-purple-600 hover:border-purple-300"
+                >
+                  ✎
+                </button>
+                <button
+                  onClick={() => handleRemove(pet)}
+                  aria-label={`Delete ${pet.name}`}
+                  className="w-6 h-6 rounded-full bg-white border border-gray-300 text-gray-500 text-xs shadow hover:text-red-600 hover:border-red-300"
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          )
+        })}
+        {!editing && (
+          <button
+            onClick={() => setEditing('new')}
+            className="rounded-full py-2 px-4 border-2 border-dashed border-gray-300 text-gray-500 text-sm font-semibold hover:border-purple-400 hover:text-purple-600 transition-colors touch-manipulation"
+          >
+            ➕ Add a pet
+          </button>
+        )}
+      </div>
+      {editing && (
+        <PetProfileForm
+          key={editing === 'new' ? 'new' : editing.id}
+          pet={editing === 'new' ? null : editing}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default PetSelector
@@ -0,0 +1,180 @@
+import { useState, useEffect, useRef } from 'react'
+import WaveformPlayer from './WaveformPlayer'
+import { reverseTranslate } from '../services/huggingFaceService'
+import { renderSequence, audioBufferToWav } from '../services/vocalSynth'
+import { describeVocalization } from '../services/vocalReply'
+import { downloadBlob } from '../services/shareCard'
+import { getPipelineOptions } from '../services/settingsStore'
+import { getSpeechLocale } from '../services/speech'
+import { isAbortError } from '../services/retry'
+
+const SpeechRecognition = typeof window !== 'undefined'
+  ? window.SpeechRecognition || window.webkitSpeechRecognition
+  : undefined
+
+/**
+ * Reverse mode: type or say a phrase and hear the animal answer
+ */
+function ReverseTranslator({ animal, settings }) {
+  const [phrase, setPhrase] = useState('')
+  const [reply, setReply] = useState(null)
+  const [wavBlob, setWavBlob] = useState(null)
+  const [isComposing, setIsComposing] = useState(false)
+  const [isListening, setIsListening] = useState(false)
+  const [error, setError] = useState(null)
+  const abortControllerRef = useRef(null)
+  const recognitionRef = useRef(null)
+  const speakerName = animal.pet?.name || animal.name
+
+  // A new animal answers differently, and a pending request belongs to the old one
+  useEffect(() => {
+    setReply(null)
+    setWavBlob(null)
+    setError(null)
+    return () => {
+      abortControllerRef.current?.abort()
+      recognitionRef.current?.abort()
+    }
+  }, [animal.name, animal.pet?.id])
+
+  const handleDictate = () => {
+    if (isListening) {
+      recognitionRef.current?.stop()
+      return
+    }
+    const recognition = new SpeechRecognition()
+    recognition.lang = getSpeechLocale(settings.language)
+    recognition.interimResults = false
+    recognition.onresult = (event) => {
+      setPhrase(event.results[0][0].transcript)
+    }
+    recognition.onerror = (event) => {
+      if (event.error !== 'aborted' && event.error !== 'no-speech') {
+        console.error('Speech recognition error:', event.error)
+        setError(`Could not hear you (${event.error}). Try typing the phrase instead.`)
+      }
+    }
+    recognition.onend = () => setIsListening(false)
+    recognitionRef.current = recognition
+    setError(null)
+    setIsListening(true)
+    recognition.start()
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    const text = phrase.trim()
+    if (!text || isComposing) return
+
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+    setIsComposing(true)
+    setError(null)
+    setReply(null)
+    setWavBlob(null)
+    try {
+      const { provider, chatModels, temperature, language } = getPipelineOptions(settings)
+      const result = await reverseTranslate(text, animal.name, {
+        provider,
+        models: chatModels,
+        temperature,
+        language,
+        pet: animal.pet || null,
+        signal: abortController.signal,
+      })
+      const audioBuffer = await renderSequence(result.sequence, { pitchScale: result.voicePitch })
+      if (abortController.signal.aborted) return
+      setReply(result)
+      setWavBlob(audioBufferToWav(audioBuffer))
+    } catch (err) {
+      if (isAbortError(err)) return
+      console.error('Error in reverse translation:', err)
+      setError(err.message || `Could not make ${speakerName} answer.`)
+    } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null
+        setIsComposing(false)
+      }
+    }
+  }
+
+  const handleDownload = () => {
+    downloadBlob(wavBlob, `${speakerName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-reply.wav`)
+  }
+
+  return (
+    <div className="space-y-3 sm:space-y-4">
+      <form onSubmit={handleSubmit} className="space-y-2 sm:space-y-3">
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={phrase}
+            onChange={(event) => setPhrase(event.target.value)}
+            placeholder="Dinner time!"
+            maxLength={200}
+            disabled={isComposing}
+            className="flex-1 min-w-0 border-2 border-gray-200 rounded-lg px-3 py-2 text-sm sm:text-base focus:outline-none focus:border-purple-400"
+          />
+          {SpeechRecognition && (
+            <button
+              type="button"
+              onClick={handleDictate}
+              disabled={isComposing}
+              title={isListening ? 'Stop listening' : 'Say the phrase'}
+              aria-label={isListening ? 'Stop listening' : 'Say the phrase'}
+              className={`px-3 rounded-lg border-2 transition-colors disabled:opacity-50 ${
+                isListening ? 'bg-red-500 border-red-500 text-white animate-pulse' : 'bg-white border-gray-200 hover:bg-gray-100'
+              }`}
+            >
+              🎤
+            </button>
+          )}
+        </div>
+        <button
+          type="submit"
+          disabled={!phrase.trim() || isComposing}
+          className="w-full bg-gradient-to-r from-purple-600 to-pink-600 text-white font-semibold text-sm sm:text-base py-2.5 sm:py-3 px-4 rounded-lg shadow-md hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isComposing ? `${speakerName} is thinking...` : `Translate to ${animal.name}`}
+        </button>
+      </form>
+
+      {error && (
+        <p className="text-xs sm:text-sm text-red-600">{error}</p>
+      )}
+
+      {reply && wavBlob && (
+        <div className="bg-gradient-to-br from-purple-50 to-pink-50 rounded-lg sm:rounded-xl p-3 sm:p-4 space-y-3">
+          <div className="flex flex-wrap gap-1.5 sm:gap-2 text-xs">
+            {reply.sequence.map((item, index) => (
+              <span
+                key={index}
+                className={`px-2 py-1 rounded-full ${
+                  item.intensity === 'loud' ? 'bg-purple-600 text-white' : 'bg-white/80 text-gray-700'
+                }`}
+              >
+                {describeVocalization(item)}
+              </span>
+            ))}
+          </div>
+          <p className="text-sm sm:text-base text-gray-800 italic">“{reply.meaning}”</p>
+          {reply.isMock && (
+            <p className="text-xs text-amber-700">
+              ⚠️ Made up locally: the language model wasn't available.
+            </p>
+          )}
+          <WaveformPlayer audioBlob={wavBlob} />
+          <button
+            type="button"
+            onClick={handleDownload}
+            className="bg-white border-2 border-gray-200 text-gray-700 font-semibold text-xs sm:text-sm py-1.5 sm:py-2 px-3 sm:px-4 rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            ⬇️ Download WAV
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReverseTranslator
@@ -0,0 +1,342 @@
+import { useState, useEffect } from 'react'
+import { getAvailableModels } from '../services/huggingFaceService'
+import { resolveProvider, getProviderConfigError, MODEL_TASKS, PROVIDER_OPTIONS } from '../services/providers'
+import { GENERATION_LIMITS } from '../services/settingsStore'
+import { CONVERSATION_LIMITS } from '../services/conversation'
+import { LANGUAGES } from '../services/languages'
+import { findVoiceForLanguage } from '../services/speech'
+import useSpeechVoices from '../hooks/useSpeechVoices'
+
+const TASK_LABELS = {
+  asr: 'Speech-to-text models',
+  chat: 'Translation (chat) models',
+  classification: 'Species detection (audio classification) models',
+}
+
+/**
+ * Ordered fallback chain: the first model is tried first, the rest in turn
+ */
+function ModelChainEditor({ label, chain, isCustom, catalog, onChange }) {
+  const [customId, setCustomId] = useState('')
+
+  const move = (index, offset) => {
+    const next = [...chain]
+    const [model] = next.splice(index, 1)
+    next.splice(index + offset, 0, model)
+    onChange(next)
+  }
+
+  const addModel = (modelId) => {
+    const trimmed = modelId.trim()
+    if (!trimmed || chain.includes(trimmed)) return
+    onChange([...chain, trimmed])
+  }
+
+  const availableModels = (catalog?.models || []).filter(model => !chain.includes(model))
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <h4 className="text-sm font-semibold text-gray-700">{label}</h4>
+        {isCustom && (
+          <button
+            onClick={() => onChange([])}
+            className="text-xs text-purple-600 hover:text-purple-800"
+          >
+            Use defaults
+          </button>
+        )}
+      </div>
+
+      {chain.length === 0 && (
+        <p className="text-xs text-gray-400">No models configured, so this step is skipped.</p>
+      )}
+      <ol className="space-y-1">
+        {chain.map((model, index) => (
+          <li key={model} className="flex items-center gap-2 bg-gray-50 rounded-lg px-2 py-1 text-xs sm:text-sm">
+            <span className="text-gray-400 w-4 flex-shrink-0">{index + 1}.</span>
+            <span className="flex-1 min-w-0 truncate font-mono text-gray-700" title={model}>{model}</span>
+            <button
+              onClick={() => move(index, -1)}
+              disabled={index === 0}
+              aria-label={`Move ${model} up`}
+              className="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+            >
+              ↑
+            </button>
+            <button
+              onClick={() => move(index, 1)}
+              disabled={index === chain.length - 1}
+              aria-label={`Move ${model} down`}
+              className="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+            >
+              ↓
+            </button>
+            <button
+              onClick={() => onChange(chain.filter(id => id !== model))}
+              disabled={chain.length === 1}
+              aria-label={`Remove ${model}`}
+              className="px-1 text-red-500 hover:text-red-700 disabled:opacity-30"
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <select
+          value=""
+          onChange={(event) => addModel(event.target.value)}
+          disabled={!catalog || availableModels.length === 0}
+          className="flex-1 min-w-0 border border-gray-300 rounded-lg px-2 py-1 text-xs sm:text-sm bg-white"
+        >
+          <option value="">
+            {!catalog ? 'Loading models...' : `Add from ${catalog.source === 'catalog' ? 'catalog' : 'local list'}...`}
+          </option>
+          {availableModels.map(model => (
+            <option key={model} value={model}>{model}</option>
+          ))}
+        </select>
+        <form
+          onSubmit={(event) => {
+            event.preventDefault()
+            addModel(customId)
+            setCustomId('')
+          }}
+          className="flex flex-1 gap-2"
+        >
+          <input
+            type="text"
+            value={customId}
+            onChange={(event) => setCustomId(event.target.value)}
+            placeholder="Custom model id"
+            className="flex-1 min-w-0 border border-gray-300 rounded-lg px-2 py-1 text-xs sm:text-sm"
+          />
+          <button
+            type="submit"
+            disabled={!customId.trim()}
+            className="bg-purple-100 text-purple-700 font-semibold text-xs sm:text-sm px-3 rounded-lg hover:bg-purple-200 disabled:opacity-50"
+          >
+            Add
+          </button>
+        </form>
+      </div>
+      {catalog?.source === 'local' && (
+        <p className="text-xs text-gray-400">
+          The live model catalog is unavailable, showing the configured models instead.
+        </p>
+      )}
+    </div>
+  )
+}
+
+function SettingsPanel({ settings, onChange, onReset, onClose }) {
+  const provider = resolveProvider(settings.providerId || undefined)
+  const [catalogs, setCatalogs] = useState({})
+  const [configError, setConfigError] = useState(null)
+  // Typed as text and applied on blur, so clamping doesn't fight partial input
+  const [maxTokensDraft, setMaxTokensDraft] = useState(String(settings.generation.maxTokens))
+  const voices = useSpeechVoices()
+
+  useEffect(() => {
+    setMaxTokensDraft(String(settings.generation.maxTokens))
+  }, [settings.generation.maxTokens])
+
+  // Check the server and query the catalog whenever the provider changes
+  useEffect(() => {
+    let cancelled = false
+    setCatalogs({})
+    setConfigError(null)
+    getProviderConfigError(provider).then((error) => {
+      if (!cancelled) setConfigError(error)
+    })
+    Object.entries(MODEL_TASKS).forEach(([key, task]) => {
+      getAvailableModels(task, { provider }).then((catalog) => {
+        if (!cancelled) {
+          setCatalogs(prev => ({ ...prev, [key]: catalog }))
+        }
+      })
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [provider])
+
+  // Close on Escape like any other dialog
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const savedChains = settings.models[provider.id] || { asr: [], chat: [], classification: [] }
+  const defaultChains = {
+    asr: provider.asrModels,
+    chat: provider.chatModels,
+    classification: provider.classificationModels,
+  }
+
+  const updateChain = (key, chain) => {
+    onChange({
+      models: {
+        ...settings.models,
+        [provider.id]: { ...savedChains, [key]: chain },
+      },
+    })
+  }
+
+  const updateGeneration = (key, value) => {
+    onChange({ generation: { ...settings.generation, [key]: value } })
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-black/40 flex items-start sm:items-center justify-center p-3 sm:p-6 overflow-y-auto"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="settings-title"
+        onClick={(event) => event.stopPropagation()}
+        className="bg-white rounded-xl sm:rounded-2xl shadow-2xl w-full max-w-2xl p-4 sm:p-6 space-y-5"
+      >
+        <div className="flex items-center justify-between">
+          <h2 id="settings-title" className="text-lg sm:text-xl font-semibold text-gray-800">⚙️ Settings</h2>
+          <button
+            onClick={onClose}
+            aria-label="Close settings"
+            className="text-gray-500 hover:text-gray-700 text-xl leading-none"
+          >
+            ✕
+          </button>
+        </div>
+
+        <label className="block space-y-1">
+          <span className="text-sm font-semibold text-gray-700">Inference provider</span>
+          <select
+            value={provider.id}
+            onChange={(event) => onChange({ providerId: event.target.value })}
+            className="w-full border border-gray-300 rounded-lg px-2 py-1.5 text-sm bg-white"
+          >
+            {PROVIDER_OPTIONS.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+          {configError && (
+            <span className="block text-xs text-amber-700 bg-amber-50 px-2 py-1 rounded">⚠️ {configError}</span>
+          )}
+        </label>
+
+        <label className="block space-y-1">
+          <span className="text-sm font-semibold text-gray-700">Translation language</span>
+          <select
+            value={settings.language}
+            onChange={(event) => onChange({ language: event.target.value })}
+            className="w-full border border-gray-300 rounded-lg px-2 py-1.5 text-sm bg-white"
+          >
+            {LANGUAGES.map(language => (
+              <option key={language.code} value={language.code}>
+                {language.nativeName}{language.nativeName !== language.name ? ` (${language.name})` : ''}
+              </option>
+            ))}
+          </select>
+          {voices.length > 0 && !findVoiceForLanguage(voices, settings.language) && (
+            <span className="block text-xs text-amber-700 bg-amber-50 px-2 py-1 rounded">
+              🔈 No speech voice for this language is installed, so playback will use your browser's default voice.
+            </span>
+          )}
+        </label>
+
+        {Object.keys(MODEL_TASKS).map(key => (
+          <ModelChainEditor
+            key={`${provider.id}-${key}`}
+            label={TASK_LABELS[key]}
+            chain={savedChains[key].length ? savedChains[key] : defaultChains[key]}
+            isCustom={savedChains[key].length > 0}
+            catalog={catalogs[key]}
+            onChange={chain => updateChain(key, chain)}
+          />
+        ))}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <label className="flex flex-col text-sm text-gray-700">
+            <span className="font-semibold">Temperature: {settings.generation.temperature.toFixed(1)}</span>
+            <input
+              type="range"
+              {...GENERATION_LIMITS.temperature}
+              value={settings.generation.temperature}
+              onChange={(event) => updateGeneration('temperature', Number(event.target.value))}
+              className="accent-purple-600"
+            />
+            <span className="text-xs text-gray-400">Higher is more playful, lower is more literal</span>
+          </label>
+          <label className="flex flex-col text-sm text-gray-700">
+            <span className="font-semibold">Max tokens</span>
+            <input
+              type="number"
+              {...GENERATION_LIMITS.maxTokens}
+              value={maxTokensDraft}
+              onChange={(event) => setMaxTokensDraft(event.target.value)}
+              onBlur={() => updateGeneration('maxTokens', maxTokensDraft)}
+              className="border border-gray-300 rounded-lg px-2 py-1"
+            />
+            <span className="text-xs text-gray-400">Upper limit on the translation length</span>
+          </label>
+        </div>
+
+        <label className="flex flex-col text-sm text-gray-700">
+          <span className="font-semibold">
+            Consistency check: {settings.generation.samples === 1 ? 'off' : `${settings.generation.samples} translations`}
+          </span>
+          <input
+            type="range"
+            {...GENERATION_LIMITS.samples}
+            value={settings.generation.samples}
+            onChange={(event) => updateGeneration('samples', Number(event.target.value))}
+            className="accent-purple-600"
+          />
+          <span className="text-xs text-gray-400">
+            Translates each recording several times and compares the answers for the confidence score. Each extra translation is another chat request, so cost and waiting time grow with it.
+          </span>
+        </label>
+
+        <label className="flex flex-col text-sm text-gray-700">
+          <span className="font-semibold">Conversation memory: ~{settings.conversation.contextTokens} tokens</span>
+          <input
+            type="range"
+            {...CONVERSATION_LIMITS.contextTokens}
+            value={settings.conversation.contextTokens}
+            onChange={(event) => onChange({ conversation: { ...settings.conversation, contextTokens: Number(event.target.value) } })}
+            className="accent-purple-600"
+          />
+          <span className="text-xs text-gray-400">
+            How much of the earlier conversation goes along with each recording in conversation mode; the oldest turns are dropped first
+          </span>
+        </label>
+
+        <div className="flex justify-between gap-2 pt-2 border-t border-gray-100">
+          <button
+            onClick={() => {
+              if (window.confirm('Reset all settings to their defaults?')) onReset()
+            }}
+            className="text-sm text-gray-500 hover:text-gray-700"
+          >
+            Reset to defaults
+          </button>
+          <button
+            onClick={onClose}
+            className="bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold text-sm py-2 px-5 rounded-lg hover:shadow-lg transition-all"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SettingsPanel
@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react'
+import { renderShareCard, shareImage, downloadBlob } from '../services/shareCard'
+import { buildPermalink, PERMALINK_WAVEFORM_BARS } from '../services/permalink'
+import { decodeAudioBlob, toMono, computeWaveformPeaks } from '../services/audioFeatures'
+import { isAbortError } from '../services/retry'
+
+const canShareFiles = typeof navigator !== 'undefined' && typeof navigator.canShare === 'function'
+
+/**
+ * Share card (PNG, Web Share API) and permalink buttons for a result
+ * @param {Object} props
+ * @param {Object} props.shared - The result in buildPermalink's shape; peaks are filled in from audioBlob when missing
+ * @param {Blob|null} [props.photo] - Pet photo for the card
+ * @param {Blob|null} [props.audioBlob] - The recording, for the card's mini waveform
+ */
+function ShareActions({ shared, photo = null, audioBlob = null }) {
+  const [peaks, setPeaks] = useState(shared.peaks || null)
+  const [isRendering, setIsRendering] = useState(false)
+  const [notice, setNotice] = useState(null)
+
+  useEffect(() => {
+    if (shared.peaks || !audioBlob || audioBlob.size === 0) {
+      setPeaks(shared.peaks || null)
+      return
+    }
+    let cancelled = false
+    decodeAudioBlob(audioBlob)
+      .then((audioBuffer) => {
+        if (!cancelled) setPeaks(computeWaveformPeaks(toMono(audioBuffer), PERMALINK_WAVEFORM_BARS))
+      })
+      .catch((err) => {
+        // The card and link work without a waveform
+        console.warn('Could not decode the recording for the share card:', err.message)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [audioBlob, shared.peaks])
+
+  // Clear "Link copied" after a moment
+  useEffect(() => {
+    if (!notice) return
+    const timer = setTimeout(() => setNotice(null), 2500)
+    return () => clearTimeout(timer)
+  }, [notice])
+
+  const speakerName = shared.petName || shared.animalName
+  const fileName = `${speakerName.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'animal'}-translation.png`
+  const permalink = () => buildPermalink({ ...shared, peaks })
+
+  const renderCard = () => renderShareCard({
+    text: shared.text,
+    speakerName,
+    emoji: shared.emoji,
+    photo,
+    structured: shared.structured,
+    peaks,
+  })
+
+  const handleShare = async () => {
+    setIsRendering(true)
+    try {
+      const card = await renderCard()
+      const didShare = await shareImage(card, {
+        title: `${speakerName} says…`,
+        text: `${speakerName} says: "${shared.text}"`,
+        url: permalink(),
+        fileName,
+      })
+      if (!didShare) {
+        downloadBlob(card, fileName)
+        setNotice('Sharing images isn\'t supported here, so the card was downloaded.')
+      }
+    } catch (err) {
+      // Closing the share sheet rejects with an AbortError
+      if (!isAbortError(err)) {
+        console.error('Error sharing card:', err)
+        setNotice(`Could not share the card: ${err.message}`)
+      }
+    } finally {
+      setIsRendering(false)
+    }
+  }
+
+  const handleDownload = async () => {
+    setIsRendering(true)
+    try {
+      downloadBlob(await renderCard(), fileName)
+    } catch (err) {
+      console.error('Error rendering card:', err)
+      setNotice(`Could not create the card: ${err.message}`)
+    } finally {
+      setIsRendering(false)
+    }
+  }
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(permalink())
+      setNotice('🔗 Link copied! It opens this result, without the audio.')
+    } catch (err) {
+      console.error('Error copying link:', err)
+      setNotice('Could not copy the link. Check your browser\'s clipboard permissions.')
+    }
+  }
+
+  const buttonClassName = 'flex-1 bg-white border-2 border-purple-200 text-purple-700 font-semibold text-xs sm:text-sm py-2 px-3 rounded-lg hover:bg-purple-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-col sm:flex-row gap-2">
+        {canShareFiles && (
+          <button type="button" onClick={handleShare} disabled={isRendering} className={buttonClassName}>
+            📤 Share Card
+          </button>
+        )}
+        <button type="button" onClick={handleDownload} disabled={isRendering} className={buttonClassName}>
+          🖼️ Download PNG
+        </button>
+        <button type="button" onClick={handleCopyLink} className={buttonClassName}>
+          🔗 Copy Link
+        </button>
+      </div>
+      {notice && (
+        <p className="text-xs text-gray-600 text-center" role="status">{notice}</p>
+      )}
+    </div>
+  )
+}
+
+export default ShareActions
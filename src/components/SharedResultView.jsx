@@ -0,0 +1,91 @@
+import ShareActions from './ShareActions'
+import { MOOD_EMOJI, INTENT_EMOJI } from '../services/structuredTranslation'
+import { findLanguage } from '../services/languages'
+
+/**
+ * Read-only view of a result opened from a permalink
+ */
+function SharedResultView({ shared, onClose }) {
+  const speakerName = shared.petName || shared.animalName
+  const language = findLanguage(shared.language)
+
+  return (
+    <div className="space-y-4 sm:space-y-6">
+      <div className="bg-gradient-to-br from-purple-100 to-pink-100 rounded-xl p-4 sm:p-6 border-2 border-purple-200">
+        <div className="flex items-start space-x-2 sm:space-x-4">
+          <div className="text-3xl sm:text-4xl flex-shrink-0">{shared.emoji}</div>
+          <div className="flex-1 min-w-0">
+            <div className="text-xs sm:text-sm text-gray-600 mb-2 font-semibold">
+              {speakerName}{shared.petName ? ` the ${shared.animalName.toLowerCase()}` : ''} says:
+            </div>
+            {shared.structured && (
+              <div className="flex flex-wrap gap-1.5 sm:gap-2 mb-2 text-xs font-semibold">
+                <span className="bg-white/80 text-gray-700 px-2 py-1 rounded-full">
+                  {MOOD_EMOJI[shared.structured.mood]} {shared.structured.mood}
+                </span>
+                <span className="bg-white/80 text-gray-700 px-2 py-1 rounded-full">
+                  {INTENT_EMOJI[shared.structured.intent]} {shared.structured.intent}
+                </span>
+              </div>
+            )}
+            <div className="text-base sm:text-lg md:text-xl text-gray-800 leading-relaxed break-words">
+              {shared.text}
+            </div>
+            {shared.structured?.rationale && (
+              <div className="text-xs sm:text-sm text-gray-500 mt-2 break-words">
+                💡 {shared.structured.rationale}
+              </div>
+            )}
+            {shared.peaks && (
+              <div className="mt-3 sm:mt-4 pt-3 sm:pt-4 border-t border-purple-300">
+                <div className="flex items-center gap-px h-10" aria-hidden="true">
+                  {shared.peaks.map((peak, index) => (
+                    <div
+                      key={index}
+                      className="flex-1 bg-purple-400 rounded-full"
+                      style={{ height: `${Math.max(8, peak * 100)}%` }}
+                    ></div>
+                  ))}
+                </div>
+              </div>
+            )}
+            {shared.transcribedText && (
+              <div className="mt-3 sm:mt-4 pt-3 sm:pt-4 border-t border-purple-300">
+                <div className="text-xs text-gray-500 mb-1 font-semibold">
+                  Transcribed Sound:
+                </div>
+                <div className="text-xs sm:text-sm text-gray-600 italic break-words">
+                  "{shared.transcribedText}"
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-1.5 sm:gap-2 text-xs text-gray-500">
+        {shared.createdAt && (
+          <span className="bg-gray-50 px-2 py-1 rounded">📅 {new Date(shared.createdAt).toLocaleString()}</span>
+        )}
+        {typeof shared.confidence === 'number' && (
+          <span className="bg-gray-50 px-2 py-1 rounded">🎯 {Math.round(shared.confidence * 100)}% confidence</span>
+        )}
+        {language && language.code !== 'en' && (
+          <span className="bg-gray-50 px-2 py-1 rounded">🌍 {language.name}</span>
+        )}
+        <span className="bg-gray-50 px-2 py-1 rounded">🔒 Shared link: read-only, without the recording</span>
+      </div>
+
+      <ShareActions shared={shared} />
+
+      <button
+        onClick={onClose}
+        className="w-full bg-gradient-to-r from-purple-600 to-pink-600 text-white font-semibold py-3 px-4 sm:px-6 rounded-lg hover:shadow-lg transition-all text-sm sm:text-base"
+      >
+        🐾 Translate Your Own Animal
+      </button>
+    </div>
+  )
+}
+
+export default SharedResultView
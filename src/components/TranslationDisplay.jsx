@@ -1,8 +1,30 @@
 import { useState, useEffect, useRef } from 'react'
+import WaveformPlayer from './WaveformPlayer'
+import PetAvatar from './PetAvatar'
+import VoicePresetEditor from './VoicePresetEditor'
+import ShareActions from './ShareActions'
+import ConversationThread from './ConversationThread'
+import { findAnimal } from '../services/animalRegistry'
+import { MOOD_EMOJI, INTENT_EMOJI, isUrgentAlarm } from '../services/structuredTranslation'
+import { getVoiceKey, resolveVoicePreset, pickVoice, speakText } from '../services/speech'
+import { findLanguage } from '../services/languages'
+import useSpeechVoices from '../hooks/useSpeechVoices'
 
-function TranslationDisplay({ translation, isTranslating, animal }) {
+const URGENCY_STYLES = {
+  low: 'bg-green-100 text-green-800',
+  medium: 'bg-amber-100 text-amber-800',
+  high: 'bg-red-100 text-red-800',
+}
+
+function TranslationDisplay({ translation, isTranslating, animal, audioBlob, progress = [], streamingText = '', voicePresets = {}, onVoicePresetChange, conversationTurns = null, contextTokens, onResetConversation, onCancel, onSwitchAnimal }) {
   const [isPlaying, setIsPlaying] = useState(false)
+  const [voiceNotice, setVoiceNotice] = useState(null)
+  const [isCopied, setIsCopied] = useState(false)
+  const [selectedEvent, setSelectedEvent] = useState(null)
   const synthRef = useRef(null)
+  const voices = useSpeechVoices()
+  const speakerName = animal?.pet?.name || animal?.name
+  const speakerAvatar = animal?.pet ? <PetAvatar pet={animal.pet} className="w-10 h-10 sm:w-12 sm:h-12" /> : animal?.emoji
 
   // Cleanup speech on unmount
   useEffect(() => {
@@ -22,52 +44,33 @@ function TranslationDisplay({ translation, isTranslating, animal }) {
       return
     }
 
-    // Cancel any ongoing speech
-    window.speechSynthesis.cancel()
-
-    // Create a new speech utterance
-    const utterance = new SpeechSynthesisUtterance(translation.text)
-
-    // Configure voice settings
-    utterance.rate = 1.0 // Normal speed
-    utterance.pitch = 1.0 // Normal pitch
-    utterance.volume = 1.0 // Full volume
-
-    // Try to use a pleasant English voice if available
-    const voices = window.speechSynthesis.getVoices()
-    if (voices.length > 0) {
-      const preferredVoice = voices.find(voice =>
-        (voice.name.includes('Google') ||
-          voice.name.includes('Samantha') ||
-          voice.name.includes('Alex') ||
-          voice.name.includes('Karen') ||
-          voice.name.includes('Daniel')) &&
-        voice.lang.startsWith('en')
-      ) || voices.find(voice => voice.lang.startsWith('en'))
-
-      if (preferredVoice) {
-        utterance.voice = preferredVoice
-      }
+    // Speak in the language the translation was written in, not the current setting
+    const language = translation.language || 'en'
+    const preset = resolveVoicePreset(animal, voicePresets)
+    const { voice, skippedVoice } = pickVoice(voices, preset.voiceURI, language)
+    const languageName = findLanguage(language)?.name || language
+    if (skippedVoice) {
+      setVoiceNotice(`${skippedVoice.name} doesn't speak ${languageName}, so ${voice ? voice.name : "your browser's default voice"} reads this translation.`)
+    } else if (!voice && voices.length > 0) {
+      // The browser may still find something for utterance.lang, but often reads it with the wrong accent
+      setVoiceNotice(`No ${languageName} voice is installed, so your browser's default voice is used. Add one in your system's speech settings.`)
+    } else {
+      setVoiceNotice(null)
     }
 
-    // Handle speech events
-    utterance.onstart = () => {
-      setIsPlaying(true)
-    }
-
-    utterance.onend = () => {
-      setIsPlaying(false)
-    }
-
-    utterance.onerror = (error) => {
-      console.error('Speech synthesis error:', error)
-      setIsPlaying(false)
-      alert('Could not play translation. Please check your browser settings.')
-    }
-
-    // Start speaking
-    window.speechSynthesis.speak(utterance)
-    synthRef.current = utterance
+    // One utterance per sentence, so long translations aren't cut off
+    synthRef.current = speakText(translation.text, {
+      language,
+      preset,
+      voice,
+      onStart: () => setIsPlaying(true),
+      onEnd: () => setIsPlaying(false),
+      onError: (error) => {
+        console.error('Speech synthesis error:', error)
+        setIsPlaying(false)
+        alert('Could not play translation. Please check your browser settings.')
+      },
+    })
   }
 
   const handleStopPlayback = () => {
@@ -75,45 +78,82 @@ function TranslationDisplay({ translation, isTranslating, animal }) {
     setIsPlaying(false)
   }
 
-  const handleCopyText = () => {
-    if (translation?.text) {
-      navigator.clipboard.writeText(translation.text)
-      // You could add a toast notification here
-      alert('Translation copied to clipboard!')
+  const handleCopyText = async () => {
+    if (!translation?.text) return
+    try {
+      await navigator.clipboard.writeText(translation.text)
+      setIsCopied(true)
+    } catch (err) {
+      console.error('Error copying translation:', err)
+      alert('Could not copy the translation. Check your browser\'s clipboard permissions.')
     }
   }
 
-  // Load voices when component mounts
+  // Put the button label back after a moment
   useEffect(() => {
-    // Some browsers load voices asynchronously
-    const loadVoices = () => {
-      window.speechSynthesis.getVoices()
-    }
-    loadVoices()
-    if (window.speechSynthesis.onvoiceschanged !== undefined) {
-      window.speechSynthesis.onvoiceschanged = loadVoices
-    }
-  }, [])
+    if (!isCopied) return
+    const timer = setTimeout(() => setIsCopied(false), 2000)
+    return () => clearTimeout(timer)
+  }, [isCopied])
 
   // Stop speech when translation changes
   useEffect(() => {
     if (translation) {
       window.speechSynthesis.cancel()
       setIsPlaying(false)
+      setVoiceNotice(null)
     }
+    setSelectedEvent(null)
   }, [translation])
   if (isTranslating) {
     return (
       <div className="text-center py-8 sm:py-12">
-        <div className="inline-block animate-spin text-5xl sm:text-6xl mb-3 sm:mb-4">
-          🌀
-        </div>
-        <p className="text-lg sm:text-xl text-gray-600 font-semibold px-2">
-          Analyzing {animal?.name}'s voice...
-        </p>
+        {streamingText ? (
+          // Tokens are arriving: show the translation as it is written
+          <div className="bg-gradient-to-br from-purple-100 to-pink-100 rounded-xl p-4 sm:p-6 border-2 border-purple-200 text-left">
+            <div className="flex items-start space-x-2 sm:space-x-4">
+              <div className="text-3xl sm:text-4xl flex-shrink-0">{speakerAvatar}</div>
+              <p className="flex-1 min-w-0 text-base sm:text-lg md:text-xl text-gray-800 leading-relaxed break-words" aria-live="polite">
+                {streamingText}
+                <span className="inline-block w-2 h-5 ml-0.5 align-middle bg-purple-500 animate-pulse" aria-hidden="true"></span>
+              </p>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="inline-block animate-spin text-5xl sm:text-6xl mb-3 sm:mb-4">
+              🌀
+            </div>
+            <p className="text-lg sm:text-xl text-gray-600 font-semibold px-2">
+              Analyzing {speakerName}'s voice...
+            </p>
+          </>
+        )}
         <p className="text-xs sm:text-sm text-gray-500 mt-2">
-          This may take a few seconds
+          {progress.length > 0 ? progress[progress.length - 1].message : 'This may take a few seconds'}
         </p>
+        {progress.length > 1 && (
+          <details className="mt-3 text-left max-w-md mx-auto">
+            <summary className="text-xs text-gray-400 cursor-pointer text-center">
+              Show progress ({progress.length} steps)
+            </summary>
+            <ol className="mt-2 space-y-1 text-xs text-gray-500 bg-gray-50 rounded-lg p-2 sm:p-3 max-h-40 overflow-y-auto">
+              {progress.map((event, index) => (
+                <li key={index} className="break-words">
+                  <span className="text-gray-400">{index + 1}.</span> {event.message}
+                </li>
+              ))}
+            </ol>
+          </details>
+        )}
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="mt-4 bg-white border-2 border-gray-300 text-gray-700 font-semibold text-sm py-2 px-5 rounded-full hover:bg-gray-50 transition-colors"
+          >
+            ✕ Cancel
+          </button>
+        )}
       </div>
     )
   }
@@ -122,18 +162,118 @@ function TranslationDisplay({ translation, isTranslating, animal }) {
     return null
   }
 
+  const detection = translation.speciesDetection
+  const detectedAnimal = findAnimal(detection?.detectedAnimal)
+  const formatPercent = score => `${Math.round(score * 100)}%`
+  const structured = translation.structured
+  const isUrgent = isUrgentAlarm(structured)
+  const events = translation.events?.length > 1 ? translation.events : null
+  const activeEvent = events && selectedEvent !== null ? events[selectedEvent] : null
+
   return (
     <div className="space-y-4 sm:space-y-6">
-      <div className="bg-gradient-to-br from-purple-100 to-pink-100 rounded-xl p-4 sm:p-6 border-2 border-purple-200">
+      {isUrgent && (
+        <div role="alert" className="bg-red-600 text-white rounded-xl p-3 sm:p-4 flex items-center gap-3 shadow-lg">
+          <span className="text-2xl sm:text-3xl animate-pulse flex-shrink-0">{INTENT_EMOJI[structured.intent]}</span>
+          <div className="text-sm sm:text-base">
+            <strong>Urgent {structured.intent === 'alarm' ? 'alarm' : 'distress call'}:</strong> {animal?.pet ? animal.pet.name : `your ${animal?.name?.toLowerCase()}`} may need you right now.
+          </div>
+        </div>
+      )}
+
+      {detection?.isMismatch && detectedAnimal && (
+        <div className="bg-amber-50 border-2 border-amber-200 rounded-xl p-3 sm:p-4 flex flex-col sm:flex-row sm:items-center gap-3">
+          <div className="flex-1 text-sm text-amber-800">
+            ⚠️ This sounds more like a <strong>{detectedAnimal.emoji} {detectedAnimal.name}</strong> ({formatPercent(detection.species[0].score)}) than a {animal?.emoji} {animal?.name}.
+          </div>
+          {onSwitchAnimal && (
+            <button
+              onClick={() => onSwitchAnimal(detectedAnimal.name)}
+              className="bg-amber-500 text-white font-semibold text-sm py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors flex-shrink-0"
+            >
+              Translate as {detectedAnimal.name}
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className={`rounded-xl p-4 sm:p-6 border-2 ${isUrgent ? 'bg-gradient-to-br from-red-100 to-orange-100 border-red-400 ring-4 ring-red-200' : 'bg-gradient-to-br from-purple-100 to-pink-100 border-purple-200'}`}>
         <div className="flex items-start space-x-2 sm:space-x-4">
-          <div className="text-3xl sm:text-4xl flex-shrink-0">{animal?.emoji}</div>
+          <div className="text-3xl sm:text-4xl flex-shrink-0">{speakerAvatar}</div>
           <div className="flex-1 min-w-0">
             <div className="text-xs sm:text-sm text-gray-600 mb-2 font-semibold">
               Translation:
             </div>
+            {structured && (
+              <div className="flex flex-wrap gap-1.5 sm:gap-2 mb-2 text-xs font-semibold">
+                <span className="bg-white/80 text-gray-700 px-2 py-1 rounded-full">
+                  {MOOD_EMOJI[structured.mood]} {structured.mood}
+                </span>
+                <span className="bg-white/80 text-gray-700 px-2 py-1 rounded-full">
+                  {INTENT_EMOJI[structured.intent]} {structured.intent}
+                </span>
+                <span className={`px-2 py-1 rounded-full ${URGENCY_STYLES[structured.urgency]}`}>
+                  {structured.urgency} urgency
+                </span>
+              </div>
+            )}
             <div className="text-base sm:text-lg md:text-xl text-gray-800 leading-relaxed break-words">
               {translation.text}
             </div>
+            {structured?.rationale && (
+              <div className="text-xs sm:text-sm text-gray-500 mt-2 break-words">
+                💡 {structured.rationale}
+              </div>
+            )}
+            {audioBlob && (
+              <div className="mt-3 sm:mt-4 pt-3 sm:pt-4 border-t border-purple-300">
+                <div className="text-xs text-gray-500 mb-1 font-semibold">
+                  {events ? `Original Recording: ${events.length} separate sounds` : 'Original Recording:'}
+                </div>
+                <WaveformPlayer
+                  audioBlob={audioBlob}
+                  segments={events ? events.map(event => ({ start: event.start, end: event.end, label: event.text })) : undefined}
+                  activeSegment={selectedEvent}
+                  onSegmentSelect={setSelectedEvent}
+                />
+                {events && !activeEvent && (
+                  <div className="text-xs text-gray-500 mt-2">
+                    Tap a numbered sound to hear it on its own and see its translation.
+                  </div>
+                )}
+                {activeEvent && (
+                  <div className="mt-2 bg-white/80 rounded-lg p-2 sm:p-3 border border-pink-200" aria-live="polite">
+                    <div className="flex flex-wrap items-center gap-1.5 text-xs text-gray-500 mb-1">
+                      <span className="font-semibold text-pink-700">Sound {selectedEvent + 1}</span>
+                      <span>{activeEvent.start.toFixed(1)}s – {activeEvent.end.toFixed(1)}s</span>
+                      {activeEvent.structured && (
+                        <>
+                          <span className="bg-purple-50 text-gray-700 px-1.5 py-0.5 rounded">
+                            {MOOD_EMOJI[activeEvent.structured.mood]} {activeEvent.structured.mood}
+                          </span>
+                          <span className="bg-purple-50 text-gray-700 px-1.5 py-0.5 rounded">
+                            {INTENT_EMOJI[activeEvent.structured.intent]} {activeEvent.structured.intent}
+                          </span>
+                        </>
+                      )}
+                      {typeof activeEvent.confidence === 'number' && (
+                        <span>· {Math.round(activeEvent.confidence * 100)}% confidence</span>
+                      )}
+                      {activeEvent.isMockTranscription && (
+                        <span className="bg-blue-50 text-blue-600 px-1.5 py-0.5 rounded">mock transcription</span>
+                      )}
+                      {activeEvent.isMockTranslation && (
+                        <span className="bg-purple-50 text-purple-600 px-1.5 py-0.5 rounded">mock translation</span>
+                      )}
+                    </div>
+                    <div className="text-sm sm:text-base text-gray-800 break-words">{activeEvent.text}</div>
+                    {!activeEvent.isMockTranscription && activeEvent.transcribedText && (
+                      <div className="text-xs text-gray-500 italic mt-1 break-words">"{activeEvent.transcribedText}"</div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
             {translation.transcribedText && (
               <div className="mt-3 sm:mt-4 pt-3 sm:pt-4 border-t border-purple-300">
                 <div className="text-xs text-gray-500 mb-1 font-semibold">
@@ -144,6 +284,46 @@ function TranslationDisplay({ translation, isTranslating, animal }) {
                 </div>
               </div>
             )}
+            {translation.acousticFeatures && (
+              <div className="mt-3 sm:mt-4 pt-3 sm:pt-4 border-t border-purple-300">
+                <div className="text-xs text-gray-500 mb-1 font-semibold">
+                  Sound Analysis:
+                </div>
+                <div className="flex flex-wrap gap-1.5 sm:gap-2 text-xs text-gray-600">
+                  <span className="bg-white/70 px-2 py-1 rounded">
+                    ⏱️ {translation.acousticFeatures.durationSeconds}s
+                  </span>
+                  <span className="bg-white/70 px-2 py-1 rounded">
+                    🔊 {translation.acousticFeatures.burstCount} {translation.acousticFeatures.burstCount === 1 ? 'burst' : 'bursts'}
+                  </span>
+                  {translation.acousticFeatures.pitch.medianHz && (
+                    <span className="bg-white/70 px-2 py-1 rounded">
+                      🎵 ~{translation.acousticFeatures.pitch.medianHz} Hz, {translation.acousticFeatures.pitch.trend}
+                    </span>
+                  )}
+                  <span className="bg-white/70 px-2 py-1 rounded">
+                    🥁 {translation.acousticFeatures.rhythm.pattern}
+                  </span>
+                </div>
+              </div>
+            )}
+            {detection && detection.species.length > 0 && (
+              <div className="mt-3 sm:mt-4 pt-3 sm:pt-4 border-t border-purple-300">
+                <div className="text-xs text-gray-500 mb-1 font-semibold">
+                  {translation.wasAutoDetected ? 'Detected Animal:' : 'Species Detection:'}
+                </div>
+                <div className="flex flex-wrap gap-1.5 sm:gap-2 text-xs text-gray-600">
+                  {detection.species.map(({ name, score }) => (
+                    <span
+                      key={name}
+                      className={`px-2 py-1 rounded ${name === detection.detectedAnimal ? 'bg-purple-200 text-purple-800 font-semibold' : 'bg-white/70'}`}
+                    >
+                      {findAnimal(name)?.emoji} {name} {formatPercent(score)}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
             {translation.isMockTranscription && (
               <div className="mt-3 text-xs text-blue-600 bg-blue-50 px-2 sm:px-3 py-2 rounded break-words">
                 ℹ️ Using mock transcription. Speech recognition models are unavailable on the Inference API. Visit <a href="https://huggingface.co/models?pipeline_tag=automatic-speech-recognition&inference=true" target="_blank" rel="noopener noreferrer" className="underline break-all">Hugging Face Models</a> to find available models.
@@ -163,22 +343,65 @@ function TranslationDisplay({ translation, isTranslating, animal }) {
         </div>
       </div>
 
-      {translation.confidence && (
-        <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between bg-gray-50 rounded-lg p-3 sm:p-4 gap-2 sm:gap-0">
-          <span className="text-xs sm:text-sm text-gray-600 font-medium">
-            Confidence Level:
-          </span>
-          <div className="flex items-center space-x-2 w-full sm:w-auto">
-            <div className="flex-1 sm:w-48 bg-gray-200 rounded-full h-2 sm:h-2.5">
-              <div
-                className="bg-gradient-to-r from-green-400 to-green-600 h-2 sm:h-2.5 rounded-full transition-all duration-500"
-                style={{ width: `${translation.confidence * 100}%` }}
-              ></div>
-            </div>
-            <span className="text-xs sm:text-sm font-semibold text-gray-700 w-10 sm:w-12 text-right">
-              {Math.round(translation.confidence * 100)}%
+      {typeof translation.confidence === 'number' && (
+        <div className="bg-gray-50 rounded-lg p-3 sm:p-4">
+          <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-2 sm:gap-0">
+            <span className="text-xs sm:text-sm text-gray-600 font-medium">
+              Confidence Level:
             </span>
+            <div className="flex items-center space-x-2 w-full sm:w-auto">
+              <div className="flex-1 sm:w-48 bg-gray-200 rounded-full h-2 sm:h-2.5">
+                <div
+                  className="bg-gradient-to-r from-green-400 to-green-600 h-2 sm:h-2.5 rounded-full transition-all duration-500"
+                  style={{ width: `${translation.confidence * 100}%` }}
+                ></div>
+              </div>
+              <span className="text-xs sm:text-sm font-semibold text-gray-700 w-10 sm:w-12 text-right">
+                {Math.round(translation.confidence * 100)}%
+              </span>
+            </div>
           </div>
+          {translation.confidenceBreakdown && (
+            <details className="mt-2 sm:mt-3">
+              <summary className="cursor-pointer text-xs text-gray-500 hover:text-gray-700">
+                Why this score?
+              </summary>
+              <ul className="mt-2 space-y-2">
+                {translation.confidenceBreakdown.factors.map((factor) => (
+                  <li key={factor.id} className="text-xs">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="font-semibold text-gray-700">
+                        {factor.label}
+                        <span className="font-normal text-gray-400"> · weight {Math.round(factor.weight * 100)}%</span>
+                      </span>
+                      <span className="font-semibold text-gray-700">{Math.round(factor.value * 100)}%</span>
+                    </div>
+                    <div className="bg-gray-200 rounded-full h-1.5 mt-1">
+                      <div
+                        className="bg-green-500 h-1.5 rounded-full"
+                        style={{ width: `${factor.value * 100}%` }}
+                      ></div>
+                    </div>
+                    <div className="text-gray-500 mt-1">{factor.detail}</div>
+                  </li>
+                ))}
+                {translation.confidenceBreakdown.adjustments.map((adjustment) => (
+                  <li key={adjustment.id} className="text-xs">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="font-semibold text-orange-700">{adjustment.label}</span>
+                      <span className="font-semibold text-orange-700">×{adjustment.multiplier}</span>
+                    </div>
+                    <div className="text-gray-500 mt-1">{adjustment.detail}</div>
+                  </li>
+                ))}
+                {translation.confidenceBreakdown.factors.length === 0 && (
+                  <li className="text-xs text-gray-500">
+                    No measurable signals were available, so the score starts from a neutral 50%.
+                  </li>
+                )}
+              </ul>
+            </details>
+          )}
         </div>
       )}
 
@@ -206,10 +429,59 @@ function TranslationDisplay({ translation, isTranslating, animal }) {
           disabled={!translation?.text}
           className="flex-1 bg-gradient-to-r from-green-500 to-green-600 text-white font-semibold py-3 sm:py-3 px-4 sm:px-6 rounded-lg hover:shadow-lg transform hover:scale-105 active:scale-95 transition-all duration-200 flex items-center justify-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none text-sm sm:text-base touch-manipulation"
         >
-          <span>📋</span>
-          <span>Copy Text</span>
+          <span>{isCopied ? '✓' : '📋'}</span>
+          <span>{isCopied ? 'Copied!' : 'Copy Text'}</span>
         </button>
       </div>
+      {animal && !animal.isAutoDetect && (
+        <ShareActions
+          shared={{
+            text: translation.text,
+            animalName: animal.name,
+            emoji: animal.pet?.emoji || animal.emoji,
+            petName: animal.pet?.name,
+            structured,
+            transcribedText: translation.transcribedText,
+            language: translation.language,
+            confidence: translation.confidence,
+          }}
+          photo={animal.pet?.photo || null}
+          audioBlob={audioBlob}
+        />
+      )}
+      {conversationTurns?.length > 0 && (
+        <ConversationThread
+          turns={conversationTurns}
+          contextTokens={contextTokens}
+          speakerName={speakerName}
+          speakerAvatar={speakerAvatar}
+          onReset={onResetConversation}
+        />
+      )}
+      {onVoicePresetChange && animal && !animal.isAutoDetect && 'speechSynthesis' in window && (
+        <details className="bg-gray-50 rounded-lg p-3 sm:p-4">
+          <summary className="text-xs sm:text-sm font-semibold text-gray-700 cursor-pointer">
+            🎚️ {speakerName}'s voice
+          </summary>
+          <div className="mt-3">
+            <VoicePresetEditor
+              speakerName={speakerName}
+              preset={resolveVoicePreset(animal, voicePresets)}
+              isCustomized={Boolean(voicePresets[getVoiceKey(animal)])}
+              voices={voices}
+              language={translation.language || 'en'}
+              sampleText={translation.text}
+              onChange={preset => onVoicePresetChange(getVoiceKey(animal), preset)}
+              onReset={() => onVoicePresetChange(getVoiceKey(animal), null)}
+            />
+          </div>
+        </details>
+      )}
+      {voiceNotice && (
+        <p className="text-xs text-amber-700 bg-amber-50 px-3 py-2 rounded break-words">
+          🔈 {voiceNotice}
+        </p>
+      )}
     </div>
   )
 }
@@ -0,0 +1,349 @@
+import { useState, useEffect, useRef, useMemo } from 'react'
+import PetAvatar from './PetAvatar'
+import HistoryTransferPanel from './HistoryTransferPanel'
+import { MOOD_EMOJI, INTENT_EMOJI, isUrgentAlarm } from '../services/structuredTranslation'
+
+function TranslationHistory({ entries, pets = [], isLoading, error, retranslatingId, onRetranslate, onDelete, onImport }) {
+  const [searchQuery, setSearchQuery] = useState('')
+  const [animalFilter, setAnimalFilter] = useState('all')
+  const [intentFilter, setIntentFilter] = useState('all')
+  const [playingId, setPlayingId] = useState(null)
+  const [selectedIds, setSelectedIds] = useState(() => new Set())
+  const audioRef = useRef(null)
+  const audioUrlRef = useRef(null)
+
+  const stopAudio = () => {
+    if (audioRef.current) {
+      audioRef.current.pause()
+      audioRef.current = null
+    }
+    if (audioUrlRef.current) {
+      URL.revokeObjectURL(audioUrlRef.current)
+      audioUrlRef.current = null
+    }
+    setPlayingId(null)
+  }
+
+  // Stop playback and release the object URL on unmount
+  useEffect(() => {
+    return () => stopAudio()
+  }, [])
+
+  const animalNames = useMemo(() => {
+    return [...new Set(entries.map(entry => entry.animal.name))].sort()
+  }, [entries])
+
+  // Older entries and plain-text fallbacks have no intent
+  const intents = useMemo(() => {
+    return [...new Set(entries.map(entry => entry.structured?.intent).filter(Boolean))].sort()
+  }, [entries])
+
+  const filteredEntries = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase()
+    return entries.filter((entry) => {
+      if (animalFilter !== 'all' && entry.animal.name !== animalFilter) {
+        return false
+      }
+      if (intentFilter !== 'all' && entry.structured?.intent !== intentFilter) {
+        return false
+      }
+      if (!query) {
+        return true
+      }
+      return [entry.text, entry.transcribedText, entry.animal.name, entry.pet?.name, entry.structured?.mood, entry.structured?.intent]
+        .some(value => value?.toLowerCase().includes(query))
+    })
+  }, [entries, searchQuery, animalFilter, intentFilter])
+
+  // Deleted entries drop out of the selection on their own
+  const selectedEntries = useMemo(() => {
+    return entries.filter(entry => selectedIds.has(entry.id))
+  }, [entries, selectedIds])
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) {
+        next.delete(id)
+      } else {
+        next.add(id)
+      }
+      return next
+    })
+  }
+
+  // One group per pet, in order of their latest translation, then everything recorded without a pet
+  const groups = useMemo(() => {
+    const byPet = new Map()
+    filteredEntries.forEach((entry) => {
+      const key = entry.pet?.id || null
+      if (!byPet.has(key)) {
+        byPet.set(key, { key, pet: entry.pet || null, entries: [] })
+      }
+      byPet.get(key).entries.push(entry)
+    })
+    return [...byPet.values()].sort((a, b) => (a.pet ? 0 : 1) - (b.pet ? 0 : 1))
+  }, [filteredEntries])
+
+  const handleReplay = (entry) => {
+    if (playingId === entry.id) {
+      stopAudio()
+      return
+    }
+    stopAudio()
+    if (!entry.audioBlob || entry.audioBlob.size === 0) {
+      alert('No audio was saved for this translation.')
+      return
+    }
+
+    const url = URL.createObjectURL(entry.audioBlob)
+    const audio = new Audio(url)
+    audioUrlRef.current = url
+    audioRef.current = audio
+    audio.onended = () => stopAudio()
+    audio.onerror = () => {
+      console.error('Error playing saved recording:', audio.error)
+      stopAudio()
+    }
+    audio.play()
+      .then(() => setPlayingId(entry.id))
+      .catch((err) => {
+        console.error('Error playing saved recording:', err)
+        stopAudio()
+      })
+  }
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(`Delete this ${entry.animal.name} translation?`)) return
+    if (playingId === entry.id) {
+      stopAudio()
+    }
+    onDelete(entry.id)
+  }
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleString(undefined, {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    })
+  }
+
+  const renderEntry = (entry) => (
+    <li
+      key={entry.id}
+      className={`rounded-lg p-3 sm:p-4 border ${isUrgentAlarm(entry.structured) ? 'bg-red-50 border-red-300' : 'bg-gray-50 border-gray-200'}`}
+    >
+      <div className="flex items-start space-x-2 sm:space-x-3">
+        <input
+          type="checkbox"
+          checked={selectedIds.has(entry.id)}
+          onChange={() => toggleSelected(entry.id)}
+          aria-label={`Select the ${entry.animal.name} translation from ${formatDate(entry.createdAt)} for export`}
+          className="mt-1.5 flex-shrink-0 accent-purple-600"
+        />
+        <div className="text-2xl sm:text-3xl flex-shrink-0">{entry.animal.emoji}</div>
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-center gap-x-2 text-xs text-gray-500 mb-1">
+            <span className="font-semibold text-gray-700">{entry.animal.name}</span>
+            <span>{formatDate(entry.createdAt)}</span>
+            {typeof entry.confidence === 'number' && (
+              <span>· {Math.round(entry.confidence * 100)}% confidence</span>
+            )}
+          </div>
+          <div className="text-sm sm:text-base text-gray-800 break-words">
+            {entry.text}
+          </div>
+          {entry.transcribedText && (
+            <div className="text-xs text-gray-500 italic mt-1 break-words">
+              "{entry.transcribedText}"
+            </div>
+          )}
+          <div className="flex flex-wrap gap-1 mt-2 text-[10px] sm:text-xs">
+            {entry.structured && (
+              <>
+                <span className="bg-white border border-gray-200 text-gray-700 px-1.5 py-0.5 rounded">
+                  {MOOD_EMOJI[entry.structured.mood]} {entry.structured.mood}
+                </span>
+                <span className="bg-white border border-gray-200 text-gray-700 px-1.5 py-0.5 rounded">
+                  {INTENT_EMOJI[entry.structured.intent]} {entry.structured.intent}
+                </span>
+                {entry.structured.urgency === 'high' && (
+                  <span className="bg-red-100 text-red-700 font-semibold px-1.5 py-0.5 rounded">urgent</span>
+                )}
+              </>
+            )}
+            {entry.events?.length > 1 && (
+              <span className="bg-white border border-gray-200 text-gray-600 px-1.5 py-0.5 rounded">
+                🧩 {entry.events.length} sounds
+              </span>
+            )}
+            {entry.models?.translation && (
+              <span className="bg-white border border-gray-200 text-gray-600 px-1.5 py-0.5 rounded break-all">
+                🤖 {entry.models.translation}
+              </span>
+            )}
+            {entry.isMockTranscription && (
+              <span className="bg-blue-50 text-blue-600 px-1.5 py-0.5 rounded">mock transcription</span>
+            )}
+            {entry.isMockTranslation && (
+              <span className="bg-purple-50 text-purple-600 px-1.5 py-0.5 rounded">mock translation</span>
+            )}
+            {entry.isFallback && (
+              <span className="bg-orange-50 text-orange-600 px-1.5 py-0.5 rounded">fallback</span>
+            )}
+          </div>
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2 mt-3">
+        <button
+          onClick={() => handleReplay(entry)}
+          className="flex-1 sm:flex-none bg-blue-100 text-blue-700 font-semibold text-xs sm:text-sm py-2 px-3 rounded-lg hover:bg-blue-200 transition-colors"
+        >
+          {playingId === entry.id ? '⏹️ Stop' : '▶️ Replay'}
+        </button>
+        <button
+          onClick={() => onRetranslate(entry)}
+          disabled={Boolean(retranslatingId) || !entry.audioBlob?.size}
+          className="flex-1 sm:flex-none bg-purple-100 text-purple-700 font-semibold text-xs sm:text-sm py-2 px-3 rounded-lg hover:bg-purple-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {retranslatingId === entry.id ? '🌀 Translating...' : '🔄 Re-translate'}
+        </button>
+        <button
+          onClick={() => handleDelete(entry)}
+          className="flex-1 sm:flex-none bg-red-100 text-red-700 font-semibold text-xs sm:text-sm py-2 px-3 rounded-lg hover:bg-red-200 transition-colors"
+        >
+          🗑️ Delete
+        </button>
+      </div>
+    </li>
+  )
+
+  if (isLoading) {
+    return (
+      <p className="text-sm text-gray-500 text-center py-4">Loading history...</p>
+    )
+  }
+
+  if (error && entries.length === 0) {
+    return (
+      <div className="text-xs sm:text-sm text-red-600 bg-red-50 px-3 py-2 rounded break-words">
+        ⚠️ Translation history is unavailable: {error}
+      </div>
+    )
+  }
+
+  const transferPanel = (
+    <HistoryTransferPanel
+      entries={entries}
+      exportEntries={selectedEntries.length > 0 ? selectedEntries : filteredEntries}
+      isSelection={selectedEntries.length > 0}
+      onImport={onImport}
+    />
+  )
+
+  if (entries.length === 0) {
+    return (
+      <div className="space-y-3">
+        <p className="text-sm text-gray-500 text-center py-4">
+          No saved translations yet. Your recordings will appear here.
+        </p>
+        {transferPanel}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-3 sm:space-y-4">
+      <div className="flex flex-col sm:flex-row gap-2 sm:gap-3">
+        <input
+          type="search"
+          value={searchQuery}
+          onChange={(event) => setSearchQuery(event.target.value)}
+          placeholder="Search translations..."
+          className="flex-1 min-w-0 border-2 border-gray-200 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-purple-400"
+        />
+        <select
+          value={animalFilter}
+          onChange={(event) => setAnimalFilter(event.target.value)}
+          className="border-2 border-gray-200 rounded-lg px-3 py-2 text-sm bg-white focus:outline-none focus:border-purple-400"
+        >
+          <option value="all">All animals</option>
+          {animalNames.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        {intents.length > 0 && (
+          <select
+            value={intentFilter}
+            onChange={(event) => setIntentFilter(event.target.value)}
+            className="border-2 border-gray-200 rounded-lg px-3 py-2 text-sm bg-white focus:outline-none focus:border-purple-400"
+          >
+            <option value="all">All intents</option>
+            {intents.map(intent => (
+              <option key={intent} value={intent}>{INTENT_EMOJI[intent]} {intent}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between gap-2 text-xs text-gray-600">
+        <span>
+          {selectedEntries.length > 0 ? `${selectedEntries.length} selected for export` : 'Tick translations to export only those'}
+        </span>
+        {selectedEntries.length > 0 ? (
+          <button
+            type="button"
+            onClick={() => setSelectedIds(new Set())}
+            className="font-semibold text-purple-700 hover:underline"
+          >
+            Clear selection
+          </button>
+        ) : filteredEntries.length > 0 && (
+          <button
+            type="button"
+            onClick={() => setSelectedIds(new Set(filteredEntries.map(entry => entry.id)))}
+            className="font-semibold text-purple-700 hover:underline"
+          >
+            Select all shown
+          </button>
+        )}
+      </div>
+
+      {transferPanel}
+
+      {filteredEntries.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">
+          No translations match your search.
+        </p>
+      ) : (
+        <div className="space-y-4 max-h-[32rem] overflow-y-auto">
+          {groups.map(group => (
+            <section key={group.key || 'other'}>
+              {/* Headings only make sense once some entries belong to a pet */}
+              {(group.pet || groups.length > 1) && (
+                <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-700 mb-2">
+                  {group.pet ? (
+                    <>
+                      <span className="text-xl">
+                        <PetAvatar pet={pets.find(pet => pet.id === group.pet.id) || group.pet} className="w-7 h-7" />
+                      </span>
+                      <span>{group.pet.name}</span>
+                    </>
+                  ) : (
+                    <span>Other recordings</span>
+                  )}
+                  <span className="font-normal text-gray-400">({group.entries.length})</span>
+                </h3>
+              )}
+              <ul className="space-y-2 sm:space-y-3">
+                {group.entries.map(renderEntry)}
+              </ul>
+            </section>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TranslationHistory
@@ -0,0 +1,107 @@
+import { useState, useEffect, useRef } from 'react'
+import { VOICE_LIMITS, pickVoice, speakText } from '../services/speech'
+
+/**
+ * Voice, rate and pitch for one animal or pet, with a preview
+ * Changes are saved as they are made, like the rest of the settings
+ */
+function VoicePresetEditor({ speakerName, preset, isCustomized, voices, language, sampleText, onChange, onReset }) {
+  const [isPreviewing, setIsPreviewing] = useState(false)
+  const utterancesRef = useRef(null)
+
+  useEffect(() => {
+    return () => {
+      if (utterancesRef.current) {
+        window.speechSynthesis.cancel()
+      }
+    }
+  }, [])
+
+  const update = (key, value) => onChange({ ...preset, [key]: value })
+
+  const handlePreview = () => {
+    if (isPreviewing) {
+      window.speechSynthesis.cancel()
+      setIsPreviewing(false)
+      return
+    }
+    const { voice } = pickVoice(voices, preset.voiceURI, language)
+    utterancesRef.current = speakText(sampleText || `Hi, I'm ${speakerName}!`, {
+      language,
+      preset,
+      voice,
+      onStart: () => setIsPreviewing(true),
+      onEnd: () => setIsPreviewing(false),
+      onError: (error) => {
+        console.error('Speech synthesis error:', error)
+        setIsPreviewing(false)
+      },
+    })
+  }
+
+  // Installed voices grouped by language, so the ones for this translation are easy to find
+  const sortedVoices = [...voices].sort((a, b) => a.lang.localeCompare(b.lang) || a.name.localeCompare(b.name))
+
+  return (
+    <div className="space-y-3 text-sm text-gray-700">
+      <label className="flex flex-col gap-1">
+        <span className="font-semibold">Voice</span>
+        <select
+          value={preset.voiceURI || ''}
+          onChange={(event) => update('voiceURI', event.target.value || null)}
+          className="border border-gray-300 rounded-lg px-2 py-1.5 bg-white"
+        >
+          <option value="">Best voice for the translation's language</option>
+          {sortedVoices.map(voice => (
+            <option key={voice.voiceURI} value={voice.voiceURI}>
+              {voice.name} ({voice.lang})
+            </option>
+          ))}
+        </select>
+        <span className="text-xs text-gray-400">A voice that doesn't speak the translation's language is skipped for it</span>
+      </label>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="flex flex-col">
+          <span className="font-semibold">Speed: {preset.rate.toFixed(2)}×</span>
+          <input
+            type="range"
+            {...VOICE_LIMITS.rate}
+            value={preset.rate}
+            onChange={(event) => update('rate', Number(event.target.value))}
+            className="accent-purple-600"
+          />
+        </label>
+        <label className="flex flex-col">
+          <span className="font-semibold">Pitch: {preset.pitch.toFixed(2)}</span>
+          <input
+            type="range"
+            {...VOICE_LIMITS.pitch}
+            value={preset.pitch}
+            onChange={(event) => update('pitch', Number(event.target.value))}
+            className="accent-purple-600"
+          />
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={handlePreview}
+          className="bg-purple-600 text-white font-semibold text-xs sm:text-sm py-1.5 px-3 rounded-lg hover:bg-purple-700 transition-colors"
+        >
+          {isPreviewing ? '⏹️ Stop' : '▶️ Preview'}
+        </button>
+        {isCustomized && (
+          <button
+            type="button"
+            onClick={onReset}
+            className="bg-white border-2 border-gray-200 text-gray-700 font-semibold text-xs sm:text-sm py-1.5 px-3 rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            Reset to default
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default VoicePresetEditor
@@ -1,12 +1,25 @@
 import { useState, useRef, useEffect } from 'react'
+import LiveAudioVisualizer from './LiveAudioVisualizer'
+import { createVoiceActivatedRecorder, DEFAULT_VOICE_ACTIVATION } from '../services/voiceActivatedRecorder'
 
 function VoiceRecorder({ animal, isRecording, onRecordingStart, onRecordingStop }) {
   const [recordingTime, setRecordingTime] = useState(0)
   const [hasPermission, setHasPermission] = useState(null)
+  // The active stream as state, so the visualizer re-renders when it changes
+  const [liveStream, setLiveStream] = useState(null)
+  const [isHandsFree, setIsHandsFree] = useState(false)
+  const [isArmed, setIsArmed] = useState(false)
+  // Hands-free: a capture is being translated; listening resumes afterwards
+  const [isPaused, setIsPaused] = useState(false)
+  const [voiceSettings, setVoiceSettings] = useState(DEFAULT_VOICE_ACTIVATION)
   const mediaRecorderRef = useRef(null)
+  const voiceRecorderRef = useRef(null)
   const streamRef = useRef(null)
   const chunksRef = useRef([])
   const timerRef = useRef(null)
+  // Hands-free captures can finish long after arming; always call the latest handlers
+  const callbacksRef = useRef({ onRecordingStart, onRecordingStop })
+  callbacksRef.current = { onRecordingStart, onRecordingStop }
 
   useEffect(() => {
     // Request microphone permission
@@ -52,7 +65,11 @@ function VoiceRecorder({ animal, isRecording, onRecordingStart, onRecordingStop
   // Cleanup on unmount
   useEffect(() => {
     return () => {
-      // Cleanup: stop all tracks when component unmounts
+      // Cleanup: disarm hands-free mode and stop all tracks when component unmounts
+      if (voiceRecorderRef.current) {
+        voiceRecorderRef.current.cancel()
+        voiceRecorderRef.current = null
+      }
       if (streamRef.current) {
         streamRef.current.getTracks().forEach(track => {
           track.stop()
@@ -85,6 +102,7 @@ function VoiceRecorder({ animal, isRecording, onRecordingStart, onRecordingStop
 
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
       streamRef.current = stream // Store stream in ref
+      setLiveStream(stream)
       const mediaRecorder = new MediaRecorder(stream)
       mediaRecorderRef.current = mediaRecorder
       chunksRef.current = []
@@ -105,6 +123,7 @@ function VoiceRecorder({ animal, isRecording, onRecordingStart, onRecordingStop
           streamRef.current.getTracks().forEach(track => track.stop())
           streamRef.current = null
         }
+        setLiveStream(null)
 
         // Call onRecordingStop after stopping tracks
         onRecordingStop(audioBlob)
@@ -125,10 +144,78 @@ function VoiceRecorder({ animal, isRecording, onRecordingStart, onRecordingStop
         streamRef.current.getTracks().forEach(track => track.stop())
         streamRef.current = null
       }
+      setLiveStream(null)
+    }
+  }
+
+  const releaseStream = () => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop())
+      streamRef.current = null
     }
+    setLiveStream(null)
+  }
+
+  /**
+   * Wait for the next sound on an open stream, and again after each one is translated
+   * @param {MediaStream} stream
+   */
+  const listen = (stream) => {
+    voiceRecorderRef.current = createVoiceActivatedRecorder(stream, {
+      ...voiceSettings,
+      onTrigger: () => callbacksRef.current.onRecordingStart(),
+      onComplete: async (audioBlob) => {
+        voiceRecorderRef.current = null
+        setIsPaused(true)
+        try {
+          await callbacksRef.current.onRecordingStop(audioBlob)
+        } finally {
+          setIsPaused(false)
+          // Stop Listening (or unmounting) releases the stream; otherwise keep going
+          if (streamRef.current === stream) {
+            listen(stream)
+          }
+        }
+      },
+    })
+  }
+
+  const armListening = async () => {
+    try {
+      releaseStream()
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+      streamRef.current = stream
+      setLiveStream(stream)
+      listen(stream)
+      setIsArmed(true)
+    } catch (error) {
+      console.error('Error arming hands-free recording:', error)
+      alert('Could not access microphone. Please check permissions.')
+      releaseStream()
+      setIsArmed(false)
+    }
+  }
+
+  const disarmListening = () => {
+    if (voiceRecorderRef.current) {
+      voiceRecorderRef.current.cancel()
+      voiceRecorderRef.current = null
+    }
+    releaseStream()
+    setIsArmed(false)
+    setIsPaused(false)
+  }
+
+  const updateVoiceSetting = (key, value) => {
+    setVoiceSettings(prev => ({ ...prev, [key]: Number(value) }))
   }
 
   const stopRecording = () => {
+    // Hands-free capture in progress: end it now and deliver what was captured
+    if (voiceRecorderRef.current && isRecording) {
+      voiceRecorderRef.current.finish()
+      return
+    }
     if (mediaRecorderRef.current && isRecording) {
       // Stop the MediaRecorder - the onstop handler will manage cleanup
       try {
@@ -142,6 +229,7 @@ function VoiceRecorder({ animal, isRecording, onRecordingStart, onRecordingStop
           streamRef.current.getTracks().forEach(track => track.stop())
           streamRef.current = null
         }
+        setLiveStream(null)
         // Create empty blob as fallback
         const emptyBlob = new Blob([], { type: 'audio/webm' })
         onRecordingStop(emptyBlob)
@@ -173,12 +261,27 @@ function VoiceRecorder({ animal, isRecording, onRecordingStart, onRecordingStop
       <div className="text-center">
         <div className="text-5xl sm:text-6xl mb-3 sm:mb-4">{animal.emoji}</div>
         <p className="text-base sm:text-lg text-gray-600 px-2">
-          Get ready to record {animal.name}'s voice!
+          Get ready to record {animal.pet?.name || animal.name}'s voice!
         </p>
       </div>
 
       <div className="flex items-center space-x-4 sm:space-x-6 w-full sm:w-auto">
-        {!isRecording ? (
+        {!isRecording && isHandsFree ? (
+          <button
+            onClick={isArmed ? disarmListening : armListening}
+            className={`
+              ${isArmed ? 'bg-gradient-to-r from-gray-500 to-gray-700' : 'bg-gradient-to-r from-purple-500 to-pink-500'}
+              text-white font-bold py-3 sm:py-4 px-6 sm:px-8 rounded-full
+              shadow-lg hover:shadow-xl transform hover:scale-105 active:scale-95
+              transition-all duration-200 flex items-center justify-center space-x-2 sm:space-x-3
+              w-full sm:w-auto text-sm sm:text-base
+              touch-manipulation
+            `}
+          >
+            <span className="text-xl sm:text-2xl">{isArmed ? '✋' : '🎯'}</span>
+            <span>{isArmed ? 'Stop Listening' : 'Start Listening'}</span>
+          </button>
+        ) : !isRecording ? (
           <button
             onClick={startRecording}
             className="
@@ -222,6 +325,91 @@ function VoiceRecorder({ animal, isRecording, onRecordingStart, onRecordingStop
         </div>
       )}
 
+      {isArmed && !isRecording && (
+        <div className="text-center w-full">
+          <div className="inline-flex items-center space-x-2 bg-purple-100 px-3 sm:px-4 py-2 rounded-full">
+            <div className={`w-2.5 sm:w-3 h-2.5 sm:h-3 bg-purple-500 rounded-full ${isPaused ? 'animate-pulse' : 'animate-ping'}`}></div>
+            <span className="text-purple-700 font-semibold text-sm sm:text-base">
+              {isPaused
+                ? '⏳ Translating, then listening again...'
+                : `👂 Listening for ${animal.pet?.name || animal.name}...`}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {(isRecording || isArmed) && liveStream && (
+        <LiveAudioVisualizer stream={liveStream} />
+      )}
+
+      {!isRecording && (
+        <div className="w-full max-w-md">
+          <label className="flex items-center justify-center space-x-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={isHandsFree}
+              disabled={isArmed}
+              onChange={(event) => setIsHandsFree(event.target.checked)}
+              className="w-4 h-4 accent-purple-600"
+            />
+            <span>🎯 Hands-free: start recording when the animal makes a sound</span>
+          </label>
+
+          {isHandsFree && !isArmed && (
+            <div className="mt-3 bg-gray-50 rounded-lg p-3 space-y-2 text-xs text-gray-600">
+              <label className="flex flex-col">
+                <span>Trigger level: {voiceSettings.thresholdDb} dB (lower is more sensitive)</span>
+                <input
+                  type="range"
+                  min={-60}
+                  max={-15}
+                  step={1}
+                  value={voiceSettings.thresholdDb}
+                  onChange={(event) => updateVoiceSetting('thresholdDb', event.target.value)}
+                  className="accent-purple-600"
+                />
+              </label>
+              <label className="flex flex-col">
+                <span>Keep before trigger: {voiceSettings.preRollSeconds}s</span>
+                <input
+                  type="range"
+                  min={0}
+                  max={3}
+                  step={0.5}
+                  value={voiceSettings.preRollSeconds}
+                  onChange={(event) => updateVoiceSetting('preRollSeconds', event.target.value)}
+                  className="accent-purple-600"
+                />
+              </label>
+              <label className="flex flex-col">
+                <span>Stop after silence: {voiceSettings.silenceSeconds}s</span>
+                <input
+                  type="range"
+                  min={0.5}
+                  max={5}
+                  step={0.5}
+                  value={voiceSettings.silenceSeconds}
+                  onChange={(event) => updateVoiceSetting('silenceSeconds', event.target.value)}
+                  className="accent-purple-600"
+                />
+              </label>
+              <label className="flex flex-col">
+                <span>Maximum length: {voiceSettings.maxSeconds}s</span>
+                <input
+                  type="range"
+                  min={5}
+                  max={60}
+                  step={5}
+                  value={voiceSettings.maxSeconds}
+                  onChange={(event) => updateVoiceSetting('maxSeconds', event.target.value)}
+                  className="accent-purple-600"
+                />
+              </label>
+            </div>
+          )}
+        </div>
+      )}
+
       <div className="text-xs sm:text-sm text-gray-500 text-center max-w-md px-4">
         💡 Tip: Make sure the animal is close enough for clear audio recording
       </div>
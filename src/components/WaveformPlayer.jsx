@@ -0,0 +1,309 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { decodeAudioBlob, toMono, computeWaveformPeaks } from '../services/audioFeatures'
+
+// Enough bars to look detailed on a phone and still cheap to redraw every frame
+const WAVEFORM_BARS = 120
+const PLAYED_COLOR = '#9333ea'
+const UNPLAYED_COLOR = '#d8b4fe'
+// Bars of the selected vocal event
+const ACTIVE_PLAYED_COLOR = '#db2777'
+const ACTIVE_UNPLAYED_COLOR = '#f9a8d4'
+const NO_SEGMENTS = []
+
+/**
+ * Recording playback with a scrubbable waveform
+ * @param {Object} props
+ * @param {Blob} props.audioBlob
+ * @param {{start: number, end: number, label?: string}[]} [props.segments] - Vocal events shown as a clickable timeline under the waveform
+ * @param {number|null} [props.activeSegment] - Index of the highlighted event
+ * @param {(index: number) => void} [props.onSegmentSelect] - Called when an event is clicked; the player plays just that slice
+ */
+function WaveformPlayer({ audioBlob, segments = NO_SEGMENTS, activeSegment = null, onSegmentSelect }) {
+  const [audioUrl, setAudioUrl] = useState(null)
+  const [peaks, setPeaks] = useState(null)
+  const [duration, setDuration] = useState(0)
+  const [currentTime, setCurrentTime] = useState(0)
+  const [isPlaying, setIsPlaying] = useState(false)
+  const [decodeError, setDecodeError] = useState(null)
+  const audioRef = useRef(null)
+  const canvasRef = useRef(null)
+  const animationRef = useRef(null)
+  const isScrubbingRef = useRef(false)
+  // End of the event being played, where playback pauses on its own
+  const stopAtRef = useRef(null)
+
+  // Object URL for the <audio> element, released when the clip changes
+  useEffect(() => {
+    if (!audioBlob || audioBlob.size === 0) {
+      setAudioUrl(null)
+      return
+    }
+    const url = URL.createObjectURL(audioBlob)
+    setAudioUrl(url)
+    setCurrentTime(0)
+    setIsPlaying(false)
+    return () => URL.revokeObjectURL(url)
+  }, [audioBlob])
+
+  // Decode once to get the waveform and a reliable duration
+  // (MediaRecorder webm files often report Infinity as their duration)
+  useEffect(() => {
+    if (!audioBlob || audioBlob.size === 0) return
+    let cancelled = false
+    setPeaks(null)
+    setDecodeError(null)
+    decodeAudioBlob(audioBlob)
+      .then((audioBuffer) => {
+        if (cancelled) return
+        setPeaks(computeWaveformPeaks(toMono(audioBuffer), WAVEFORM_BARS))
+        setDuration(audioBuffer.duration)
+      })
+      .catch((err) => {
+        if (cancelled) return
+        console.error('Error decoding recording for waveform:', err)
+        setDecodeError(err.message)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [audioBlob])
+
+  const drawWaveform = useCallback(() => {
+    const canvas = canvasRef.current
+    if (!canvas || !peaks) return
+
+    // Match the backing store to the displayed size for crisp bars
+    const pixelRatio = window.devicePixelRatio || 1
+    const width = canvas.clientWidth
+    const height = canvas.clientHeight
+    if (canvas.width !== width * pixelRatio || canvas.height !== height * pixelRatio) {
+      canvas.width = width * pixelRatio
+      canvas.height = height * pixelRatio
+    }
+    const context = canvas.getContext('2d')
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0)
+    context.clearRect(0, 0, width, height)
+
+    const progress = duration > 0 ? currentTime / duration : 0
+    const barWidth = width / peaks.length
+    const active = duration > 0 ? segments[activeSegment] : null
+    peaks.forEach((peak, bar) => {
+      const barHeight = Math.max(2, peak * height * 0.9)
+      const barTime = (bar + 0.5) / peaks.length * duration
+      const isActive = active && barTime >= active.start && barTime <= active.end
+      if (bar / peaks.length < progress) {
+        context.fillStyle = isActive ? ACTIVE_PLAYED_COLOR : PLAYED_COLOR
+      } else {
+        context.fillStyle = isActive ? ACTIVE_UNPLAYED_COLOR : UNPLAYED_COLOR
+      }
+      context.fillRect(
+        bar * barWidth + barWidth * 0.15,
+        (height - barHeight) / 2,
+        Math.max(1, barWidth * 0.7),
+        barHeight
+      )
+    })
+  }, [peaks, currentTime, duration, segments, activeSegment])
+
+  useEffect(() => {
+    drawWaveform()
+  }, [drawWaveform])
+
+  // Redraw on resize so the bars keep filling the card
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || typeof ResizeObserver === 'undefined') return
+    const observer = new ResizeObserver(() => drawWaveform())
+    observer.observe(canvas)
+    return () => observer.disconnect()
+  }, [drawWaveform])
+
+  // timeupdate only fires a few times a second; follow playback per frame instead
+  useEffect(() => {
+    if (!isPlaying) return
+    const tick = () => {
+      const audio = audioRef.current
+      if (audio && stopAtRef.current !== null && audio.currentTime >= stopAtRef.current) {
+        stopAtRef.current = null
+        audio.pause()
+      }
+      if (audio && !isScrubbingRef.current) {
+        setCurrentTime(audio.currentTime)
+      }
+      animationRef.current = requestAnimationFrame(tick)
+    }
+    animationRef.current = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(animationRef.current)
+  }, [isPlaying])
+
+  const handleTogglePlay = () => {
+    const audio = audioRef.current
+    if (!audio) return
+    stopAtRef.current = null
+    if (audio.paused) {
+      audio.play().catch((err) => {
+        console.error('Error playing recording:', err)
+        setIsPlaying(false)
+      })
+    } else {
+      audio.pause()
+    }
+  }
+
+  const seekTo = (time) => {
+    const clamped = Math.min(Math.max(0, time), duration || 0)
+    if (audioRef.current) {
+      audioRef.current.currentTime = clamped
+    }
+    setCurrentTime(clamped)
+  }
+
+  const seekToPointer = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect()
+    const fraction = (event.clientX - rect.left) / rect.width
+    seekTo(fraction * duration)
+  }
+
+  const handlePointerDown = (event) => {
+    if (!duration) return
+    stopAtRef.current = null
+    isScrubbingRef.current = true
+    event.currentTarget.setPointerCapture(event.pointerId)
+    seekToPointer(event)
+  }
+
+  const handlePointerMove = (event) => {
+    if (isScrubbingRef.current) {
+      seekToPointer(event)
+    }
+  }
+
+  const handlePointerUp = (event) => {
+    isScrubbingRef.current = false
+    event.currentTarget.releasePointerCapture(event.pointerId)
+  }
+
+  const handlePlaySegment = (index) => {
+    const audio = audioRef.current
+    const segment = segments[index]
+    if (!audio || !segment) return
+    onSegmentSelect?.(index)
+    seekTo(segment.start)
+    stopAtRef.current = segment.end
+    audio.play().catch((err) => {
+      console.error('Error playing recording:', err)
+      stopAtRef.current = null
+      setIsPlaying(false)
+    })
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowLeft') {
+      event.preventDefault()
+      stopAtRef.current = null
+      seekTo(currentTime - 0.5)
+    } else if (event.key === 'ArrowRight') {
+      event.preventDefault()
+      stopAtRef.current = null
+      seekTo(currentTime + 0.5)
+    } else if (event.key === ' ' || event.key === 'Enter') {
+      event.preventDefault()
+      handleTogglePlay()
+    }
+  }
+
+  const formatTime = (seconds) => {
+    const safeSeconds = Number.isFinite(seconds) ? seconds : 0
+    const mins = Math.floor(safeSeconds / 60)
+    const secs = Math.floor(safeSeconds % 60)
+    return `${mins}:${secs.toString().padStart(2, '0')}`
+  }
+
+  if (!audioUrl) {
+    return (
+      <div className="text-xs text-gray-500 bg-gray-50 px-3 py-2 rounded">
+        🎙️ No audio was captured in this recording.
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white/70 rounded-lg p-2 sm:p-3 border border-purple-200">
+      <audio
+        ref={audioRef}
+        src={audioUrl}
+        preload="auto"
+        onLoadedMetadata={(event) => {
+          // Placeholder until decoding finishes (or if it fails); the decoded duration wins
+          if (!peaks && Number.isFinite(event.currentTarget.duration)) {
+            setDuration(event.currentTarget.duration)
+          }
+        }}
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onEnded={() => {
+          setIsPlaying(false)
+          setCurrentTime(duration)
+        }}
+      />
+      <div className="flex items-center space-x-2 sm:space-x-3">
+        <button
+          onClick={handleTogglePlay}
+          aria-label={isPlaying ? 'Pause recording' : 'Play recording'}
+          className="flex-shrink-0 w-11 h-11 rounded-full bg-gradient-to-r from-purple-500 to-pink-500 text-white flex items-center justify-center shadow hover:shadow-md active:scale-95 transition-all"
+        >
+          {isPlaying ? '⏸️' : '▶️'}
+        </button>
+        <div className="flex-1 min-w-0">
+          {decodeError ? (
+            <div className="text-xs text-gray-500 py-2">
+              Waveform unavailable for this recording format.
+            </div>
+          ) : (
+            <canvas
+              ref={canvasRef}
+              role="slider"
+              tabIndex={0}
+              aria-label="Recording position"
+              aria-valuemin={0}
+              aria-valuemax={Math.round(duration)}
+              aria-valuenow={Math.round(currentTime)}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onKeyDown={handleKeyDown}
+              className={`w-full h-12 sm:h-14 cursor-pointer touch-none focus:outline-none focus:ring-2 focus:ring-purple-300 rounded ${peaks ? '' : 'animate-pulse bg-purple-100'}`}
+            />
+          )}
+          {segments.length > 0 && duration > 0 && (
+            <div className="relative h-6 mt-1" role="group" aria-label="Separate sounds">
+              {segments.map((segment, index) => (
+                <button
+                  key={index}
+                  type="button"
+                  onClick={() => handlePlaySegment(index)}
+                  aria-label={`Play sound ${index + 1} (${formatTime(segment.start)} to ${formatTime(segment.end)})${segment.label ? `: ${segment.label}` : ''}`}
+                  aria-pressed={activeSegment === index}
+                  title={segment.label}
+                  className={`absolute top-0 h-full min-w-[1.25rem] rounded text-[10px] font-semibold transition-colors ${activeSegment === index ? 'bg-pink-500 text-white' : 'bg-purple-100 text-purple-700 hover:bg-purple-200'}`}
+                  style={{
+                    left: `${Math.min(100, segment.start / duration * 100)}%`,
+                    width: `${Math.max(0, (segment.end - segment.start) / duration * 100)}%`,
+                  }}
+                >
+                  {index + 1}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex justify-between text-[10px] sm:text-xs text-gray-500 mt-0.5">
+            <span>{formatTime(currentTime)}</span>
+            <span>{formatTime(duration)}</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default WaveformPlayer
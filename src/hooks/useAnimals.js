@@ -0,0 +1,40 @@
+import { useState, useCallback } from 'react'
+import {
+  BUILT_IN_ANIMALS,
+  loadCustomAnimals,
+  saveCustomAnimals,
+  createCustomAnimal,
+} from '../services/animalRegistry'
+
+/**
+ * The animal registry with the user's own animals backed by localStorage
+ * @returns {{animals: Object[], addAnimal: Function, removeAnimal: Function}}
+ */
+function useAnimals() {
+  const [customAnimals, setCustomAnimals] = useState(loadCustomAnimals)
+
+  // Throws with a message for the form when the fields are invalid
+  const addAnimal = useCallback((fields) => {
+    const animal = createCustomAnimal(fields, customAnimals)
+    const next = [...customAnimals, animal]
+    saveCustomAnimals(next)
+    setCustomAnimals(next)
+    return animal
+  }, [customAnimals])
+
+  const removeAnimal = useCallback((name) => {
+    setCustomAnimals((prev) => {
+      const next = prev.filter(animal => animal.name !== name)
+      saveCustomAnimals(next)
+      return next
+    })
+  }, [])
+
+  return {
+    animals: [...BUILT_IN_ANIMALS, ...customAnimals],
+    addAnimal,
+    removeAnimal,
+  }
+}
+
+export default useAnimals
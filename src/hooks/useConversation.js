@@ -0,0 +1,57 @@
+import { useState, useRef, useCallback } from 'react'
+import { buildContextMessages } from '../services/conversation'
+
+/**
+ * The current conversation session, kept in memory for this visit
+ * A session belongs to one speaker (getVoiceKey); a turn for another speaker starts a new one
+ * @returns {{session: {speakerKey: string, turns: Object[]}|null, getContextMessages: Function, addTurn: Function, reset: Function}}
+ */
+function useConversation() {
+  const [session, setSession] = useState(null)
+  // Hands-free recording can finish with a callback from an earlier render, so reads go through a ref
+  const sessionRef = useRef(null)
+
+  const update = useCallback((next) => {
+    sessionRef.current = next
+    setSession(next)
+  }, [])
+
+  /**
+   * @param {string} speakerKey
+   * @param {number} budget - Tokens the history may use
+   * @param {string|null} [replacingId] - Turn being translated again, left out of its own history
+   * @returns {{role: string, content: string}[]}
+   */
+  const getContextMessages = useCallback((speakerKey, budget, replacingId = null) => {
+    const current = sessionRef.current
+    if (!current || current.speakerKey !== speakerKey) return []
+    const turns = replacingId ? current.turns.filter(turn => turn.id !== replacingId) : current.turns
+    return buildContextMessages(turns, budget)
+  }, [])
+
+  /**
+   * Add a turn, or replace the one with the same id
+   * @param {string} speakerKey
+   * @param {Object} turn - From createTurn
+   */
+  const addTurn = useCallback((speakerKey, turn) => {
+    const current = sessionRef.current
+    if (!current || current.speakerKey !== speakerKey) {
+      update({ speakerKey, turns: [turn] })
+      return
+    }
+    const exists = current.turns.some(existing => existing.id === turn.id)
+    update({
+      speakerKey,
+      turns: exists
+        ? current.turns.map(existing => existing.id === turn.id ? turn : existing)
+        : [...current.turns, turn],
+    })
+  }, [update])
+
+  const reset = useCallback(() => update(null), [update])
+
+  return { session, getContextMessages, addTurn, reset }
+}
+
+export default useConversation
@@ -0,0 +1,147 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import {
+  QUEUE_STATUS,
+  listQueuedRecordings,
+  saveQueuedRecording,
+  deleteQueuedRecording,
+  translateQueuedRecording,
+} from '../services/offlineQueue'
+import { saveTranslation } from '../services/historyStore'
+import { isApiReachable } from '../services/providers/apiClient'
+
+// How often to look for the server again while offline
+const RECHECK_INTERVAL_MS = 15000
+
+/**
+ * Recordings made offline, backed by IndexedDB and mirrored in React state
+ * Waiting recordings are translated one at a time whenever the API server is reachable
+ * @param {Object} params
+ * @param {Object[]} params.pets - Current pet profiles
+ * @param {() => void} params.onTranslated - Called after a queued recording is saved to history
+ * @returns {{items: Object[], isOnline: boolean, sendingId: string|null, error: string|null, enqueue: Function, retry: Function, discard: Function, checkConnection: Function}}
+ */
+function useOfflineQueue({ pets, onTranslated }) {
+  const [items, setItems] = useState([])
+  // Trust the browser until a request says otherwise
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine)
+  const [sendingId, setSendingId] = useState(null)
+  const [error, setError] = useState(null)
+  const isSendingRef = useRef(false)
+  // The queue is sent from effects and events, so it reads the latest props through refs
+  const petsRef = useRef(pets)
+  const onTranslatedRef = useRef(onTranslated)
+  petsRef.current = pets
+  onTranslatedRef.current = onTranslated
+
+  const checkConnection = useCallback(async () => {
+    const reachable = await isApiReachable()
+    setIsOnline(reachable)
+    return reachable
+  }, [])
+
+  useEffect(() => {
+    listQueuedRecordings()
+      .then(setItems)
+      .catch((err) => {
+        console.error('Error loading offline queue:', err)
+        setError(err.message)
+      })
+  }, [])
+
+  // The browser's events are only hints; the server has the final say
+  useEffect(() => {
+    const handleOnline = () => checkConnection()
+    const handleOffline = () => setIsOnline(false)
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [checkConnection])
+
+  // A server that comes back (e.g. restarted) doesn't fire any event
+  useEffect(() => {
+    if (isOnline) return
+    const timer = setInterval(checkConnection, RECHECK_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [isOnline, checkConnection])
+
+  const sendWaiting = useCallback(async () => {
+    if (isSendingRef.current) return
+    isSendingRef.current = true
+    try {
+      // Re-read the store each time so recordings queued meanwhile are picked up too
+      for (;;) {
+        const item = (await listQueuedRecordings()).find(queued => queued.status === QUEUE_STATUS.waiting)
+        if (!item) break
+        setSendingId(item.id)
+        let entry
+        try {
+          entry = await translateQueuedRecording(item, petsRef.current)
+        } catch (err) {
+          console.error('Error translating queued recording:', err)
+          const failed = await saveQueuedRecording({ ...item, status: QUEUE_STATUS.failed, error: err.message })
+          setItems(prev => prev.map(existing => existing.id === failed.id ? failed : existing))
+          continue
+        }
+        if (!entry) {
+          // Offline again; the rest waits for the next connection
+          setIsOnline(false)
+          break
+        }
+        // Saved to history before leaving the queue, so a recording is never lost in between
+        await saveTranslation(entry)
+        await deleteQueuedRecording(item.id)
+        setItems(prev => prev.filter(existing => existing.id !== item.id))
+        onTranslatedRef.current?.()
+      }
+    } catch (err) {
+      console.error('Error sending offline queue:', err)
+      setError(err.message)
+    } finally {
+      isSendingRef.current = false
+      setSendingId(null)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (isOnline && items.some(item => item.status === QUEUE_STATUS.waiting)) {
+      sendWaiting()
+    }
+  }, [isOnline, items, sendWaiting])
+
+  // Throws, so the caller can tell the recording was not kept
+  const enqueue = useCallback(async (item) => {
+    await saveQueuedRecording(item)
+    setItems(prev => [...prev, item])
+    setIsOnline(false)
+  }, [])
+
+  const retry = useCallback(async (id) => {
+    const item = items.find(existing => existing.id === id)
+    if (!item) return
+    try {
+      const waiting = await saveQueuedRecording({ ...item, status: QUEUE_STATUS.waiting, error: null })
+      setItems(prev => prev.map(existing => existing.id === id ? waiting : existing))
+      checkConnection()
+    } catch (err) {
+      console.error('Error retrying queued recording:', err)
+      setError(err.message)
+    }
+  }, [items, checkConnection])
+
+  const discard = useCallback(async (id) => {
+    try {
+      await deleteQueuedRecording(id)
+      setItems(prev => prev.filter(item => item.id !== id))
+    } catch (err) {
+      console.error('Error discarding queued recording:', err)
+      setError(err.message)
+    }
+  }, [])
+
+  return { items, isOnline, sendingId, error, enqueue, retry, discard, checkConnection }
+}
+
+export default useOfflineQueue
@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from 'react'
+import { listPets, savePet as storePet, deletePet } from '../services/petStore'
+
+/**
+ * Pet profiles backed by IndexedDB, mirrored in React state
+ * @returns {{pets: Object[], isLoading: boolean, error: string|null, savePet: Function, removePet: Function}}
+ */
+function usePets() {
+  const [pets, setPets] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    listPets()
+      .then((stored) => {
+        setPets(stored)
+        setError(null)
+      })
+      .catch((err) => {
+        console.error('Error loading pet profiles:', err)
+        setError(err.message)
+      })
+      .finally(() => setIsLoading(false))
+  }, [])
+
+  // Inserts or replaces; unlike history, the form needs to know when saving failed
+  const savePet = useCallback(async (pet) => {
+    await storePet(pet)
+    setPets((prev) => {
+      const exists = prev.some(existing => existing.id === pet.id)
+      return exists
+        ? prev.map(existing => existing.id === pet.id ? pet : existing)
+        : [...prev, pet]
+    })
+    return pet
+  }, [])
+
+  const removePet = useCallback(async (id) => {
+    try {
+      await deletePet(id)
+      setPets(prev => prev.filter(pet => pet.id !== id))
+    } catch (err) {
+      console.error('Error deleting pet profile:', err)
+      setError(err.message)
+    }
+  }, [])
+
+  return { pets, isLoading, error, savePet, removePet }
+}
+
+export default usePets
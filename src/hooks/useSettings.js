@@ -0,0 +1,31 @@
+import { useState, useCallback } from 'react'
+import { loadSettings, saveSettings, normalizeSettings, DEFAULT_SETTINGS } from '../services/settingsStore'
+
+/**
+ * User settings backed by localStorage, mirrored in React state
+ * @returns {{settings: Object, updateSettings: Function, resetSettings: Function}}
+ */
+function useSettings() {
+  const [settings, setSettings] = useState(loadSettings)
+
+  const updateSettings = useCallback((changes) => {
+    setSettings((prev) => {
+      const next = normalizeSettings({
+        ...prev,
+        ...(typeof changes === 'function' ? changes(prev) : changes),
+      })
+      saveSettings(next)
+      return next
+    })
+  }, [])
+
+  const resetSettings = useCallback(() => {
+    const next = normalizeSettings(DEFAULT_SETTINGS)
+    saveSettings(next)
+    setSettings(next)
+  }, [])
+
+  return { settings, updateSettings, resetSettings }
+}
+
+export default useSettings
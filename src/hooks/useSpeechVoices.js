@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react'
+
+/**
+ * Installed speech synthesis voices, updated when the browser finishes loading them
+ * @returns {SpeechSynthesisVoice[]} - Empty when speech synthesis is unsupported
+ */
+function useSpeechVoices() {
+  const [voices, setVoices] = useState([])
+
+  // Voices load asynchronously in some browsers
+  useEffect(() => {
+    if (!('speechSynthesis' in window)) return
+    const loadVoices = () => setVoices(window.speechSynthesis.getVoices())
+    loadVoices()
+    window.speechSynthesis.addEventListener('voiceschanged', loadVoices)
+    return () => window.speechSynthesis.removeEventListener('voiceschanged', loadVoices)
+  }, [])
+
+  return voices
+}
+
+export default useSpeechVoices
@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  listTranslations,
+  saveTranslation,
+  updateTranslation,
+  deleteTranslation,
+} from '../services/historyStore'
+
+/**
+ * Translation history backed by IndexedDB, mirrored in React state
+ * @returns {{entries: Object[], isLoading: boolean, error: string|null, addEntry: Function, updateEntry: Function, removeEntry: Function, importEntries: Function, reload: Function}}
+ */
+function useTranslationHistory() {
+  const [entries, setEntries] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const reload = useCallback(async () => {
+    try {
+      setEntries(await listTranslations())
+      setError(null)
+    } catch (err) {
+      console.error('Error loading translation history:', err)
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    reload()
+  }, [reload])
+
+  const addEntry = useCallback(async (entry) => {
+    try {
+      await saveTranslation(entry)
+      setEntries(prev => [entry, ...prev])
+    } catch (err) {
+      // History is a convenience; never let it break the translation flow
+      console.error('Error saving translation to history:', err)
+      setError(err.message)
+    }
+  }, [])
+
+  const updateEntry = useCallback(async (id, changes) => {
+    try {
+      const updated = await updateTranslation(id, changes)
+      setEntries(prev => prev.map(entry => entry.id === id ? updated : entry))
+      return updated
+    } catch (err) {
+      console.error('Error updating translation history:', err)
+      setError(err.message)
+      return null
+    }
+  }, [])
+
+  const removeEntry = useCallback(async (id) => {
+    try {
+      await deleteTranslation(id)
+      setEntries(prev => prev.filter(entry => entry.id !== id))
+    } catch (err) {
+      console.error('Error deleting translation from history:', err)
+      setError(err.message)
+    }
+  }, [])
+
+  // Imports report their own failures, so this one throws instead of setting error
+  const importEntries = useCallback(async (imported) => {
+    for (const entry of imported) {
+      await saveTranslation(entry)
+    }
+    await reload()
+  }, [reload])
+
+  return { entries, isLoading, error, addEntry, updateEntry, removeEntry, importEntries, reload }
+}
+
+export default useTranslationHistory
@@ -18,3 +18,11 @@ if (!rootElement) {
   )
 }
 
+// The service worker only exists in builds (see serviceWorkerPlugin in vite.config.js)
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => {
+      console.error('Service worker registration failed:', err)
+    })
+  })
+}
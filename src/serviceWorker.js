@@ -0,0 +1,48 @@
+// Service worker for the built app. Not bundled: serviceWorkerPlugin in
+// vite.config.js fills in this build's files and writes it to dist/sw.js.
+// It caches the app shell so the app opens with no connection. API requests
+// always go to the network; recordings made offline wait in the offline queue.
+const SHELL_FILES = __SHELL_FILES__
+const CACHE_PREFIX = 'animal-translator-shell-'
+const CACHE_NAME = `${CACHE_PREFIX}${__SHELL_VERSION__}`
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  )
+})
+
+// Each build has its own cache; drop the ones from earlier builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return
+  }
+
+  if (request.mode === 'navigate') {
+    // Network first, so a new deploy shows up as soon as there is a connection
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/index.html', { cacheName: CACHE_NAME }))
+    )
+    return
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME }).then(cached => cached || fetch(request))
+  )
+})
@@ -0,0 +1,338 @@
+// Every animal the app knows, in one place: how it looks in the selector,
+// how it sounds, who it is in the translation prompt, what the mocks say
+// for it, which classifier labels point at it, how its translations are
+// spoken and which synthesizer recipes (vocalSynth) reverse mode may use
+// for it, at what pitch. User-defined animals are
+// kept in localStorage and listed after the built-in ones.
+import { DEFAULT_LANGUAGE, getLocalizedFallbackPhrases } from './languages'
+
+const STORAGE_KEY = 'animal-translator:custom-animals'
+
+// Tailwind only ships classes it can find in the source, so custom animals pick from this list
+export const CUSTOM_ANIMAL_COLORS = [
+  'from-teal-400 to-cyan-600',
+  'from-lime-400 to-green-600',
+  'from-indigo-400 to-violet-600',
+  'from-rose-400 to-fuchsia-600',
+  'from-sky-400 to-indigo-500',
+  'from-orange-300 to-rose-500',
+]
+
+// What an animal without phrases of its own says when the APIs are unavailable
+const DEFAULT_FALLBACK_PHRASES = [
+  `I'm trying to tell you something important!`,
+  `I'm expressing my feelings to you!`,
+]
+
+const MAX_NAME_LENGTH = 24
+
+// Reverse mode sounds for animals the synthesizer has no recipes for
+const DEFAULT_VOCALIZATIONS = ['call', 'chirp', 'growl']
+
+export const BUILT_IN_ANIMALS = [
+  {
+    name: 'Dog',
+    emoji: '🐕',
+    color: 'from-yellow-400 to-orange-500',
+    sounds: 'woof woof bark',
+    persona: 'a loyal, enthusiastic dog who lives for walks, play, food and their humans',
+    vocalizations: ['bark', 'yip', 'growl', 'howl', 'whine'],
+    speech: { rate: 1.1, pitch: 1.1 },
+    fallbackPhrases: [
+      `I'm so excited! Can we play now? I've been waiting!`,
+      `Hey! I'm here and I want your attention!`,
+      `I love you! Give me belly rubs please!`,
+      `Something's happening! I need to protect you!`,
+    ],
+    detectionPattern: /\b(dogs?|bark(ing)?|yip|howl|bow-wow|growling|puppy)\b/i,
+  },
+  {
+    name: 'Cat',
+    emoji: '🐱',
+    color: 'from-gray-400 to-gray-600',
+    sounds: 'meow meow purr',
+    persona: 'an independent, slightly dramatic cat who knows exactly what they want and expects to get it',
+    vocalizations: ['meow', 'purr', 'hiss', 'trill'],
+    speech: { rate: 1, pitch: 1.4 },
+    fallbackPhrases: [
+      `I'm happy and content. Can I have some treats and scratches behind my ears?`,
+      `I'm hungry! Where's my food?`,
+      `I want attention right now. Pet me please!`,
+      `I'm feeling playful! Let's have some fun together!`,
+    ],
+    detectionPattern: /\b(cats?|meow|purr|hiss|caterwaul|kitten)\b/i,
+  },
+  {
+    name: 'Bird',
+    emoji: '🐦',
+    color: 'from-blue-400 to-blue-600',
+    sounds: 'tweet chirp tweet',
+    persona: 'a chatty, cheerful bird who sings about the weather, the neighbourhood and their flock',
+    vocalizations: ['tweet', 'chirp', 'trill'],
+    speech: { rate: 1.3, pitch: 1.9 },
+    fallbackPhrases: [
+      `Good morning! I'm singing my beautiful song for you!`,
+      `Hey everyone! I'm here and I'm happy!`,
+      `Listen to my lovely voice! I'm calling to my friends!`,
+    ],
+    detectionPattern: /\b(birds?|tweet|chirp|squawk|pigeons?|doves?|coo|crows?|caw|owls?|hoot|songbirds?|gulls?|seagulls?)\b/i,
+  },
+  {
+    name: 'Cow',
+    emoji: '🐄',
+    color: 'from-white to-gray-300',
+    sounds: 'moo moo',
+    persona: 'a calm, easygoing cow who thinks mostly about grass and the rest of the herd',
+    vocalizations: ['moo', 'grunt'],
+    speech: { rate: 0.8, pitch: 0.6 },
+    fallbackPhrases: [
+      `Hello! I'm calling out to my friends in the field!`,
+      `I'm content and happy here in the pasture!`,
+    ],
+    detectionPattern: /\b(cattle|bovinae|moo|cows?)\b/i,
+  },
+  {
+    name: 'Pig',
+    emoji: '🐷',
+    color: 'from-pink-400 to-pink-600',
+    sounds: 'oink oink snort',
+    persona: 'a curious, food-obsessed pig who loves mud and snacks',
+    vocalizations: ['oink', 'grunt', 'squeal', 'snort'],
+    speech: { rate: 1.05, pitch: 1.2 },
+    fallbackPhrases: [
+      `I'm so excited! Is it time for food?`,
+      `I'm happy and want to play!`,
+    ],
+    detectionPattern: /\b(pigs?|oink|swine)\b/i,
+  },
+  {
+    name: 'Rooster',
+    emoji: '🐓',
+    color: 'from-red-400 to-red-600',
+    sounds: 'cock-a-doodle-doo',
+    persona: 'a proud, loud rooster who is in charge of the farmyard and the sunrise',
+    vocalizations: ['crow', 'cluck'],
+    speech: { rate: 1.15, pitch: 1.3 },
+    fallbackPhrases: [
+      `Wake up! It's morning time!`,
+      `I'm announcing the new day!`,
+    ],
+    detectionPattern: /\b(roosters?|chickens?|crowing|cock-a-doodle-doo|hens?|poultry)\b/i,
+  },
+  {
+    name: 'Duck',
+    emoji: '🦆',
+    color: 'from-yellow-300 to-yellow-500',
+    sounds: 'quack quack',
+    persona: 'a sociable duck who loves water, bread crumbs and the other ducks',
+    vocalizations: ['quack'],
+    speech: { rate: 1.2, pitch: 1.6 },
+    fallbackPhrases: [
+      `Hello! I'm here and I'm happy!`,
+      `Let's go swimming together!`,
+    ],
+    detectionPattern: /\b(ducks?|quack|geese|goose|honk)\b/i,
+  },
+  {
+    name: 'Sheep',
+    emoji: '🐑',
+    color: 'from-white to-gray-200',
+    sounds: 'baa baa',
+    persona: 'a gentle sheep who never wants to be far from the flock',
+    vocalizations: ['baa'],
+    speech: { rate: 0.95, pitch: 1.3 },
+    fallbackPhrases: [
+      `I'm calling to my flock!`,
+      `I'm content and peaceful!`,
+    ],
+    detectionPattern: /\b(sheep|bleat|goats?|lambs?)\b/i,
+  },
+  {
+    name: 'Horse',
+    emoji: '🐴',
+    color: 'from-amber-400 to-amber-600',
+    sounds: 'neigh whinny',
+    persona: 'a spirited horse who loves to run and is wary of anything new',
+    vocalizations: ['neigh', 'snort', 'whine'],
+    voicePitch: 0.6,
+    speech: { rate: 0.95, pitch: 0.8 },
+    fallbackPhrases: [
+      `I'm excited and ready to run!`,
+      `Hello friend! Let's go on an adventure!`,
+    ],
+    detectionPattern: /\b(horses?|neigh|whinny|clip-clop)\b/i,
+  },
+  {
+    name: 'Lion',
+    emoji: '🦁',
+    color: 'from-yellow-500 to-orange-600',
+    sounds: 'roar growl',
+    persona: 'a majestic lion who rules the pride and wants everyone to know it',
+    vocalizations: ['roar', 'growl', 'grunt'],
+    voicePitch: 0.7,
+    speech: { rate: 0.8, pitch: 0.4 },
+    fallbackPhrases: [
+      `I'm the king! Hear my powerful voice!`,
+      `I'm calling to my pride!`,
+    ],
+    detectionPattern: /\b(lions?|roar(ing)?|tigers?)\b/i,
+  },
+]
+
+// Classifier labels are matched in this order, so the more specific patterns come first:
+// "Roaring cats (lions, tigers)" is a Lion, "Crowing, cock-a-doodle-doo" a Rooster
+const DETECTION_ORDER = ['Lion', 'Rooster', 'Duck', 'Dog', 'Cat', 'Cow', 'Pig', 'Sheep', 'Horse', 'Bird']
+
+// Stands in for an animal until species detection has heard the recording
+export const AUTO_DETECT_ANIMAL = {
+  name: 'Mystery Animal',
+  emoji: '🔍',
+  color: 'from-purple-400 to-pink-500',
+  isAutoDetect: true,
+}
+
+/**
+ * Turn a stored custom animal into a complete one, or null if it is unusable
+ * @param {Object} stored
+ * @param {number} index - Position in the custom list, used to pick a color
+ * @returns {Object|null}
+ */
+function normalizeCustomAnimal(stored, index) {
+  const name = typeof stored?.name === 'string' ? stored.name.trim().slice(0, MAX_NAME_LENGTH) : ''
+  if (!name) return null
+  const text = (value, fallback) => (typeof value === 'string' && value.trim()) || fallback
+  const phrases = Array.isArray(stored.fallbackPhrases)
+    ? stored.fallbackPhrases.filter(phrase => typeof phrase === 'string' && phrase.trim())
+    : []
+  return {
+    name,
+    emoji: text(stored.emoji, '🐾'),
+    color: CUSTOM_ANIMAL_COLORS.includes(stored.color)
+      ? stored.color
+      : CUSTOM_ANIMAL_COLORS[index % CUSTOM_ANIMAL_COLORS.length],
+    sounds: text(stored.sounds, 'animal sound'),
+    persona: text(stored.persona, `a ${name.toLowerCase()} with a lot to say`),
+    fallbackPhrases: phrases.length > 0 ? phrases : DEFAULT_FALLBACK_PHRASES,
+    vocalizations: DEFAULT_VOCALIZATIONS,
+    isCustom: true,
+  }
+}
+
+// Parsed custom animals; findAnimal runs for every translation and history
+// entry, so localStorage is only read again after saveCustomAnimals
+let customAnimalsCache = null
+
+/**
+ * @returns {Object[]} - The user's own animals, or none when nothing (valid) is stored
+ */
+export function loadCustomAnimals() {
+  if (typeof localStorage === 'undefined') return []
+  if (customAnimalsCache) return customAnimalsCache
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    customAnimalsCache = Array.isArray(stored) ? stored.map(normalizeCustomAnimal).filter(Boolean) : []
+  } catch (error) {
+    console.warn('Could not read custom animals:', error.message)
+    customAnimalsCache = []
+  }
+  return customAnimalsCache
+}
+
+/**
+ * @param {Object[]} customAnimals
+ */
+export function saveCustomAnimals(customAnimals) {
+  try {
+    const stored = customAnimals.map(({ name, emoji, color, sounds, persona, fallbackPhrases }) => ({
+      name, emoji, color, sounds, persona, fallbackPhrases,
+    }))
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored))
+  } catch (error) {
+    console.warn('Could not save custom animals:', error.message)
+  }
+  customAnimalsCache = null
+}
+
+/**
+ * Build a custom animal from the add-animal form
+ * @param {Object} fields
+ * @param {string} fields.name
+ * @param {string} [fields.emoji]
+ * @param {string} [fields.sounds] - What it typically sounds like, e.g. "maa maa"
+ * @param {string} [fields.persona] - Who it is, for the translation prompt
+ * @param {Object[]} customAnimals - The current custom list
+ * @returns {Object} - The new animal
+ */
+export function createCustomAnimal(fields, customAnimals) {
+  const name = (fields.name || '').trim()
+  if (!name) {
+    throw new Error('Give the animal a name.')
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Keep the name under ${MAX_NAME_LENGTH} characters.`)
+  }
+  const taken = [...BUILT_IN_ANIMALS, ...customAnimals, AUTO_DETECT_ANIMAL]
+    .some(animal => animal.name.toLowerCase() === name.toLowerCase())
+  if (taken) {
+    throw new Error(`There is already an animal called "${name}".`)
+  }
+  return normalizeCustomAnimal({ ...fields, name }, customAnimals.length)
+}
+
+/**
+ * @returns {Object[]} - Built-in animals followed by the user's own
+ */
+export function getAllAnimals() {
+  return [...BUILT_IN_ANIMALS, ...loadCustomAnimals()]
+}
+
+/**
+ * @param {string} name
+ * @returns {Object|undefined} - The animal with that name
+ */
+export function findAnimal(name) {
+  return getAllAnimals().find(animal => animal.name === name)
+}
+
+/**
+ * What reverse mode can make an animal say
+ * @param {string} [name]
+ * @returns {{vocalizations: string[], voicePitch: number}}
+ */
+export function getVoice(name) {
+  const animal = findAnimal(name)
+  return {
+    vocalizations: animal?.vocalizations || DEFAULT_VOCALIZATIONS,
+    voicePitch: animal?.voicePitch || 1,
+  }
+}
+
+/**
+ * Something the animal might say, for mock and placeholder translations
+ * @param {string} [name]
+ * @param {string} [language] - Output language code; the per-animal phrases are English
+ * @returns {string}
+ */
+export function pickFallbackPhrase(name, language = DEFAULT_LANGUAGE) {
+  const phrases = getLocalizedFallbackPhrases(language) ||
+    findAnimal(name)?.fallbackPhrases ||
+    DEFAULT_FALLBACK_PHRASES
+  return phrases[Math.floor(Math.random() * phrases.length)]
+}
+
+/**
+ * Classifier label patterns in matching order
+ * Custom animals go first: someone who added a Goat wants goat labels to win over Sheep
+ * @returns {{name: string, pattern: RegExp}[]}
+ */
+export function getDetectionPatterns() {
+  const custom = loadCustomAnimals().map(({ name }) => ({
+    name,
+    pattern: new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}s?\\b`, 'i'),
+  }))
+  const builtIn = DETECTION_ORDER.map(name => ({
+    name,
+    pattern: BUILT_IN_ANIMALS.find(animal => animal.name === name).detectionPattern,
+  }))
+  return [...custom, ...builtIn]
+}
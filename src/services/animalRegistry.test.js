@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const STORAGE_KEY = 'animal-translator:custom-animals'
+
+const GOAT = { name: 'Goat', emoji: '🐐', sounds: 'maa maa', persona: 'a stubborn goat', fallbackPhrases: ['Maa!'] }
+
+/**
+ * @param {Object<string, string>} [initial]
+ * @returns {Storage} - An in-memory localStorage
+ */
+function createStorage(initial = {}) {
+  const values = new Map(Object.entries(initial))
+  return {
+    getItem: vi.fn(key => (values.has(key) ? values.get(key) : null)),
+    setItem: vi.fn((key, value) => values.set(key, String(value))),
+    removeItem: vi.fn(key => values.delete(key)),
+  }
+}
+
+describe('animalRegistry', () => {
+  let registry
+  let storage
+
+  /**
+   * Load the registry against fresh storage, so no parsed list carries over between tests
+   * @param {Object[]|string} [stored] - Custom animals, or raw stored text
+   */
+  async function loadRegistry(stored) {
+    storage = createStorage(stored === undefined
+      ? {}
+      : { [STORAGE_KEY]: typeof stored === 'string' ? stored : JSON.stringify(stored) })
+    vi.stubGlobal('localStorage', storage)
+    vi.resetModules()
+    registry = await import('./animalRegistry')
+  }
+
+  beforeEach(async () => {
+    await loadRegistry()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.unstubAllGlobals()
+  })
+
+  describe('findAnimal', () => {
+    it('finds built-in animals by exact name', () => {
+      expect(registry.findAnimal('Dog')).toMatchObject({ name: 'Dog', emoji: '🐕' })
+      expect(registry.findAnimal('dog')).toBeUndefined()
+      expect(registry.findAnimal(undefined)).toBeUndefined()
+    })
+
+    it('finds custom animals after the built-in ones', async () => {
+      await loadRegistry([GOAT])
+      expect(registry.getAllAnimals().at(-1).name).toBe('Goat')
+      expect(registry.findAnimal('Goat')).toMatchObject({ ...GOAT, isCustom: true })
+    })
+
+    it('reads storage once until the custom animals are saved', async () => {
+      await loadRegistry([GOAT])
+      registry.findAnimal('Goat')
+      registry.findAnimal('Dog')
+      registry.getVoice('Goat')
+      expect(storage.getItem).toHaveBeenCalledTimes(1)
+
+      const llama = registry.createCustomAnimal({ name: 'Llama' }, registry.loadCustomAnimals())
+      registry.saveCustomAnimals([...registry.loadCustomAnimals(), llama])
+      expect(registry.findAnimal('Llama')).toMatchObject({ name: 'Llama', isCustom: true })
+      expect(storage.getItem).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('custom animals', () => {
+    it('fills in what a stored animal is missing and drops unusable entries', async () => {
+      await loadRegistry([{ name: '  Ferret  ', color: 'from-black to-white' }, { name: '' }, null, { emoji: '🦔' }])
+      const [ferret, ...rest] = registry.loadCustomAnimals()
+      expect(rest).toEqual([])
+      expect(ferret).toMatchObject({
+        name: 'Ferret',
+        emoji: '🐾',
+        color: registry.CUSTOM_ANIMAL_COLORS[0],
+        sounds: 'animal sound',
+        persona: 'a ferret with a lot to say',
+        isCustom: true,
+      })
+      expect(ferret.fallbackPhrases.length).toBeGreaterThan(0)
+    })
+
+    it.each([
+      ['corrupt JSON', '{not json'],
+      ['something other than a list', '{"name": "Goat"}'],
+    ])('falls back to none for %s', async (description, stored) => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      await loadRegistry(stored)
+      expect(registry.loadCustomAnimals()).toEqual([])
+      expect(registry.getAllAnimals()).toEqual(registry.BUILT_IN_ANIMALS)
+    })
+
+    it('refuses names that are empty, too long or taken', () => {
+      const custom = [registry.createCustomAnimal(GOAT, [])]
+      expect(() => registry.createCustomAnimal({ name: ' ' }, custom)).toThrow('Give the animal a name.')
+      expect(() => registry.createCustomAnimal({ name: 'A'.repeat(25) }, custom)).toThrow('under 24 characters')
+      expect(() => registry.createCustomAnimal({ name: 'cat' }, custom)).toThrow('already an animal called "cat"')
+      expect(() => registry.createCustomAnimal({ name: 'goat' }, custom)).toThrow('already an animal called "goat"')
+    })
+
+    it('lets custom animals win classifier labels over built-in ones', async () => {
+      await loadRegistry([GOAT])
+      const match = registry.getDetectionPatterns().find(({ pattern }) => pattern.test('Goats'))
+      expect(match.name).toBe('Goat')
+    })
+  })
+
+  describe('fallbacks', () => {
+    it('gives unknown animals a default voice and phrases', () => {
+      expect(registry.getVoice('Dragon')).toEqual({ vocalizations: ['call', 'chirp', 'growl'], voicePitch: 1 })
+      expect(registry.getVoice('Horse')).toEqual({ vocalizations: ['neigh', 'snort', 'whine'], voicePitch: 0.6 })
+      expect(typeof registry.pickFallbackPhrase('Dragon')).toBe('string')
+    })
+
+    it('picks from the animal\'s own phrases', async () => {
+      await loadRegistry([GOAT])
+      expect(registry.pickFallbackPhrase('Goat')).toBe('Maa!')
+    })
+
+    it('works without localStorage', async () => {
+      vi.stubGlobal('localStorage', undefined)
+      vi.resetModules()
+      registry = await import('./animalRegistry')
+      expect(registry.getAllAnimals()).toEqual(registry.BUILT_IN_ANIMALS)
+      expect(registry.findAnimal('Cat').name).toBe('Cat')
+    })
+  })
+})
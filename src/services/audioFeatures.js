@@ -0,0 +1,471 @@
+// Client-side acoustic analysis of a recorded clip
+// Speech ASR models mostly return nothing useful for barks and meows, so these
+// measurements give the LLM something real to work with.
+
+// Analysis runs at 16 kHz: enough for animal pitch (up to 4 kHz) and keeps it cheap
+const ANALYSIS_SAMPLE_RATE = 16000
+const FRAME_SIZE = 1024
+const HOP_SIZE = 256
+
+// Pitch search range in Hz (covers a lion's roar up to a bird's chirp)
+const MIN_PITCH_HZ = 70
+const MAX_PITCH_HZ = 4000
+// Normalized autocorrelation peak needed before a frame counts as pitched
+const PITCH_CLARITY_THRESHOLD = 0.6
+
+// Burst detection: frames this far above the noise floor are "vocalizing"
+const BURST_THRESHOLD_DB = 12
+const MIN_BURST_SECONDS = 0.05
+const MAX_BURST_GAP_SECONDS = 0.08
+const SILENCE_FLOOR_DB = -60
+
+// Keep the contour short enough to sit comfortably in a prompt
+const MAX_CONTOUR_POINTS = 24
+
+/**
+ * Decode a recorded Blob into an AudioBuffer at the given sample rate
+ * @param {Blob} audioBlob - The recorded audio blob
+ * @param {number} [sampleRate] - Target sample rate; decodeAudioData resamples to the context's rate
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeAudioBlob(audioBlob, sampleRate = ANALYSIS_SAMPLE_RATE) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext
+  if (!OfflineContext) {
+    throw new Error('OfflineAudioContext is not supported in this browser')
+  }
+  const arrayBuffer = await audioBlob.arrayBuffer()
+  const context = new OfflineContext(1, 1, sampleRate)
+  return context.decodeAudioData(arrayBuffer)
+}
+
+/**
+ * Mix all channels of an AudioBuffer down to one
+ * @param {AudioBuffer} audioBuffer
+ * @returns {Float32Array}
+ */
+export function toMono(audioBuffer) {
+  if (audioBuffer.numberOfChannels === 1) {
+    return audioBuffer.getChannelData(0)
+  }
+  const mono = new Float32Array(audioBuffer.length)
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel)
+    for (let i = 0; i < data.length; i++) {
+      mono[i] += data[i] / audioBuffer.numberOfChannels
+    }
+  }
+  return mono
+}
+
+function toDb(amplitude) {
+  return amplitude > 0 ? Math.max(SILENCE_FLOOR_DB * 2, 20 * Math.log10(amplitude)) : SILENCE_FLOOR_DB * 2
+}
+
+function round(value, digits = 0) {
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
+
+function median(values) {
+  if (values.length === 0) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * RMS level of every analysis frame
+ * @param {Float32Array} samples
+ * @returns {Float32Array} - RMS amplitude per frame
+ */
+export function computeFrameRms(samples, frameSize = FRAME_SIZE, hopSize = HOP_SIZE) {
+  const frameCount = Math.max(0, Math.floor((samples.length - frameSize) / hopSize) + 1)
+  const rms = new Float32Array(frameCount)
+  for (let frame = 0; frame < frameCount; frame++) {
+    const offset = frame * hopSize
+    let sum = 0
+    for (let i = 0; i < frameSize; i++) {
+      const sample = samples[offset + i]
+      sum += sample * sample
+    }
+    rms[frame] = Math.sqrt(sum / frameSize)
+  }
+  return rms
+}
+
+/**
+ * Find stretches of vocalization by thresholding frame energy against the noise floor
+ * @param {Float32Array} frameRms - RMS amplitude per frame
+ * @param {number} sampleRate
+ * @returns {Array<{start: number, end: number, peakDb: number}>} - Bursts in seconds
+ */
+export function detectBursts(frameRms, sampleRate, hopSize = HOP_SIZE) {
+  const frameDb = Array.from(frameRms, toDb)
+  // The quietest 10% of frames approximates background noise
+  const sortedDb = [...frameDb].sort((a, b) => a - b)
+  const noiseFloorDb = sortedDb[Math.floor(sortedDb.length * 0.1)] ?? SILENCE_FLOOR_DB
+  const thresholdDb = Math.max(noiseFloorDb + BURST_THRESHOLD_DB, SILENCE_FLOOR_DB)
+  const frameSeconds = hopSize / sampleRate
+
+  const bursts = []
+  let current = null
+  frameDb.forEach((db, frame) => {
+    const time = frame * frameSeconds
+    if (db >= thresholdDb) {
+      if (current && time - current.end <= MAX_BURST_GAP_SECONDS) {
+        current.end = time + frameSeconds
+        current.peakDb = Math.max(current.peakDb, db)
+      } else {
+        if (current) bursts.push(current)
+        current = { start: time, end: time + frameSeconds, peakDb: db }
+      }
+    }
+  })
+  if (current) bursts.push(current)
+
+  return bursts.filter(burst => burst.end - burst.start >= MIN_BURST_SECONDS)
+}
+
+/**
+ * Estimate the fundamental frequency of one frame with normalized autocorrelation
+ * @param {Float32Array} frame
+ * @param {number} sampleRate
+ * @returns {number|null} - Pitch in Hz, or null when the frame is unpitched
+ */
+export function estimatePitch(frame, sampleRate) {
+  const minLag = Math.max(2, Math.floor(sampleRate / MAX_PITCH_HZ))
+  const maxLag = Math.min(frame.length - 1, Math.ceil(sampleRate / MIN_PITCH_HZ))
+
+  let energy = 0
+  for (let i = 0; i < frame.length; i++) {
+    energy += frame[i] * frame[i]
+  }
+  if (energy === 0) return null
+
+  const correlations = new Float32Array(maxLag + 2)
+  let globalMax = 0
+  for (let lag = minLag; lag <= maxLag + 1; lag++) {
+    let correlation = 0
+    for (let i = 0; i < frame.length - lag; i++) {
+      correlation += frame[i] * frame[i + lag]
+    }
+    // Normalize by the overlap so long lags aren't penalized
+    correlations[lag] = correlation / energy * (frame.length / (frame.length - lag))
+    if (lag <= maxLag && correlations[lag] > globalMax) {
+      globalMax = correlations[lag]
+    }
+  }
+
+  if (globalMax < PITCH_CLARITY_THRESHOLD) {
+    return null
+  }
+
+  // Take the first peak close to the best one; later peaks at multiples
+  // of the period would report the pitch an octave (or more) too low
+  let bestLag = -1
+  for (let lag = minLag + 1; lag <= maxLag; lag++) {
+    const isPeak = correlations[lag] >= correlations[lag - 1] && correlations[lag] >= correlations[lag + 1]
+    if (isPeak && correlations[lag] >= globalMax * 0.9) {
+      bestLag = lag
+      break
+    }
+  }
+
+  if (bestLag < 0) {
+    return null
+  }
+  return sampleRate / bestLag
+}
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float32Array} real
+ * @param {Float32Array} imag
+ */
+function fft(real, imag) {
+  const n = real.length
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) {
+      j ^= bit
+    }
+    j ^= bit
+    if (i < j) {
+      const swapReal = real[i]
+      real[i] = real[j]
+      real[j] = swapReal
+      const swapImag = imag[i]
+      imag[i] = imag[j]
+      imag[j] = swapImag
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k)
+        const sin = Math.sin(angle * k)
+        const evenIndex = start + k
+        const oddIndex = evenIndex + size / 2
+        const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin
+        const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos
+        real[oddIndex] = real[evenIndex] - oddReal
+        imag[oddIndex] = imag[evenIndex] - oddImag
+        real[evenIndex] += oddReal
+        imag[evenIndex] += oddImag
+      }
+    }
+  }
+}
+
+/**
+ * Spectral centroid ("brightness") of one frame
+ * @param {Float32Array} frame - Power-of-two length
+ * @param {number} sampleRate
+ * @returns {number} - Centroid in Hz
+ */
+export function computeSpectralCentroid(frame, sampleRate) {
+  const real = new Float32Array(frame.length)
+  const imag = new Float32Array(frame.length)
+  // Hann window to limit spectral leakage
+  for (let i = 0; i < frame.length; i++) {
+    real[i] = frame[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frame.length - 1)))
+  }
+  fft(real, imag)
+
+  let weighted = 0
+  let total = 0
+  for (let bin = 1; bin < frame.length / 2; bin++) {
+    const magnitude = Math.hypot(real[bin], imag[bin])
+    weighted += magnitude * bin * sampleRate / frame.length
+    total += magnitude
+  }
+  return total > 0 ? weighted / total : 0
+}
+
+/**
+ * Describe the timing between bursts
+ * @param {Array<{start: number, end: number}>} bursts
+ * @returns {{pattern: string, burstsPerSecond: number, meanIntervalSeconds: number|null, intervalVariation: number|null}}
+ */
+export function describeRhythm(bursts, durationSeconds) {
+  const burstsPerSecond = durationSeconds > 0 ? bursts.length / durationSeconds : 0
+  if (bursts.length < 2) {
+    return {
+      pattern: bursts.length === 1 ? 'single' : 'none',
+      burstsPerSecond: round(burstsPerSecond, 2),
+      meanIntervalSeconds: null,
+      intervalVariation: null,
+    }
+  }
+
+  const intervals = bursts.slice(1).map((burst, i) => burst.start - bursts[i].start)
+  const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length
+  const variance = intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / intervals.length
+  // Coefficient of variation: low means evenly spaced (e.g. steady barking)
+  const variation = mean > 0 ? Math.sqrt(variance) / mean : 0
+
+  let pattern = 'irregular'
+  if (variation < 0.25) {
+    pattern = mean < 0.4 ? 'rapid regular' : 'regular'
+  } else if (variation < 0.5) {
+    pattern = 'somewhat regular'
+  }
+
+  return {
+    pattern,
+    burstsPerSecond: round(burstsPerSecond, 2),
+    meanIntervalSeconds: round(mean, 2),
+    intervalVariation: round(variation, 2),
+  }
+}
+
+function describeTrend(contour) {
+  if (contour.length < 3) return 'flat'
+  const third = Math.max(1, Math.floor(contour.length / 3))
+  const start = median(contour.slice(0, third).map(point => point.hz))
+  const end = median(contour.slice(-third).map(point => point.hz))
+  const ratio = end / start
+  if (ratio > 1.15) return 'rising'
+  if (ratio < 0.87) return 'falling'
+  return 'flat'
+}
+
+/**
+ * Measure every frame of a recording once: energy, bursts, and pitch and brightness while vocalizing
+ * Autocorrelation is the expensive part, so parts of the recording are summarized from these
+ * measurements instead of being analyzed again
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate
+ * @returns {{samples: Float32Array, sampleRate: number, frameRms: Float32Array, bursts: Array<{start: number, end: number, peakDb: number}>, burstFrames: Array<{frame: number, rms: number, centroid: number, hz: number|null}>}}
+ */
+export function measureFrames(samples, sampleRate) {
+  const frameRms = computeFrameRms(samples)
+  const bursts = detectBursts(frameRms, sampleRate)
+
+  // Pitch and brightness are only meaningful while the animal is vocalizing
+  const burstFrames = []
+  const frameSeconds = HOP_SIZE / sampleRate
+  for (const burst of bursts) {
+    const firstFrame = Math.floor(burst.start / frameSeconds)
+    const lastFrame = Math.min(frameRms.length - 1, Math.floor(burst.end / frameSeconds))
+    for (let frame = firstFrame; frame <= lastFrame; frame++) {
+      const offset = frame * HOP_SIZE
+      const window = samples.subarray(offset, offset + FRAME_SIZE)
+      if (window.length < FRAME_SIZE) continue
+      burstFrames.push({
+        frame,
+        rms: frameRms[frame],
+        centroid: computeSpectralCentroid(window, sampleRate),
+        hz: estimatePitch(window, sampleRate),
+      })
+    }
+  }
+  return { samples, sampleRate, frameRms, bursts, burstFrames }
+}
+
+/**
+ * Acoustic features of a recording, or of one part of it, from its frame measurements
+ * @param {Object} measurements - From measureFrames
+ * @param {{start: number, end: number}} [range] - Part to describe, in seconds; times in the result are relative to its start
+ * @returns {{
+ *   durationSeconds: number,
+ *   burstCount: number,
+ *   bursts: Array<{start: number, end: number, peakDb: number}>,
+ *   pitch: {voicedRatio: number, medianHz: number|null, minHz: number|null, maxHz: number|null, trend: string, contour: Array<{time: number, hz: number}>},
+ *   loudness: {rmsDb: number, peakDb: number},
+ *   spectralCentroidHz: number|null,
+ *   rhythm: {pattern: string, burstsPerSecond: number, meanIntervalSeconds: number|null, intervalVariation: number|null}
+ * }} - Acoustic features
+ */
+export function summarizeFrames({ samples, sampleRate, frameRms, bursts: allBursts, burstFrames }, range = null) {
+  const start = range ? range.start : 0
+  const end = range ? Math.min(range.end, samples.length / sampleRate) : samples.length / sampleRate
+  const durationSeconds = Math.max(0, end - start)
+  const frameSeconds = HOP_SIZE / sampleRate
+  const inRange = frame => frame * frameSeconds >= start && frame * frameSeconds < end
+
+  const bursts = allBursts
+    .filter(burst => burst.end > start && burst.start < end)
+    .map(burst => ({ start: Math.max(burst.start, start) - start, end: Math.min(burst.end, end) - start, peakDb: burst.peakDb }))
+
+  const rangeSamples = samples.subarray(Math.floor(start * sampleRate), Math.ceil(end * sampleRate))
+  let peak = 0
+  let sumSquares = 0
+  for (let i = 0; i < rangeSamples.length; i++) {
+    const magnitude = Math.abs(rangeSamples[i])
+    if (magnitude > peak) peak = magnitude
+    sumSquares += rangeSamples[i] * rangeSamples[i]
+  }
+  const overallRms = rangeSamples.length > 0 ? Math.sqrt(sumSquares / rangeSamples.length) : 0
+
+  const contour = []
+  let centroidWeighted = 0
+  let centroidWeight = 0
+  burstFrames.forEach(({ frame, rms, centroid, hz }) => {
+    if (!inRange(frame)) return
+    centroidWeighted += centroid * rms
+    centroidWeight += rms
+    if (hz) {
+      contour.push({ time: round(frame * frameSeconds - start, 2), hz: round(hz) })
+    }
+  })
+  const frameCount = frameRms.reduce((count, _, frame) => count + (inRange(frame) ? 1 : 0), 0)
+
+  // Downsample the contour evenly so long clips don't flood the prompt
+  const step = Math.max(1, Math.ceil(contour.length / MAX_CONTOUR_POINTS))
+  const pitchContour = contour.filter((_, i) => i % step === 0)
+  const pitchValues = contour.map(point => point.hz)
+
+  return {
+    durationSeconds: round(durationSeconds, 2),
+    burstCount: bursts.length,
+    bursts: bursts.map(burst => ({
+      start: round(burst.start, 2),
+      end: round(burst.end, 2),
+      peakDb: round(burst.peakDb, 1),
+    })),
+    pitch: {
+      voicedRatio: frameCount > 0 ? round(contour.length / frameCount, 2) : 0,
+      medianHz: pitchValues.length > 0 ? round(median(pitchValues)) : null,
+      minHz: pitchValues.length > 0 ? Math.min(...pitchValues) : null,
+      maxHz: pitchValues.length > 0 ? Math.max(...pitchValues) : null,
+      trend: describeTrend(contour),
+      contour: pitchContour,
+    },
+    loudness: {
+      rmsDb: round(toDb(overallRms), 1),
+      peakDb: round(toDb(peak), 1),
+    },
+    spectralCentroidHz: centroidWeight > 0 ? round(centroidWeighted / centroidWeight) : null,
+    rhythm: describeRhythm(bursts, durationSeconds),
+  }
+}
+
+/**
+ * Analyze decoded samples
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate
+ * @returns {Object} - Acoustic features (see summarizeFrames)
+ */
+export function analyzeSamples(samples, sampleRate) {
+  return summarizeFrames(measureFrames(samples, sampleRate))
+}
+
+/**
+ * Peak amplitude per bucket, for drawing a waveform
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} bucketCount - Number of bars to draw
+ * @returns {Float32Array} - Values from 0 to 1, normalized to the loudest bucket
+ */
+export function computeWaveformPeaks(samples, bucketCount) {
+  const peaks = new Float32Array(bucketCount)
+  const bucketSize = samples.length / bucketCount
+  let loudest = 0
+  for (let bucket = 0; bucket < bucketCount; bucket++) {
+    const start = Math.floor(bucket * bucketSize)
+    const end = Math.min(samples.length, Math.floor((bucket + 1) * bucketSize))
+    let peak = 0
+    for (let i = start; i < end; i++) {
+      const magnitude = Math.abs(samples[i])
+      if (magnitude > peak) peak = magnitude
+    }
+    peaks[bucket] = peak
+    if (peak > loudest) loudest = peak
+  }
+  if (loudest > 0) {
+    for (let bucket = 0; bucket < bucketCount; bucket++) {
+      peaks[bucket] /= loudest
+    }
+  }
+  return peaks
+}
+
+/**
+ * Shape features for an LLM prompt: drop per-burst detail and keep units in the keys
+ * @param {Object} features - Result of summarizeFrames
+ * @returns {string} - Pretty-printed JSON
+ */
+export function formatFeaturesForPrompt(features) {
+  return JSON.stringify({
+    duration_seconds: features.durationSeconds,
+    vocalization_bursts: features.burstCount,
+    burst_durations_seconds: features.bursts.map(burst => round(burst.end - burst.start, 2)),
+    pitch: {
+      median_hz: features.pitch.medianHz,
+      range_hz: features.pitch.minHz !== null ? [features.pitch.minHz, features.pitch.maxHz] : null,
+      trend: features.pitch.trend,
+      contour_hz: features.pitch.contour.map(point => point.hz),
+    },
+    loudness_dbfs: {
+      average: features.loudness.rmsDb,
+      peak: features.loudness.peakDb,
+    },
+    spectral_centroid_hz: features.spectralCentroidHz,
+    rhythm: {
+      pattern: features.rhythm.pattern,
+      bursts_per_second: features.rhythm.burstsPerSecond,
+      mean_interval_seconds: features.rhythm.meanIntervalSeconds,
+    },
+  }, null, 2)
+}
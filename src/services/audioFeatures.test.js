@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest'
+import {
+  analyzeSamples,
+  computeFrameRms,
+  computeWaveformPeaks,
+  describeRhythm,
+  detectBursts,
+  estimatePitch,
+  measureFrames,
+  summarizeFrames,
+} from './audioFeatures'
+
+const RATE = 16000
+
+/**
+ * Quiet noise with sine tones at the given times
+ * @param {number} seconds
+ * @param {Array<[number, number]>} tones - [start, duration] in seconds
+ * @param {number} [hz]
+ * @returns {Float32Array}
+ */
+function makeSignal(seconds, tones, hz = 440) {
+  const samples = new Float32Array(Math.round(seconds * RATE))
+  let seed = 1
+  for (let i = 0; i < samples.length; i++) {
+    // Deterministic noise so the noise floor is the same every run
+    seed = (seed * 16807) % 2147483647
+    samples[i] = (seed / 2147483647 - 0.5) * 0.002
+  }
+  tones.forEach(([start, duration]) => {
+    for (let i = Math.floor(start * RATE); i < Math.min(samples.length, (start + duration) * RATE); i++) {
+      samples[i] += 0.5 * Math.sin(2 * Math.PI * hz * i / RATE)
+    }
+  })
+  return samples
+}
+
+describe('estimatePitch', () => {
+  it.each([150, 440, 1000])('finds the frequency of a %i Hz sine', (hz) => {
+    const frame = makeSignal(1024 / RATE, [[0, 1]], hz)
+    expect(estimatePitch(frame, RATE)).toBeGreaterThan(hz * 0.97)
+    expect(estimatePitch(frame, RATE)).toBeLessThan(hz * 1.03)
+  })
+
+  it('returns null for silence and for noise', () => {
+    expect(estimatePitch(new Float32Array(1024), RATE)).toBeNull()
+    expect(estimatePitch(makeSignal(1024 / RATE, []), RATE)).toBeNull()
+  })
+})
+
+describe('detectBursts', () => {
+  // Frames are 64 ms long, so a burst starts up to one frame before its tone
+  const FRAME_SECONDS = 1024 / RATE
+
+  it('finds each tone with its start and end', () => {
+    const samples = makeSignal(3, [[0.5, 0.3], [1.5, 0.5]])
+    const bursts = detectBursts(computeFrameRms(samples), RATE)
+    expect(bursts).toHaveLength(2)
+    ;[[0.5, 0.8], [1.5, 2]].forEach(([start, end], i) => {
+      expect(bursts[i].start).toBeGreaterThanOrEqual(start - FRAME_SECONDS)
+      expect(bursts[i].start).toBeLessThanOrEqual(start)
+      expect(bursts[i].end).toBeGreaterThanOrEqual(end - 0.02)
+      expect(bursts[i].end).toBeLessThanOrEqual(end + 0.02)
+    })
+  })
+
+  it('merges tones separated by a very short gap', () => {
+    const samples = makeSignal(2, [[0.5, 0.2], [0.73, 0.2]])
+    expect(detectBursts(computeFrameRms(samples), RATE)).toHaveLength(1)
+  })
+
+  it('finds nothing in background noise', () => {
+    expect(detectBursts(computeFrameRms(makeSignal(2, [])), RATE)).toHaveLength(0)
+  })
+})
+
+describe('describeRhythm', () => {
+  const evenly = (count, interval) => Array.from({ length: count }, (_, i) => ({ start: i * interval, end: i * interval + 0.1 }))
+
+  it('labels evenly spaced fast bursts as rapid regular', () => {
+    expect(describeRhythm(evenly(5, 0.3), 2)).toMatchObject({ pattern: 'rapid regular', meanIntervalSeconds: 0.3, intervalVariation: 0 })
+  })
+
+  it('labels evenly spaced slow bursts as regular', () => {
+    expect(describeRhythm(evenly(4, 1), 4).pattern).toBe('regular')
+  })
+
+  it('labels uneven spacing as irregular', () => {
+    const bursts = [0, 0.2, 1.8, 2].map(start => ({ start, end: start + 0.1 }))
+    expect(describeRhythm(bursts, 3).pattern).toBe('irregular')
+  })
+
+  it('handles one burst or none', () => {
+    expect(describeRhythm([{ start: 0, end: 0.2 }], 2)).toMatchObject({ pattern: 'single', burstsPerSecond: 0.5, meanIntervalSeconds: null })
+    expect(describeRhythm([], 2).pattern).toBe('none')
+  })
+})
+
+describe('analyzeSamples', () => {
+  it('summarizes a series of barks', () => {
+    const features = analyzeSamples(makeSignal(3, [[0.25, 0.2], [1.25, 0.2], [2.25, 0.2]], 500), RATE)
+    expect(features.durationSeconds).toBe(3)
+    expect(features.burstCount).toBe(3)
+    expect(features.pitch.medianHz).toBeGreaterThan(485)
+    expect(features.pitch.medianHz).toBeLessThan(515)
+    expect(features.pitch.trend).toBe('flat')
+    expect(features.rhythm.pattern).toBe('regular')
+    expect(features.loudness.peakDb).toBeCloseTo(-6, 0)
+  })
+
+  it('reports no pitch for a silent clip', () => {
+    const features = analyzeSamples(new Float32Array(RATE), RATE)
+    expect(features.burstCount).toBe(0)
+    expect(features.pitch.medianHz).toBeNull()
+    expect(features.spectralCentroidHz).toBeNull()
+  })
+})
+
+describe('summarizeFrames', () => {
+  it('describes a part of the recording like an analysis of just that part', () => {
+    const samples = makeSignal(6, [[0.5, 0.3], [1, 0.3], [4, 0.5]], 500)
+    const event = { start: 3.5, end: 5 }
+    const summarized = summarizeFrames(measureFrames(samples, RATE), event)
+    const reanalyzed = analyzeSamples(samples.subarray(event.start * RATE, event.end * RATE), RATE)
+
+    expect(summarized.durationSeconds).toBe(1.5)
+    expect(summarized.burstCount).toBe(1)
+    expect(summarized.bursts[0].start).toBeCloseTo(reanalyzed.bursts[0].start, 1)
+    expect(summarized.bursts[0].end).toBeCloseTo(reanalyzed.bursts[0].end, 1)
+    expect(summarized.pitch.medianHz).toBe(reanalyzed.pitch.medianHz)
+    expect(summarized.pitch.contour[0].time).toBeGreaterThanOrEqual(0.4)
+    expect(summarized.loudness).toEqual(reanalyzed.loudness)
+    expect(summarized.rhythm.pattern).toBe('single')
+  })
+
+  it('matches analyzeSamples for the whole recording', () => {
+    const samples = makeSignal(2, [[0.5, 0.3], [1.2, 0.3]], 300)
+    expect(summarizeFrames(measureFrames(samples, RATE))).toEqual(analyzeSamples(samples, RATE))
+  })
+})
+
+describe('computeWaveformPeaks', () => {
+  it('normalizes buckets to the loudest one', () => {
+    const peaks = computeWaveformPeaks(makeSignal(1, [[0.5, 0.5]]), 10)
+    expect(peaks).toHaveLength(10)
+    expect(Math.max(...peaks)).toBe(1)
+    expect(peaks[0]).toBeLessThan(0.05)
+  })
+})
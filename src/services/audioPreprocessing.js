@@ -0,0 +1,110 @@
+// Normalize recordings before ASR so every provider receives the same input:
+// 16 kHz mono 16-bit WAV, silence trimmed, peak level normalized.
+// MediaRecorder produces webm/opus on Chrome and mp4 on Safari, and models
+// disagree on which containers they accept; WAV works everywhere.
+import { computeFrameRms } from './audioFeatures'
+import { encodeWav } from './wavEncoder'
+
+export const TARGET_SAMPLE_RATE = 16000
+
+// Silence trimming: frames this far below the loudest frame count as silence
+const SILENCE_BELOW_PEAK_DB = 40
+const ABSOLUTE_SILENCE_DB = -55
+const TRIM_FRAME_SIZE = 512
+const TRIM_HOP_SIZE = 256
+// Keep a little room around the sound so onsets and decays aren't clipped
+const TRIM_PADDING_SECONDS = 0.1
+
+// Peak normalization target (about -1 dBFS) and a cap so near-silent clips don't become loud hiss
+const TARGET_PEAK = 0.9
+const MAX_GAIN_DB = 30
+
+const AUDIO_EXTENSIONS = {
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/flac': 'flac',
+}
+
+/**
+ * Pick a file name whose extension matches the blob's real type,
+ * since most servers sniff the format from the upload name
+ * @param {Blob} audioBlob
+ * @returns {string}
+ */
+export function getAudioFileName(audioBlob) {
+  const baseType = (audioBlob.type || '').split(';')[0]
+  return `audio.${AUDIO_EXTENSIONS[baseType] || 'webm'}`
+}
+
+/**
+ * Find the sample range that contains sound
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {{start: number, end: number}} - Sample indices; the full range when nothing stands out
+ */
+export function findSoundBounds(samples, sampleRate) {
+  const frameRms = computeFrameRms(samples, TRIM_FRAME_SIZE, TRIM_HOP_SIZE)
+  let loudest = 0
+  frameRms.forEach((rms) => {
+    if (rms > loudest) loudest = rms
+  })
+  if (loudest === 0) {
+    return { start: 0, end: samples.length }
+  }
+
+  const loudestDb = 20 * Math.log10(loudest)
+  const thresholdDb = Math.max(loudestDb - SILENCE_BELOW_PEAK_DB, ABSOLUTE_SILENCE_DB)
+  const threshold = 10 ** (thresholdDb / 20)
+
+  const firstFrame = frameRms.findIndex(rms => rms >= threshold)
+  if (firstFrame < 0) {
+    return { start: 0, end: samples.length }
+  }
+  let lastFrame = frameRms.length - 1
+  while (lastFrame > firstFrame && frameRms[lastFrame] < threshold) {
+    lastFrame--
+  }
+
+  const padding = Math.round(TRIM_PADDING_SECONDS * sampleRate)
+  return {
+    start: Math.max(0, firstFrame * TRIM_HOP_SIZE - padding),
+    end: Math.min(samples.length, lastFrame * TRIM_HOP_SIZE + TRIM_FRAME_SIZE + padding),
+  }
+}
+
+/**
+ * Trim and normalize decoded samples, then encode them as WAV
+ * @param {Float32Array} samples - Mono samples at TARGET_SAMPLE_RATE (left untouched)
+ * @param {number} sampleRate
+ * @returns {{blob: Blob, sampleRate: number, durationSeconds: number, trimmedStartSeconds: number, trimmedEndSeconds: number, gainDb: number}}
+ */
+export function preprocessSamples(samples, sampleRate) {
+  const { start, end } = findSoundBounds(samples, sampleRate)
+  const trimmed = samples.slice(start, end)
+
+  let peak = 0
+  for (let i = 0; i < trimmed.length; i++) {
+    const magnitude = Math.abs(trimmed[i])
+    if (magnitude > peak) peak = magnitude
+  }
+  const gain = peak > 0 ? Math.min(TARGET_PEAK / peak, 10 ** (MAX_GAIN_DB / 20)) : 1
+  for (let i = 0; i < trimmed.length; i++) {
+    trimmed[i] *= gain
+  }
+
+  const round = value => Math.round(value * 100) / 100
+  return {
+    blob: encodeWav(trimmed, sampleRate),
+    sampleRate,
+    durationSeconds: round(trimmed.length / sampleRate),
+    trimmedStartSeconds: round(start / sampleRate),
+    trimmedEndSeconds: round((samples.length - end) / sampleRate),
+    gainDb: round(20 * Math.log10(gain)),
+  }
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import { findSoundBounds, getAudioFileName, preprocessSamples } from './audioPreprocessing'
+
+const RATE = 16000
+
+/**
+ * Silence with a sine tone at the given time
+ * @param {number} seconds
+ * @param {number} start - Tone start in seconds
+ * @param {number} duration - Tone length in seconds
+ * @param {number} [amplitude]
+ * @returns {Float32Array}
+ */
+function makeSignal(seconds, start, duration, amplitude = 0.1) {
+  const samples = new Float32Array(Math.round(seconds * RATE))
+  for (let i = Math.floor(start * RATE); i < (start + duration) * RATE; i++) {
+    samples[i] = amplitude * Math.sin(2 * Math.PI * 440 * i / RATE)
+  }
+  return samples
+}
+
+describe('getAudioFileName', () => {
+  it('picks the extension from the blob type', () => {
+    expect(getAudioFileName(new Blob([], { type: 'audio/mp4' }))).toBe('audio.m4a')
+    expect(getAudioFileName(new Blob([], { type: 'audio/webm;codecs=opus' }))).toBe('audio.webm')
+    expect(getAudioFileName(new Blob([]))).toBe('audio.webm')
+  })
+})
+
+describe('findSoundBounds', () => {
+  it('finds the sound with a little padding', () => {
+    const { start, end } = findSoundBounds(makeSignal(3, 1, 0.5), RATE)
+    expect(start / RATE).toBeGreaterThanOrEqual(0.85)
+    expect(start / RATE).toBeLessThan(1)
+    expect(end / RATE).toBeGreaterThan(1.5)
+    expect(end / RATE).toBeLessThanOrEqual(1.65)
+  })
+
+  it('keeps the whole clip when it is silent', () => {
+    expect(findSoundBounds(new Float32Array(RATE), RATE)).toEqual({ start: 0, end: RATE })
+  })
+
+  it('keeps the whole clip when nothing rises above the silence level', () => {
+    expect(findSoundBounds(makeSignal(1, 0, 1, 0.0001), RATE)).toEqual({ start: 0, end: RATE })
+  })
+})
+
+describe('preprocessSamples', () => {
+  it('trims silence and normalizes the peak', () => {
+    const samples = makeSignal(3, 1, 0.5)
+    const result = preprocessSamples(samples, RATE)
+    expect(result.sampleRate).toBe(RATE)
+    expect(result.trimmedStartSeconds).toBeGreaterThan(0.8)
+    expect(result.trimmedEndSeconds).toBeGreaterThan(1.3)
+    expect(result.durationSeconds).toBeCloseTo(3 - result.trimmedStartSeconds - result.trimmedEndSeconds, 1)
+    // 0.1 up to 0.9 is +19 dB
+    expect(result.gainDb).toBeCloseTo(19.08, 1)
+    expect(result.blob.type).toBe('audio/wav')
+    expect((result.blob.size - 44) / 2 / RATE).toBeCloseTo(result.durationSeconds, 2)
+  })
+
+  it('leaves the input untouched', () => {
+    const samples = makeSignal(1, 0.2, 0.5)
+    const before = Float32Array.from(samples)
+    preprocessSamples(samples, RATE)
+    expect(samples).toEqual(before)
+  })
+
+  it('caps the gain for quiet clips', () => {
+    expect(preprocessSamples(makeSignal(1, 0.2, 0.5, 0.001), RATE).gainDb).toBe(30)
+  })
+
+  it('passes silent input through without gain', () => {
+    const result = preprocessSamples(new Float32Array(RATE), RATE)
+    expect(result).toMatchObject({ durationSeconds: 1, trimmedStartSeconds: 0, trimmedEndSeconds: 0, gainDb: 0 })
+  })
+})
@@ -0,0 +1,172 @@
+// Explainable confidence score for a translation
+// Every signal becomes a factor in [0, 1] with a weight and a human-readable
+// detail, so the UI can show exactly why a result got its number.
+
+const FACTOR_WEIGHTS = {
+  transcription: 0.3,
+  tokenProbability: 0.3,
+  sampleAgreement: 0.4,
+}
+
+// Fallbacks don't describe the recording at all, so they scale the whole score down
+const MOCK_TRANSLATION_MULTIPLIER = 0.3
+const FALLBACK_MULTIPLIER = 0.2
+
+// Word overlap between two creative rewrites rarely exceeds this, so treat it as full agreement
+const FULL_AGREEMENT_SIMILARITY = 0.5
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value))
+}
+
+function toWordSet(text) {
+  return new Set(
+    (text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2)
+  )
+}
+
+/**
+ * Jaccard similarity of the content words in two texts
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - 0 (nothing shared) to 1 (same words)
+ */
+export function textSimilarity(a, b) {
+  const wordsA = toWordSet(a)
+  const wordsB = toWordSet(b)
+  if (wordsA.size === 0 && wordsB.size === 0) return 1
+  let shared = 0
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++
+  })
+  return shared / (wordsA.size + wordsB.size - shared)
+}
+
+/**
+ * Average pairwise similarity of several sampled translations
+ * @param {string[]} samples
+ * @returns {number|null} - null when there are fewer than two samples
+ */
+export function computeSampleAgreement(samples) {
+  if (!samples || samples.length < 2) return null
+  let total = 0
+  let pairs = 0
+  for (let i = 0; i < samples.length; i++) {
+    for (let j = i + 1; j < samples.length; j++) {
+      total += textSimilarity(samples[i], samples[j])
+      pairs++
+    }
+  }
+  return total / pairs
+}
+
+/**
+ * Geometric-mean token probability from a list of token logprobs
+ * @param {number[]|null} logprobs
+ * @returns {number|null}
+ */
+export function averageTokenProbability(logprobs) {
+  if (!logprobs || logprobs.length === 0) return null
+  const meanLogprob = logprobs.reduce((sum, logprob) => sum + logprob, 0) / logprobs.length
+  return Math.exp(meanLogprob)
+}
+
+function percent(value) {
+  return `${Math.round(value * 100)}%`
+}
+
+/**
+ * Combine the available signals into a confidence score with its breakdown
+ * @param {Object} signals
+ * @param {Object} [signals.transcription] - {text, score, isMock}; omit when no transcription step ran
+ * @param {number[]|null} [signals.logprobs] - Token logprobs of the chosen translation
+ * @param {string[]} [signals.samples] - All sampled translations, chosen one first
+ * @param {boolean} [signals.isMockTranslation] - Translation came from the built-in phrase list
+ * @param {boolean} [signals.isFallback] - The whole pipeline failed and a placeholder was shown
+ * @returns {{score: number, factors: Array<{id: string, label: string, value: number, weight: number, detail: string}>, adjustments: Array<{id: string, label: string, multiplier: number, detail: string}>}}
+ */
+export function computeConfidence({
+  transcription,
+  logprobs = null,
+  samples = [],
+  isMockTranslation = false,
+  isFallback = false,
+} = {}) {
+  const factors = []
+  const adjustments = []
+
+  if (transcription) {
+    let value
+    let detail
+    if (transcription.isMock) {
+      value = 0.2
+      detail = 'Speech recognition was unavailable, so a mock transcription was used'
+    } else if (!transcription.text || !transcription.text.trim()) {
+      value = 0.3
+      detail = 'Speech recognition heard nothing it could transcribe'
+    } else if (typeof transcription.score === 'number') {
+      value = clamp(transcription.score)
+      detail = `Speech recognition reported ${percent(value)} certainty`
+    } else {
+      value = 0.6
+      detail = 'Speech recognition returned text but no certainty score'
+    }
+    factors.push({ id: 'transcription', label: 'Transcription', value, weight: FACTOR_WEIGHTS.transcription, detail })
+  }
+
+  const tokenProbability = averageTokenProbability(logprobs)
+  if (tokenProbability !== null) {
+    factors.push({
+      id: 'tokenProbability',
+      label: 'Model certainty',
+      value: clamp(tokenProbability),
+      weight: FACTOR_WEIGHTS.tokenProbability,
+      detail: `Average token probability of ${percent(tokenProbability)} over ${logprobs.length} tokens`,
+    })
+  }
+
+  const agreement = computeSampleAgreement(samples)
+  if (agreement !== null) {
+    factors.push({
+      id: 'sampleAgreement',
+      label: 'Consistency',
+      value: clamp(agreement / FULL_AGREEMENT_SIMILARITY),
+      weight: FACTOR_WEIGHTS.sampleAgreement,
+      detail: `${samples.length} sampled translations share ${percent(agreement)} of their words`,
+    })
+  }
+
+  if (isMockTranslation) {
+    adjustments.push({
+      id: 'mockTranslation',
+      label: 'Mock translation',
+      multiplier: MOCK_TRANSLATION_MULTIPLIER,
+      detail: 'Translation models were unavailable, so a built-in phrase was used',
+    })
+  }
+  if (isFallback) {
+    adjustments.push({
+      id: 'fallback',
+      label: 'Fallback',
+      multiplier: FALLBACK_MULTIPLIER,
+      detail: 'The translation pipeline failed and a placeholder was shown',
+    })
+  }
+
+  const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0)
+  // With no measurable signal at all, stay neutral rather than pretend to know
+  const baseScore = totalWeight > 0
+    ? factors.reduce((sum, factor) => sum + factor.value * factor.weight, 0) / totalWeight
+    : 0.5
+  const score = adjustments.reduce((current, adjustment) => current * adjustment.multiplier, baseScore)
+
+  return {
+    score: Math.round(score * 100) / 100,
+    factors,
+    adjustments,
+  }
+}
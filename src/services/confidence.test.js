@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest'
+import {
+  averageTokenProbability,
+  computeConfidence,
+  computeSampleAgreement,
+  textSimilarity,
+} from './confidence'
+
+describe('textSimilarity', () => {
+  it('compares content words, ignoring case, punctuation and short words', () => {
+    expect(textSimilarity('Feed me NOW!', 'feed me now')).toBe(1)
+    expect(textSimilarity('I want food', 'I want a walk')).toBeCloseTo(1 / 3)
+    expect(textSimilarity('food please', 'walk outside')).toBe(0)
+  })
+
+  it('treats two texts without content words as the same', () => {
+    expect(textSimilarity('', 'a b')).toBe(1)
+  })
+})
+
+describe('computeSampleAgreement', () => {
+  it('needs at least two samples', () => {
+    expect(computeSampleAgreement([])).toBeNull()
+    expect(computeSampleAgreement(['food please'])).toBeNull()
+  })
+
+  it('averages every pair', () => {
+    expect(computeSampleAgreement(['food please', 'food please', 'walk outside'])).toBeCloseTo(1 / 3)
+  })
+})
+
+describe('averageTokenProbability', () => {
+  it('is the geometric mean of the token probabilities', () => {
+    expect(averageTokenProbability([Math.log(0.5), Math.log(0.5)])).toBeCloseTo(0.5)
+    expect(averageTokenProbability([0, Math.log(0.25)])).toBeCloseTo(0.5)
+  })
+
+  it('returns null without logprobs', () => {
+    expect(averageTokenProbability(null)).toBeNull()
+    expect(averageTokenProbability([])).toBeNull()
+  })
+})
+
+describe('computeConfidence', () => {
+  it('stays neutral with no signals', () => {
+    expect(computeConfidence()).toEqual({ score: 0.5, factors: [], adjustments: [] })
+  })
+
+  it('weights the available factors', () => {
+    const result = computeConfidence({
+      transcription: { text: 'woof', score: 1 },
+      logprobs: [Math.log(0.5)],
+    })
+    expect(result.factors.map(factor => factor.id)).toEqual(['transcription', 'tokenProbability'])
+    // Equal weights: (1 + 0.5) / 2
+    expect(result.score).toBe(0.75)
+  })
+
+  it('counts half the words shared as full agreement', () => {
+    const result = computeConfidence({ samples: ['I want food now', 'I want food later'] })
+    expect(result.factors[0]).toMatchObject({ id: 'sampleAgreement', value: 1 })
+    expect(result.score).toBe(1)
+  })
+
+  it('rates mock and empty transcriptions low', () => {
+    expect(computeConfidence({ transcription: { text: 'woof', isMock: true } }).score).toBe(0.2)
+    expect(computeConfidence({ transcription: { text: '  ' } }).score).toBe(0.3)
+    expect(computeConfidence({ transcription: { text: 'woof' } }).score).toBe(0.6)
+  })
+
+  it('scales the score down for mock translations and fallbacks', () => {
+    const result = computeConfidence({ transcription: { text: 'woof', score: 1 }, isMockTranslation: true, isFallback: true })
+    expect(result.adjustments.map(adjustment => adjustment.id)).toEqual(['mockTranslation', 'fallback'])
+    expect(result.score).toBe(0.06)
+  })
+})
@@ -0,0 +1,121 @@
+// Conversation mode: consecutive recordings of the same animal or pet form a
+// session, and earlier turns go back to the model as chat history so a
+// translation can refer to what the animal already said. Only as many
+// recent turns as fit the token budget are sent.
+
+// Defaults for settings.conversation
+export const DEFAULT_CONVERSATION = {
+  enabled: false,
+  contextTokens: 800,
+}
+
+export const CONVERSATION_LIMITS = {
+  contextTokens: { min: 100, max: 4000, step: 100 },
+}
+
+// Role and formatting tokens each chat message costs on top of its content
+const MESSAGE_OVERHEAD_TOKENS = 4
+
+/**
+ * Rough token count without a tokenizer
+ * About four characters per token for Latin script; other scripts are counted a token per character
+ * so Japanese or Bengali sessions stay under the budget too
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0
+  let ascii = 0
+  let other = 0
+  for (const char of text) {
+    if (char.charCodeAt(0) < 128) {
+      ascii += 1
+    } else {
+      other += 1
+    }
+  }
+  return Math.ceil(ascii / 4) + other
+}
+
+/**
+ * A translation as a session turn
+ * @param {string} id - The history entry id, so a re-translation can replace its turn
+ * @param {string} animalName - The animal that was translated
+ * @param {Object} result - processAnimalSound result (or App's fallback result)
+ * @returns {Object}
+ */
+export function createTurn(id, animalName, result) {
+  return {
+    id,
+    createdAt: Date.now(),
+    animalName,
+    transcribedText: result.isMockTranscription ? null : result.transcribedText || null,
+    text: result.text,
+    structured: result.structured || null,
+    isMockTranslation: result.isMockTranslation || false,
+    isFallback: result.isFallback || false,
+  }
+}
+
+/**
+ * Mock and fallback translations were never said by the model, so they are shown but not sent back
+ * @param {Object} turn
+ * @returns {boolean}
+ */
+function isRememberable(turn) {
+  return !turn.isMockTranslation && !turn.isFallback
+}
+
+/**
+ * The user and assistant messages that replay a turn
+ * The reply is repeated in the JSON shape the system prompt asks for, so the model keeps answering in it
+ * @param {Object} turn
+ * @returns {{role: string, content: string}[]}
+ */
+function toTurnMessages(turn) {
+  const sound = turn.transcribedText ? `: "${turn.transcribedText}"` : ' (no transcription)'
+  const reply = turn.structured
+    ? JSON.stringify({
+      mood: turn.structured.mood,
+      intent: turn.structured.intent,
+      urgency: turn.structured.urgency,
+      translation: turn.text,
+      rationale: turn.structured.rationale,
+    })
+    : turn.text
+  return [
+    { role: 'user', content: `Earlier ${turn.animalName} sound${sound}` },
+    { role: 'assistant', content: reply },
+  ]
+}
+
+/**
+ * The most recent turns whose messages fit the budget, oldest first
+ * @param {Object[]} turns - The session, oldest first
+ * @param {number} budget - Tokens the history may use
+ * @returns {Object[]}
+ */
+export function selectContextTurns(turns, budget) {
+  const selected = []
+  let used = 0
+  for (let i = turns.length - 1; i >= 0; i--) {
+    if (!isRememberable(turns[i])) continue
+    const cost = toTurnMessages(turns[i])
+      .reduce((sum, message) => sum + estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS, 0)
+    // Stop at the first turn that doesn't fit, so the history never skips a turn in the middle
+    if (used + cost > budget) break
+    used += cost
+    selected.unshift(turns[i])
+  }
+  return selected
+}
+
+/**
+ * Chat history for the next translation
+ * @param {Object[]} turns - The session, oldest first
+ * @param {number} budget - Tokens the history may use
+ * @returns {{role: string, content: string}[]} - Alternating user and assistant messages
+ */
+export function buildContextMessages(turns, budget) {
+  return selectContextTurns(turns, budget).flatMap(toTurnMessages)
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import { buildContextMessages, createTurn, estimateTokens, selectContextTurns } from './conversation'
+
+/**
+ * @param {string} id
+ * @param {Object} [result] - Overrides for the translation result
+ * @returns {Object}
+ */
+function makeTurn(id, result = {}) {
+  return { ...createTurn(id, 'Dog', { transcribedText: 'woof', text: `Turn ${id}`, ...result }), createdAt: 0 }
+}
+
+/**
+ * Tokens one turn costs as history
+ * @param {Object} turn
+ * @returns {number}
+ */
+const costOf = turn => buildContextMessages([turn], Infinity)
+  .reduce((sum, message) => sum + estimateTokens(message.content) + 4, 0)
+
+describe('estimateTokens', () => {
+  it('counts four Latin characters per token and other characters one each', () => {
+    expect(estimateTokens('')).toBe(0)
+    expect(estimateTokens('woof')).toBe(1)
+    expect(estimateTokens('woof!')).toBe(2)
+    expect(estimateTokens('ワンワン')).toBe(4)
+    expect(estimateTokens('hi ワン')).toBe(3)
+  })
+})
+
+describe('createTurn', () => {
+  it('drops stand-in transcriptions', () => {
+    expect(createTurn('1', 'Dog', { transcribedText: 'woof', text: 'Hi', isMockTranscription: true }).transcribedText).toBeNull()
+  })
+})
+
+describe('selectContextTurns', () => {
+  const turns = ['1', '2', '3', '4'].map(id => makeTurn(id))
+  const cost = costOf(turns[0])
+
+  it('keeps everything that fits, oldest first', () => {
+    expect(selectContextTurns(turns, cost * 4).map(turn => turn.id)).toEqual(['1', '2', '3', '4'])
+  })
+
+  it('keeps the most recent turns when the budget runs out', () => {
+    expect(selectContextTurns(turns, cost * 2).map(turn => turn.id)).toEqual(['3', '4'])
+    expect(selectContextTurns(turns, cost * 3 - 1).map(turn => turn.id)).toEqual(['3', '4'])
+    expect(selectContextTurns(turns, cost - 1)).toEqual([])
+  })
+
+  it('never skips a turn in the middle to fit an older one', () => {
+    const long = makeTurn('2', { text: 'x'.repeat(400) })
+    const withLong = [turns[0], long, turns[2], turns[3]]
+    // Room for turn 1 but not for the long turn 2 before it
+    expect(selectContextTurns(withLong, cost * 3).map(turn => turn.id)).toEqual(['3', '4'])
+  })
+
+  it('leaves out mock and fallback translations without spending budget on them', () => {
+    const mixed = [turns[0], makeTurn('mock', { isMockTranslation: true }), makeTurn('fallback', { isFallback: true }), turns[3]]
+    expect(selectContextTurns(mixed, cost * 2).map(turn => turn.id)).toEqual(['1', '4'])
+  })
+})
+
+describe('buildContextMessages', () => {
+  it('replays each turn as a user and an assistant message', () => {
+    const structured = { mood: 'playful', intent: 'play', urgency: 'low', rationale: 'Bouncy.' }
+    const messages = buildContextMessages([
+      makeTurn('1', { structured }),
+      makeTurn('2', { transcribedText: '' }),
+    ], 1000)
+    expect(messages).toEqual([
+      { role: 'user', content: 'Earlier Dog sound: "woof"' },
+      { role: 'assistant', content: '{"mood":"playful","intent":"play","urgency":"low","translation":"Turn 1","rationale":"Bouncy."}' },
+      { role: 'user', content: 'Earlier Dog sound (no transcription)' },
+      { role: 'assistant', content: 'Turn 2' },
+    ])
+  })
+})
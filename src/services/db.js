@@ -0,0 +1,87 @@
+// Shared IndexedDB connection for everything the app keeps between sessions
+const DB_NAME = 'animal-translator'
+const DB_VERSION = 3
+
+export const STORES = {
+  translations: 'translations',
+  pets: 'pets',
+  queue: 'queue',
+}
+
+let dbPromise = null
+
+/**
+ * Create or migrate object stores
+ * Each version only adds what it introduced, so older databases upgrade step by step
+ */
+function upgradeDatabase(db, oldVersion) {
+  if (oldVersion < 1) {
+    const translations = db.createObjectStore(STORES.translations, { keyPath: 'id' })
+    translations.createIndex('createdAt', 'createdAt')
+    translations.createIndex('animalName', 'animal.name')
+  }
+  if (oldVersion < 2) {
+    const pets = db.createObjectStore(STORES.pets, { keyPath: 'id' })
+    pets.createIndex('createdAt', 'createdAt')
+  }
+  if (oldVersion < 3) {
+    const queue = db.createObjectStore(STORES.queue, { keyPath: 'id' })
+    queue.createIndex('createdAt', 'createdAt')
+  }
+}
+
+/**
+ * Open (once) the app database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB is not supported in this browser'))
+      return
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+    request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'))
+  })
+
+  // Allow a retry on the next call if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null
+  })
+  return dbPromise
+}
+
+/**
+ * Run a single request against a store and resolve with its result
+ * @param {string} storeName - One of STORES
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<*>}
+ */
+export async function runRequest(storeName, mode, operation) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = operation(transaction.objectStore(storeName))
+    // Resolve on commit so callers never read back a write that was rolled back
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error || request.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
+
+/**
+ * Generate a stable id for a stored record
+ * @returns {string}
+ */
+export function createId() {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID()
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
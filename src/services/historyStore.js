@@ -0,0 +1,99 @@
+import { STORES, createId, runRequest } from './db'
+import { toPetReference } from './petStore'
+
+/**
+ * Turn a processAnimalSound result into a history entry
+ * @param {Object} params
+ * @param {Blob} params.audioBlob - The recording that was translated
+ * @param {{name: string, emoji: string, pet?: Object}} params.animal - The selected animal, with its profile when it is a pet
+ * @param {Object} params.result - processAnimalSound result (or App's fallback result)
+ * @returns {Object} - Entry ready for saveTranslation
+ */
+export function createHistoryEntry({ audioBlob, animal, result }) {
+  return {
+    id: createId(),
+    createdAt: Date.now(),
+    audioBlob,
+    animal: { name: animal.name, emoji: animal.emoji },
+    pet: animal.pet ? toPetReference(animal.pet) : null,
+    ...toHistoryFields(result),
+  }
+}
+
+/**
+ * The parts of a result that get stored (and replaced when re-translating)
+ * @param {Object} result - processAnimalSound result
+ * @returns {Object}
+ */
+export function toHistoryFields(result) {
+  return {
+    text: result.text,
+    structured: result.structured || null,
+    language: result.language || null,
+    transcribedText: result.transcribedText || null,
+    confidence: result.confidence ?? null,
+    confidenceBreakdown: result.confidenceBreakdown || null,
+    acousticFeatures: result.acousticFeatures || null,
+    audioPreprocessing: result.audioPreprocessing || null,
+    samples: result.samples || [],
+    speciesDetection: result.speciesDetection || null,
+    events: result.events || null,
+    models: {
+      provider: result.provider || null,
+      transcription: result.transcriptionModel || null,
+      translation: result.model || null,
+    },
+    isMockTranscription: result.isMockTranscription || false,
+    isMockTranslation: result.isMockTranslation || false,
+    isFallback: result.isFallback || false,
+  }
+}
+
+/**
+ * Save (insert or replace) a history entry
+ * @param {Object} entry - Entry from createHistoryEntry
+ * @returns {Promise<Object>} - The saved entry
+ */
+export async function saveTranslation(entry) {
+  await runRequest(STORES.translations, 'readwrite', store => store.put(entry))
+  return entry
+}
+
+/**
+ * All history entries, newest first
+ * @returns {Promise<Object[]>}
+ */
+export async function listTranslations() {
+  const entries = await runRequest(STORES.translations, 'readonly', store => store.index('createdAt').getAll())
+  return entries.reverse()
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|undefined>}
+ */
+export function getTranslation(id) {
+  return runRequest(STORES.translations, 'readonly', store => store.get(id))
+}
+
+/**
+ * Merge changes into an existing entry
+ * @param {string} id
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object>} - The updated entry
+ */
+export async function updateTranslation(id, changes) {
+  const existing = await getTranslation(id)
+  if (!existing) {
+    throw new Error(`History entry ${id} not found`)
+  }
+  return saveTranslation({ ...existing, ...changes, updatedAt: Date.now() })
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteTranslation(id) {
+  await runRequest(STORES.translations, 'readwrite', store => store.delete(id))
+}
@@ -0,0 +1,271 @@
+// Moving history between machines and into other tools: JSON and CSV
+// exports, a ZIP bundle with the original recordings and a manifest, and
+// importing a bundle (or a JSON export) back with duplicate handling.
+import { createId } from './db'
+import { createZip, readZip } from './zip'
+
+export const EXPORT_FORMAT = 'animal-translator-history'
+export const EXPORT_VERSION = 1
+
+const MANIFEST_PATH = 'manifest.json'
+const CSV_PATH = 'history.csv'
+
+// What to do when an imported entry already exists here but differs
+export const DUPLICATE_STRATEGIES = {
+  skip: 'Keep the entry already here',
+  replace: 'Replace it with the imported one',
+  copy: 'Keep both',
+}
+
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/flac': 'flac',
+}
+
+const CSV_COLUMNS = [
+  ['id', entry => entry.id],
+  ['createdAt', entry => new Date(entry.createdAt).toISOString()],
+  ['animal', entry => entry.animal.name],
+  ['pet', entry => entry.pet?.name],
+  ['text', entry => entry.text],
+  ['mood', entry => entry.structured?.mood],
+  ['intent', entry => entry.structured?.intent],
+  ['urgency', entry => entry.structured?.urgency],
+  ['rationale', entry => entry.structured?.rationale],
+  ['language', entry => entry.language],
+  ['transcribedText', entry => entry.transcribedText],
+  ['confidence', entry => entry.confidence],
+  ['provider', entry => entry.models?.provider],
+  ['transcriptionModel', entry => entry.models?.transcription],
+  ['translationModel', entry => entry.models?.translation],
+  ['detectedAnimal', entry => entry.speciesDetection?.detectedAnimal],
+  ['durationSeconds', entry => entry.acousticFeatures?.durationSeconds],
+  ['isMockTranscription', entry => entry.isMockTranscription],
+  ['isMockTranslation', entry => entry.isMockTranslation],
+  ['isFallback', entry => entry.isFallback],
+]
+
+/**
+ * @param {Blob|null} audioBlob
+ * @returns {string} - File extension for the recording's MIME type
+ */
+function audioExtension(audioBlob) {
+  const type = (audioBlob?.type || '').split(';')[0].trim()
+  return AUDIO_EXTENSIONS[type] || 'bin'
+}
+
+/**
+ * A history entry as it appears in exports: every stored field, with the audio described instead of embedded
+ * @param {Object} entry
+ * @param {string|null} audioPath - Where the recording sits in a bundle, if it is included
+ * @returns {Object}
+ */
+function toExportRecord(entry, audioPath) {
+  const { audioBlob, ...fields } = entry
+  const hasAudio = audioBlob && audioBlob.size > 0
+  return {
+    ...fields,
+    audio: hasAudio ? { path: audioPath, type: audioBlob.type || null, size: audioBlob.size } : null,
+  }
+}
+
+/**
+ * @param {Object[]} records
+ * @returns {string}
+ */
+function toManifestJson(records) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    count: records.length,
+    entries: records,
+  }, null, 2)
+}
+
+/**
+ * Export entries as JSON, without the recordings
+ * @param {Object[]} entries
+ * @returns {Blob}
+ */
+export function exportHistoryJson(entries) {
+  return new Blob([toManifestJson(entries.map(entry => toExportRecord(entry, null)))], { type: 'application/json' })
+}
+
+/**
+ * Quote a CSV cell; cells that spreadsheets would run as formulas get a leading apostrophe
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return ''
+  let text = String(value)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * @param {Object[]} entries
+ * @returns {string}
+ */
+function toCsv(entries) {
+  const header = CSV_COLUMNS.map(([name]) => name).join(',')
+  const rows = entries.map(entry => CSV_COLUMNS.map(([, read]) => toCsvCell(read(entry))).join(','))
+  return [header, ...rows].join('\r\n')
+}
+
+/**
+ * Export entries as CSV, one row per translation, for spreadsheets
+ * @param {Object[]} entries
+ * @returns {Blob}
+ */
+export function exportHistoryCsv(entries) {
+  // The byte order mark makes Excel read the file as UTF-8
+  return new Blob(['\uFEFF', toCsv(entries)], { type: 'text/csv;charset=utf-8' })
+}
+
+/**
+ * Export entries as a ZIP bundle: manifest.json, history.csv and audio/<id>.<ext> for every recording
+ * @param {Object[]} entries
+ * @returns {Promise<Blob>}
+ */
+export async function exportHistoryZip(entries) {
+  const files = []
+  const records = entries.map((entry) => {
+    if (!entry.audioBlob || entry.audioBlob.size === 0) {
+      return toExportRecord(entry, null)
+    }
+    const path = `audio/${entry.id}.${audioExtension(entry.audioBlob)}`
+    files.push({ path, data: entry.audioBlob })
+    return toExportRecord(entry, path)
+  })
+  return createZip([
+    { path: MANIFEST_PATH, data: toManifestJson(records) },
+    { path: CSV_PATH, data: toCsv(entries) },
+    ...files,
+  ])
+}
+
+/**
+ * Turn an imported record back into a history entry
+ * @param {*} record
+ * @param {Map<string, Uint8Array>|null} files - Bundle contents, null for a JSON export
+ * @returns {Object|null} - null when the record is unusable
+ */
+function fromExportRecord(record, files) {
+  if (!record || typeof record !== 'object') return null
+  const { audio, ...fields } = record
+  if (typeof fields.id !== 'string' || !fields.id ||
+    !Number.isFinite(fields.createdAt) ||
+    typeof fields.animal?.name !== 'string' ||
+    typeof fields.text !== 'string') {
+    return null
+  }
+  const audioBytes = audio?.path && files?.get(audio.path)
+  return {
+    ...fields,
+    animal: { name: fields.animal.name, emoji: typeof fields.animal.emoji === 'string' ? fields.animal.emoji : '🐾' },
+    pet: typeof fields.pet?.id === 'string' ? fields.pet : null,
+    audioBlob: audioBytes ? new Blob([audioBytes], { type: audio.type || '' }) : null,
+  }
+}
+
+/**
+ * Read a bundle (.zip) or JSON export
+ * @param {File} file
+ * @returns {Promise<{entries: Object[], invalid: number}>} - invalid counts records that were dropped
+ */
+export async function readHistoryFile(file) {
+  const head = new Uint8Array(await file.slice(0, 2).arrayBuffer())
+  const isZip = head[0] === 0x50 && head[1] === 0x4b
+  let files = null
+  let manifestText
+  if (isZip) {
+    files = await readZip(file)
+    const manifest = files.get(MANIFEST_PATH)
+    if (!manifest) {
+      throw new Error(`This ZIP file has no ${MANIFEST_PATH}, so it isn't a history bundle.`)
+    }
+    manifestText = new TextDecoder().decode(manifest)
+  } else {
+    manifestText = await file.text()
+  }
+
+  let manifest
+  try {
+    manifest = JSON.parse(manifestText)
+  } catch (error) {
+    throw new Error(`The file isn't valid JSON (${error.message}).`)
+  }
+  if (manifest?.format !== EXPORT_FORMAT || !Array.isArray(manifest.entries)) {
+    throw new Error('This file isn\'t an Animal Translator history export.')
+  }
+  if (manifest.version > EXPORT_VERSION) {
+    throw new Error('This export comes from a newer version of the app. Update the app and try again.')
+  }
+
+  const entries = manifest.entries.map(record => fromExportRecord(record, files)).filter(Boolean)
+  return { entries, invalid: manifest.entries.length - entries.length }
+}
+
+/**
+ * @param {Object} entry
+ * @returns {string} - Same translation of the same recording, whatever its id
+ */
+function fingerprint(entry) {
+  return `${entry.createdAt}|${entry.animal.name}|${entry.text}`
+}
+
+/**
+ * Decide what an import changes
+ * Entries identical to one already here (same id or same recording, same text) are always skipped;
+ * the strategy only applies when they differ, e.g. after a re-translation on the other machine
+ * @param {Object[]} imported - From readHistoryFile
+ * @param {Object[]} existing - The current history
+ * @param {'skip'|'replace'|'copy'} strategy - Key of DUPLICATE_STRATEGIES
+ * @returns {{toSave: Object[], added: number, replaced: number, copied: number, skipped: number}}
+ */
+export function planImport(imported, existing, strategy = 'skip') {
+  const byId = new Map(existing.map(entry => [entry.id, entry]))
+  const byFingerprint = new Map(existing.map(entry => [fingerprint(entry), entry]))
+  const plan = { toSave: [], added: 0, replaced: 0, copied: 0, skipped: 0 }
+  const seen = new Set()
+
+  imported.forEach((entry) => {
+    // A file that lists an entry twice only imports it once
+    if (seen.has(entry.id)) {
+      plan.skipped += 1
+      return
+    }
+    seen.add(entry.id)
+
+    const match = byId.get(entry.id) || byFingerprint.get(fingerprint(entry))
+    if (!match) {
+      plan.toSave.push(entry)
+      plan.added += 1
+      return
+    }
+    const isIdentical = fingerprint(match) === fingerprint(entry) &&
+      (match.updatedAt || null) === (entry.updatedAt || null)
+    if (isIdentical || strategy === 'skip') {
+      plan.skipped += 1
+    } else if (strategy === 'replace') {
+      // Keep the local recording when the import has none
+      plan.toSave.push({ ...entry, id: match.id, audioBlob: entry.audioBlob || match.audioBlob })
+      plan.replaced += 1
+    } else {
+      plan.toSave.push({ ...entry, id: createId() })
+      plan.copied += 1
+    }
+  })
+  return plan
+}
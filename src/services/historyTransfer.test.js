@@ -0,0 +1,100 @@
+import { describe, it, expect, vi } from 'vitest'
+import { exportHistoryCsv, exportHistoryJson, exportHistoryZip, planImport, readHistoryFile } from './historyTransfer'
+
+vi.mock('./db', () => ({ createId: () => 'new-id' }))
+
+/**
+ * @param {Object} [overrides]
+ * @returns {Object} - A history entry
+ */
+function makeEntry(overrides = {}) {
+  return {
+    id: 'entry-1',
+    createdAt: 1700000000000,
+    animal: { name: 'Dog', emoji: '🐕' },
+    pet: null,
+    text: 'I want to play!',
+    structured: { mood: 'playful', intent: 'play', urgency: 'low', rationale: 'Bouncy barks.' },
+    confidence: 0.8,
+    audioBlob: new Blob([new Uint8Array([1, 2, 3])], { type: 'audio/webm;codecs=opus' }),
+    ...overrides,
+  }
+}
+
+describe('history export and import', () => {
+  it('round-trips a ZIP bundle with the recordings', async () => {
+    const entries = [makeEntry(), makeEntry({ id: 'entry-2', text: 'Food?', audioBlob: null })]
+    const bundle = await exportHistoryZip(entries)
+    const { entries: imported, invalid } = await readHistoryFile(bundle)
+
+    expect(invalid).toBe(0)
+    expect(imported).toHaveLength(2)
+    const [withAudio, withoutAudio] = imported
+    expect(withAudio).toMatchObject({ id: 'entry-1', text: 'I want to play!', structured: entries[0].structured })
+    expect(withAudio.audioBlob.type).toBe('audio/webm;codecs=opus')
+    expect(Array.from(new Uint8Array(await withAudio.audioBlob.arrayBuffer()))).toEqual([1, 2, 3])
+    expect(withoutAudio.audioBlob).toBeNull()
+  })
+
+  it('imports a JSON export without the recordings and drops unusable records', async () => {
+    const json = await exportHistoryJson([makeEntry()]).text()
+    const manifest = JSON.parse(json)
+    manifest.entries.push({ id: 'broken' })
+    const { entries, invalid } = await readHistoryFile(new Blob([JSON.stringify(manifest)]))
+    expect(entries).toHaveLength(1)
+    expect(entries[0].audioBlob).toBeNull()
+    expect(invalid).toBe(1)
+  })
+
+  it('refuses files that are not history exports', async () => {
+    await expect(readHistoryFile(new Blob(['{"entries": []}']))).rejects.toThrow('isn\'t an Animal Translator history export')
+    await expect(readHistoryFile(new Blob(['nope']))).rejects.toThrow('isn\'t valid JSON')
+  })
+
+  it('quotes CSV cells and defuses formulas', async () => {
+    const csv = await exportHistoryCsv([makeEntry({ text: '=HYPERLINK("x"), then "woof"' })]).text()
+    const [header, row] = csv.replace(/^﻿/, '').split('\r\n')
+    expect(header.startsWith('id,createdAt,animal,pet,text,')).toBe(true)
+    expect(row).toContain('"\'=HYPERLINK(""x""), then ""woof"""')
+  })
+})
+
+describe('planImport', () => {
+  const existing = [makeEntry()]
+
+  it('adds new entries and skips identical ones', () => {
+    const plan = planImport([makeEntry(), makeEntry({ id: 'entry-2', createdAt: 1700000001000 })], existing)
+    expect(plan).toMatchObject({ added: 1, skipped: 1, replaced: 0, copied: 0 })
+    expect(plan.toSave.map(entry => entry.id)).toEqual(['entry-2'])
+  })
+
+  it('finds the same recording under another id', () => {
+    const plan = planImport([makeEntry({ id: 'other-machine' })], existing, 'copy')
+    expect(plan).toMatchObject({ added: 0, skipped: 1, toSave: [] })
+  })
+
+  it('only imports an entry listed twice once', () => {
+    const twice = makeEntry({ id: 'entry-2', createdAt: 1700000001000 })
+    expect(planImport([twice, twice], existing)).toMatchObject({ added: 1, skipped: 1 })
+  })
+
+  describe('entries that changed on the other machine', () => {
+    const retranslated = makeEntry({ text: 'Throw the ball!', updatedAt: 1700000005000, audioBlob: null })
+
+    it('keeps the local entry with skip', () => {
+      expect(planImport([retranslated], existing, 'skip')).toMatchObject({ skipped: 1, toSave: [] })
+    })
+
+    it('overwrites it with replace, keeping the local recording', () => {
+      const plan = planImport([retranslated], existing, 'replace')
+      expect(plan.replaced).toBe(1)
+      expect(plan.toSave[0]).toMatchObject({ id: 'entry-1', text: 'Throw the ball!', audioBlob: existing[0].audioBlob })
+    })
+
+    it('adds it under a new id with copy', () => {
+      const plan = planImport([retranslated], existing, 'copy')
+      expect(plan.copied).toBe(1)
+      expect(plan.toSave[0]).toMatchObject({ id: 'new-id', text: 'Throw the ball!' })
+    })
+  })
+})
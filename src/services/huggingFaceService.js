@@ -1,108 +1,134 @@
-// Using Inference Providers API directly to avoid CORS issues
-// The API key should be set in environment variables
-const HF_TOKEN = import.meta.env.VITE_HF_TOKEN || ''
+import { resolveProvider, assertProviderConfigured, MODEL_TASKS } from './providers'
+import { decodeAudioBlob, toMono, measureFrames, summarizeFrames, formatFeaturesForPrompt } from './audioFeatures'
+import { preprocessSamples, TARGET_SAMPLE_RATE } from './audioPreprocessing'
+import { segmentVocalEvents, sliceEvent } from './segmentation'
+import { computeConfidence } from './confidence'
+import { fetchWithRetry, isAbortError, isNetworkError, throwIfAborted } from './retry'
+import { isEventStream, readServerSentEvents } from './sse'
+import { labelsToSpecies, compareWithChoice } from './speciesDetection'
+import {
+  describeTranslationSchema,
+  parseStructuredTranslation,
+  structureTranslation,
+  extractPartialTranslation,
+  toPlainTranslation,
+} from './structuredTranslation'
+import { parseVocalReply, getVocalReplySchema, buildMockVocalReply } from './vocalReply'
+import { findAnimal, pickFallbackPhrase, getVoice } from './animalRegistry'
+import { DEFAULT_LANGUAGE, findLanguage } from './languages'
 
-if (!HF_TOKEN) {
-  console.warn('⚠️ VITE_HF_TOKEN not found in environment variables. API calls will fail.')
+// How many translations to sample per recording; agreement between them feeds the confidence score.
+// Every extra sample is another chat completion, so sampling is opt-in
+const DEFAULT_TRANSLATION_SAMPLES = Math.max(1, parseInt(import.meta.env.VITE_TRANSLATION_SAMPLES, 10) || 1)
+
+// How many vocal events of a long recording are transcribed and translated at the same time
+const DEFAULT_SEGMENT_CONCURRENCY = Math.max(1, parseInt(import.meta.env.VITE_SEGMENT_CONCURRENCY, 10) || 2)
+
+// Generation defaults; the settings panel can override each per request
+export const DEFAULT_GENERATION = {
+  temperature: 0.8,
+  // Room for the JSON keys and the rationale as well as the translation itself
+  maxTokens: 300,
+  samples: DEFAULT_TRANSLATION_SAMPLES,
+}
+
+const TRANSLATION_SYSTEM_PROMPT = 'You translate animal sounds directly into human speech. Speak as the animal in first person. ' +
+  'Answer with a single JSON object and nothing else - no code fences, no commentary - matching this JSON schema:\n' +
+  `${describeTranslationSchema()}\n` +
+  '"translation" is what the animal is saying, in first person, with no explanations, greetings to the reader or meta-commentary. ' +
+  '"rationale" is one short sentence on which parts of the sound led to the mood and intent. ' +
+  '"urgency" is "high" only when the animal needs help or is warning of danger right now.'
+
+/**
+ * The system prompt for an output language
+ * @param {string} languageCode
+ * @returns {string}
+ */
+function buildSystemPrompt(languageCode) {
+  const language = findLanguage(languageCode)
+  if (!language || language.code === 'en') {
+    return TRANSLATION_SYSTEM_PROMPT
+  }
+  // The enums are matched in code, so only the free text changes language
+  return `${TRANSLATION_SYSTEM_PROMPT}\n` +
+    `Write "translation" and "rationale" in ${language.name} (${language.nativeName}), naturally, as a native speaker would. ` +
+    'Keep the JSON keys and the mood, intent and urgency values in English, exactly as the schema lists them.'
+}
+
+const VOCAL_REPLY_SYSTEM_PROMPT = 'You answer a human as an animal would: not with words, but with a short sequence of the animal\'s own sounds. ' +
+  'Pick sounds, lengths, repeats and intensity that carry the feeling of a fitting reply - an excited dog barks short and loud, a wary cat hisses long. ' +
+  'Answer with a single JSON object and nothing else - no code fences, no commentary - matching this JSON schema:\n'
+
+/**
+ * The system prompt for reverse mode
+ * @param {string[]} vocalizations - The sounds the animal can make
+ * @param {string} languageCode - Language for "meaning"
+ * @returns {string}
+ */
+function buildVocalReplySystemPrompt(vocalizations, languageCode) {
+  const language = findLanguage(languageCode)
+  const meaningLanguage = language && language.code !== 'en' ? ` Write it in ${language.name} (${language.nativeName}).` : ''
+  return `${VOCAL_REPLY_SYSTEM_PROMPT}${JSON.stringify(getVocalReplySchema(vocalizations))}\n` +
+    `"meaning" is one short sentence, in first person, saying what the animal means by the sequence.${meaningLanguage}`
 }
 
-// Inference Providers API base URL
-const INFERENCE_PROVIDERS_BASE = 'https://api-inference.huggingface.co'
+/**
+ * Describe a retry for the progress log
+ * @param {string} modelId
+ * @param {{attempt: number, reason: string, delayMs: number, status: number|null}} retry
+ * @returns {string}
+ */
+function describeRetry(modelId, { reason, delayMs, status }) {
+  const seconds = Math.ceil(delayMs / 1000)
+  switch (reason) {
+    case 'loading':
+      return `Waiting ${seconds}s for ${modelId} to warm up`
+    case 'rate-limited':
+      return `Rate limited on ${modelId}, retrying in ${seconds}s`
+    case 'network-error':
+      return `Network error reaching ${modelId}, retrying in ${seconds}s`
+    default:
+      return `${modelId} returned ${status}, retrying in ${seconds}s`
+  }
+}
 
 /**
  * Transcribe animal sound audio to text using speech-to-text model
  * @param {Blob} audioBlob - The recorded audio blob
- * @returns {Promise<string>} - The transcribed text
+ * @param {Object} [options]
+ * @param {string|Object} [options.provider] - Provider id or instance (defaults to VITE_INFERENCE_PROVIDER)
+ * @param {string[]} [options.models] - ASR models to try in order (defaults to the provider's list)
+ * @param {AbortSignal} [options.signal] - Cancels the requests and any retry wait
+ * @param {(event: {stage: string, message: string, model?: string}) => void} [options.onProgress] - Progress log
+ * @returns {Promise<{text: string, score: number|null, model: string}|null>} - The transcription, or null when every model is gone
  */
-export async function transcribeAnimalSound(audioBlob) {
+export async function transcribeAnimalSound(audioBlob, {
+  provider: providerOption,
+  models: modelsOption,
+  signal,
+  onProgress = () => {},
+} = {}) {
   try {
-    if (!HF_TOKEN) {
-      throw new Error('Hugging Face token is required. Please set VITE_HF_TOKEN in your .env file.')
-    }
+    const provider = resolveProvider(providerOption)
+    await assertProviderConfigured(provider)
 
-    // Hugging Face Inference API expects raw audio data, not FormData
-    // Convert blob to ArrayBuffer for sending as binary data
-    const audioArrayBuffer = await audioBlob.arrayBuffer()
-
-    // Try models in order of preference, with fallbacks
-    // Note: OpenAI Whisper models may not be available on serverless Inference API
-    // Using alternative models that are more likely to be available
-    // Check https://huggingface.co/models?pipeline_tag=automatic-speech-recognition&inference=true
-    // to see which models have Inference API enabled
-    const models = [
-      'zai-org/GLM-ASR-Nano-2512', // Alternative ASR model that may be available
-      'facebook/wav2vec2-base-960h', // Wav2Vec2 model
-      'jonatasgrosman/wav2vec2-large-xlsr-53-english', // Alternative Wav2Vec2
-      'openai/whisper-small', // Try Whisper as fallback
-      'openai/whisper-base',
-      'openai/whisper-medium'
-    ]
+    const models = modelsOption?.length ? modelsOption : provider.asrModels
 
     let lastError = null
     const errors = []
 
     for (const modelId of models) {
       try {
-        const apiUrl = `${INFERENCE_PROVIDERS_BASE}/models/${modelId}`
-
-        // Try both binary and FormData formats
-        let response
-        let usedFormData = false
-
-        // First try: Direct API call with binary data
-        try {
-          response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${HF_TOKEN}`,
-              'Content-Type': 'application/octet-stream',
-            },
-            body: audioArrayBuffer,
-          })
-        } catch (corsError) {
-          // If direct call fails due to CORS, use proxy
-          console.log('Direct API call failed, using proxy:', corsError.message)
-          try {
-            response = await fetch(
-              `/api/hf-inference/models/${modelId}`,
-              {
-                method: 'POST',
-                headers: {
-                  'X-HF-Token': HF_TOKEN,
-                  'Content-Type': 'application/octet-stream',
-                },
-                body: audioArrayBuffer,
-              }
-            )
-          } catch (proxyError) {
-            // If binary fails, try FormData format
-            console.log('Binary format failed, trying FormData:', proxyError.message)
-            usedFormData = true
-            const formData = new FormData()
-            formData.append('file', audioBlob, 'audio.webm')
-
-            try {
-              response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: {
-                  'Authorization': `Bearer ${HF_TOKEN}`,
-                },
-                body: formData,
-              })
-            } catch (formCorsError) {
-              response = await fetch(
-                `/api/hf-inference/models/${modelId}`,
-                {
-                  method: 'POST',
-                  headers: {
-                    'X-HF-Token': HF_TOKEN,
-                  },
-                  body: formData,
-                }
-              )
-            }
-          }
-        }
+        onProgress({ stage: 'transcription', message: `Trying ${modelId}`, model: modelId })
+        let format
+        const response = await fetchWithRetry(async (attemptSignal) => {
+          const attempt = await provider.requestTranscription(modelId, audioBlob, { signal: attemptSignal })
+          format = attempt.format
+          return attempt.response
+        }, {
+          signal,
+          onRetry: retry => onProgress({ stage: 'transcription', message: describeRetry(modelId, retry), model: modelId }),
+        })
 
         if (!response.ok) {
           // Get error details for logging
@@ -115,18 +141,12 @@ export async function transcribeAnimalSound(audioBlob) {
             status: response.status,
             statusText: response.statusText,
             error: errorData,
-            format: usedFormData ? 'FormData' : 'Binary'
+            format
           })
 
-          // Handle model loading (503) - model might need to be loaded first
+          // Still loading (503) after waiting out the retries - try the next model
           if (response.status === 503) {
-            const estimatedTime = errorData.estimated_time || 20
-            // If it's the first model and it's loading, wait and retry
-            if (modelId === models[0]) {
-              throw new Error(`Model is loading. Please wait ${Math.ceil(estimatedTime)} seconds and try again.`)
-            }
-            // Otherwise, try next model
-            const errorMsg = `Model ${modelId} is loading (503)`
+            const errorMsg = `Model ${modelId} is still loading (503)`
             errors.push(errorMsg)
             lastError = new Error(errorMsg)
             continue
@@ -151,7 +171,7 @@ export async function transcribeAnimalSound(audioBlob) {
 
           // For other errors, try next model unless it's auth-related
           if (response.status === 401 || response.status === 403) {
-            throw new Error(errorData.error || errorData.message || 'Authentication failed. Please check your VITE_HF_TOKEN.')
+            throw new Error(errorData.error || errorData.message || `Authentication failed. Please check your ${provider.credentialEnvVar}.`)
           }
 
           // Try next model for other errors
@@ -162,14 +182,13 @@ export async function transcribeAnimalSound(audioBlob) {
         }
 
         const result = await response.json()
-
-        // The API returns either a string or an object with text property
-        if (typeof result === 'string') {
-          return result
-        }
-        const transcribedText = result?.text || result?.transcription
+        const transcribedText = provider.parseTranscription(result)
         if (transcribedText) {
-          return transcribedText
+          return {
+            text: transcribedText,
+            score: provider.parseTranscriptionScore(result),
+            model: modelId
+          }
         }
 
         // If no text found, try next model
@@ -178,8 +197,8 @@ export async function transcribeAnimalSound(audioBlob) {
         lastError = new Error(errorMsg)
         continue
       } catch (error) {
-        // If it's not a model-specific error, throw it
-        if (error.message.includes('Authentication') || error.message.includes('loading')) {
+        // If it's not a model-specific error, throw it; with no connection the next model won't answer either
+        if (isAbortError(error) || isNetworkError(error) || error.message.includes('Authentication')) {
           throw error
         }
         errors.push(`${modelId}: ${error.message}`)
@@ -200,7 +219,7 @@ export async function transcribeAnimalSound(audioBlob) {
         'The app will use a mock transcription. To use real transcription:\n' +
         '1. Visit https://huggingface.co/models?pipeline_tag=automatic-speech-recognition&inference=true\n' +
         '2. Find models with the yellow lightning bolt (Inference API available)\n' +
-        '3. Update the models array in huggingFaceService.js\n' +
+        '3. Update VITE_HF_ASR_MODELS (or switch VITE_INFERENCE_PROVIDER)\n' +
         '4. Or use Hugging Face Inference Endpoints (paid service)'
       )
       // Return null to trigger fallback
@@ -210,75 +229,199 @@ export async function transcribeAnimalSound(audioBlob) {
     // If all models failed with other errors, provide a comprehensive error message
     let errorSummary = 'All transcription models failed'
     if (errors.length > 0) {
-      errorSummary = `All transcription models failed.\n\nModels tried: ${models.join(', ')}\n\nErrors encountered:\n${errors.map((e, i) => `  ${i + 1}. ${e}`).join('\n')}\n\nPossible causes:\n- Models may not be available on the serverless Inference API\n- Your API token may need additional permissions\n- Models may need to be explicitly enabled for your account\n- The models may have been moved or deprecated\n\nTroubleshooting steps:\n1. Check your VITE_HF_TOKEN is valid and starts with "hf_"\n2. Verify your token has "Inference API" permissions at https://huggingface.co/settings/tokens\n3. Check your account has Inference API access at https://huggingface.co/settings/billing\n4. Visit https://huggingface.co/models?pipeline_tag=automatic-speech-recognition&inference=true to find available models\n5. Check the browser console for detailed error logs`
+      errorSummary = `All transcription models failed.\n\nModels tried: ${models.join(', ')}\n\nErrors encountered:\n${errors.map((e, i) => `  ${i + 1}. ${e}`).join('\n')}\n\nPossible causes:\n- Models may not be available on the serverless Inference API\n- Your API token may need additional permissions\n- Models may need to be explicitly enabled for your account\n- The models may have been moved or deprecated\n\nTroubleshooting steps:\n${formatSteps([...provider.troubleshooting.transcription, 'Check the browser console for detailed error logs'])}`
     }
     throw new Error(errorSummary)
   } catch (error) {
+    if (isAbortError(error) || isNetworkError(error)) throw error
     console.error('Error transcribing audio:', error)
     throw new Error(`Transcription failed: ${error.message}`)
   }
 }
 
+/**
+ * Guess which animal is in a recording with an audio classification model
+ * @param {Blob} audioBlob - The (preprocessed) recording
+ * @param {Object} [options]
+ * @param {string|Object} [options.provider] - Provider id or instance (defaults to VITE_INFERENCE_PROVIDER)
+ * @param {string[]} [options.models] - Classification models to try in order (defaults to the provider's list)
+ * @param {AbortSignal} [options.signal] - Cancels the requests and any retry wait
+ * @param {(event: {stage: string, message: string, model?: string}) => void} [options.onProgress] - Progress log
+ * @returns {Promise<{species: {name: string, score: number}[], labels: {label: string, score: number}[], model: string}|null>} - null when no classification model is configured
+ */
+export async function detectSpecies(audioBlob, {
+  provider: providerOption,
+  models: modelsOption,
+  signal,
+  onProgress = () => {},
+} = {}) {
+  const provider = resolveProvider(providerOption)
+  const models = modelsOption?.length ? modelsOption : provider.classificationModels
+  if (models.length === 0) {
+    return null
+  }
+
+  const errors = []
+  for (const modelId of models) {
+    onProgress({ stage: 'detection', message: `Detecting the species with ${modelId}`, model: modelId })
+    try {
+      const response = await fetchWithRetry(
+        attemptSignal => provider.requestClassification(modelId, audioBlob, { signal: attemptSignal }),
+        {
+          signal,
+          onRetry: retry => onProgress({ stage: 'detection', message: describeRetry(modelId, retry), model: modelId }),
+        }
+      )
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        errors.push(`${modelId} (${response.status}): ${errorData.error?.message || errorData.error || 'request failed'}`)
+        continue
+      }
+      const labels = provider.parseClassification(await response.json())
+      if (labels.length === 0) {
+        errors.push(`${modelId}: no labels in response`)
+        continue
+      }
+      return {
+        species: labelsToSpecies(labels),
+        labels: labels.slice(0, 5),
+        model: modelId
+      }
+    } catch (error) {
+      if (isAbortError(error) || isNetworkError(error)) throw error
+      errors.push(`${modelId}: ${error.message}`)
+    }
+  }
+
+  throw new Error(`All species detection models failed:\n${errors.map((e, i) => `  ${i + 1}. ${e}`).join('\n')}`)
+}
+
+/**
+ * Build the user prompt from whatever we know about the sound
+ * @param {string} animalName - The name of the animal
+ * @param {string|null} transcribedText - ASR output, or null when there is none worth using
+ * @param {Object|null} acousticFeatures - Result of summarizeFrames, if analysis succeeded
+ * @param {Object|null} pet - Pet profile of the animal speaking, if the user picked one
+ * @param {boolean} [hasHistory] - Whether earlier turns of the conversation precede this prompt
+ * @returns {string}
+ */
+function buildTranslationPrompt(animalName, transcribedText, acousticFeatures, pet, hasHistory = false) {
+  const sections = []
+  if (transcribedText) {
+    sections.push(`Translate this ${animalName} sound directly into human speech: "${transcribedText}"`)
+  } else {
+    sections.push(`Translate this ${animalName} sound directly into human speech.`)
+  }
+  const persona = findAnimal(animalName)?.persona
+  if (pet) {
+    const profile = [
+      `Who is speaking: ${pet.name}, the user's own ${animalName.toLowerCase()}.`,
+      pet.breed && `- Breed: ${pet.breed}`,
+      pet.age && `- Age: ${pet.age}`,
+      `- Personality: ${pet.personality || persona || 'not described yet'}`,
+      `Stay in character as ${pet.name} so every translation sounds like the same pet.`,
+    ]
+    sections.push(profile.filter(Boolean).join('\n'))
+  } else if (persona) {
+    sections.push(`Who is speaking: ${persona}.`)
+  }
+  if (acousticFeatures) {
+    sections.push(
+      `Acoustic analysis of the recording (use it to judge mood and intent: many short loud bursts suggest excitement or alarm, a falling pitch suggests calm or sadness, a rising pitch suggests a question or eagerness):\n${formatFeaturesForPrompt(acousticFeatures)}`
+    )
+  }
+  if (hasHistory) {
+    sections.push('This is the next sound in an ongoing conversation: your earlier sounds and translations are above. ' +
+      'Translate this new sound, and refer back to what you already said when it fits (repeating a request more insistently, or changing your mind), without repeating earlier translations word for word.')
+  }
+  sections.push(`Speak AS ${pet ? pet.name : `the ${animalName}`} - write what they are saying in first person, directly and naturally. Be creative, fun, and empathetic. Keep the translation to 1-2 sentences and answer with the JSON object only.`)
+  return sections.join('\n\n')
+}
+
 /**
  * Translate/interpret animal sound using LLM
- * @param {string} transcribedText - The transcribed text from the audio
+ * @param {string|null} transcribedText - The transcribed text from the audio, or null to rely on acoustic features
  * @param {string} animalName - The name of the animal
- * @returns {Promise<{text: string, confidence: number}>} - The translation result
+ * @param {Object} [options]
+ * @param {string|Object} [options.provider] - Provider id or instance (defaults to VITE_INFERENCE_PROVIDER)
+ * @param {Object} [options.acousticFeatures] - Result of summarizeFrames, added to the prompt
+ * @param {Object} [options.pet] - Pet profile (name, breed, age, personality) the translation speaks as
+ * @param {string} [options.language] - Output language code (defaults to English)
+ * @param {{role: string, content: string}[]} [options.history] - Earlier turns of the conversation, from buildContextMessages
+ * @param {number} [options.samples] - Translations to sample for the agreement check (defaults to VITE_TRANSLATION_SAMPLES or 1)
+ * @param {string[]} [options.models] - Chat models to try in order (defaults to the provider's list)
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {number} [options.maxTokens] - Completion length limit
+ * @param {AbortSignal} [options.signal] - Cancels the requests and any retry wait
+ * @param {(event: {stage: string, message: string, model?: string}) => void} [options.onProgress] - Progress log
+ * @param {(text: string, info: {model: string|null}) => void} [options.onPartialText] - Streams the translation:
+ *   called with the text so far as tokens arrive, and with '' when a model fails midway and the next one starts over
+ * @returns {Promise<{text: string, structured: {mood: string, intent: string, urgency: string, rationale: string}|null, confidence: number, confidenceBreakdown: Object, model: string, logprobs: number[]|null, samples: string[]}>}
+ *   - The translation result; structured is null when the model never produced valid JSON
  */
-export async function translateAnimalSound(transcribedText, animalName) {
+export async function translateAnimalSound(transcribedText, animalName, {
+  provider: providerOption,
+  acousticFeatures = null,
+  pet = null,
+  language = DEFAULT_LANGUAGE,
+  history = [],
+  samples = DEFAULT_TRANSLATION_SAMPLES,
+  models: modelsOption,
+  temperature = DEFAULT_GENERATION.temperature,
+  maxTokens = DEFAULT_GENERATION.maxTokens,
+  signal,
+  onProgress = () => {},
+  onPartialText,
+} = {}) {
   try {
-    if (!HF_TOKEN) {
-      throw new Error('Hugging Face token is required. Please set VITE_HF_TOKEN in your .env file.')
-    }
+    const provider = resolveProvider(providerOption)
+    await assertProviderConfigured(provider)
 
-    const prompt = `Translate this ${animalName} sound directly into human speech: "${transcribedText}"
-
-Speak AS the ${animalName} - write what they are saying in first person, directly and naturally. Do not explain or interpret. Just translate their sound into what they would say in human words. Be creative, fun, and empathetic. Keep it to 1-2 sentences.`
+    const stream = typeof onPartialText === 'function'
+    const prompt = buildTranslationPrompt(animalName, transcribedText, acousticFeatures, pet, history.length > 0)
 
     // Try multiple models in order of preference
-    const models = [
-      'meta-llama/Llama-3.1-8B-Instruct', // Try without "Meta-" prefix
-      'meta-llama/Meta-Llama-3.1-8B-Instruct', // Original format
-      'mistralai/Mistral-7B-Instruct-v0.2', // Alternative model
-      'mistralai/Mixtral-8x7B-Instruct-v0.1', // Another alternative
-      'google/gemma-2-2b-it', // Smaller alternative
-    ]
+    const models = modelsOption?.length ? modelsOption : provider.chatModels
 
     let lastError = null
     const errors = []
 
     for (const modelId of models) {
       try {
-        // Use Inference Providers router endpoint for chat completions
-        const response = await fetch(
-          'https://router.huggingface.co/v1/chat/completions',
-          {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${HF_TOKEN}`,
-              'Content-Type': 'application/json',
+        const requestBody = {
+          model: modelId,
+          messages: [
+            {
+              role: 'system',
+              content: buildSystemPrompt(language)
             },
-            body: JSON.stringify({
-              model: modelId,
-              messages: [
-                {
-                  role: 'system',
-                  content: 'You translate animal sounds directly into human speech. Speak as the animal in first person. Do not add explanations, greetings, or meta-commentary. Just translate the sound into what the animal is saying.'
-                },
-                {
-                  role: 'user',
-                  content: prompt
-                }
-              ],
-              max_tokens: 150,
-              temperature: 0.8,
-            }),
+            ...history,
+            {
+              role: 'user',
+              content: prompt
+            }
+          ],
+          max_tokens: maxTokens,
+          temperature: temperature,
+          ...(provider.supportsLogprobs ? { logprobs: true } : {}),
+          ...(provider.supportsJsonMode ? { response_format: { type: 'json_object' } } : {}),
+          ...(stream ? { stream: true } : {}),
+        }
+        onProgress({ stage: 'translation', message: `Translating with ${modelId}`, model: modelId })
+        const response = await fetchWithRetry(
+          attemptSignal => provider.requestChatCompletion(requestBody, { signal: attemptSignal }),
+          {
+            signal,
+            onRetry: retry => onProgress({ stage: 'translation', message: describeRetry(modelId, retry), model: modelId }),
           }
         )
 
         if (!response.ok) {
           const errorData = await response.json().catch(() => ({}))
-          const errorMsg = errorData.error?.message || `API request failed with status ${response.status}`
+          // OpenAI-style servers nest the message, some (e.g. Ollama) return a plain string
+          const errorMsg = errorData.error?.message ||
+            (typeof errorData.error === 'string' && errorData.error) ||
+            `API request failed with status ${response.status}`
 
           // If model doesn't exist, try next one
           if (response.status === 404 || errorMsg.includes('does not exist')) {
@@ -291,19 +434,55 @@ Speak AS the ${animalName} - write what they are saying in first person, directl
           throw new Error(errorMsg)
         }
 
-        const result = await response.json()
-        const translationText = result.choices?.[0]?.message?.content ||
+        let parsedText
+        let logprobs
+        // Servers that ignore stream: true still answer with plain JSON
+        if (isEventStream(response)) {
+          try {
+            // The reply is JSON, so only the translation field is worth showing while it streams
+            ({ text: parsedText, logprobs } = await readChatStream(provider, response, text => onPartialText(extractPartialTranslation(text), { model: modelId })))
+          } catch (streamError) {
+            if (isAbortError(streamError)) throw streamError
+            // Drop what this model managed to say and let the next one start over
+            console.warn(`Translation stream from ${modelId} failed, trying next model:`, streamError.message)
+            onPartialText('', { model: null })
+            errors.push(`${modelId}: stream interrupted (${streamError.message})`)
+            lastError = streamError
+            continue
+          }
+        } else {
+          const result = await response.json()
+          parsedText = provider.parseChatCompletion(result)
+          logprobs = provider.parseChatLogprobs(result)
+        }
+        const { structured, text: structuredText } = await structureTranslation(provider, requestBody, parsedText, { signal, onProgress })
+        const translationText = structuredText ||
           `The ${animalName} seems to be communicating something, but I couldn't interpret it clearly.`
 
-        // Calculate a mock confidence score (you could enhance this with actual model confidence)
-        const confidence = Math.min(0.95, 0.7 + Math.random() * 0.25)
+        // Re-ask the same model; consistent answers mean the sound is easier to read
+        if (structuredText && samples > 1) {
+          onProgress({ stage: 'sampling', message: `Sampling ${samples - 1} more translation${samples > 2 ? 's' : ''} to check consistency`, model: modelId })
+        }
+        const extraSamples = structuredText
+          ? await sampleTranslations(provider, requestBody, samples - 1, signal)
+          : []
+        const sampledTexts = structuredText ? [structuredText, ...extraSamples] : []
+
+        const breakdown = computeConfidence({ logprobs, samples: sampledTexts })
 
         return {
           text: translationText,
-          confidence: confidence,
+          structured: structured,
+          language: language,
+          confidence: breakdown.score,
+          confidenceBreakdown: breakdown,
+          model: modelId,
+          logprobs: logprobs,
+          samples: sampledTexts,
           transcribedText: transcribedText
         }
       } catch (error) {
+        if (isAbortError(error)) throw error
         // If it's a model-not-found error, try next model
         if (error.message.includes('does not exist') || error.message.includes('404')) {
           errors.push(`${modelId}: ${error.message}`)
@@ -319,180 +498,559 @@ Speak AS the ${animalName} - write what they are saying in first person, directl
     if (errors.length > 0) {
       throw new Error(
         `All translation models failed.\n\nModels tried: ${models.join(', ')}\n\nErrors:\n${errors.map((e, i) => `  ${i + 1}. ${e}`).join('\n')}\n\n` +
-        `Please check:\n` +
-        `1. Visit https://huggingface.co/chat/models to see available models\n` +
-        `2. Update the models array in huggingFaceService.js with a working model\n` +
-        `3. Verify your token has access to Inference Providers API`
+        `Please check:\n${formatSteps(provider.troubleshooting.translation)}`
       )
     }
 
     throw lastError || new Error('Translation failed: Unknown error')
   } catch (error) {
+    if (isAbortError(error) || isNetworkError(error)) throw error
     console.error('Error translating animal sound:', error)
     throw new Error(`Translation failed: ${error.message}`)
   }
 }
 
 /**
- * Generate a mock transcription based on animal type
- * Used as fallback when API is unavailable
+ * Reverse mode: answer a human phrase with a sequence of the animal's sounds
+ * @param {string} phrase - What the human said
+ * @param {string} animalName - The animal that answers
+ * @param {Object} [options]
+ * @param {string|Object} [options.provider] - Provider id or instance (defaults to VITE_INFERENCE_PROVIDER)
+ * @param {Object} [options.pet] - Pet profile of the animal; the reply fits its personality
+ * @param {string} [options.language] - Language code for the meaning line
+ * @param {string[]} [options.models] - Chat models to try in order (defaults to the provider's list)
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {AbortSignal} [options.signal] - Cancels the requests and any retry wait
+ * @param {(event: {stage: string, message: string, model?: string}) => void} [options.onProgress] - Progress log
+ * @returns {Promise<{sequence: {sound: string, length: string, count: number, intensity: string}[], meaning: string, model: string}>}
+ */
+export async function composeVocalReply(phrase, animalName, {
+  provider: providerOption,
+  pet = null,
+  language = DEFAULT_LANGUAGE,
+  models: modelsOption,
+  temperature = DEFAULT_GENERATION.temperature,
+  signal,
+  onProgress = () => {},
+} = {}) {
+  const provider = resolveProvider(providerOption)
+  await assertProviderConfigured(provider)
+
+  const { vocalizations } = getVoice(animalName)
+  const animalPersona = findAnimal(animalName)?.persona || `a ${animalName.toLowerCase()}`
+  const persona = pet
+    ? `${pet.name}, the user's own ${animalName.toLowerCase()}. Personality: ${pet.personality || animalPersona}`
+    : animalPersona
+  const models = modelsOption?.length ? modelsOption : provider.chatModels
+  const errors = []
+
+  for (const modelId of models) {
+    const requestBody = {
+      model: modelId,
+      messages: [
+        { role: 'system', content: buildVocalReplySystemPrompt(vocalizations, language) },
+        { role: 'user', content: `You are ${persona}.\n\nYour human says: "${phrase}"\n\nReply with your sounds and answer with the JSON object only.` },
+      ],
+      max_tokens: DEFAULT_GENERATION.maxTokens,
+      temperature: temperature,
+      ...(provider.supportsJsonMode ? { response_format: { type: 'json_object' } } : {}),
+    }
+    onProgress({ stage: 'reverse', message: `Composing a reply with ${modelId}`, model: modelId })
+    const response = await fetchWithRetry(
+      attemptSignal => provider.requestChatCompletion(requestBody, { signal: attemptSignal }),
+      {
+        signal,
+        onRetry: retry => onProgress({ stage: 'reverse', message: describeRetry(modelId, retry), model: modelId }),
+      }
+    )
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      const errorMsg = errorData.error?.message ||
+        (typeof errorData.error === 'string' && errorData.error) ||
+        `API request failed with status ${response.status}`
+      if (response.status === 404 || errorMsg.includes('does not exist')) {
+        errors.push(`${modelId}: ${errorMsg}`)
+        continue
+      }
+      throw new Error(errorMsg)
+    }
+
+    // A reply the synthesizer can't play is as good as a missing model
+    const { value, errors: replyErrors } = parseVocalReply(provider.parseChatCompletion(await response.json()), vocalizations)
+    if (value) {
+      return { ...value, model: modelId }
+    }
+    onProgress({ stage: 'reverse', message: `${modelId} didn't answer with a usable sequence`, model: modelId })
+    errors.push(`${modelId}: ${replyErrors.join('; ')}`)
+  }
+
+  throw new Error(`No model composed a reply.\n\nErrors:\n${errors.map((e, i) => `  ${i + 1}. ${e}`).join('\n')}`)
+}
+
+/**
+ * Reverse mode pipeline: compose a reply, or make one up locally when the LLM is unavailable
+ * @param {string} phrase - What the human said
+ * @param {string} animalName - The animal that answers
+ * @param {Object} [options] - See composeVocalReply
+ * @returns {Promise<{sequence: Object[], meaning: string, model: string|null, voicePitch: number, animalName: string, phrase: string, isMock: boolean}>}
  */
-function getMockTranscription(animalName) {
-  const mockSounds = {
-    'Dog': 'woof woof bark',
-    'Cat': 'meow meow purr',
-    'Bird': 'tweet chirp tweet',
-    'Cow': 'moo moo',
-    'Pig': 'oink oink snort',
-    'Rooster': 'cock-a-doodle-doo',
-    'Duck': 'quack quack',
-    'Sheep': 'baa baa',
-    'Horse': 'neigh whinny',
-    'Lion': 'roar growl'
+export async function reverseTranslate(phrase, animalName, options = {}) {
+  const { vocalizations, voicePitch } = getVoice(animalName)
+  let reply
+  let isMock = false
+  try {
+    reply = await composeVocalReply(phrase, animalName, options)
+  } catch (error) {
+    if (isAbortError(error)) throw error
+    console.warn('Reverse translation API failed, using a local reply:', error.message)
+    reply = { ...buildMockVocalReply(phrase, vocalizations), model: null }
+    isMock = true
   }
-  return mockSounds[animalName] || 'animal sound'
+  return { ...reply, voicePitch, animalName, phrase, isMock }
 }
 
 /**
- * Generate a mock translation based on animal type and transcription
- * Used as fallback when translation API is unavailable
+ * Read a streamed chat completion to the end
+ * @param {Object} provider - The provider that opened the stream
+ * @param {Response} response - An OK text/event-stream response
+ * @param {(text: string) => void} onText - Called with the text so far after each token
+ * @returns {Promise<{text: string|null, logprobs: number[]|null}>}
  */
-function getMockTranslation(animalName, transcribedText) {
-  const translations = {
-    'Dog': [
-      `I'm so excited! Can we play now? I've been waiting!`,
-      `Hey! I'm here and I want your attention!`,
-      `I love you! Give me belly rubs please!`,
-      `Something's happening! I need to protect you!`
-    ],
-    'Cat': [
-      `I'm happy and content. Can I have some treats and scratches behind my ears?`,
-      `I'm hungry! Where's my food?`,
-      `I want attention right now. Pet me please!`,
-      `I'm feeling playful! Let's have some fun together!`
-    ],
-    'Bird': [
-      `Good morning! I'm singing my beautiful song for you!`,
-      `Hey everyone! I'm here and I'm happy!`,
-      `Listen to my lovely voice! I'm calling to my friends!`
-    ],
-    'Cow': [
-      `Hello! I'm calling out to my friends in the field!`,
-      `I'm content and happy here in the pasture!`
-    ],
-    'Pig': [
-      `I'm so excited! Is it time for food?`,
-      `I'm happy and want to play!`
-    ],
-    'Rooster': [
-      `Wake up! It's morning time!`,
-      `I'm announcing the new day!`
-    ],
-    'Duck': [
-      `Hello! I'm here and I'm happy!`,
-      `Let's go swimming together!`
-    ],
-    'Sheep': [
-      `I'm calling to my flock!`,
-      `I'm content and peaceful!`
-    ],
-    'Horse': [
-      `I'm excited and ready to run!`,
-      `Hello friend! Let's go on an adventure!`
-    ],
-    'Lion': [
-      `I'm the king! Hear my powerful voice!`,
-      `I'm calling to my pride!`
-    ]
+async function readChatStream(provider, response, onText) {
+  let text = ''
+  const logprobs = []
+  let finished = false
+
+  for await (const data of readServerSentEvents(response)) {
+    if (data === '[DONE]') {
+      finished = true
+      break
+    }
+    const chunk = JSON.parse(data)
+    if (chunk.error) {
+      throw new Error(chunk.error.message || String(chunk.error))
+    }
+    const delta = provider.parseChatCompletionChunk(chunk)
+    if (delta.text) {
+      text += delta.text
+      onText(text)
+    }
+    logprobs.push(...delta.logprobs)
+    if (delta.finishReason) {
+      finished = true
+    }
+  }
+
+  if (!finished) {
+    throw new Error('the stream ended before the completion finished')
+  }
+  return {
+    text: text || null,
+    logprobs: logprobs.length > 0 ? logprobs : null,
+  }
+}
+
+/**
+ * Request extra completions for the agreement check
+ * Failures are dropped: a missing sample only weakens the confidence signal
+ * @param {Object} provider - The provider that produced the first translation
+ * @param {Object} requestBody - The request that succeeded
+ * @param {number} count - How many more samples to request
+ * @param {AbortSignal} [signal] - Cancels the requests
+ * @returns {Promise<string[]>} - The sampled translations (the translation field when the reply is valid JSON)
+ */
+async function sampleTranslations(provider, requestBody, count, signal) {
+  if (count <= 0) return []
+  const results = await Promise.all(
+    Array.from({ length: count }, async () => {
+      try {
+        // No retries: a slow sample isn't worth holding up the result
+        const response = await provider.requestChatCompletion({ ...requestBody, logprobs: undefined, stream: undefined }, { signal })
+        if (!response.ok) return null
+        // Compare what the animal says, not the JSON around it
+        const text = provider.parseChatCompletion(await response.json())
+        return parseStructuredTranslation(text).value?.translation || toPlainTranslation(text)
+      } catch (error) {
+        console.warn('Extra translation sample failed:', error.message)
+        return null
+      }
+    })
+  )
+  throwIfAborted(signal)
+  return results.filter(Boolean)
+}
+
+/**
+ * Format troubleshooting steps as a numbered list
+ * @param {string[]} steps
+ * @returns {string}
+ */
+function formatSteps(steps) {
+  return steps.map((step, i) => `${i + 1}. ${step}`).join('\n')
+}
+
+/**
+ * Run a list of async jobs with at most limit of them in flight, keeping the results in order
+ * @param {Array} items
+ * @param {number} limit
+ * @param {(item: *, index: number) => Promise<*>} run
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, run) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await run(items[index], index)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+/**
+ * Transcribe one clip and translate it, standing in with mocks when a step fails
+ * A request that gets no answer rejects with its NetworkError instead
+ * @param {Blob} asrBlob - The clip as sent to speech recognition
+ * @param {Object|null} acousticFeatures - Analysis of the clip
+ * @param {Promise<{animalName: string}>} speakerPromise - Resolves to the animal to translate as, once species detection is done
+ * @param {Object} options
+ * @param {Object} options.provider - Resolved provider
+ * @param {Object} options.pipeline - processAnimalSound's options
+ * @param {number} [options.samples] - Translations to sample for the agreement check
+ * @param {Function} [options.onPartialText] - Streams the translation
+ * @param {Function} options.onProgress - Progress log
+ * @returns {Promise<{transcription: Object|null, transcribedText: string, isMockTranscription: boolean, translation: Object, isMockTranslation: boolean, confidenceBreakdown: Object}>}
+ */
+async function interpretClip(asrBlob, acousticFeatures, speakerPromise, { provider, pipeline, samples, onPartialText, onProgress }) {
+  const { signal } = pipeline
+
+  // Step 1: Transcribe the audio
+  let transcribedText
+  let transcription = null
+  let isMockTranscription = false
+
+  try {
+    transcription = await transcribeAnimalSound(asrBlob, {
+      provider,
+      models: pipeline.asrModels,
+      signal,
+      onProgress
+    })
+    transcribedText = transcription?.text
+  } catch (transcriptionError) {
+    // No connection: a stand-in would hide that the recording was never heard
+    if (isAbortError(transcriptionError) || isNetworkError(transcriptionError)) throw transcriptionError
+    // If transcription fails (e.g., all models unavailable), use mock transcription
+    console.warn('Transcription API failed, using mock transcription:', transcriptionError.message)
+  }
+
+  const { animalName } = await speakerPromise
+  throwIfAborted(signal)
+
+  // If null is returned (all models deprecated) or the request failed, use mock
+  if (!transcribedText) {
+    // Stand in with what this animal typically sounds like
+    transcribedText = findAnimal(animalName)?.sounds || 'animal sound'
+    isMockTranscription = true
   }
 
-  const options = translations[animalName] || [
-    `I'm trying to tell you something important!`,
-    `I'm expressing my feelings to you!`
-  ]
+  // Step 2: Translate/interpret the transcribed text
+  let translation
+  let isMockTranslation = false
 
-  return options[Math.floor(Math.random() * options.length)]
+  try {
+    // A mock transcription says nothing about this recording, so let the features speak instead
+    const promptTranscription = isMockTranscription && acousticFeatures ? null : transcribedText
+    translation = await translateAnimalSound(promptTranscription, animalName, {
+      provider,
+      acousticFeatures,
+      pet: pipeline.pet,
+      language: pipeline.language,
+      history: pipeline.history,
+      samples,
+      models: pipeline.chatModels,
+      temperature: pipeline.temperature,
+      maxTokens: pipeline.maxTokens,
+      signal,
+      onProgress,
+      onPartialText
+    })
+  } catch (translationError) {
+    if (isAbortError(translationError) || isNetworkError(translationError)) throw translationError
+    // If translation fails, use mock translation
+    console.warn('Translation API failed, using mock translation:', translationError.message)
+    translation = {
+      text: pickFallbackPhrase(animalName, pipeline.language),
+      structured: null,
+      language: pipeline.language || DEFAULT_LANGUAGE,
+      model: null,
+      logprobs: null,
+      samples: [],
+      transcribedText: transcribedText
+    }
+    isMockTranslation = true
+  }
+
+  // Score the whole pipeline now that we know which steps were real
+  const confidenceBreakdown = computeConfidence({
+    transcription: {
+      text: transcribedText,
+      score: transcription?.score ?? null,
+      isMock: isMockTranscription
+    },
+    logprobs: translation.logprobs,
+    samples: translation.samples,
+    isMockTranslation
+  })
+
+  return { transcription, transcribedText, isMockTranscription, translation, isMockTranslation, confidenceBreakdown }
+}
+
+const URGENCY_RANK = { low: 0, medium: 1, high: 2 }
+
+/**
+ * One result for a segmented recording: the events' translations in order, with the mood and intent of the most urgent one
+ * @param {Object[]} events - processAnimalSound's events
+ * @param {string} language - Output language code
+ * @returns {Object} - The fields processAnimalSound returns for a single clip
+ */
+function combineEvents(events, language) {
+  const structuredEvents = events.filter(event => event.structured)
+  const mostUrgent = structuredEvents.reduce(
+    (best, event) => !best || URGENCY_RANK[event.structured.urgency] > URGENCY_RANK[best.structured.urgency] ? event : best,
+    null
+  )
+  const realTranscriptions = events.filter(event => !event.isMockTranscription)
+  const scores = realTranscriptions.map(event => event.transcriptionScore).filter(score => typeof score === 'number')
+  const logprobs = events.flatMap(event => event.logprobs || [])
+  const isMockTranscription = realTranscriptions.length === 0
+  const isMockTranslation = events.every(event => event.isMockTranslation)
+
+  const confidenceBreakdown = computeConfidence({
+    transcription: {
+      text: realTranscriptions.map(event => event.transcribedText).join(' '),
+      score: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+      isMock: isMockTranscription
+    },
+    logprobs: logprobs.length > 0 ? logprobs : null,
+    isMockTranslation
+  })
+
+  return {
+    text: events.map(event => event.text).join(' '),
+    structured: mostUrgent && { ...mostUrgent.structured },
+    language,
+    model: events.find(event => event.model)?.model || null,
+    logprobs: null,
+    samples: [],
+    transcribedText: events.map(event => event.transcribedText).join(' … '),
+    transcriptionModel: events.find(event => event.transcriptionModel)?.transcriptionModel || null,
+    confidence: confidenceBreakdown.score,
+    confidenceBreakdown,
+    isMockTranscription,
+    isMockTranslation
+  }
 }
 
 /**
  * Complete pipeline: Transcribe audio and translate it
+ * Recordings with several separate vocalizations are split into events, each transcribed and translated on its own
  * @param {Blob} audioBlob - The recorded audio blob
- * @param {string} animalName - The name of the animal
- * @returns {Promise<{text: string, confidence: number, transcribedText: string}>}
+ * @param {string|null} animalName - The animal the user picked, or null to use the detected species
+ * @param {Object} [options]
+ * @param {string|Object} [options.provider] - Provider id or instance (defaults to VITE_INFERENCE_PROVIDER)
+ * @param {string[]} [options.asrModels] - ASR fallback chain (defaults to the provider's list)
+ * @param {string[]} [options.chatModels] - Chat fallback chain (defaults to the provider's list)
+ * @param {string[]} [options.classificationModels] - Species detection chain (defaults to the provider's list)
+ * @param {Object} [options.pet] - Pet profile of the recorded animal; the translation speaks as this pet
+ * @param {string} [options.language] - Output language code for the translation and the mocks
+ * @param {{role: string, content: string}[]} [options.history] - Earlier turns of the conversation, from buildContextMessages
+ * @param {boolean} [options.segment] - Split recordings into vocal events (defaults to true)
+ * @param {number} [options.temperature] - Sampling temperature for the translation
+ * @param {number} [options.maxTokens] - Completion length limit for the translation
+ * @param {number} [options.samples] - Translations to sample for the confidence agreement check (segmented recordings use 1 per event)
+ * @param {AbortSignal} [options.signal] - Cancels the pipeline; it then rejects with an AbortError instead of falling back
+ * @param {(text: string, info: {model: string|null}) => void} [options.onPartialText] - Streams the translation as it is written (not for segmented recordings)
+ * @param {(event: {stage: string, message: string, model?: string}) => void} [options.onProgress] - Progress log
+ * @returns {Promise<{text: string, confidence: number, confidenceBreakdown: Object, transcribedText: string, acousticFeatures: Object|null, events: Object[]|null, provider: string}|{isOffline: true, error: string}>}
+ *   - events is the timeline of a segmented recording ({start, end} in seconds, with each event's own translation), null otherwise.
+ *   When a request gets no answer the run stops right there and resolves with only isOffline and the error message
  */
-export async function processAnimalSound(audioBlob, animalName) {
+export async function processAnimalSound(audioBlob, animalName, options = {}) {
+  // The first request that gets no answer stops the rest of this run, detection and other segments included
+  const runController = new AbortController()
+  const cancelRun = () => runController.abort()
+  if (options.signal?.aborted) cancelRun()
+  options.signal?.addEventListener('abort', cancelRun, { once: true })
+  let unansweredError = null
+  const stopOffline = (error) => {
+    unansweredError = unansweredError || error
+    runController.abort()
+  }
+  const signal = runController.signal
+  const pipeline = { ...options, signal }
+
   try {
-    // Step 1: Transcribe the audio
-    let transcribedText
-    let isMockTranscription = false
+    // Resolve once so both steps use the same provider
+    const provider = resolveProvider(options.provider)
+    const onProgress = options.onProgress || (() => {})
 
+    // Decode once; analysis and ASR preprocessing both work on the same 16 kHz mono samples
+    let acousticFeatures = null
+    let measurements = null
+    let preprocessed = null
+    let samples = null
+    let sampleRate = TARGET_SAMPLE_RATE
+    onProgress({ stage: 'analysis', message: 'Analyzing and normalizing the recording' })
     try {
-      transcribedText = await transcribeAnimalSound(audioBlob)
-      // If null is returned (all models deprecated), use mock
-      if (!transcribedText) {
-        transcribedText = getMockTranscription(animalName)
-        isMockTranscription = true
-      }
-    } catch (transcriptionError) {
-      // If transcription fails (e.g., all models unavailable), use mock transcription
-      console.warn('Transcription API failed, using mock transcription:', transcriptionError.message)
-      transcribedText = getMockTranscription(animalName)
-      isMockTranscription = true
+      const audioBuffer = await decodeAudioBlob(audioBlob, TARGET_SAMPLE_RATE)
+      samples = toMono(audioBuffer)
+      sampleRate = audioBuffer.sampleRate
+      // Features describe the sound as captured, so analyze before trimming and gain.
+      // Vocal events are summarized from the same measurements rather than analyzed again
+      measurements = measureFrames(samples, sampleRate)
+      acousticFeatures = summarizeFrames(measurements)
+      preprocessed = preprocessSamples(samples, sampleRate)
+    } catch (decodeError) {
+      console.warn('Could not decode audio, sending the original recording without analysis:', decodeError.message)
     }
+    const asrBlob = preprocessed?.blob || audioBlob
+    const vocalEvents = measurements && options.segment !== false ? segmentVocalEvents(samples, sampleRate) : []
+    throwIfAborted(signal)
 
-    // Step 2: Translate/interpret the transcribed text
-    let translation
-    let isMockTranslation = false
+    // Species detection runs alongside transcription; both are needed before translating
+    const detectionPromise = detectSpecies(asrBlob, {
+      provider,
+      models: options.classificationModels,
+      signal,
+      onProgress
+    }).catch((detectionError) => {
+      // Aborts are rethrown below via throwIfAborted, so this promise never rejects unobserved
+      if (isNetworkError(detectionError)) {
+        stopOffline(detectionError)
+      } else if (!isAbortError(detectionError)) {
+        console.warn('Species detection failed, trusting the chosen animal:', detectionError.message)
+      }
+      return null
+    })
+    const speakerPromise = detectionPromise.then((detection) => {
+      const { detectedAnimal, isMismatch } = compareWithChoice(detection?.species || [], animalName)
+      // Auto-detect mode translates as whatever was heard
+      return { detection, detectedAnimal, isMismatch, animalName: animalName || detectedAnimal || 'animal' }
+    })
 
-    try {
-      translation = await translateAnimalSound(transcribedText, animalName)
-    } catch (translationError) {
-      // If translation fails, use mock translation
-      console.warn('Translation API failed, using mock translation:', translationError.message)
-      const mockText = getMockTranslation(animalName, transcribedText)
-      translation = {
-        text: mockText,
-        confidence: 0.6,
-        transcribedText: transcribedText
+    let result
+    let events = null
+    if (vocalEvents.length > 0) {
+      onProgress({ stage: 'segmentation', message: `Found ${vocalEvents.length} separate sounds, translating each one` })
+      events = await mapWithConcurrency(vocalEvents, DEFAULT_SEGMENT_CONCURRENCY, async (event, index) => {
+        const eventSamples = sliceEvent(samples, sampleRate, event)
+        const clip = await interpretClip(preprocessSamples(eventSamples, sampleRate).blob, summarizeFrames(measurements, event), speakerPromise, {
+          provider,
+          pipeline,
+          // One sample per event keeps a long recording from costing dozens of requests
+          samples: 1,
+          onProgress: progressEvent => onProgress({ ...progressEvent, message: `Sound ${index + 1}/${vocalEvents.length}: ${progressEvent.message}` })
+        })
+        return {
+          start: event.start,
+          end: event.end,
+          text: clip.translation.text,
+          structured: clip.translation.structured,
+          transcribedText: clip.transcribedText,
+          transcriptionScore: clip.transcription?.score ?? null,
+          transcriptionModel: clip.transcription?.model || null,
+          model: clip.translation.model,
+          logprobs: clip.translation.logprobs,
+          confidence: clip.confidenceBreakdown.score,
+          isMockTranscription: clip.isMockTranscription,
+          isMockTranslation: clip.isMockTranslation
+        }
+      })
+      result = combineEvents(events, options.language || DEFAULT_LANGUAGE)
+      // Logprobs were only needed for the combined score
+      events = events.map(({ logprobs, ...event }) => event)
+    } else {
+      const clip = await interpretClip(asrBlob, acousticFeatures, speakerPromise, {
+        provider,
+        pipeline,
+        samples: options.samples,
+        onPartialText: options.onPartialText,
+        onProgress
+      })
+      result = {
+        ...clip.translation,
+        confidence: clip.confidenceBreakdown.score,
+        confidenceBreakdown: clip.confidenceBreakdown,
+        transcriptionModel: clip.transcription?.model || null,
+        transcribedText: clip.transcribedText,
+        isMockTranscription: clip.isMockTranscription,
+        isMockTranslation: clip.isMockTranslation
       }
-      isMockTranslation = true
     }
 
+    const { detection, detectedAnimal, isMismatch, animalName: effectiveAnimalName } = await speakerPromise
+
     return {
-      ...translation,
-      transcribedText: transcribedText,
-      isMockTranscription: isMockTranscription,
-      isMockTranslation: isMockTranslation
+      ...result,
+      acousticFeatures: acousticFeatures,
+      audioPreprocessing: preprocessed && {
+        sampleRate: preprocessed.sampleRate,
+        durationSeconds: preprocessed.durationSeconds,
+        trimmedStartSeconds: preprocessed.trimmedStartSeconds,
+        trimmedEndSeconds: preprocessed.trimmedEndSeconds,
+        gainDb: preprocessed.gainDb
+      },
+      speciesDetection: detection && {
+        model: detection.model,
+        species: detection.species.slice(0, 3),
+        labels: detection.labels,
+        detectedAnimal,
+        isMismatch
+      },
+      events: events,
+      animalName: effectiveAnimalName,
+      provider: provider.id
     }
   } catch (error) {
-    console.error('Error processing animal sound:', error)
+    if (isNetworkError(error)) {
+      stopOffline(error)
+    }
+    // Stopped because the connection is gone, not cancelled by the caller
+    if (unansweredError && !options.signal?.aborted) {
+      console.warn('The API server did not answer, stopping:', unansweredError.message)
+      return { isOffline: true, error: unansweredError.message }
+    }
+    if (!isAbortError(error)) {
+      console.error('Error processing animal sound:', error)
+    }
     throw error
+  } finally {
+    options.signal?.removeEventListener('abort', cancelRun)
   }
 }
 
 /**
  * Get available models for a specific task
- * This is a helper function to explore available models
+ * Asks the provider's live catalog first and falls back to its configured list
+ * @param {string} [task] - 'automatic-speech-recognition' or 'chat-completion'
+ * @param {Object} [options]
+ * @param {string|Object} [options.provider] - Provider id or instance (defaults to VITE_INFERENCE_PROVIDER)
+ * @returns {Promise<{models: string[], source: 'catalog'|'local'}>}
  */
-export async function getAvailableModels(task = 'automatic-speech-recognition') {
+export async function getAvailableModels(task = MODEL_TASKS.asr, { provider: providerOption } = {}) {
+  const provider = resolveProvider(providerOption)
+  const localModels = task === MODEL_TASKS.chat ? provider.chatModels : provider.asrModels
   try {
-    // Note: This would require using the Hugging Face Hub API
-    // For now, we'll use predefined models
-    return {
-      'automatic-speech-recognition': [
-        'openai/whisper-large-v3',
-        'facebook/wav2vec2-base-960h',
-        'microsoft/speecht5_asr'
-      ],
-      'chat-completion': [
-        'meta-llama/Meta-Llama-3.1-8B-Instruct',
-        'mistralai/Mistral-7B-Instruct-v0.2',
-        'google/gemma-2-2b-it'
-      ]
+    const catalogModels = await provider.listModels(task)
+    if (catalogModels.length > 0) {
+      return { models: catalogModels, source: 'catalog' }
     }
   } catch (error) {
-    console.error('Error fetching models:', error)
-    return {}
+    console.warn(`Could not load the ${provider.name} model catalog, using the local list:`, error.message)
   }
+  return { models: localModels, source: 'local' }
 }
-
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { processAnimalSound } from './huggingFaceService'
+import { isAbortError } from './retry'
+
+const unanswered = () => Promise.reject(new DOMException('Failed to fetch', 'NetworkError'))
+
+/**
+ * A request that only ends when it is cancelled
+ * @param {*} modelId
+ * @param {*} body
+ * @param {{signal: AbortSignal}} options
+ */
+const pending = (modelId, body, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('The translation was cancelled', 'AbortError')))
+})
+
+/**
+ * @param {Object} [overrides]
+ * @returns {Object} - A provider whose requests are spies
+ */
+function fakeProvider(overrides = {}) {
+  return {
+    id: 'huggingface',
+    asrModels: ['owner/asr-1', 'owner/asr-2'],
+    chatModels: ['owner/chat-1', 'owner/chat-2'],
+    classificationModels: [],
+    troubleshooting: { transcription: [], translation: [] },
+    requestTranscription: vi.fn(unanswered),
+    requestClassification: vi.fn(unanswered),
+    requestChatCompletion: vi.fn(unanswered),
+    ...overrides,
+  }
+}
+
+describe('processAnimalSound without a connection', () => {
+  beforeEach(() => {
+    // The API server's health check answers; the provider requests are what fail
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ providers: { huggingface: { configError: null } } })))
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.unstubAllGlobals()
+  })
+
+  it('stops at the first request without an answer', async () => {
+    const provider = fakeProvider()
+    const result = await processAnimalSound(new Blob(['audio']), 'Dog', { provider })
+
+    expect(result).toEqual({ isOffline: true, error: 'Failed to fetch' })
+    // Neither retried nor tried with the next model, and nothing left to translate
+    expect(provider.requestTranscription).toHaveBeenCalledTimes(1)
+    expect(provider.requestChatCompletion).not.toHaveBeenCalled()
+  })
+
+  it('cancels the requests still running when detection gets no answer', async () => {
+    const provider = fakeProvider({
+      classificationModels: ['owner/classifier'],
+      requestTranscription: vi.fn(pending),
+    })
+    const result = await processAnimalSound(new Blob(['audio']), 'Dog', { provider })
+
+    expect(result.isOffline).toBe(true)
+    const [, , { signal }] = provider.requestTranscription.mock.calls[0]
+    expect(signal.aborted).toBe(true)
+  })
+
+  it('still rejects with an AbortError when the caller cancels', async () => {
+    const provider = fakeProvider({ requestTranscription: vi.fn(pending) })
+    const controller = new AbortController()
+    const running = processAnimalSound(new Blob(['audio']), 'Dog', { provider, signal: controller.signal })
+    await vi.waitFor(() => expect(provider.requestTranscription).toHaveBeenCalled())
+    controller.abort()
+    await expect(running).rejects.toSatisfy(isAbortError)
+  })
+})
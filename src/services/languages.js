@@ -0,0 +1,100 @@
+// Output languages: what the translation is written in and which speech
+// voice reads it. Codes and locales are BCP 47, like SpeechSynthesisVoice.lang;
+// the locale is the voice to prefer when several regions are installed.
+
+export const DEFAULT_LANGUAGE = 'en'
+
+export const LANGUAGES = [
+  { code: 'en', name: 'English', nativeName: 'English', locale: 'en-US' },
+  { code: 'es', name: 'Spanish', nativeName: 'Español', locale: 'es-ES' },
+  { code: 'fr', name: 'French', nativeName: 'Français', locale: 'fr-FR' },
+  { code: 'de', name: 'German', nativeName: 'Deutsch', locale: 'de-DE' },
+  { code: 'pt', name: 'Portuguese', nativeName: 'Português', locale: 'pt-BR' },
+  { code: 'it', name: 'Italian', nativeName: 'Italiano', locale: 'it-IT' },
+  { code: 'hi', name: 'Hindi', nativeName: 'हिन्दी', locale: 'hi-IN' },
+  { code: 'bn', name: 'Bengali', nativeName: 'বাংলা', locale: 'bn-IN' },
+  { code: 'ja', name: 'Japanese', nativeName: '日本語', locale: 'ja-JP' },
+  { code: 'ko', name: 'Korean', nativeName: '한국어', locale: 'ko-KR' },
+  { code: 'zh', name: 'Chinese (Simplified)', nativeName: '简体中文', locale: 'zh-CN' },
+]
+
+// Mock translations for languages other than English, where the per-animal phrases don't apply
+const FALLBACK_PHRASES = {
+  es: [
+    '¡Estoy tratando de decirte algo importante!',
+    '¡Hola! ¡Estoy aquí y quiero tu atención!',
+    '¡Estoy muy feliz de verte!',
+    '¿Ya es hora de comer?',
+  ],
+  fr: [
+    "J'essaie de te dire quelque chose d'important !",
+    'Coucou ! Je suis là et je veux ton attention !',
+    'Je suis tellement content de te voir !',
+    "C'est l'heure de manger ?",
+  ],
+  de: [
+    'Ich versuche, dir etwas Wichtiges zu sagen!',
+    'Hallo! Ich bin hier und will deine Aufmerksamkeit!',
+    'Ich freue mich so, dich zu sehen!',
+    'Ist es schon Zeit zum Essen?',
+  ],
+  pt: [
+    'Estou tentando te dizer algo importante!',
+    'Oi! Estou aqui e quero sua atenção!',
+    'Estou tão feliz em te ver!',
+    'Já está na hora de comer?',
+  ],
+  it: [
+    'Sto cercando di dirti qualcosa di importante!',
+    'Ciao! Sono qui e voglio la tua attenzione!',
+    'Sono così felice di vederti!',
+    'È già ora di mangiare?',
+  ],
+  hi: [
+    'मैं तुम्हें कुछ ज़रूरी बताने की कोशिश कर रहा हूँ!',
+    'अरे! मैं यहाँ हूँ, मेरी तरफ़ ध्यान दो!',
+    'तुम्हें देखकर मैं बहुत खुश हूँ!',
+    'क्या खाने का समय हो गया?',
+  ],
+  bn: [
+    'আমি তোমাকে জরুরি কিছু বলার চেষ্টা করছি!',
+    'এই যে! আমি এখানে, আমার দিকে একটু তাকাও!',
+    'তোমাকে দেখে আমি খুব খুশি!',
+    'খাবারের সময় কি হয়ে গেছে?',
+  ],
+  ja: [
+    '大事なことを伝えようとしているんだよ！',
+    'ねえ！ここにいるよ、こっちを見て！',
+    '会えてすごくうれしい！',
+    'もうごはんの時間？',
+  ],
+  ko: [
+    '중요한 걸 말하려고 하는 중이야!',
+    '여기 좀 봐! 나 여기 있어!',
+    '만나서 정말 기뻐!',
+    '벌써 밥 먹을 시간이야?',
+  ],
+  zh: [
+    '我想告诉你一件很重要的事！',
+    '嘿！我在这儿，快看看我！',
+    '见到你我好开心！',
+    '是不是该吃饭了？',
+  ],
+}
+
+/**
+ * @param {string} code
+ * @returns {Object|undefined} - The language with that code
+ */
+export function findLanguage(code) {
+  return LANGUAGES.find(language => language.code === code)
+}
+
+/**
+ * Mock phrases for a language, or null when the animal's own (English) phrases should be used
+ * @param {string} [code]
+ * @returns {string[]|null}
+ */
+export function getLocalizedFallbackPhrases(code) {
+  return FALLBACK_PHRASES[code] || null
+}
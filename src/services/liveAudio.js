@@ -0,0 +1,68 @@
+// Live analysis of a microphone stream through a Web Audio AnalyserNode
+
+// Levels below this are treated as digital silence
+export const MIN_LEVEL_DB = -100
+
+/**
+ * Attach an AnalyserNode to a MediaStream
+ * The analyser is not connected to the speakers, so there is no feedback.
+ * @param {MediaStream} stream - Microphone stream (e.g. the one MediaRecorder is using)
+ * @param {Object} [options]
+ * @param {number} [options.fftSize] - Analyser FFT size (power of two)
+ * @param {number} [options.smoothingTimeConstant] - Smoothing for frequency data, 0-1
+ * @returns {{analyser: AnalyserNode, sampleRate: number, getLevelDb: () => number, getFrequencyData: () => Uint8Array, close: () => Promise<void>}}
+ */
+export function createStreamAnalyser(stream, { fftSize = 1024, smoothingTimeConstant = 0.7 } = {}) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext
+  if (!AudioContextClass) {
+    throw new Error('Web Audio API is not supported in this browser')
+  }
+
+  const context = new AudioContextClass()
+  const source = context.createMediaStreamSource(stream)
+  const analyser = context.createAnalyser()
+  analyser.fftSize = fftSize
+  analyser.smoothingTimeConstant = smoothingTimeConstant
+  source.connect(analyser)
+
+  const timeData = new Float32Array(analyser.fftSize)
+  const frequencyData = new Uint8Array(analyser.frequencyBinCount)
+
+  return {
+    analyser,
+    sampleRate: context.sampleRate,
+
+    /**
+     * Current RMS input level
+     * @returns {number} - dBFS, MIN_LEVEL_DB for silence
+     */
+    getLevelDb() {
+      analyser.getFloatTimeDomainData(timeData)
+      let sum = 0
+      for (let i = 0; i < timeData.length; i++) {
+        sum += timeData[i] * timeData[i]
+      }
+      const rms = Math.sqrt(sum / timeData.length)
+      return rms > 0 ? Math.max(MIN_LEVEL_DB, 20 * Math.log10(rms)) : MIN_LEVEL_DB
+    },
+
+    /**
+     * Current magnitude spectrum; the array is reused between calls
+     * @returns {Uint8Array} - One byte per frequency bin
+     */
+    getFrequencyData() {
+      analyser.getByteFrequencyData(frequencyData)
+      return frequencyData
+    },
+
+    /**
+     * Disconnect and release the audio context (the stream itself is left running)
+     */
+    async close() {
+      source.disconnect()
+      if (context.state !== 'closed') {
+        await context.close()
+      }
+    },
+  }
+}
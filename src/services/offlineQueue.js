@@ -0,0 +1,100 @@
+// Recordings made without a connection. They wait in IndexedDB, so closing
+// the tab doesn't lose them, and go through processAnimalSound once the API
+// server answers again. Each one keeps the settings it was recorded with.
+import { STORES, createId, runRequest } from './db'
+import { toPetReference } from './petStore'
+import { createHistoryEntry } from './historyStore'
+import { processAnimalSound } from './huggingFaceService'
+import { AUTO_DETECT_ANIMAL, findAnimal } from './animalRegistry'
+
+export const QUEUE_STATUS = {
+  // Sent automatically when the connection returns
+  waiting: 'waiting',
+  // The server answered with an error; only sent again when retried
+  failed: 'failed',
+}
+
+/**
+ * A recording waiting for a connection
+ * @param {Object} params
+ * @param {Blob} params.audioBlob
+ * @param {{name: string, emoji: string, pet?: Object}} params.animal - The selected animal, with its profile when it is a pet
+ * @param {Object} params.options - getPipelineOptions result at recording time
+ * @param {{role: string, content: string}[]} [params.history] - Conversation mode context at recording time
+ * @returns {Object} - Item ready for saveQueuedRecording
+ */
+export function createQueuedRecording({ audioBlob, animal, options, history = [] }) {
+  return {
+    id: createId(),
+    createdAt: Date.now(),
+    audioBlob,
+    animal: { name: animal.name, emoji: animal.emoji },
+    pet: animal.pet ? toPetReference(animal.pet) : null,
+    options,
+    history,
+    status: QUEUE_STATUS.waiting,
+    error: null,
+  }
+}
+
+/**
+ * Save (insert or replace) a queued recording
+ * @param {Object} item - From createQueuedRecording
+ * @returns {Promise<Object>}
+ */
+export async function saveQueuedRecording(item) {
+  await runRequest(STORES.queue, 'readwrite', store => store.put(item))
+  return item
+}
+
+/**
+ * Everything in the queue, oldest first
+ * @returns {Promise<Object[]>}
+ */
+export function listQueuedRecordings() {
+  return runRequest(STORES.queue, 'readonly', store => store.index('createdAt').getAll())
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteQueuedRecording(id) {
+  await runRequest(STORES.queue, 'readwrite', store => store.delete(id))
+}
+
+/**
+ * Whether a translation went wrong only because the connection is gone
+ * processAnimalSound stops at the first request that gets no answer and says so on its result
+ * @param {Object} result - processAnimalSound result
+ * @returns {boolean}
+ */
+export function isOfflineFailure(result) {
+  return result?.isOffline === true
+}
+
+/**
+ * Translate a queued recording into a history entry dated when it was recorded
+ * @param {Object} item - From listQueuedRecordings
+ * @param {Object[]} pets - Current pet profiles; a deleted pet translates as its species
+ * @returns {Promise<Object|null>} - The entry, or null when the connection dropped again
+ */
+export async function translateQueuedRecording(item, pets) {
+  const isMystery = item.animal.name === AUTO_DETECT_ANIMAL.name
+  const pet = pets.find(profile => profile.id === item.pet?.id) || null
+  const result = await processAnimalSound(item.audioBlob, isMystery ? null : item.animal.name, {
+    ...item.options,
+    pet,
+    history: item.history,
+  })
+  if (isOfflineFailure(result)) return null
+
+  const detectedAnimal = isMystery && findAnimal(result.speciesDetection?.detectedAnimal)
+  const animal = detectedAnimal || item.animal
+  const entry = createHistoryEntry({
+    audioBlob: item.audioBlob,
+    animal: { name: animal.name, emoji: animal.emoji, pet: pet || item.pet },
+    result,
+  })
+  return { ...entry, createdAt: item.createdAt }
+}
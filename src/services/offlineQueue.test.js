@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { processAnimalSound } from './huggingFaceService'
+import { toPetSelection } from './petStore'
+import { QUEUE_STATUS, createQueuedRecording, isOfflineFailure, translateQueuedRecording } from './offlineQueue'
+
+vi.mock('./db', () => ({
+  STORES: { queue: 'queue' },
+  createId: () => 'queued-1',
+  runRequest: vi.fn(),
+}))
+vi.mock('./huggingFaceService', () => ({ processAnimalSound: vi.fn() }))
+
+const REAL_RESULT = {
+  text: 'I want to play!',
+  transcribedText: 'woof',
+  confidence: 0.8,
+  isMockTranscription: false,
+  isMockTranslation: false,
+  speciesDetection: { detectedAnimal: 'Cat' },
+}
+
+const PET = { id: 'pet-1', name: 'Rex', species: 'Dog', emoji: '🐶', createdAt: 1 }
+// What the selector hands over for a pet: its species, wearing the pet's emoji
+const PET_SELECTION = toPetSelection(PET)
+
+/**
+ * @param {Object} [animal]
+ * @returns {Object} - A queued recording as listQueuedRecordings returns it
+ */
+function makeItem(animal = { name: 'Dog', emoji: '🐕' }) {
+  return {
+    ...createQueuedRecording({
+      audioBlob: new Blob(['audio']),
+      animal,
+      options: { language: 'de' },
+      history: [{ role: 'user', content: 'Earlier Dog sound' }],
+    }),
+    createdAt: 1700000000000,
+  }
+}
+
+describe('createQueuedRecording', () => {
+  it('keeps the settings and a reference to the pet', () => {
+    const item = createQueuedRecording({ audioBlob: new Blob(['audio']), animal: PET_SELECTION, options: { language: 'de' } })
+    expect(item).toMatchObject({
+      id: 'queued-1',
+      animal: { name: 'Dog', emoji: '🐶' },
+      options: { language: 'de' },
+      history: [],
+      status: QUEUE_STATUS.waiting,
+      error: null,
+    })
+    expect(item.pet.id).toBe('pet-1')
+  })
+})
+
+describe('isOfflineFailure', () => {
+  it('counts only runs stopped by a request without an answer', () => {
+    expect(isOfflineFailure({ isOffline: true, error: 'Failed to fetch' })).toBe(true)
+    expect(isOfflineFailure(REAL_RESULT)).toBe(false)
+    // The server answered with errors, so these stand-ins are the real outcome
+    expect(isOfflineFailure({ ...REAL_RESULT, isMockTranscription: true, isMockTranslation: true })).toBe(false)
+  })
+})
+
+describe('translateQueuedRecording', () => {
+  beforeEach(() => {
+    processAnimalSound.mockReset()
+  })
+
+  it('translates with the recorded settings and keeps the recording date', async () => {
+    processAnimalSound.mockResolvedValue(REAL_RESULT)
+    const item = makeItem(PET_SELECTION)
+    const entry = await translateQueuedRecording(item, [PET])
+
+    expect(processAnimalSound).toHaveBeenCalledWith(item.audioBlob, 'Dog', {
+      language: 'de',
+      pet: PET,
+      history: item.history,
+    })
+    expect(entry).toMatchObject({ createdAt: 1700000000000, text: 'I want to play!', animal: { name: 'Dog', emoji: '🐶' } })
+    expect(entry.pet.id).toBe('pet-1')
+  })
+
+  it('uses the detected animal for mystery recordings', async () => {
+    processAnimalSound.mockResolvedValue(REAL_RESULT)
+    const entry = await translateQueuedRecording(makeItem({ name: 'Mystery Animal', emoji: '🔍' }), [])
+    expect(processAnimalSound.mock.calls[0][1]).toBeNull()
+    expect(entry.animal.name).toBe('Cat')
+  })
+
+  it('translates for a deleted pet without its profile', async () => {
+    processAnimalSound.mockResolvedValue(REAL_RESULT)
+    await translateQueuedRecording(makeItem(PET_SELECTION), [])
+    expect(processAnimalSound.mock.calls[0][2].pet).toBeNull()
+  })
+
+  it('returns null when the connection is gone again', async () => {
+    processAnimalSound.mockResolvedValue({ isOffline: true, error: 'Failed to fetch' })
+    expect(await translateQueuedRecording(makeItem(), [])).toBeNull()
+  })
+})
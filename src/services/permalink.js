@@ -0,0 +1,143 @@
+// Permalinks: a translation result (without the audio) encoded in the URL
+// fragment, so a link opens the same result read-only on any device. The
+// fragment never reaches a server, and nothing has to be stored to share.
+import { MOOD_EMOJI, INTENT_EMOJI, URGENCY_LEVELS } from './structuredTranslation'
+import { findLanguage, DEFAULT_LANGUAGE } from './languages'
+
+const HASH_PREFIX = '#share='
+const PERMALINK_VERSION = 1
+
+// Waveform bars kept in a link, each stored as one digit
+export const PERMALINK_WAVEFORM_BARS = 48
+
+// Longer text is cut when a link is built and again when it is read
+const MAX_TEXT_LENGTH = 600
+const MAX_RATIONALE_LENGTH = 300
+const MAX_TRANSCRIPTION_LENGTH = 200
+
+/**
+ * @param {string} json
+ * @returns {string} - base64url of the UTF-8 bytes
+ */
+function toBase64Url(json) {
+  const bytes = new TextEncoder().encode(json)
+  let binary = ''
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte)
+  })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * @param {string} encoded - base64url
+ * @returns {string} - The decoded UTF-8 text
+ */
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'))
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)))
+}
+
+/**
+ * Quantize waveform peaks (0-1) to a digit string
+ * @param {ArrayLike<number>|null} peaks
+ * @returns {string|undefined}
+ */
+function encodePeaks(peaks) {
+  if (!peaks || peaks.length === 0) return undefined
+  return Array.from(peaks, peak => Math.round(Math.min(1, Math.max(0, peak)) * 9)).join('')
+}
+
+/**
+ * @param {string} text - A link field; anything can arrive here
+ * @param {number} [maxLength]
+ * @returns {string|null}
+ */
+function readText(text, maxLength = MAX_TEXT_LENGTH) {
+  return typeof text === 'string' && text.trim() ? text.trim().slice(0, maxLength) : null
+}
+
+/**
+ * Build a permalink for a result
+ * @param {Object} shared
+ * @param {string} shared.text - The translation
+ * @param {string} shared.animalName
+ * @param {string} [shared.emoji]
+ * @param {string} [shared.petName]
+ * @param {Object|null} [shared.structured] - mood, intent, urgency, rationale
+ * @param {string} [shared.transcribedText]
+ * @param {string} [shared.language]
+ * @param {number} [shared.confidence]
+ * @param {ArrayLike<number>|null} [shared.peaks] - Waveform peaks, PERMALINK_WAVEFORM_BARS of them
+ * @param {number} [shared.createdAt] - Defaults to now
+ * @returns {string} - Absolute URL
+ */
+export function buildPermalink(shared) {
+  const payload = {
+    v: PERMALINK_VERSION,
+    t: readText(shared.text),
+    a: shared.animalName,
+    e: shared.emoji,
+    p: shared.petName || undefined,
+    m: shared.structured?.mood,
+    i: shared.structured?.intent,
+    u: shared.structured?.urgency,
+    r: readText(shared.structured?.rationale, MAX_RATIONALE_LENGTH) || undefined,
+    s: readText(shared.transcribedText, MAX_TRANSCRIPTION_LENGTH) || undefined,
+    l: shared.language && shared.language !== DEFAULT_LANGUAGE ? shared.language : undefined,
+    c: typeof shared.confidence === 'number' ? Math.round(shared.confidence * 100) : undefined,
+    w: encodePeaks(shared.peaks),
+    d: shared.createdAt || Date.now(),
+  }
+  const { origin, pathname } = window.location
+  return `${origin}${pathname}${HASH_PREFIX}${toBase64Url(JSON.stringify(payload))}`
+}
+
+/**
+ * Read a shared result from a URL fragment
+ * @param {string} hash - window.location.hash
+ * @returns {Object|null} - The result in buildPermalink's shape, or null when the fragment isn't a (valid) permalink
+ */
+export function readPermalink(hash) {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null
+  let payload
+  try {
+    payload = JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)))
+  } catch (error) {
+    console.warn('Could not read the shared link:', error.message)
+    return null
+  }
+  if (!payload || payload.v !== PERMALINK_VERSION) return null
+
+  const text = readText(payload.t)
+  const animalName = readText(payload.a, 40)
+  if (!text || !animalName) return null
+
+  // Only show mood and intent when the link carries a complete, known set
+  const hasStructured = Object.keys(MOOD_EMOJI).includes(payload.m) &&
+    Object.keys(INTENT_EMOJI).includes(payload.i) &&
+    URGENCY_LEVELS.includes(payload.u)
+  return {
+    text,
+    animalName,
+    emoji: readText(payload.e, 16) || '🐾',
+    petName: readText(payload.p, 40),
+    structured: hasStructured
+      ? { mood: payload.m, intent: payload.i, urgency: payload.u, rationale: readText(payload.r, MAX_RATIONALE_LENGTH) }
+      : null,
+    transcribedText: readText(payload.s, MAX_TRANSCRIPTION_LENGTH),
+    language: findLanguage(payload.l) ? payload.l : DEFAULT_LANGUAGE,
+    confidence: Number.isFinite(payload.c) ? Math.min(100, Math.max(0, payload.c)) / 100 : null,
+    peaks: typeof payload.w === 'string' && /^\d{1,128}$/.test(payload.w)
+      ? Array.from(payload.w, digit => Number(digit) / 9)
+      : null,
+    createdAt: Number.isFinite(payload.d) ? payload.d : null,
+  }
+}
+
+/**
+ * Remove a permalink fragment from the address bar without reloading
+ */
+export function clearPermalink() {
+  const { pathname, search } = window.location
+  window.history.replaceState(null, '', `${pathname}${search}`)
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { buildPermalink, readPermalink } from './permalink'
+
+const SHARED = {
+  text: 'Ich will spielen! 🎾',
+  animalName: 'Dog',
+  emoji: '🐕',
+  petName: 'Rex',
+  structured: { mood: 'playful', intent: 'play', urgency: 'low', rationale: 'Bouncy barks.' },
+  transcribedText: 'woof woof',
+  language: 'de',
+  confidence: 0.834,
+  peaks: [0, 0.5, 1],
+  createdAt: 1700000000000,
+}
+
+const hashOf = url => url.slice(url.indexOf('#'))
+
+/**
+ * Encode a payload the way buildPermalink does, for links it would never build
+ * @param {Object} payload
+ * @returns {string}
+ */
+const encodeHash = payload => `#share=${btoa(JSON.stringify(payload)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`
+
+describe('permalinks', () => {
+  beforeEach(() => {
+    vi.stubGlobal('window', { location: { origin: 'https://example.com', pathname: '/app/' } })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('round-trips a result', () => {
+    const url = buildPermalink(SHARED)
+    expect(url).toMatch(/^https:\/\/example\.com\/app\/#share=[\w-]+$/)
+    expect(readPermalink(hashOf(url))).toEqual({
+      ...SHARED,
+      confidence: 0.83,
+      peaks: [0, 5 / 9, 1],
+    })
+  })
+
+  it('fills in defaults for a minimal result', () => {
+    const shared = readPermalink(hashOf(buildPermalink({ text: 'Meow', animalName: 'Cat' })))
+    expect(shared).toMatchObject({
+      text: 'Meow',
+      emoji: '🐾',
+      petName: null,
+      structured: null,
+      language: 'en',
+      confidence: null,
+      peaks: null,
+    })
+    expect(shared.createdAt).toBeGreaterThan(0)
+  })
+
+  it('caps the text at 600 characters', () => {
+    const long = 'a'.repeat(700)
+    const url = buildPermalink({ ...SHARED, text: long })
+    expect(readPermalink(hashOf(url)).text).toHaveLength(600)
+    // Links built elsewhere are cut when they are read
+    expect(readPermalink(encodeHash({ v: 1, t: long, a: 'Dog' })).text).toHaveLength(600)
+  })
+
+  it('drops an incomplete or unknown mood and intent', () => {
+    expect(readPermalink(encodeHash({ v: 1, t: 'Hi', a: 'Dog', m: 'happy', i: 'play' })).structured).toBeNull()
+    expect(readPermalink(encodeHash({ v: 1, t: 'Hi', a: 'Dog', m: 'bored', i: 'play', u: 'low' })).structured).toBeNull()
+  })
+
+  it('ignores fragments that are not valid permalinks', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    expect(readPermalink('')).toBeNull()
+    expect(readPermalink('#section')).toBeNull()
+    expect(readPermalink('#share=not-json')).toBeNull()
+    expect(readPermalink(encodeHash({ v: 2, t: 'Hi', a: 'Dog' }))).toBeNull()
+    expect(readPermalink(encodeHash({ v: 1, t: ' ', a: 'Dog' }))).toBeNull()
+    console.warn.mockRestore()
+  })
+})
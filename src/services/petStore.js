@@ -0,0 +1,124 @@
+// Pet profiles: the animals someone translates every day, with enough
+// detail (breed, age, personality) for the prompt to keep their voice
+// consistent. Stored in IndexedDB next to the history so photos can be Blobs.
+import { STORES, createId, runRequest } from './db'
+import { findAnimal } from './animalRegistry'
+
+// Photos are only shown as small avatars, so there's no point storing more
+const PHOTO_MAX_SIZE = 256
+const MAX_NAME_LENGTH = 32
+const MAX_NOTES_LENGTH = 500
+
+/**
+ * Validate form fields and turn them into a pet profile
+ * @param {Object} fields
+ * @param {string} fields.name
+ * @param {string} fields.species - Name of an animal in the registry
+ * @param {string} [fields.breed]
+ * @param {string} [fields.age] - Free text, e.g. "3 years" or "8 months"
+ * @param {string} [fields.emoji] - Defaults to the species' emoji
+ * @param {Blob|null} [fields.photo]
+ * @param {string} [fields.personality] - Notes for the prompt
+ * @param {Object} [existing] - The profile being edited, if any
+ * @returns {Object} - Profile ready for savePet
+ */
+export function createPetProfile(fields, existing = null) {
+  const name = (fields.name || '').trim()
+  if (!name) {
+    throw new Error('Give your pet a name.')
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Keep the name under ${MAX_NAME_LENGTH} characters.`)
+  }
+  const animal = findAnimal(fields.species)
+  if (!animal) {
+    throw new Error('Choose which kind of animal your pet is.')
+  }
+  const personality = (fields.personality || '').trim()
+  if (personality.length > MAX_NOTES_LENGTH) {
+    throw new Error(`Keep the personality notes under ${MAX_NOTES_LENGTH} characters.`)
+  }
+  return {
+    id: existing?.id || createId(),
+    createdAt: existing?.createdAt || Date.now(),
+    name,
+    species: animal.name,
+    breed: (fields.breed || '').trim(),
+    age: (fields.age || '').trim(),
+    emoji: (fields.emoji || '').trim() || animal.emoji,
+    photo: fields.photo || null,
+    personality,
+  }
+}
+
+/**
+ * Shrink a photo to an avatar-sized JPEG
+ * @param {File|Blob} file - Any image the browser can decode
+ * @returns {Promise<Blob>}
+ */
+export async function resizePhoto(file) {
+  if (!file.type.startsWith('image/')) {
+    throw new Error('Choose an image file for the photo.')
+  }
+  const bitmap = await createImageBitmap(file)
+  const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(bitmap.width, bitmap.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(bitmap.width * scale)
+  canvas.height = Math.round(bitmap.height * scale)
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  bitmap.close()
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => blob ? resolve(blob) : reject(new Error('Could not process the photo.')),
+      'image/jpeg',
+      0.85
+    )
+  })
+}
+
+/**
+ * The parts of a profile a history entry keeps, so it still groups and
+ * displays correctly after the profile is edited or deleted
+ * @param {Object} pet
+ * @returns {{id: string, name: string, emoji: string}}
+ */
+export function toPetReference(pet) {
+  return { id: pet.id, name: pet.name, emoji: pet.emoji }
+}
+
+/**
+ * The selection object for a pet: its species, wearing the pet's emoji
+ * @param {Object} pet
+ * @returns {Object} - Animal with a `pet` field, usable wherever an animal is
+ */
+export function toPetSelection(pet) {
+  // The species may be a custom animal that has since been removed
+  const animal = findAnimal(pet.species) || { name: pet.species, color: 'from-purple-400 to-pink-500' }
+  return { ...animal, emoji: pet.emoji, pet }
+}
+
+/**
+ * Save (insert or replace) a pet profile
+ * @param {Object} pet - Profile from createPetProfile
+ * @returns {Promise<Object>}
+ */
+export async function savePet(pet) {
+  await runRequest(STORES.pets, 'readwrite', store => store.put(pet))
+  return pet
+}
+
+/**
+ * All pet profiles, oldest first
+ * @returns {Promise<Object[]>}
+ */
+export function listPets() {
+  return runRequest(STORES.pets, 'readonly', store => store.index('createdAt').getAll())
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deletePet(id) {
+  await runRequest(STORES.pets, 'readwrite', store => store.delete(id))
+}
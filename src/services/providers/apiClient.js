@@ -0,0 +1,151 @@
+// Browser side of the API server in server/index.js. Every provider request
+// goes through it so credentials stay on the server.
+import { getAudioFileName } from '../audioPreprocessing'
+import { isAbortError, isNetworkError } from '../retry'
+
+// Same origin by default: the API server serves the built app, and `vite dev` proxies /api
+const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || '').replace(/\/+$/, '')
+
+// A health check that takes longer than this counts as no connection
+const REACHABILITY_TIMEOUT_MS = 5000
+
+let statusPromise = null
+
+/**
+ * fetch() against the API server
+ * fetch() only throws when nothing answered, so those failures become a
+ * NetworkError (see isNetworkError) and callers can tell "offline" apart
+ * from the server or provider answering with an error
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+async function fetchApi(url, init) {
+  try {
+    return await fetch(url, init)
+  } catch (error) {
+    // A cancelled request says nothing about the connection
+    if (isAbortError(error)) throw error
+    throw new DOMException(error.message, 'NetworkError')
+  }
+}
+
+/**
+ * Send audio to /api/transcribe
+ * @param {string} providerId - Upstream provider on the server
+ * @param {string} modelId - The model to run
+ * @param {Blob} audioBlob - The audio to transcribe
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Response>} - The upstream response, relayed unchanged
+ */
+export function postTranscription(providerId, modelId, audioBlob, signal) {
+  const query = new URLSearchParams({
+    provider: providerId,
+    model: modelId,
+    filename: getAudioFileName(audioBlob),
+  })
+  return fetchApi(`${API_BASE_URL}/api/transcribe?${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': audioBlob.type || 'application/octet-stream' },
+    body: audioBlob,
+    signal,
+  })
+}
+
+/**
+ * Send audio to /api/classify
+ * @param {string} providerId - Upstream provider on the server
+ * @param {string} modelId - The audio classification model to run
+ * @param {Blob} audioBlob - The audio to classify
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Response>} - The upstream response, relayed unchanged
+ */
+export function postClassification(providerId, modelId, audioBlob, signal) {
+  const query = new URLSearchParams({
+    provider: providerId,
+    model: modelId,
+    filename: getAudioFileName(audioBlob),
+  })
+  return fetchApi(`${API_BASE_URL}/api/classify?${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': audioBlob.type || 'application/octet-stream' },
+    body: audioBlob,
+    signal,
+  })
+}
+
+/**
+ * Send a chat completion request to /api/translate
+ * @param {string} providerId - Upstream provider on the server
+ * @param {Object} body - OpenAI-style chat completion body, including model
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Response>} - The upstream response, relayed unchanged
+ */
+export function postChatCompletion(providerId, body, signal) {
+  const query = new URLSearchParams({ provider: providerId })
+  return fetchApi(`${API_BASE_URL}/api/translate?${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal,
+  })
+}
+
+/**
+ * Ask the server for a provider's model catalog
+ * @param {string} providerId
+ * @param {string} task - 'automatic-speech-recognition' or 'chat-completion'
+ * @returns {Promise<string[]>}
+ */
+export async function fetchModelList(providerId, task) {
+  const query = new URLSearchParams({ provider: providerId, task })
+  const response = await fetchApi(`${API_BASE_URL}/api/models?${query}`)
+  const result = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(result.error || `Model catalog request failed with status ${response.status}`)
+  }
+  return result.models || []
+}
+
+/**
+ * Which providers the server has credentials for; cached after the first success
+ * Rejects with a NetworkError when the server doesn't answer
+ * @returns {Promise<Object<string, {configError: string|null}>>}
+ */
+export function fetchProviderStatus() {
+  if (!statusPromise) {
+    statusPromise = fetchApi(`${API_BASE_URL}/api/health`)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`status ${response.status}`)
+        }
+        return response.json()
+      })
+      .then(result => result.providers || {})
+      .catch((error) => {
+        // Don't cache the failure; the server may just not be up yet
+        statusPromise = null
+        const message = `Could not reach the API server at ${API_BASE_URL || window.location.origin} (${error.message}). Start it with "npm run server".`
+        throw isNetworkError(error) ? new DOMException(message, 'NetworkError') : new Error(message)
+      })
+  }
+  return statusPromise
+}
+
+/**
+ * Whether the API server answers right now; never cached, never throws
+ * For finding out when a lost connection is back: navigator.onLine knows
+ * nothing about a server that is down
+ * @returns {Promise<boolean>}
+ */
+export async function isApiReachable() {
+  try {
+    const response = await fetchApi(`${API_BASE_URL}/api/health`, {
+      cache: 'no-store',
+      signal: AbortSignal.timeout(REACHABILITY_TIMEOUT_MS),
+    })
+    return response.ok
+  } catch {
+    return false
+  }
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { fetchProviderStatus, postChatCompletion } from './apiClient'
+import { isAbortError, isNetworkError } from '../retry'
+
+describe('API requests', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('turns a request without an answer into a NetworkError', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')))
+    const error = await postChatCompletion('huggingface', {}).catch(err => err)
+    expect(isNetworkError(error)).toBe(true)
+    expect(error.message).toBe('Failed to fetch')
+  })
+
+  it('relays any answer, errors included', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('{}', { status: 500 })))
+    const response = await postChatCompletion('huggingface', {})
+    expect(response.status).toBe(500)
+  })
+
+  it('keeps cancelled requests as aborts', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new DOMException('The user aborted a request.', 'AbortError')))
+    const error = await postChatCompletion('huggingface', {}).catch(err => err)
+    expect(isAbortError(error)).toBe(true)
+    expect(isNetworkError(error)).toBe(false)
+  })
+
+  it('reports an unreachable server as a NetworkError when checking providers', async () => {
+    vi.stubGlobal('window', { location: { origin: 'http://localhost:5173' } })
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')))
+    const error = await fetchProviderStatus().catch(err => err)
+    expect(isNetworkError(error)).toBe(true)
+    expect(error.message).toMatch(/^Could not reach the API server at http:\/\/localhost:5173 \(Failed to fetch\)/)
+
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response('{}', { status: 500 })))
+    const serverError = await fetchProviderStatus().catch(err => err)
+    expect(isNetworkError(serverError)).toBe(false)
+    expect(serverError.message).toMatch(/\(status 500\)/)
+  })
+})
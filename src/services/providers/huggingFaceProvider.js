@@ -0,0 +1,150 @@
+// Hugging Face Inference Providers implementation of the provider interface.
+// Requests go through the API server, which holds HF_TOKEN.
+import { postTranscription, postClassification, postChatCompletion, fetchModelList } from './apiClient'
+import {
+  parseChatCompletion,
+  parseChatCompletionChunk,
+  parseChatLogprobs,
+  parseClassification,
+} from './openAIResponses'
+
+// Try models in order of preference, with fallbacks
+// Note: OpenAI Whisper models may not be available on serverless Inference API
+// Using alternative models that are more likely to be available
+// Check https://huggingface.co/models?pipeline_tag=automatic-speech-recognition&inference=true
+// to see which models have Inference API enabled
+export const DEFAULT_HF_ASR_MODELS = [
+  'zai-org/GLM-ASR-Nano-2512', // Alternative ASR model that may be available
+  'facebook/wav2vec2-base-960h', // Wav2Vec2 model
+  'jonatasgrosman/wav2vec2-large-xlsr-53-english', // Alternative Wav2Vec2
+  'openai/whisper-small', // Try Whisper as fallback
+  'openai/whisper-base',
+  'openai/whisper-medium'
+]
+
+// AudioSet classifiers: their labels include Bark, Meow, Moo, Oink and friends
+export const DEFAULT_HF_CLASSIFICATION_MODELS = [
+  'MIT/ast-finetuned-audioset-10-10-0.4593',
+]
+
+export const DEFAULT_HF_CHAT_MODELS = [
+  'meta-llama/Llama-3.1-8B-Instruct', // Try without "Meta-" prefix
+  'meta-llama/Meta-Llama-3.1-8B-Instruct', // Original format
+  'mistralai/Mistral-7B-Instruct-v0.2', // Alternative model
+  'mistralai/Mixtral-8x7B-Instruct-v0.1', // Another alternative
+  'google/gemma-2-2b-it', // Smaller alternative
+]
+
+/**
+ * Create a provider that talks to Hugging Face
+ * @param {Object} [config]
+ * @param {string[]} [config.asrModels] - Speech-to-text models, in fallback order
+ * @param {string[]} [config.chatModels] - Chat completion models, in fallback order
+ * @param {string[]} [config.classificationModels] - Audio classification models for species detection, in fallback order
+ * @param {boolean} [config.supportsLogprobs] - Ask for token logprobs (not every routed provider accepts it)
+ * @param {boolean} [config.supportsJsonMode] - Send response_format json_object (not every routed provider accepts it)
+ * @returns {Object} - Provider implementing requestTranscription/requestChatCompletion
+ */
+export function createHuggingFaceProvider({
+  asrModels = DEFAULT_HF_ASR_MODELS,
+  chatModels = DEFAULT_HF_CHAT_MODELS,
+  classificationModels = DEFAULT_HF_CLASSIFICATION_MODELS,
+  supportsLogprobs = false,
+  supportsJsonMode = false,
+} = {}) {
+  return {
+    id: 'huggingface',
+    name: 'Hugging Face',
+    credentialEnvVar: 'HF_TOKEN',
+    asrModels,
+    chatModels,
+    classificationModels,
+    supportsLogprobs,
+    supportsJsonMode,
+    parseChatCompletion,
+    parseChatCompletionChunk,
+    parseChatLogprobs,
+    parseClassification,
+    troubleshooting: {
+      transcription: [
+        'Check HF_TOKEN in the API server\'s .env is valid and starts with "hf_"',
+        'Verify your token has "Inference API" permissions at https://huggingface.co/settings/tokens',
+        'Check your account has Inference API access at https://huggingface.co/settings/billing',
+        'Visit https://huggingface.co/models?pipeline_tag=automatic-speech-recognition&inference=true to find available models',
+      ],
+      translation: [
+        'Visit https://huggingface.co/chat/models to see available models',
+        'Update VITE_HF_CHAT_MODELS with a working model',
+        'Verify your token has access to Inference Providers API',
+      ],
+    },
+
+    /**
+     * Send audio to a speech-to-text model
+     * @param {string} modelId - The model to run
+     * @param {Blob} audioBlob - The recorded audio blob
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<{response: Response, format: string}>}
+     */
+    async requestTranscription(modelId, audioBlob, { signal } = {}) {
+      // The server forwards the raw bytes; the Inference API doesn't take FormData
+      const response = await postTranscription('huggingface', modelId, audioBlob, signal)
+      return { response, format: 'Binary' }
+    },
+
+    /**
+     * Pull the transcribed text out of a successful ASR response body
+     * @param {*} result - Parsed JSON response
+     * @returns {string|null}
+     */
+    parseTranscription(result) {
+      // The API returns either a string or an object with text property
+      if (typeof result === 'string') {
+        return result
+      }
+      return result?.text || result?.transcription || null
+    },
+
+    /**
+     * The serverless ASR models don't report how sure they are
+     * @returns {null}
+     */
+    parseTranscriptionScore() {
+      return null
+    },
+
+    /**
+     * Send audio to an audio classification model
+     * @param {string} modelId - The model to run
+     * @param {Blob} audioBlob - The recorded audio blob
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Response>}
+     */
+    requestClassification(modelId, audioBlob, { signal } = {}) {
+      return postClassification('huggingface', modelId, audioBlob, signal)
+    },
+
+    /**
+     * Call the OpenAI-style chat completions endpoint of the router
+     * @param {Object} body - Chat completion request body, including model
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Response>}
+     */
+    requestChatCompletion(body, { signal } = {}) {
+      return postChatCompletion('huggingface', body, signal)
+    },
+
+    /**
+     * Query the live model catalog for a task
+     * @param {string} task - 'automatic-speech-recognition' or 'chat-completion'
+     * @returns {Promise<string[]>} - Model ids
+     */
+    listModels(task) {
+      // The router catalog for chat, warm Hub deployments for ASR
+      return fetchModelList('huggingface', task)
+    },
+  }
+}
@@ -0,0 +1,138 @@
+import {
+  createHuggingFaceProvider,
+  DEFAULT_HF_ASR_MODELS,
+  DEFAULT_HF_CHAT_MODELS,
+  DEFAULT_HF_CLASSIFICATION_MODELS,
+} from './huggingFaceProvider'
+import { createOpenAICompatibleProvider } from './openAICompatibleProvider'
+import { fetchProviderStatus } from './apiClient'
+import { isNetworkError } from '../retry'
+
+const env = import.meta.env
+
+export const DEFAULT_PROVIDER_ID = 'huggingface'
+
+// Task names used by listModels and the settings panel (Hugging Face pipeline tags)
+export const MODEL_TASKS = {
+  asr: 'automatic-speech-recognition',
+  chat: 'chat-completion',
+  classification: 'audio-classification',
+}
+
+export const PROVIDER_OPTIONS = [
+  { id: 'huggingface', name: 'Hugging Face' },
+  { id: 'openai', name: 'OpenAI-compatible server' },
+]
+
+/**
+ * Parse a comma-separated model list from an environment variable
+ * @param {string|undefined} value - Raw env value
+ * @param {string[]} fallback - Models to use when the variable is unset or empty
+ * @returns {string[]} - Empty when the variable is "none"
+ */
+function parseModelList(value, fallback) {
+  if (value?.trim() === 'none') {
+    return []
+  }
+  const models = (value || '')
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean)
+  return models.length > 0 ? models : fallback
+}
+
+// Each factory reads its own settings so switching providers only needs env changes.
+// Credentials and upstream URLs live on the API server, not here.
+const providerFactories = {
+  huggingface: () => createHuggingFaceProvider({
+    asrModels: parseModelList(env.VITE_HF_ASR_MODELS, DEFAULT_HF_ASR_MODELS),
+    chatModels: parseModelList(env.VITE_HF_CHAT_MODELS, DEFAULT_HF_CHAT_MODELS),
+    classificationModels: parseModelList(env.VITE_HF_CLASSIFICATION_MODELS, DEFAULT_HF_CLASSIFICATION_MODELS),
+    supportsLogprobs: env.VITE_HF_LOGPROBS === 'true',
+    supportsJsonMode: env.VITE_HF_JSON_MODE === 'true',
+  }),
+  openai: () => createOpenAICompatibleProvider({
+    asrModels: parseModelList(env.VITE_OPENAI_ASR_MODELS, ['whisper-1']),
+    chatModels: parseModelList(env.VITE_OPENAI_CHAT_MODELS, ['gpt-4o-mini']),
+    classificationModels: parseModelList(env.VITE_OPENAI_CLASSIFICATION_MODELS, []),
+    supportsLogprobs: env.VITE_OPENAI_LOGPROBS !== 'false',
+    supportsJsonMode: env.VITE_OPENAI_JSON_MODE !== 'false',
+  }),
+}
+
+const providerCache = {}
+
+/**
+ * Get a provider by id
+ * @param {string} providerId - 'huggingface' or 'openai'
+ * @returns {Object} - The provider instance
+ */
+export function getProvider(providerId) {
+  const factory = providerFactories[providerId]
+  if (!factory) {
+    throw new Error(
+      `Unknown inference provider "${providerId}". Available providers: ${Object.keys(providerFactories).join(', ')}`
+    )
+  }
+  if (!providerCache[providerId]) {
+    providerCache[providerId] = factory()
+  }
+  return providerCache[providerId]
+}
+
+/**
+ * Get the provider selected by VITE_INFERENCE_PROVIDER (defaults to Hugging Face)
+ * @returns {Object} - The provider instance
+ */
+export function getActiveProvider() {
+  return getProvider(env.VITE_INFERENCE_PROVIDER || DEFAULT_PROVIDER_ID)
+}
+
+/**
+ * Resolve a provider option that may be an id, an instance or undefined
+ * @param {string|Object} [provider]
+ * @returns {Object} - The provider instance
+ */
+export function resolveProvider(provider) {
+  if (!provider) {
+    return getActiveProvider()
+  }
+  return typeof provider === 'string' ? getProvider(provider) : provider
+}
+
+/**
+ * Ask the API server whether it has what a provider needs
+ * @param {string|Object} [provider] - Provider id or instance (defaults to VITE_INFERENCE_PROVIDER)
+ * @returns {Promise<string|null>} - Why the provider can't be used, or null if it can
+ */
+export async function getProviderConfigError(provider) {
+  const { id } = resolveProvider(provider)
+  try {
+    const status = await fetchProviderStatus()
+    return status[id]?.configError ?? null
+  } catch (error) {
+    return error.message
+  }
+}
+
+/**
+ * Throw when the API server can't use a provider, before sending it any work
+ * Unlike getProviderConfigError, a server that doesn't answer rejects with its NetworkError
+ * @param {string|Object} [provider] - Provider id or instance (defaults to VITE_INFERENCE_PROVIDER)
+ * @returns {Promise<void>}
+ */
+export async function assertProviderConfigured(provider) {
+  const { id } = resolveProvider(provider)
+  let configError
+  try {
+    configError = (await fetchProviderStatus())[id]?.configError
+  } catch (error) {
+    if (isNetworkError(error)) throw error
+    configError = error.message
+  }
+  if (configError) {
+    throw new Error(configError)
+  }
+}
+
+export { createHuggingFaceProvider, createOpenAICompatibleProvider }
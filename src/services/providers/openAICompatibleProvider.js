@@ -0,0 +1,131 @@
+// Generic provider for servers that speak the OpenAI REST API
+// (llama.cpp server, Ollama, vLLM, LocalAI, or a local stand-in for tests).
+// Requests go through the API server, which holds OPENAI_BASE_URL and OPENAI_API_KEY.
+import { postTranscription, postClassification, postChatCompletion, fetchModelList } from './apiClient'
+import {
+  parseChatCompletion,
+  parseChatCompletionChunk,
+  parseChatLogprobs,
+  parseClassification,
+} from './openAIResponses'
+
+/**
+ * Create a provider for an OpenAI-compatible server
+ * @param {Object} [config]
+ * @param {string[]} [config.asrModels] - Models for /audio/transcriptions, in fallback order
+ * @param {string[]} [config.chatModels] - Models for /chat/completions, in fallback order
+ * @param {string[]} [config.classificationModels] - Models for /audio/classifications (not an OpenAI
+ *   endpoint; served by a stand-in classifier), in fallback order. Empty turns species detection off
+ * @param {boolean} [config.supportsLogprobs] - Ask for token logprobs in chat completions
+ * @param {boolean} [config.supportsJsonMode] - Send response_format json_object in chat completions
+ * @returns {Object} - Provider implementing requestTranscription/requestChatCompletion
+ */
+export function createOpenAICompatibleProvider({
+  asrModels = [],
+  chatModels = [],
+  classificationModels = [],
+  supportsLogprobs = true,
+  supportsJsonMode = true,
+} = {}) {
+  return {
+    id: 'openai',
+    name: 'OpenAI-compatible',
+    credentialEnvVar: 'OPENAI_API_KEY',
+    asrModels,
+    chatModels,
+    classificationModels,
+    supportsLogprobs,
+    supportsJsonMode,
+    parseChatCompletion,
+    parseChatCompletionChunk,
+    parseChatLogprobs,
+    parseClassification,
+    troubleshooting: {
+      transcription: [
+        'Check the server at OPENAI_BASE_URL (API server .env) is running and exposes /audio/transcriptions',
+        'Make sure VITE_OPENAI_ASR_MODELS lists models the server has loaded',
+        'If the server requires a key, set OPENAI_API_KEY in the API server\'s .env',
+      ],
+      translation: [
+        'Check the server at OPENAI_BASE_URL (API server .env) is running and exposes /chat/completions',
+        'Make sure VITE_OPENAI_CHAT_MODELS lists models the server has loaded',
+        'If the server requires a key, set OPENAI_API_KEY in the API server\'s .env',
+      ],
+    },
+
+    /**
+     * Send audio to the /audio/transcriptions endpoint
+     * @param {string} modelId - The model to run
+     * @param {Blob} audioBlob - The recorded audio blob
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<{response: Response, format: string}>}
+     */
+    async requestTranscription(modelId, audioBlob, { signal } = {}) {
+      // The server wraps the audio in FormData and asks for verbose_json,
+      // whose per-segment logprobs feed the confidence score
+      const response = await postTranscription('openai', modelId, audioBlob, signal)
+      return { response, format: 'FormData' }
+    },
+
+    /**
+     * Pull the transcribed text out of a successful ASR response body
+     * @param {*} result - Parsed JSON response
+     * @returns {string|null}
+     */
+    parseTranscription(result) {
+      if (typeof result === 'string') {
+        return result
+      }
+      return result?.text || null
+    },
+
+    /**
+     * Derive a 0-1 score from Whisper-style verbose_json segments
+     * @param {*} result - Parsed JSON response
+     * @returns {number|null} - null when the server didn't return segments
+     */
+    parseTranscriptionScore(result) {
+      const segments = result?.segments
+      if (!Array.isArray(segments) || segments.length === 0) {
+        return null
+      }
+      const mean = (key) => segments.reduce((sum, segment) => sum + (segment[key] || 0), 0) / segments.length
+      // Probability of the decoded tokens, discounted by how likely the segment was silence
+      return Math.exp(mean('avg_logprob')) * (1 - mean('no_speech_prob'))
+    },
+
+    /**
+     * Send audio to an audio classification model
+     * @param {string} modelId - The model to run
+     * @param {Blob} audioBlob - The recorded audio blob
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Response>}
+     */
+    requestClassification(modelId, audioBlob, { signal } = {}) {
+      return postClassification('openai', modelId, audioBlob, signal)
+    },
+
+    /**
+     * Call the /chat/completions endpoint
+     * @param {Object} body - Chat completion request body, including model
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Response>}
+     */
+    requestChatCompletion(body, { signal } = {}) {
+      return postChatCompletion('openai', body, signal)
+    },
+
+    /**
+     * Query the server's /models endpoint for a task
+     * @param {string} task - 'automatic-speech-recognition' or 'chat-completion'
+     * @returns {Promise<string[]>} - Model ids
+     */
+    listModels(task) {
+      // The server filters /models by task, since the endpoint doesn't say what a model does
+      return fetchModelList('openai', task)
+    },
+  }
+}
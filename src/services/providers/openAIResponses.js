@@ -0,0 +1,72 @@
+// Parsers for OpenAI-style response bodies. Hugging Face's router and
+// OpenAI-compatible servers answer in the same format, so both providers share these.
+
+/**
+ * Log probabilities of the tokens in a choice's logprobs.content
+ * @param {*} tokens
+ * @returns {number[]}
+ */
+function toLogprobs(tokens) {
+  if (!Array.isArray(tokens)) {
+    return []
+  }
+  return tokens.map(token => token.logprob).filter(logprob => typeof logprob === 'number')
+}
+
+/**
+ * Pull the assistant message out of a chat completion response body
+ * @param {Object} result - Parsed JSON response
+ * @returns {string|null}
+ */
+export function parseChatCompletion(result) {
+  return result?.choices?.[0]?.message?.content || null
+}
+
+/**
+ * Pull the new text out of one streamed chat completion chunk
+ * @param {Object} chunk - Parsed data of one server-sent event
+ * @returns {{text: string, logprobs: number[], finishReason: string|null}}
+ */
+export function parseChatCompletionChunk(chunk) {
+  const choice = chunk?.choices?.[0]
+  return {
+    text: choice?.delta?.content || '',
+    logprobs: toLogprobs(choice?.logprobs?.content),
+    finishReason: choice?.finish_reason || null,
+  }
+}
+
+/**
+ * Pull per-token logprobs out of a chat completion response body
+ * @param {Object} result - Parsed JSON response
+ * @returns {number[]|null} - null when the server didn't return any
+ */
+export function parseChatLogprobs(result) {
+  const tokens = result?.choices?.[0]?.logprobs?.content
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    return null
+  }
+  return toLogprobs(tokens)
+}
+
+/**
+ * Pull the labels out of an audio classification response body
+ * @param {*} result - Parsed JSON response
+ * @returns {{label: string, score: number}[]} - Highest score first
+ */
+export function parseClassification(result) {
+  let labels = result
+  if (Array.isArray(result?.[0])) {
+    // Batched inputs come back as one list per input
+    labels = result[0]
+  } else if (!Array.isArray(result)) {
+    // Stand-in servers may wrap the list in an object
+    labels = result?.labels || result?.results || result?.data
+  }
+  if (!Array.isArray(labels)) {
+    return []
+  }
+  return labels
+    .filter(entry => typeof entry?.label === 'string' && typeof entry?.score === 'number')
+    .sort((a, b) => b.score - a.score)
+}
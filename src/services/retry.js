@@ -0,0 +1,153 @@
+// Retries for inference requests: wait out model warm-ups (503 with
+// estimated_time), rate limits (429) and transient server errors, with
+// exponential backoff and jitter, and stop immediately when aborted.
+
+export const DEFAULT_RETRY = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  // Cold models can take a minute; don't wait longer than this for one attempt
+  maxWarmupDelayMs: 60000,
+}
+
+/**
+ * @param {*} error
+ * @returns {boolean} - Whether the error comes from an aborted signal
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError'
+}
+
+/**
+ * @param {*} error
+ * @returns {boolean} - Whether a request got no answer at all (no network, or the API server is down)
+ */
+export function isNetworkError(error) {
+  return error?.name === 'NetworkError'
+}
+
+/**
+ * Throw the standard AbortError if the signal has fired
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException('The translation was cancelled', 'AbortError')
+  }
+}
+
+/**
+ * Wait, unless the signal fires first
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('The translation was cancelled', 'AbortError'))
+      return
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(new DOMException('The translation was cancelled', 'AbortError'))
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Exponential backoff with "equal jitter": half the delay is fixed, half random,
+ * so parallel clients spread out without ever retrying instantly
+ * @param {number} attempt - 0 for the first retry
+ * @param {Object} [options]
+ * @returns {number} - Delay in milliseconds
+ */
+export function backoffDelay(attempt, { baseDelayMs = DEFAULT_RETRY.baseDelayMs, maxDelayMs = DEFAULT_RETRY.maxDelayMs } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2)
+}
+
+/**
+ * Decide whether and how long to wait before retrying a response
+ * @param {Response} response
+ * @param {number} attempt - 0 for the first retry
+ * @param {Object} options - Retry options
+ * @returns {Promise<{reason: string, delayMs: number}|null>} - null when the response shouldn't be retried
+ */
+async function getRetryPlan(response, attempt, options) {
+  if (response.status === 503) {
+    // The Inference API says how long a cold model needs to load
+    const errorData = await response.clone().json().catch(() => ({}))
+    if (typeof errorData.estimated_time === 'number') {
+      return {
+        reason: 'loading',
+        delayMs: Math.min(options.maxWarmupDelayMs, Math.max(1000, errorData.estimated_time * 1000)),
+      }
+    }
+  }
+  if (response.status === 429) {
+    // Retry-After is either seconds or an HTTP date
+    const retryAfter = response.headers.get('retry-after')
+    const seconds = Number(retryAfter)
+    const headerDelayMs = Number.isFinite(seconds) && retryAfter !== null
+      ? seconds * 1000
+      : Date.parse(retryAfter || '') - Date.now()
+    return {
+      reason: 'rate-limited',
+      delayMs: headerDelayMs > 0 ? Math.min(options.maxDelayMs, headerDelayMs) : backoffDelay(attempt, options),
+    }
+  }
+  if (response.status >= 500 && response.status !== 501) {
+    return { reason: 'server-error', delayMs: backoffDelay(attempt, options) }
+  }
+  return null
+}
+
+/**
+ * Run a request, retrying warm-ups, rate limits, 5xx responses and thrown errors other than aborts and NetworkErrors
+ * @param {(signal?: AbortSignal) => Promise<Response>} request - Starts one attempt
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request and any wait
+ * @param {number} [options.maxRetries]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {number} [options.maxWarmupDelayMs]
+ * @param {(retry: {attempt: number, reason: string, delayMs: number, status: number|null}) => void} [options.onRetry] - Called before each wait
+ * @returns {Promise<Response>} - The last response; callers still check response.ok
+ */
+export async function fetchWithRetry(request, { signal, onRetry = () => {}, ...overrides } = {}) {
+  const options = { ...DEFAULT_RETRY, ...overrides }
+
+  for (let attempt = 0; ; attempt++) {
+    throwIfAborted(signal)
+    let response
+    try {
+      response = await request(signal)
+    } catch (error) {
+      // Other failures are retried like 5xx. Aborts end everything, and so does a
+      // request nobody answered: waiting won't bring the connection back
+      if (isAbortError(error) || isNetworkError(error) || attempt >= options.maxRetries) throw error
+      const delayMs = backoffDelay(attempt, options)
+      onRetry({ attempt: attempt + 1, reason: 'network-error', delayMs, status: null })
+      await sleep(delayMs, signal)
+      continue
+    }
+
+    if (response.ok || attempt >= options.maxRetries) {
+      return response
+    }
+    const plan = await getRetryPlan(response, attempt, options)
+    if (!plan) {
+      return response
+    }
+    onRetry({ attempt: attempt + 1, reason: plan.reason, delayMs: plan.delayMs, status: response.status })
+    // Free the connection before waiting
+    response.body?.cancel().catch(() => {})
+    await sleep(plan.delayMs, signal)
+  }
+}
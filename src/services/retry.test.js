@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { backoffDelay, fetchWithRetry, isAbortError, isNetworkError, sleep } from './retry'
+
+const jsonResponse = (status, body, headers) => new Response(JSON.stringify(body), { status, headers })
+
+/**
+ * A request that answers with each response in turn
+ * @param {Array<Response|Error>} answers
+ */
+function scriptedRequest(answers) {
+  return vi.fn(async () => {
+    const answer = answers.shift()
+    if (answer instanceof Error) throw answer
+    return answer
+  })
+}
+
+describe('backoffDelay', () => {
+  it('doubles the ceiling and keeps at least half of it', () => {
+    const random = vi.spyOn(Math, 'random')
+    random.mockReturnValue(0)
+    expect(backoffDelay(0)).toBe(500)
+    expect(backoffDelay(2)).toBe(2000)
+    random.mockReturnValue(1)
+    expect(backoffDelay(2)).toBe(4000)
+    expect(backoffDelay(10)).toBe(30000)
+    random.mockRestore()
+  })
+})
+
+describe('sleep', () => {
+  it('rejects with an AbortError when the signal fires', async () => {
+    const controller = new AbortController()
+    const waiting = sleep(10000, controller.signal)
+    controller.abort()
+    await expect(waiting).rejects.toSatisfy(isAbortError)
+  })
+})
+
+describe('fetchWithRetry', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    // Backoff waits exactly half the ceiling
+    vi.spyOn(Math, 'random').mockReturnValue(0)
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.useRealTimers()
+  })
+
+  it('returns the first successful response', async () => {
+    const request = scriptedRequest([jsonResponse(200, { ok: true })])
+    const response = await fetchWithRetry(request)
+    expect(response.status).toBe(200)
+    expect(request).toHaveBeenCalledTimes(1)
+  })
+
+  it('waits for a loading model as long as it says, within the limit', async () => {
+    const onRetry = vi.fn()
+    const request = scriptedRequest([
+      jsonResponse(503, { estimated_time: 0.001 }),
+      jsonResponse(200, {}),
+    ])
+    const pending = fetchWithRetry(request, { onRetry })
+    // A warm-up wait is never shorter than a second
+    await vi.advanceTimersByTimeAsync(999)
+    expect(request).toHaveBeenCalledTimes(1)
+    await vi.advanceTimersByTimeAsync(1)
+    expect((await pending).status).toBe(200)
+    expect(onRetry).toHaveBeenCalledWith({ attempt: 1, reason: 'loading', delayMs: 1000, status: 503 })
+  })
+
+  it('follows Retry-After on rate limits', async () => {
+    const onRetry = vi.fn()
+    const request = scriptedRequest([
+      jsonResponse(429, {}, { 'Retry-After': '2' }),
+      jsonResponse(200, {}),
+    ])
+    const pending = fetchWithRetry(request, { onRetry })
+    await vi.advanceTimersByTimeAsync(2000)
+    expect((await pending).status).toBe(200)
+    expect(onRetry.mock.calls[0][0]).toMatchObject({ reason: 'rate-limited', delayMs: 2000, status: 429 })
+  })
+
+  it('retries server and network errors, then gives up with the last response', async () => {
+    const onRetry = vi.fn()
+    const request = scriptedRequest([
+      new TypeError('Failed to fetch'),
+      jsonResponse(500, {}),
+      jsonResponse(502, {}),
+    ])
+    const pending = fetchWithRetry(request, { maxRetries: 2, onRetry })
+    await vi.runAllTimersAsync()
+    expect((await pending).status).toBe(502)
+    expect(onRetry.mock.calls.map(([retry]) => [retry.reason, retry.delayMs])).toEqual([
+      ['network-error', 500],
+      ['server-error', 1000],
+    ])
+  })
+
+  it('throws the network error once the retries run out', async () => {
+    const request = scriptedRequest([new TypeError('Failed to fetch'), new TypeError('Failed to fetch')])
+    const assertion = expect(fetchWithRetry(request, { maxRetries: 1 })).rejects.toThrow('Failed to fetch')
+    await vi.runAllTimersAsync()
+    await assertion
+  })
+
+  it('gives up at once when a request gets no answer', async () => {
+    const onRetry = vi.fn()
+    const request = scriptedRequest([new DOMException('Failed to fetch', 'NetworkError'), jsonResponse(200, {})])
+    await expect(fetchWithRetry(request, { onRetry })).rejects.toSatisfy(isNetworkError)
+    expect(request).toHaveBeenCalledTimes(1)
+    expect(onRetry).not.toHaveBeenCalled()
+  })
+
+  it('does not retry client errors', async () => {
+    const request = scriptedRequest([jsonResponse(400, {}), jsonResponse(200, {})])
+    const response = await fetchWithRetry(request)
+    expect(response.status).toBe(400)
+    expect(request).toHaveBeenCalledTimes(1)
+  })
+
+  it('stops without a request when already aborted', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    const request = scriptedRequest([jsonResponse(200, {})])
+    await expect(fetchWithRetry(request, { signal: controller.signal })).rejects.toSatisfy(isAbortError)
+    expect(request).not.toHaveBeenCalled()
+  })
+
+  it('stops waiting when aborted during a backoff', async () => {
+    const controller = new AbortController()
+    const request = scriptedRequest([jsonResponse(500, {}), jsonResponse(200, {})])
+    const assertion = expect(fetchWithRetry(request, { signal: controller.signal })).rejects.toSatisfy(isAbortError)
+    await vi.advanceTimersByTimeAsync(100)
+    controller.abort()
+    await assertion
+    expect(request).toHaveBeenCalledTimes(1)
+  })
+})
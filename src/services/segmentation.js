@@ -0,0 +1,85 @@
+// Splitting long recordings into separate vocal events (a bark, a pause, two
+// more barks...) so each one is transcribed and translated on its own.
+// Events are built from the same energy bursts the acoustic analysis finds:
+// bursts closer together than a short pause belong to one event.
+import { computeFrameRms, detectBursts } from './audioFeatures'
+
+// Shorter clips are one vocalization, however many bursts they contain
+export const MIN_SEGMENTED_SECONDS = 4
+// Silence needed between two events; "woof-woof" stays one event
+const MIN_EVENT_GAP_SECONDS = 0.5
+// Events shorter than this are clicks and bumps, not vocalizations
+const MIN_EVENT_SECONDS = 0.15
+// Room kept around each event so onsets and decays aren't clipped
+const EVENT_PADDING_SECONDS = 0.15
+// Every event costs a transcription and a translation
+export const MAX_EVENTS = 10
+
+/**
+ * Merge the pair of neighbouring events with the shortest pause between them
+ * @param {Array<{start: number, end: number}>} events
+ * @returns {Array<{start: number, end: number}>}
+ */
+function mergeClosestEvents(events) {
+  let closest = 0
+  for (let i = 1; i < events.length - 1; i++) {
+    if (events[i + 1].start - events[i].end < events[closest + 1].start - events[closest].end) {
+      closest = i
+    }
+  }
+  return [
+    ...events.slice(0, closest),
+    { start: events[closest].start, end: events[closest + 1].end },
+    ...events.slice(closest + 2),
+  ]
+}
+
+/**
+ * Find the separate vocalizations in a recording
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate
+ * @returns {Array<{start: number, end: number}>} - Events in seconds, padded and in order;
+ *   empty when the clip is too short to split or holds a single vocalization
+ */
+export function segmentVocalEvents(samples, sampleRate) {
+  const durationSeconds = samples.length / sampleRate
+  if (durationSeconds < MIN_SEGMENTED_SECONDS) return []
+
+  const bursts = detectBursts(computeFrameRms(samples), sampleRate)
+  let events = []
+  bursts.forEach((burst) => {
+    const last = events[events.length - 1]
+    if (last && burst.start - last.end < MIN_EVENT_GAP_SECONDS) {
+      last.end = burst.end
+    } else {
+      events.push({ start: burst.start, end: burst.end })
+    }
+  })
+  events = events.filter(event => event.end - event.start >= MIN_EVENT_SECONDS)
+  while (events.length > MAX_EVENTS) {
+    events = mergeClosestEvents(events)
+  }
+  if (events.length < 2) return []
+
+  // Pad without running into the neighbours: each side gets at most half the pause
+  const round = value => Math.round(value * 100) / 100
+  return events.map((event, i) => {
+    const previousEnd = i > 0 ? events[i - 1].end : 0
+    const nextStart = i < events.length - 1 ? events[i + 1].start : durationSeconds
+    return {
+      start: round(Math.max(0, event.start - Math.min(EVENT_PADDING_SECONDS, (event.start - previousEnd) / 2))),
+      end: round(Math.min(durationSeconds, event.end + Math.min(EVENT_PADDING_SECONDS, (nextStart - event.end) / 2))),
+    }
+  })
+}
+
+/**
+ * The samples of one event
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {{start: number, end: number}} event - In seconds
+ * @returns {Float32Array} - A view into samples, not a copy
+ */
+export function sliceEvent(samples, sampleRate, event) {
+  return samples.subarray(Math.floor(event.start * sampleRate), Math.ceil(event.end * sampleRate))
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest'
+import { MAX_EVENTS, segmentVocalEvents, sliceEvent } from './segmentation'
+
+const RATE = 16000
+
+/**
+ * Quiet noise with tones at the given times
+ * @param {number} seconds
+ * @param {Array<[number, number]>} tones - [start, duration] in seconds
+ * @returns {Float32Array}
+ */
+function makeSignal(seconds, tones) {
+  const samples = new Float32Array(Math.round(seconds * RATE))
+  let seed = 7
+  for (let i = 0; i < samples.length; i++) {
+    seed = (seed * 16807) % 2147483647
+    samples[i] = (seed / 2147483647 - 0.5) * 0.002
+  }
+  tones.forEach(([start, duration]) => {
+    for (let i = Math.floor(start * RATE); i < Math.min(samples.length, (start + duration) * RATE); i++) {
+      samples[i] += 0.5 * Math.sin(2 * Math.PI * 400 * i / RATE)
+    }
+  })
+  return samples
+}
+
+describe('segmentVocalEvents', () => {
+  it('splits sounds separated by a pause, with padding', () => {
+    const events = segmentVocalEvents(makeSignal(6, [[1, 0.4], [3, 0.6]]), RATE)
+    expect(events).toHaveLength(2)
+    expect(events[0].start).toBeGreaterThanOrEqual(0.75)
+    expect(events[0].start).toBeLessThan(1)
+    expect(events[0].end).toBeGreaterThan(1.4)
+    expect(events[0].end).toBeLessThanOrEqual(1.6)
+    expect(events[1].start).toBeLessThan(3)
+    expect(events[1].end).toBeGreaterThan(3.6)
+  })
+
+  it('keeps sounds with a short pause together', () => {
+    // Two barks, then a third after a long pause
+    const events = segmentVocalEvents(makeSignal(6, [[1, 0.2], [1.5, 0.2], [4, 0.3]]), RATE)
+    expect(events).toHaveLength(2)
+    expect(events[0].start).toBeLessThan(1)
+    expect(events[0].end).toBeGreaterThan(1.7)
+  })
+
+  it('never pads into the neighbouring event', () => {
+    const events = segmentVocalEvents(makeSignal(5, [[1, 0.3], [1.9, 0.3], [2.8, 0.3]]), RATE)
+    expect(events).toHaveLength(3)
+    events.slice(1).forEach((event, i) => {
+      expect(event.start).toBeGreaterThanOrEqual(events[i].end)
+    })
+  })
+
+  it('leaves short clips and single sounds whole', () => {
+    expect(segmentVocalEvents(makeSignal(3, [[0.5, 0.3], [2, 0.3]]), RATE)).toEqual([])
+    expect(segmentVocalEvents(makeSignal(6, [[2, 1]]), RATE)).toEqual([])
+    expect(segmentVocalEvents(makeSignal(6, []), RATE)).toEqual([])
+  })
+
+  it(`merges the closest events down to ${MAX_EVENTS}`, () => {
+    // 14 sounds with long pauses, except a shorter one after the sixth, so that pair merges first
+    const tones = Array.from({ length: 14 }, (_, i) => [0.5 + i * 1.2 + (i > 5 ? -0.25 : 0), 0.3])
+    const events = segmentVocalEvents(makeSignal(17, tones), RATE)
+    expect(events).toHaveLength(MAX_EVENTS)
+    expect(events.some(event => event.start < tones[5][0] && event.end > tones[6][0] + 0.3)).toBe(true)
+  })
+})
+
+describe('sliceEvent', () => {
+  it('returns the samples of the event', () => {
+    const samples = Float32Array.from({ length: 100 }, (_, i) => i)
+    const slice = sliceEvent(samples, 10, { start: 2.05, end: 3.01 })
+    expect(Array.from(slice)).toEqual(Array.from({ length: 11 }, (_, i) => 20 + i))
+  })
+})
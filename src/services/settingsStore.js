@@ -0,0 +1,123 @@
+// User settings (provider, model fallback chains, generation parameters,
+// output language, speech voice presets, conversation mode), kept in localStorage so they
+// survive reloads without a server
+import { DEFAULT_GENERATION } from './huggingFaceService'
+import { resolveProvider } from './providers'
+import { DEFAULT_LANGUAGE, findLanguage } from './languages'
+import { VOICE_LIMITS } from './speech'
+import { DEFAULT_CONVERSATION, CONVERSATION_LIMITS } from './conversation'
+
+const STORAGE_KEY = 'animal-translator:settings'
+
+export const DEFAULT_SETTINGS = {
+  // null follows VITE_INFERENCE_PROVIDER
+  providerId: null,
+  // Per provider: { asr, chat, classification } model id lists; an empty list means the provider's defaults
+  models: {},
+  generation: { ...DEFAULT_GENERATION },
+  // Language the translation is written and spoken in
+  language: DEFAULT_LANGUAGE,
+  // Per speaker ("animal:Dog", "pet:<id>"): { voiceURI, rate, pitch }; missing means the animal's default
+  voices: {},
+  // Whether consecutive recordings remember earlier ones, and how many tokens of history they may use
+  conversation: { ...DEFAULT_CONVERSATION },
+}
+
+export const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2, step: 0.1 },
+  maxTokens: { min: 16, max: 1024, step: 1 },
+  samples: { min: 1, max: 5, step: 1 },
+}
+
+function clamp(value, { min, max }, fallback) {
+  const number = Number(value)
+  if (!Number.isFinite(number)) return fallback
+  return Math.min(max, Math.max(min, number))
+}
+
+/**
+ * Fill in missing fields and drop invalid values from stored settings
+ * @param {Object} [stored]
+ * @returns {Object} - Complete settings
+ */
+export function normalizeSettings(stored = {}) {
+  const generation = stored.generation || {}
+  const models = {}
+  const toChain = chain => Array.isArray(chain) ? chain.filter(id => typeof id === 'string' && id) : []
+  Object.entries(stored.models || {}).forEach(([providerId, chains]) => {
+    models[providerId] = {
+      asr: toChain(chains?.asr),
+      chat: toChain(chains?.chat),
+      classification: toChain(chains?.classification),
+    }
+  })
+  const conversation = stored.conversation || {}
+  const voices = {}
+  Object.entries(stored.voices || {}).forEach(([key, preset]) => {
+    if (!preset || typeof preset !== 'object') return
+    voices[key] = {
+      voiceURI: typeof preset.voiceURI === 'string' && preset.voiceURI ? preset.voiceURI : null,
+      rate: clamp(preset.rate, VOICE_LIMITS.rate, 1),
+      pitch: clamp(preset.pitch, VOICE_LIMITS.pitch, 1),
+    }
+  })
+  return {
+    providerId: typeof stored.providerId === 'string' ? stored.providerId : null,
+    models,
+    generation: {
+      temperature: clamp(generation.temperature, GENERATION_LIMITS.temperature, DEFAULT_GENERATION.temperature),
+      maxTokens: Math.round(clamp(generation.maxTokens, GENERATION_LIMITS.maxTokens, DEFAULT_GENERATION.maxTokens)),
+      samples: Math.round(clamp(generation.samples, GENERATION_LIMITS.samples, DEFAULT_GENERATION.samples)),
+    },
+    language: findLanguage(stored.language) ? stored.language : DEFAULT_LANGUAGE,
+    voices,
+    conversation: {
+      enabled: conversation.enabled === true,
+      contextTokens: Math.round(clamp(conversation.contextTokens, CONVERSATION_LIMITS.contextTokens, DEFAULT_CONVERSATION.contextTokens)),
+    },
+  }
+}
+
+/**
+ * @returns {Object} - Saved settings, or the defaults when nothing (valid) is stored
+ */
+export function loadSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY)
+    return raw ? normalizeSettings(JSON.parse(raw)) : normalizeSettings(DEFAULT_SETTINGS)
+  } catch (error) {
+    console.warn('Could not read saved settings, using defaults:', error.message)
+    return normalizeSettings(DEFAULT_SETTINGS)
+  }
+}
+
+/**
+ * @param {Object} settings
+ */
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch (error) {
+    console.warn('Could not save settings:', error.message)
+  }
+}
+
+/**
+ * Turn settings into the options processAnimalSound accepts
+ * @param {Object} settings
+ * @returns {{provider: string, asrModels: string[]|undefined, chatModels: string[]|undefined, classificationModels: string[]|undefined, temperature: number, maxTokens: number, samples: number, language: string}}
+ */
+export function getPipelineOptions(settings) {
+  const provider = resolveProvider(settings.providerId || undefined)
+  const chains = settings.models[provider.id] || {}
+  return {
+    provider: provider.id,
+    asrModels: chains.asr?.length ? chains.asr : undefined,
+    chatModels: chains.chat?.length ? chains.chat : undefined,
+    classificationModels: chains.classification?.length ? chains.classification : undefined,
+    temperature: settings.generation.temperature,
+    maxTokens: settings.generation.maxTokens,
+    samples: settings.generation.samples,
+    language: settings.language,
+  }
+}
@@ -0,0 +1,236 @@
+// Share cards: a translation drawn on a canvas (avatar, speaker, the
+// translation, mood and intent, a mini waveform) and exported as PNG,
+// sized for social media link previews.
+import { MOOD_EMOJI, INTENT_EMOJI } from './structuredTranslation'
+
+const CARD_WIDTH = 1200
+const CARD_HEIGHT = 630
+const PADDING = 64
+const FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif'
+const MAX_TEXT_LINES = 5
+
+/**
+ * Break text into lines that fit a width, ending with "…" when it runs out of lines
+ * Text without spaces (Japanese, Chinese) breaks between characters
+ * @param {CanvasRenderingContext2D} context - With the font already set
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {number} maxLines
+ * @returns {string[]}
+ */
+function wrapText(context, text, maxWidth, maxLines) {
+  const tokens = text.includes(' ') ? text.split(/(\s+)/) : Array.from(text)
+  const lines = []
+  let line = ''
+  for (const token of tokens) {
+    const candidate = line + token
+    if (context.measureText(candidate).width > maxWidth && line.trim()) {
+      lines.push(line.trim())
+      line = token.trimStart()
+    } else {
+      line = candidate
+    }
+  }
+  if (line.trim()) lines.push(line.trim())
+  if (lines.length <= maxLines) return lines
+
+  const kept = lines.slice(0, maxLines)
+  let last = kept[maxLines - 1]
+  while (last && context.measureText(`${last}…`).width > maxWidth) {
+    last = last.slice(0, -1)
+  }
+  kept[maxLines - 1] = `${last.trimEnd()}…`
+  return kept
+}
+
+/**
+ * @param {CanvasRenderingContext2D} context
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius
+ */
+function roundedRect(context, x, y, width, height, radius) {
+  context.beginPath()
+  context.moveTo(x + radius, y)
+  context.arcTo(x + width, y, x + width, y + height, radius)
+  context.arcTo(x + width, y + height, x, y + height, radius)
+  context.arcTo(x, y + height, x, y, radius)
+  context.arcTo(x, y, x + width, y, radius)
+  context.closePath()
+}
+
+/**
+ * Pet photo in a circle, or the emoji on a white disc
+ * @param {CanvasRenderingContext2D} context
+ * @param {{emoji: string, photo: Blob|null}} avatar
+ * @param {number} x - Center
+ * @param {number} y - Center
+ * @param {number} radius
+ */
+async function drawAvatar(context, { emoji, photo }, x, y, radius) {
+  context.save()
+  context.beginPath()
+  context.arc(x, y, radius, 0, Math.PI * 2)
+  context.fillStyle = 'rgba(255, 255, 255, 0.9)'
+  context.fill()
+  context.clip()
+  let drewPhoto = false
+  if (photo) {
+    try {
+      const bitmap = await createImageBitmap(photo)
+      // Cover the circle, cropping the longer side
+      const scale = (radius * 2) / Math.min(bitmap.width, bitmap.height)
+      const width = bitmap.width * scale
+      const height = bitmap.height * scale
+      context.drawImage(bitmap, x - width / 2, y - height / 2, width, height)
+      bitmap.close()
+      drewPhoto = true
+    } catch (error) {
+      console.warn('Could not draw the pet photo on the share card:', error.message)
+    }
+  }
+  if (!drewPhoto) {
+    context.font = `${Math.round(radius * 1.1)}px ${FONT_FAMILY}`
+    context.textAlign = 'center'
+    context.textBaseline = 'middle'
+    context.fillText(emoji, x, y + radius * 0.06)
+  }
+  context.restore()
+}
+
+/**
+ * Mirrored bars like the waveform player's
+ * @param {CanvasRenderingContext2D} context
+ * @param {ArrayLike<number>} peaks - 0-1
+ * @param {number} x
+ * @param {number} y - Top
+ * @param {number} width
+ * @param {number} height
+ */
+function drawWaveform(context, peaks, x, y, width, height) {
+  const barWidth = width / peaks.length
+  const middle = y + height / 2
+  context.fillStyle = 'rgba(255, 255, 255, 0.85)'
+  Array.from(peaks).forEach((peak, index) => {
+    const barHeight = Math.max(4, peak * height)
+    roundedRect(context, x + index * barWidth + barWidth * 0.2, middle - barHeight / 2, barWidth * 0.6, barHeight, Math.min(barWidth * 0.3, 4))
+    context.fill()
+  })
+}
+
+/**
+ * Draw a share card
+ * @param {Object} card
+ * @param {string} card.text - The translation
+ * @param {string} card.speakerName - Pet or animal name
+ * @param {string} card.emoji
+ * @param {Blob|null} [card.photo] - Pet photo, drawn instead of the emoji
+ * @param {Object|null} [card.structured] - mood and intent become chips
+ * @param {ArrayLike<number>|null} [card.peaks] - Waveform peaks, 0-1
+ * @returns {Promise<Blob>} - image/png
+ */
+export async function renderShareCard({ text, speakerName, emoji, photo = null, structured = null, peaks = null }) {
+  const canvas = document.createElement('canvas')
+  canvas.width = CARD_WIDTH
+  canvas.height = CARD_HEIGHT
+  const context = canvas.getContext('2d')
+
+  // The app's purple-to-pink background
+  const background = context.createLinearGradient(0, 0, CARD_WIDTH, CARD_HEIGHT)
+  background.addColorStop(0, '#9333ea')
+  background.addColorStop(1, '#db2777')
+  context.fillStyle = background
+  context.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT)
+
+  const avatarRadius = 64
+  await drawAvatar(context, { emoji, photo }, PADDING + avatarRadius, PADDING + avatarRadius, avatarRadius)
+
+  const headerX = PADDING + avatarRadius * 2 + 32
+  context.fillStyle = '#ffffff'
+  context.textAlign = 'left'
+  context.textBaseline = 'alphabetic'
+  context.font = `bold 48px ${FONT_FAMILY}`
+  context.fillText(`${speakerName} says:`, headerX, PADDING + avatarRadius - 4, CARD_WIDTH - headerX - PADDING)
+
+  if (structured) {
+    context.font = `28px ${FONT_FAMILY}`
+    let chipX = headerX
+    const chipY = PADDING + avatarRadius + 16
+    for (const label of [`${MOOD_EMOJI[structured.mood]} ${structured.mood}`, `${INTENT_EMOJI[structured.intent]} ${structured.intent}`]) {
+      const chipWidth = context.measureText(label).width + 32
+      context.fillStyle = 'rgba(255, 255, 255, 0.25)'
+      roundedRect(context, chipX, chipY, chipWidth, 44, 22)
+      context.fill()
+      context.fillStyle = '#ffffff'
+      context.fillText(label, chipX + 16, chipY + 31)
+      chipX += chipWidth + 12
+    }
+  }
+
+  // The translation, in a white panel
+  const panelY = PADDING + avatarRadius * 2 + 32
+  const panelHeight = CARD_HEIGHT - panelY - PADDING - (peaks ? 88 : 0)
+  context.fillStyle = 'rgba(255, 255, 255, 0.95)'
+  roundedRect(context, PADDING, panelY, CARD_WIDTH - PADDING * 2, panelHeight, 24)
+  context.fill()
+
+  const textWidth = CARD_WIDTH - PADDING * 4
+  let fontSize = 44
+  let lines
+  // Shrink long translations before cutting them off
+  do {
+    context.font = `${fontSize}px ${FONT_FAMILY}`
+    lines = wrapText(context, `“${text}”`, textWidth, MAX_TEXT_LINES)
+    fontSize -= 4
+  } while (fontSize >= 28 && lines.length * fontSize * 1.3 > panelHeight - 48)
+  const lineHeight = (fontSize + 4) * 1.3
+  const textTop = panelY + (panelHeight - lines.length * lineHeight) / 2 + lineHeight * 0.75
+  context.fillStyle = '#1f2937'
+  lines.forEach((line, index) => {
+    context.fillText(line, PADDING * 2, textTop + index * lineHeight)
+  })
+
+  if (peaks) {
+    drawWaveform(context, peaks, PADDING, CARD_HEIGHT - PADDING - 64, CARD_WIDTH - PADDING * 2 - 280, 64)
+  }
+  context.font = `bold 28px ${FONT_FAMILY}`
+  context.textAlign = 'right'
+  context.fillStyle = '#ffffff'
+  context.fillText('🐾 Animal Translator', CARD_WIDTH - PADDING, CARD_HEIGHT - PADDING - 22)
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not export the share card'))), 'image/png')
+  })
+}
+
+/**
+ * Share an image with the Web Share API
+ * @param {Blob} pngBlob
+ * @param {{title: string, text: string, url?: string, fileName: string}} details
+ * @returns {Promise<boolean>} - false when the browser can't share files, so the caller can offer a download
+ */
+export async function shareImage(pngBlob, { title, text, url, fileName }) {
+  const file = new File([pngBlob], fileName, { type: 'image/png' })
+  const data = { title, text, files: [file], ...(url ? { url } : {}) }
+  if (!navigator.canShare?.(data)) {
+    return false
+  }
+  await navigator.share(data)
+  return true
+}
+
+/**
+ * Save a blob through a temporary link
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
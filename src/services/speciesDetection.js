@@ -0,0 +1,50 @@
+// Map audio classification labels (AudioSet names like "Bark", "Meow" or
+// "Chicken, rooster") onto the animals the app knows, and compare the
+// result with the animal the user picked.
+import { getDetectionPatterns } from './animalRegistry'
+
+// Detection has to be this sure before it overrides or questions the user
+const MIN_DETECTION_SCORE = 0.4
+// ...and the user's animal has to score this far below the detected one
+const MISMATCH_RATIO = 3
+
+/**
+ * Group classifier labels by animal
+ * @param {{label: string, score: number}[]} labels - Classifier output
+ * @returns {{name: string, score: number}[]} - Animals with any matching label, most likely first
+ */
+export function labelsToSpecies(labels) {
+  const patterns = getDetectionPatterns()
+  const scores = {}
+  labels.forEach(({ label, score }) => {
+    const match = patterns.find(({ pattern }) => pattern.test(label))
+    if (match) {
+      // A bark and a dog label both point at a dog, so they add up
+      scores[match.name] = (scores[match.name] || 0) + score
+    }
+  })
+  return Object.entries(scores)
+    .map(([name, score]) => ({ name, score: Math.min(1, score) }))
+    .sort((a, b) => b.score - a.score)
+}
+
+/**
+ * Decide what the detection means for the chosen animal
+ * @param {{name: string, score: number}[]} species - Result of labelsToSpecies
+ * @param {string|null} chosenAnimalName - The user's choice, or null when they asked for auto-detection
+ * @returns {{detectedAnimal: string|null, isMismatch: boolean}}
+ */
+export function compareWithChoice(species, chosenAnimalName) {
+  const top = species[0]
+  if (!top || top.score < MIN_DETECTION_SCORE) {
+    return { detectedAnimal: null, isMismatch: false }
+  }
+  if (!chosenAnimalName || top.name === chosenAnimalName) {
+    return { detectedAnimal: top.name, isMismatch: false }
+  }
+  const chosenScore = species.find(entry => entry.name === chosenAnimalName)?.score || 0
+  return {
+    detectedAnimal: top.name,
+    isMismatch: chosenScore * MISMATCH_RATIO < top.score,
+  }
+}
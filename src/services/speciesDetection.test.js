@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest'
+import { compareWithChoice, labelsToSpecies } from './speciesDetection'
+
+describe('labelsToSpecies', () => {
+  it.each([
+    ['nothing', [], []],
+    ['only unknown labels', [{ label: 'Speech', score: 0.8 }, { label: 'Music', score: 0.1 }], []],
+    ['a single label', [{ label: 'Meow', score: 0.6 }], [{ name: 'Cat', score: 0.6 }]],
+    [
+      'labels of the same animal, added up',
+      [{ label: 'Dog', score: 0.3 }, { label: 'Bark', score: 0.25 }, { label: 'Speech', score: 0.2 }],
+      [{ name: 'Dog', score: 0.55 }],
+    ],
+    [
+      'a sum above 1, capped',
+      [{ label: 'Dog', score: 0.7 }, { label: 'Bark', score: 0.6 }],
+      [{ name: 'Dog', score: 1 }],
+    ],
+    [
+      'several animals, most likely first',
+      [{ label: 'Bird', score: 0.1 }, { label: 'Oink', score: 0.3 }, { label: 'Moo', score: 0.2 }],
+      [{ name: 'Pig', score: 0.3 }, { name: 'Cow', score: 0.2 }, { name: 'Bird', score: 0.1 }],
+    ],
+    [
+      'labels that would also match a less specific animal',
+      [{ label: 'Roaring cats (lions, tigers)', score: 0.5 }, { label: 'Crowing, cock-a-doodle-doo', score: 0.3 }],
+      [{ name: 'Lion', score: 0.5 }, { name: 'Rooster', score: 0.3 }],
+    ],
+  ])('maps %s', (description, labels, expected) => {
+    const species = labelsToSpecies(labels)
+    expect(species.map(({ name }) => name)).toEqual(expected.map(({ name }) => name))
+    species.forEach(({ score }, index) => expect(score).toBeCloseTo(expected[index].score))
+  })
+})
+
+describe('compareWithChoice', () => {
+  it.each([
+    ['nothing was detected', [], 'Dog', { detectedAnimal: null, isMismatch: false }],
+    ['the detection is unsure', [{ name: 'Cat', score: 0.39 }], 'Dog', { detectedAnimal: null, isMismatch: false }],
+    ['the unsure detection is all there is', [{ name: 'Cat', score: 0.2 }], null, { detectedAnimal: null, isMismatch: false }],
+    ['the user asked for auto-detection', [{ name: 'Cat', score: 0.4 }], null, { detectedAnimal: 'Cat', isMismatch: false }],
+    ['the choice agrees', [{ name: 'Dog', score: 0.9 }], 'Dog', { detectedAnimal: 'Dog', isMismatch: false }],
+    ['the choice was not heard at all', [{ name: 'Cat', score: 0.8 }], 'Dog', { detectedAnimal: 'Cat', isMismatch: true }],
+    [
+      'the choice scores far below the detected animal',
+      [{ name: 'Cat', score: 0.8 }, { name: 'Dog', score: 0.2 }],
+      'Dog',
+      { detectedAnimal: 'Cat', isMismatch: true },
+    ],
+    [
+      'the choice is a close second',
+      [{ name: 'Cat', score: 0.6 }, { name: 'Dog', score: 0.3 }],
+      'Dog',
+      { detectedAnimal: 'Cat', isMismatch: false },
+    ],
+  ])('handles when %s', (description, species, chosen, expected) => {
+    expect(compareWithChoice(species, chosen)).toEqual(expected)
+  })
+})
@@ -0,0 +1,182 @@
+// Speech synthesis helpers: pick an installed voice for the translation's
+// language, apply the speaker's voice preset and read long text sentence
+// by sentence
+import { DEFAULT_LANGUAGE, findLanguage } from './languages'
+
+// Voices that sound natural where they exist (Chrome, macOS, Windows)
+const PREFERRED_VOICE_NAMES = ['Google', 'Samantha', 'Alex', 'Karen', 'Daniel', 'Microsoft']
+
+export const VOICE_LIMITS = {
+  rate: { min: 0.5, max: 2, step: 0.05 },
+  pitch: { min: 0, max: 2, step: 0.05 },
+}
+
+// voiceURI null means the best voice for the translation's language
+export const DEFAULT_VOICE_PRESET = { voiceURI: null, rate: 1, pitch: 1 }
+
+// Chrome stops speaking utterances that run longer than about 15 seconds, so no chunk gets near that
+const MAX_CHUNK_LENGTH = 180
+
+/**
+ * Normalize "en_US" / "EN-us" to "en-us"
+ * @param {string} lang
+ * @returns {string}
+ */
+function normalizeLang(lang) {
+  return (lang || '').replace('_', '-').toLowerCase()
+}
+
+/**
+ * The locale to speak a language code in
+ * @param {string} [languageCode]
+ * @returns {string} - BCP 47 locale, e.g. "es-ES"
+ */
+export function getSpeechLocale(languageCode = DEFAULT_LANGUAGE) {
+  return findLanguage(languageCode)?.locale || languageCode
+}
+
+/**
+ * Find the best installed voice for a language
+ * @param {SpeechSynthesisVoice[]} voices - From speechSynthesis.getVoices()
+ * @param {string} [languageCode]
+ * @returns {SpeechSynthesisVoice|null} - null when no installed voice speaks the language
+ */
+export function findVoiceForLanguage(voices, languageCode = DEFAULT_LANGUAGE) {
+  const locale = normalizeLang(getSpeechLocale(languageCode))
+  const base = locale.split('-')[0]
+  const matching = voices.filter(voice => normalizeLang(voice.lang).split('-')[0] === base)
+  if (matching.length === 0) return null
+
+  // The preferred region first, then the nicer-sounding voices
+  const rank = (voice) => {
+    let score = 0
+    if (normalizeLang(voice.lang) === locale) score += 2
+    if (PREFERRED_VOICE_NAMES.some(name => voice.name.includes(name))) score += 1
+    return score
+  }
+  return [...matching].sort((a, b) => rank(b) - rank(a))[0]
+}
+
+/**
+ * @param {string} voiceLang - SpeechSynthesisVoice.lang
+ * @param {string} languageCode
+ * @returns {boolean} - Whether the voice speaks that language, in any region
+ */
+function speaksLanguage(voiceLang, languageCode) {
+  return normalizeLang(voiceLang).split('-')[0] === normalizeLang(getSpeechLocale(languageCode)).split('-')[0]
+}
+
+/**
+ * Key of a speaker's preset in the saved voice settings
+ * @param {Object} animal - An animal or pet selection
+ * @returns {string}
+ */
+export function getVoiceKey(animal) {
+  return animal.pet ? `pet:${animal.pet.id}` : `animal:${animal.name}`
+}
+
+/**
+ * The voice a speaker uses: its own saved preset, then (for a pet) its species' preset, then the registry's
+ * @param {Object} animal - An animal or pet selection
+ * @param {Object} savedPresets - settings.voices
+ * @returns {{voiceURI: string|null, rate: number, pitch: number}}
+ */
+export function resolveVoicePreset(animal, savedPresets = {}) {
+  return savedPresets[getVoiceKey(animal)] ||
+    savedPresets[`animal:${animal.name}`] ||
+    { ...DEFAULT_VOICE_PRESET, ...animal.speech }
+}
+
+/**
+ * The installed voice to read a translation with
+ * @param {SpeechSynthesisVoice[]} voices
+ * @param {string|null} voiceURI - The preset's chosen voice
+ * @param {string} languageCode - The translation's language
+ * @returns {{voice: SpeechSynthesisVoice|null, skippedVoice: SpeechSynthesisVoice|null}}
+ *   - skippedVoice is the chosen voice when it doesn't speak the language and another was picked
+ */
+export function pickVoice(voices, voiceURI, languageCode) {
+  const chosen = voiceURI ? voices.find(voice => voice.voiceURI === voiceURI) : null
+  // A Spanish translation read by an English voice is barely understandable
+  if (chosen && speaksLanguage(chosen.lang, languageCode)) {
+    return { voice: chosen, skippedVoice: null }
+  }
+  return { voice: findVoiceForLanguage(voices, languageCode), skippedVoice: chosen || null }
+}
+
+/**
+ * Split a chunk that is still too long at the last comma or space that fits
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLongChunk(text) {
+  const chunks = []
+  let rest = text
+  while (rest.length > MAX_CHUNK_LENGTH) {
+    const head = rest.slice(0, MAX_CHUNK_LENGTH)
+    const comma = Math.max(head.lastIndexOf(', '), head.lastIndexOf('、'), head.lastIndexOf('，'))
+    const space = head.lastIndexOf(' ')
+    // Prefer a comma unless it leaves a tiny first part; text without spaces is cut anywhere
+    const end = comma > MAX_CHUNK_LENGTH / 3 ? comma + 1 : (space > 0 ? space : MAX_CHUNK_LENGTH)
+    chunks.push(rest.slice(0, end).trim())
+    rest = rest.slice(end).trim()
+  }
+  return rest ? [...chunks, rest] : chunks
+}
+
+/**
+ * Split text into sentence-sized chunks for speech
+ * @param {string} text
+ * @param {string} [languageCode] - Helps Intl.Segmenter with languages that don't use spaces
+ * @returns {string[]}
+ */
+export function splitIntoSentences(text, languageCode = DEFAULT_LANGUAGE) {
+  const sentences = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? Array.from(new Intl.Segmenter(languageCode, { granularity: 'sentence' }).segment(text), part => part.segment)
+    : text.match(/[^.!?。！？]+[.!?。！？]*\s*/g) || [text]
+  return sentences
+    .map(sentence => sentence.trim())
+    .filter(Boolean)
+    .flatMap(splitLongChunk)
+}
+
+/**
+ * Speak text with a voice preset, one utterance per sentence
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} options.language - The text's language code
+ * @param {{voiceURI: string|null, rate: number, pitch: number}} options.preset
+ * @param {SpeechSynthesisVoice|null} options.voice - From pickVoice; null leaves it to the browser
+ * @param {() => void} [options.onStart] - The first sentence started
+ * @param {() => void} [options.onEnd] - The last sentence finished
+ * @param {(event: SpeechSynthesisErrorEvent) => void} [options.onError] - Playback failed; the rest is cancelled
+ * @returns {SpeechSynthesisUtterance[]} - Keep a reference: Chrome drops events of utterances that get garbage-collected
+ */
+export function speakText(text, { language, preset, voice, onStart = () => {}, onEnd = () => {}, onError = () => {} }) {
+  window.speechSynthesis.cancel()
+  const chunks = splitIntoSentences(text, language)
+  // Nothing to say: finish now, or the caller would wait for an onend that never comes
+  if (chunks.length === 0) {
+    onEnd()
+    return []
+  }
+  const utterances = chunks.map((chunk, index) => {
+    const utterance = new SpeechSynthesisUtterance(chunk)
+    utterance.lang = getSpeechLocale(language)
+    if (voice) utterance.voice = voice
+    utterance.rate = preset.rate
+    utterance.pitch = preset.pitch
+    utterance.volume = 1
+    if (index === 0) utterance.onstart = onStart
+    if (index === chunks.length - 1) utterance.onend = onEnd
+    utterance.onerror = (event) => {
+      // Stopping playback or starting another one cancels the queue; that isn't a failure
+      if (event.error === 'interrupted' || event.error === 'canceled') return
+      window.speechSynthesis.cancel()
+      onError(event)
+    }
+    return utterance
+  })
+  utterances.forEach(utterance => window.speechSynthesis.speak(utterance))
+  return utterances
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { DEFAULT_VOICE_PRESET, speakText, splitIntoSentences } from './speech'
+
+describe('splitIntoSentences', () => {
+  it('splits at sentence ends and drops blank text', () => {
+    expect(splitIntoSentences('I want food. Now!  Please? ')).toEqual(['I want food.', 'Now!', 'Please?'])
+    expect(splitIntoSentences('   ')).toEqual([])
+  })
+
+  it('cuts long sentences at a comma', () => {
+    const long = `${'a'.repeat(120)}, ${'b'.repeat(120)}`
+    expect(splitIntoSentences(long)).toEqual([`${'a'.repeat(120)},`, 'b'.repeat(120)])
+  })
+})
+
+describe('speakText', () => {
+  beforeEach(() => {
+    vi.stubGlobal('window', { speechSynthesis: { cancel: vi.fn(), speak: vi.fn() } })
+    vi.stubGlobal('SpeechSynthesisUtterance', class {
+      constructor(text) {
+        this.text = text
+      }
+    })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('queues one utterance per sentence and ends on the last one', () => {
+    const onStart = vi.fn()
+    const onEnd = vi.fn()
+    const utterances = speakText('Hello. Goodbye.', { language: 'en', preset: DEFAULT_VOICE_PRESET, voice: null, onStart, onEnd })
+    expect(utterances.map(utterance => utterance.text)).toEqual(['Hello.', 'Goodbye.'])
+    expect(window.speechSynthesis.speak).toHaveBeenCalledTimes(2)
+    expect(utterances[0].onstart).toBe(onStart)
+    expect(utterances[1].onend).toBe(onEnd)
+  })
+
+  it('ends right away when there is nothing to say', () => {
+    const onEnd = vi.fn()
+    expect(speakText('  ', { language: 'en', preset: DEFAULT_VOICE_PRESET, voice: null, onEnd })).toEqual([])
+    expect(onEnd).toHaveBeenCalledTimes(1)
+    expect(window.speechSynthesis.speak).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,53 @@
+// Minimal server-sent events reader for streamed chat completions.
+// EventSource only does GET, so the stream is parsed from a fetch body.
+
+/**
+ * Whether a response is an event stream rather than a single JSON body
+ * @param {Response} response
+ * @returns {boolean}
+ */
+export function isEventStream(response) {
+  return (response.headers.get('content-type') || '').includes('text/event-stream')
+}
+
+/**
+ * Yield the data of each event in a text/event-stream body
+ * @param {Response} response - A response whose body is an event stream
+ * @returns {AsyncGenerator<string>} - One string per event (multi-line data joined with \n)
+ */
+export async function* readServerSentEvents(response) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  const parseEvent = (rawEvent) => {
+    const dataLines = rawEvent
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+    return dataLines.length > 0 ? dataLines.join('\n') : null
+  }
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+      buffer += decoder.decode(value, { stream: true })
+
+      // Events are separated by a blank line
+      let boundary = buffer.search(/\r?\n\r?\n/)
+      while (boundary >= 0) {
+        const rawEvent = buffer.slice(0, boundary)
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '')
+        const data = parseEvent(rawEvent)
+        if (data !== null) yield data
+        boundary = buffer.search(/\r?\n\r?\n/)
+      }
+    }
+    // A final event without the trailing blank line
+    const data = parseEvent(buffer + decoder.decode())
+    if (data !== null) yield data
+  } finally {
+    reader.releaseLock()
+  }
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest'
+import { isEventStream, readServerSentEvents } from './sse'
+
+/**
+ * A streamed response whose body arrives in the given pieces
+ * @param {string[]} pieces
+ * @returns {Response}
+ */
+function streamOf(pieces) {
+  const encoder = new TextEncoder()
+  const body = new ReadableStream({
+    start(controller) {
+      pieces.forEach(piece => controller.enqueue(encoder.encode(piece)))
+      controller.close()
+    },
+  })
+  return new Response(body, { headers: { 'Content-Type': 'text/event-stream; charset=utf-8' } })
+}
+
+async function readAll(response) {
+  const events = []
+  for await (const data of readServerSentEvents(response)) {
+    events.push(data)
+  }
+  return events
+}
+
+describe('isEventStream', () => {
+  it('checks the content type', () => {
+    expect(isEventStream(streamOf([]))).toBe(true)
+    expect(isEventStream(new Response('{}', { headers: { 'Content-Type': 'application/json' } }))).toBe(false)
+  })
+})
+
+describe('readServerSentEvents', () => {
+  it('yields the data of each event', async () => {
+    expect(await readAll(streamOf(['data: {"a":1}\n\ndata: [DONE]\n\n']))).toEqual(['{"a":1}', '[DONE]'])
+  })
+
+  it('joins events split across chunks', async () => {
+    expect(await readAll(streamOf(['da', 'ta: hel', 'lo\n', '\ndata: world\n\n']))).toEqual(['hello', 'world'])
+  })
+
+  it('handles CRLF separators, multi-line data and comments', async () => {
+    const events = await readAll(streamOf([': keep-alive\r\n\r\nevent: message\r\ndata: one\r\ndata:two\r\n\r\n']))
+    expect(events).toEqual(['one\ntwo'])
+  })
+
+  it('keeps a final event without the trailing blank line', async () => {
+    expect(await readAll(streamOf(['data: first\n\ndata: last']))).toEqual(['first', 'last'])
+  })
+
+  it('decodes characters split across chunks', async () => {
+    const bytes = new TextEncoder().encode('data: 🐶\n\n')
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes.slice(0, 8))
+        controller.enqueue(bytes.slice(8))
+        controller.close()
+      },
+    })
+    expect(await readAll(new Response(body))).toEqual(['🐶'])
+  })
+})
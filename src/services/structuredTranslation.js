@@ -0,0 +1,310 @@
+// Structured translation results: the LLM answers with a JSON object
+// (mood, intent, urgency, translation, rationale) that is validated against
+// TRANSLATION_SCHEMA, repaired when it is almost right, and reduced to plain
+// text when nothing usable comes back.
+import { fetchWithRetry, isAbortError } from './retry'
+
+export const MOOD_EMOJI = {
+  happy: '😊',
+  excited: '🤩',
+  playful: '😜',
+  content: '😌',
+  curious: '🤔',
+  anxious: '😟',
+  scared: '😱',
+  annoyed: '😒',
+  angry: '😠',
+  sad: '😢',
+}
+
+export const INTENT_EMOJI = {
+  play: '🎾',
+  hunger: '🍖',
+  alarm: '🚨',
+  greeting: '👋',
+  attention: '👀',
+  affection: '💕',
+  distress: '🆘',
+  territorial: '🛡️',
+  contact: '📣',
+  other: '💬',
+}
+
+export const URGENCY_LEVELS = ['low', 'medium', 'high']
+
+// Intents that need a human right away when the urgency is high
+const URGENT_INTENTS = ['alarm', 'distress']
+
+export const TRANSLATION_SCHEMA = {
+  type: 'object',
+  required: ['mood', 'intent', 'urgency', 'translation', 'rationale'],
+  properties: {
+    mood: { type: 'string', enum: Object.keys(MOOD_EMOJI) },
+    intent: { type: 'string', enum: Object.keys(INTENT_EMOJI) },
+    urgency: { type: 'string', enum: URGENCY_LEVELS },
+    translation: { type: 'string', minLength: 1, maxLength: 500 },
+    rationale: { type: 'string', minLength: 1, maxLength: 300 },
+  },
+}
+
+// Close-enough answers models give instead of the enum values
+const SYNONYMS = {
+  mood: {
+    joyful: 'happy', cheerful: 'happy', glad: 'happy',
+    eager: 'excited', enthusiastic: 'excited',
+    relaxed: 'content', calm: 'content', peaceful: 'content', satisfied: 'content',
+    inquisitive: 'curious', interested: 'curious',
+    nervous: 'anxious', worried: 'anxious', stressed: 'anxious', uneasy: 'anxious',
+    afraid: 'scared', fearful: 'scared', frightened: 'scared', alarmed: 'scared',
+    irritated: 'annoyed', frustrated: 'annoyed', impatient: 'annoyed',
+    aggressive: 'angry', hostile: 'angry',
+    lonely: 'sad', unhappy: 'sad', mournful: 'sad',
+  },
+  intent: {
+    food: 'hunger', hungry: 'hunger', feeding: 'hunger', eat: 'hunger',
+    warning: 'alarm', danger: 'alarm', threat: 'alarm', alert: 'alarm',
+    hello: 'greeting', welcome: 'greeting', greet: 'greeting',
+    'attention-seeking': 'attention', demand: 'attention', request: 'attention',
+    love: 'affection', bonding: 'affection',
+    pain: 'distress', help: 'distress', fear: 'distress',
+    territory: 'territorial', defense: 'territorial', guarding: 'territorial',
+    calling: 'contact', communication: 'contact', social: 'contact',
+    playing: 'play', playful: 'play',
+  },
+  urgency: {
+    none: 'low', minimal: 'low', moderate: 'medium', normal: 'medium',
+    urgent: 'high', critical: 'high', emergency: 'high', severe: 'high',
+  },
+}
+
+/**
+ * Describe the schema for the system prompt
+ * @returns {string}
+ */
+export function describeTranslationSchema() {
+  return JSON.stringify(TRANSLATION_SCHEMA)
+}
+
+/**
+ * Check a value against TRANSLATION_SCHEMA
+ * @param {*} value
+ * @returns {string[]} - Problems found, empty when the value is valid
+ */
+export function validateTranslation(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['the answer must be a JSON object']
+  }
+  const errors = []
+  TRANSLATION_SCHEMA.required.forEach((key) => {
+    if (value[key] === undefined || value[key] === null) {
+      errors.push(`"${key}" is missing`)
+    }
+  })
+  Object.entries(TRANSLATION_SCHEMA.properties).forEach(([key, rule]) => {
+    const field = value[key]
+    if (field === undefined || field === null) return
+    if (typeof field !== rule.type) {
+      errors.push(`"${key}" must be a ${rule.type}`)
+      return
+    }
+    if (rule.enum && !rule.enum.includes(field)) {
+      errors.push(`"${key}" must be one of ${rule.enum.join(', ')} (got "${field}")`)
+    }
+    if (rule.minLength && field.trim().length < rule.minLength) {
+      errors.push(`"${key}" must not be empty`)
+    }
+    if (rule.maxLength && field.length > rule.maxLength) {
+      errors.push(`"${key}" must be at most ${rule.maxLength} characters`)
+    }
+  })
+  return errors
+}
+
+/**
+ * Cut the JSON object out of a reply that may wrap it in prose or a code fence
+ * @param {string} text
+ * @returns {string|null}
+ */
+function extractJsonObject(text) {
+  const start = text.indexOf('{')
+  const end = text.lastIndexOf('}')
+  return start >= 0 && end > start ? text.slice(start, end + 1) : null
+}
+
+/**
+ * Fix the mistakes models make most often: smart quotes and trailing commas
+ * @param {string} json
+ * @returns {string}
+ */
+function repairJson(json) {
+  return json
+    .replace(/[“”]/g, '"')
+    .replace(/,\s*([}\]])/g, '$1')
+}
+
+/**
+ * Map case differences and synonyms onto the schema's values
+ * @param {Object} value - Parsed JSON
+ * @returns {Object}
+ */
+function normalizeFields(value) {
+  const normalized = { ...value }
+  for (const key of Object.keys(SYNONYMS)) {
+    if (typeof normalized[key] === 'string') {
+      const field = normalized[key].trim().toLowerCase()
+      normalized[key] = SYNONYMS[key][field] || field
+    }
+  }
+  for (const key of ['translation', 'rationale']) {
+    if (typeof normalized[key] === 'string') {
+      normalized[key] = normalized[key].trim()
+    }
+  }
+  return normalized
+}
+
+/**
+ * Parse the JSON object in a model reply, repairing it when needed
+ * @param {string|null} text - The raw completion
+ * @returns {{parsed: Object|null, error: string|null}}
+ */
+export function parseJsonReply(text) {
+  const json = text ? extractJsonObject(text) : null
+  if (!json) {
+    return { parsed: null, error: 'the answer must be a JSON object' }
+  }
+  try {
+    return { parsed: JSON.parse(json), error: null }
+  } catch (parseError) {
+    try {
+      return { parsed: JSON.parse(repairJson(json)), error: null }
+    } catch {
+      return { parsed: null, error: `the answer is not valid JSON (${parseError.message})` }
+    }
+  }
+}
+
+/**
+ * Parse and validate a model reply
+ * @param {string|null} text - The raw completion
+ * @returns {{value: {mood: string, intent: string, urgency: string, translation: string, rationale: string}|null, errors: string[]}}
+ */
+export function parseStructuredTranslation(text) {
+  const { parsed, error } = parseJsonReply(text)
+  if (error) {
+    return { value: null, errors: [error] }
+  }
+
+  const value = normalizeFields(parsed)
+  const errors = validateTranslation(value)
+  if (errors.length > 0) {
+    return { value: null, errors }
+  }
+  const { mood, intent, urgency, translation, rationale } = value
+  return { value: { mood, intent, urgency, translation, rationale }, errors: [] }
+}
+
+/**
+ * Read the "translation" field out of JSON that may still be streaming in
+ * @param {string} text - The completion so far
+ * @returns {string} - The translation so far; prose replies are returned as they are
+ */
+export function extractPartialTranslation(text) {
+  const trimmed = text.trimStart()
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('```')) {
+    return text
+  }
+  const match = trimmed.match(/"translation"\s*:\s*"((?:[^"\\]|\\.)*)/)
+  if (!match) return ''
+  // The match stops before a half-received escape, so the fragment always decodes
+  try {
+    return JSON.parse(`"${match[1]}"`)
+  } catch {
+    return match[1]
+  }
+}
+
+/**
+ * Last resort when the reply can't be validated: the best plain text we can find in it
+ * @param {string|null} text - The raw completion
+ * @returns {string|null}
+ */
+export function toPlainTranslation(text) {
+  if (!text) return null
+  const partial = extractPartialTranslation(text).trim()
+  if (partial) return partial
+  // JSON without a usable translation field says nothing a user can read
+  return /^\s*(```|\{)/.test(text) ? null : text.trim()
+}
+
+/**
+ * Validate a reply against the translation schema, asking the model once more when it is invalid
+ * @param {Object} provider - The provider that produced the reply
+ * @param {Object} requestBody - The request that produced it
+ * @param {string|null} rawText - The reply
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Cancels the follow-up request
+ * @param {(event: {stage: string, message: string, model?: string}) => void} options.onProgress - Progress log
+ * @returns {Promise<{structured: Object|null, text: string|null}>} - structured is null when we fell back to plain text
+ */
+export async function structureTranslation(provider, requestBody, rawText, { signal, onProgress }) {
+  if (!rawText) {
+    return { structured: null, text: null }
+  }
+  const first = parseStructuredTranslation(rawText)
+  if (first.value) {
+    const { translation, ...structured } = first.value
+    return { structured, text: translation }
+  }
+
+  // Show the model its answer and what was wrong with it
+  const modelId = requestBody.model
+  onProgress({ stage: 'translation', message: `${modelId} didn't answer with valid JSON, asking again`, model: modelId })
+  let retryText = null
+  try {
+    const response = await fetchWithRetry(
+      attemptSignal => provider.requestChatCompletion({
+        ...requestBody,
+        messages: [
+          ...requestBody.messages,
+          { role: 'assistant', content: rawText },
+          {
+            role: 'user',
+            content: `That answer is invalid: ${first.errors.join('; ')}. Reply again with only the corrected JSON object.`
+          },
+        ],
+        logprobs: undefined,
+        stream: undefined,
+      }, { signal: attemptSignal }),
+      { signal }
+    )
+    if (response.ok) {
+      retryText = provider.parseChatCompletion(await response.json())
+    }
+  } catch (error) {
+    if (isAbortError(error)) throw error
+    console.warn(`Asking ${modelId} to fix its JSON failed:`, error.message)
+  }
+
+  const second = parseStructuredTranslation(retryText)
+  if (second.value) {
+    const { translation, ...structured } = second.value
+    return { structured, text: translation }
+  }
+
+  // Last resort: keep whatever readable text there is, without mood or intent
+  console.warn(`${modelId} never produced valid JSON (${first.errors.join('; ')}), using the reply as plain text`)
+  return {
+    structured: null,
+    text: toPlainTranslation(rawText) || toPlainTranslation(retryText),
+  }
+}
+
+/**
+ * Whether a result is an alarm or distress call that needs attention now
+ * @param {Object|null} structured - The validated result
+ * @returns {boolean}
+ */
+export function isUrgentAlarm(structured) {
+  return structured?.urgency === 'high' && URGENT_INTENTS.includes(structured.intent)
+}
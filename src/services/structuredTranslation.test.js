@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  extractPartialTranslation,
+  isUrgentAlarm,
+  parseStructuredTranslation,
+  structureTranslation,
+  toPlainTranslation,
+  validateTranslation,
+} from './structuredTranslation'
+
+const VALID = {
+  mood: 'excited',
+  intent: 'play',
+  urgency: 'low',
+  translation: 'Throw the ball!',
+  rationale: 'Short, high barks.',
+}
+
+describe('validateTranslation', () => {
+  it('accepts a complete answer', () => {
+    expect(validateTranslation(VALID)).toEqual([])
+  })
+
+  it('lists every problem', () => {
+    expect(validateTranslation({ ...VALID, mood: 'bored', urgency: 3, rationale: ' ', translation: undefined })).toEqual([
+      '"translation" is missing',
+      '"mood" must be one of happy, excited, playful, content, curious, anxious, scared, annoyed, angry, sad (got "bored")',
+      '"urgency" must be a string',
+      '"rationale" must not be empty',
+    ])
+    expect(validateTranslation([VALID])).toEqual(['the answer must be a JSON object'])
+  })
+})
+
+describe('parseStructuredTranslation', () => {
+  it('finds the object inside prose and code fences', () => {
+    const text = `Here you go:\n\`\`\`json\n${JSON.stringify(VALID)}\n\`\`\``
+    expect(parseStructuredTranslation(text)).toEqual({ value: VALID, errors: [] })
+  })
+
+  it('repairs smart quotes and trailing commas', () => {
+    const text = '{“mood”: "excited", "intent": "play", "urgency": "low", "translation": "Throw the ball!", "rationale": "Short, high barks.",}'
+    expect(parseStructuredTranslation(text).value).toEqual(VALID)
+  })
+
+  it('maps case differences and synonyms onto the schema', () => {
+    const text = JSON.stringify({ ...VALID, mood: 'Eager', intent: 'playing', urgency: 'None', translation: '  Throw the ball! ' })
+    expect(parseStructuredTranslation(text).value).toEqual(VALID)
+  })
+
+  it('drops keys outside the schema', () => {
+    expect(parseStructuredTranslation(JSON.stringify({ ...VALID, extra: 1 })).value).toEqual(VALID)
+  })
+
+  it('reports why a reply is unusable', () => {
+    expect(parseStructuredTranslation('Woof woof').errors).toEqual(['the answer must be a JSON object'])
+    expect(parseStructuredTranslation('{"mood": excited}').errors[0]).toMatch(/^the answer is not valid JSON/)
+    expect(parseStructuredTranslation(null).value).toBeNull()
+  })
+})
+
+describe('extractPartialTranslation', () => {
+  it('reads the translation while the JSON is still streaming', () => {
+    expect(extractPartialTranslation('{"mood": "happy", "translation": "I want')).toBe('I want')
+    expect(extractPartialTranslation('{"translation": "Say \\"hi\\')).toBe('Say "hi')
+    expect(extractPartialTranslation('{"mood": "hap')).toBe('')
+  })
+
+  it('passes prose through', () => {
+    expect(extractPartialTranslation('I want food')).toBe('I want food')
+  })
+})
+
+describe('toPlainTranslation', () => {
+  it('keeps readable text and drops JSON without a translation', () => {
+    expect(toPlainTranslation('{"translation": "Hello", "mood": 4')).toBe('Hello')
+    expect(toPlainTranslation(' I want food ')).toBe('I want food')
+    expect(toPlainTranslation('{"mood": "happy"}')).toBeNull()
+    expect(toPlainTranslation(null)).toBeNull()
+  })
+})
+
+describe('isUrgentAlarm', () => {
+  it('needs a high urgency alarm or distress call', () => {
+    expect(isUrgentAlarm({ intent: 'alarm', urgency: 'high' })).toBe(true)
+    expect(isUrgentAlarm({ intent: 'distress', urgency: 'medium' })).toBe(false)
+    expect(isUrgentAlarm({ intent: 'play', urgency: 'high' })).toBe(false)
+    expect(isUrgentAlarm(null)).toBe(false)
+  })
+})
+
+describe('structureTranslation', () => {
+  const requestBody = { model: 'test-model', messages: [{ role: 'user', content: 'Woof' }], stream: true, logprobs: true }
+
+  // A failed re-prompt is retried with backoff; don't sit through the waits
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.useRealTimers()
+  })
+
+  /**
+   * A provider whose chat completions answer with the given replies in turn
+   * @param {Array<string|Error>} replies
+   */
+  function fakeProvider(replies) {
+    return {
+      requestChatCompletion: vi.fn(async () => {
+        const reply = replies.shift()
+        if (reply instanceof Error) throw reply
+        return new Response(JSON.stringify({ choices: [{ message: { content: reply } }] }))
+      }),
+      parseChatCompletion: result => result.choices[0].message.content,
+    }
+  }
+
+  it('uses a valid reply as it is', async () => {
+    const provider = fakeProvider([])
+    const { translation, ...structured } = VALID
+    expect(await structureTranslation(provider, requestBody, JSON.stringify(VALID), { onProgress: vi.fn() }))
+      .toEqual({ structured, text: translation })
+    expect(provider.requestChatCompletion).not.toHaveBeenCalled()
+  })
+
+  it('asks again with the errors and uses the corrected reply', async () => {
+    const provider = fakeProvider([JSON.stringify(VALID)])
+    const onProgress = vi.fn()
+    const invalid = JSON.stringify({ ...VALID, intent: 'ball' })
+    const result = await structureTranslation(provider, requestBody, invalid, { onProgress })
+
+    expect(result.text).toBe('Throw the ball!')
+    expect(result.structured.intent).toBe('play')
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ stage: 'translation', model: 'test-model' }))
+    const [retryBody] = provider.requestChatCompletion.mock.calls[0]
+    expect(retryBody.stream).toBeUndefined()
+    expect(retryBody.logprobs).toBeUndefined()
+    expect(retryBody.messages.slice(1)).toEqual([
+      { role: 'assistant', content: invalid },
+      { role: 'user', content: expect.stringContaining('"intent" must be one of') },
+    ])
+  })
+
+  it('falls back to plain text when the second reply is invalid too', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const provider = fakeProvider(['still not JSON'])
+    const result = await structureTranslation(provider, requestBody, '{"translation": "I want food", "mood": "hungry"}', { onProgress: vi.fn() })
+    expect(result).toEqual({ structured: null, text: 'I want food' })
+  })
+
+  it('keeps the first reply when asking again fails', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const provider = fakeProvider([new Error('Bad request'), new Error('Bad request'), new Error('Bad request'), new Error('Bad request')])
+    const pending = structureTranslation(provider, requestBody, 'Woof means hello', { onProgress: vi.fn() })
+    await vi.runAllTimersAsync()
+    expect(await pending).toEqual({ structured: null, text: 'Woof means hello' })
+    expect(provider.requestChatCompletion).toHaveBeenCalledTimes(4)
+  })
+
+  it('returns nothing for an empty reply', async () => {
+    expect(await structureTranslation(fakeProvider([]), requestBody, null, { onProgress: vi.fn() }))
+      .toEqual({ structured: null, text: null })
+  })
+})
@@ -0,0 +1,136 @@
+// Reverse mode replies: the LLM answers a human phrase with a sequence of
+// vocalizations the animal can make ("two short barks, then a long howl")
+// plus a line on what that means. The reply is checked against the
+// animal's vocalizations before the synthesizer gets it.
+import { parseJsonReply } from './structuredTranslation'
+import { LENGTHS, INTENSITIES, MAX_REPEAT } from './vocalSynth'
+
+export const MAX_SEQUENCE_LENGTH = 6
+
+/**
+ * The JSON schema for a reply using these vocalizations
+ * @param {string[]} vocalizations - What the animal can say
+ * @returns {Object}
+ */
+export function getVocalReplySchema(vocalizations) {
+  return {
+    type: 'object',
+    required: ['sequence', 'meaning'],
+    properties: {
+      sequence: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_SEQUENCE_LENGTH,
+        items: {
+          type: 'object',
+          required: ['sound', 'length', 'count', 'intensity'],
+          properties: {
+            sound: { type: 'string', enum: vocalizations },
+            length: { type: 'string', enum: LENGTHS },
+            count: { type: 'integer', minimum: 1, maximum: MAX_REPEAT },
+            intensity: { type: 'string', enum: INTENSITIES },
+          },
+        },
+      },
+      meaning: { type: 'string', minLength: 1, maxLength: 300 },
+    },
+  }
+}
+
+/**
+ * Check one sequence item, normalizing case and numeric strings
+ * @param {*} item
+ * @param {number} index
+ * @param {string[]} vocalizations
+ * @returns {{item: Object|null, errors: string[]}}
+ */
+function normalizeItem(item, index, vocalizations) {
+  if (!item || typeof item !== 'object') {
+    return { item: null, errors: [`sequence[${index}] must be an object`] }
+  }
+  const text = value => (typeof value === 'string' ? value.trim().toLowerCase() : value)
+  const normalized = {
+    sound: text(item.sound),
+    length: text(item.length),
+    count: Number(item.count),
+    intensity: text(item.intensity),
+  }
+  const errors = []
+  if (!vocalizations.includes(normalized.sound)) {
+    errors.push(`sequence[${index}].sound must be one of ${vocalizations.join(', ')} (got "${item.sound}")`)
+  }
+  if (!LENGTHS.includes(normalized.length)) {
+    errors.push(`sequence[${index}].length must be one of ${LENGTHS.join(', ')}`)
+  }
+  if (!Number.isInteger(normalized.count) || normalized.count < 1 || normalized.count > MAX_REPEAT) {
+    errors.push(`sequence[${index}].count must be a whole number from 1 to ${MAX_REPEAT}`)
+  }
+  if (!INTENSITIES.includes(normalized.intensity)) {
+    errors.push(`sequence[${index}].intensity must be one of ${INTENSITIES.join(', ')}`)
+  }
+  return { item: errors.length > 0 ? null : normalized, errors }
+}
+
+/**
+ * Parse and validate a model reply
+ * @param {string|null} text - The raw completion
+ * @param {string[]} vocalizations - What the animal can say
+ * @returns {{value: {sequence: Object[], meaning: string}|null, errors: string[]}}
+ */
+export function parseVocalReply(text, vocalizations) {
+  const { parsed, error } = parseJsonReply(text)
+  if (error) {
+    return { value: null, errors: [error] }
+  }
+
+  const errors = []
+  if (!Array.isArray(parsed.sequence) || parsed.sequence.length === 0) {
+    errors.push('"sequence" must be a non-empty array')
+  } else if (parsed.sequence.length > MAX_SEQUENCE_LENGTH) {
+    errors.push(`"sequence" must have at most ${MAX_SEQUENCE_LENGTH} items`)
+  }
+  const meaning = typeof parsed.meaning === 'string' ? parsed.meaning.trim() : ''
+  if (!meaning) {
+    errors.push('"meaning" must be a non-empty string')
+  }
+  if (errors.length > 0) {
+    return { value: null, errors }
+  }
+
+  const results = parsed.sequence.map((item, index) => normalizeItem(item, index, vocalizations))
+  const itemErrors = results.flatMap(result => result.errors)
+  if (itemErrors.length > 0) {
+    return { value: null, errors: itemErrors }
+  }
+  return { value: { sequence: results.map(result => result.item), meaning }, errors: [] }
+}
+
+/**
+ * A reply made without the LLM, so reverse mode still makes a sound offline
+ * Loud for exclamations, a second, longer sound for questions, more repeats for longer phrases
+ * @param {string} phrase - What the human said
+ * @param {string[]} vocalizations - What the animal can say
+ * @returns {{sequence: Object[], meaning: string}}
+ */
+export function buildMockVocalReply(phrase, vocalizations) {
+  const words = phrase.trim().split(/\s+/).filter(Boolean).length
+  const [first, second = first] = vocalizations
+  const sequence = [{
+    sound: first,
+    length: 'short',
+    count: Math.min(MAX_REPEAT, Math.max(1, Math.ceil(words / 2))),
+    intensity: phrase.includes('!') ? 'loud' : 'medium',
+  }]
+  if (phrase.includes('?')) {
+    sequence.push({ sound: second, length: 'long', count: 1, intensity: 'medium' })
+  }
+  return { sequence, meaning: `A best guess at "${phrase.trim()}"` }
+}
+
+/**
+ * @param {{sound: string, length: string, count: number}} item
+ * @returns {string} - e.g. "2× short bark"
+ */
+export function describeVocalization({ sound, length, count }) {
+  return `${count > 1 ? `${count}× ` : ''}${length} ${sound}`
+}
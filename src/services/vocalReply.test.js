@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import { buildMockVocalReply, describeVocalization, parseVocalReply } from './vocalReply'
+
+const DOG = ['bark', 'yip', 'growl', 'howl', 'whine']
+
+const BARK = { sound: 'bark', length: 'short', count: 2, intensity: 'loud' }
+const HOWL = { sound: 'howl', length: 'long', count: 1, intensity: 'medium' }
+
+describe('parseVocalReply', () => {
+  it('accepts a valid reply', () => {
+    const text = JSON.stringify({ sequence: [BARK, HOWL], meaning: 'Hello, come here!' })
+    expect(parseVocalReply(text, DOG)).toEqual({
+      value: { sequence: [BARK, HOWL], meaning: 'Hello, come here!' },
+      errors: [],
+    })
+  })
+
+  it('finds the object inside prose and normalizes case and numeric strings', () => {
+    const text = `Sure:\n\`\`\`json\n${JSON.stringify({
+      sequence: [{ sound: ' Bark ', length: 'SHORT', count: '2', intensity: 'Loud' }],
+      meaning: '  Hi!  ',
+    })}\n\`\`\``
+    expect(parseVocalReply(text, DOG).value).toEqual({ sequence: [BARK], meaning: 'Hi!' })
+  })
+
+  it.each([
+    ['no reply', null, ['the answer must be a JSON object']],
+    ['prose', 'Woof woof', ['the answer must be a JSON object']],
+    ['a missing sequence and meaning', '{}', ['"sequence" must be a non-empty array', '"meaning" must be a non-empty string']],
+    ['an empty sequence', JSON.stringify({ sequence: [], meaning: 'Hi' }), ['"sequence" must be a non-empty array']],
+    ['a sequence that is not a list', JSON.stringify({ sequence: BARK, meaning: 'Hi' }), ['"sequence" must be a non-empty array']],
+    ['a blank meaning', JSON.stringify({ sequence: [BARK], meaning: '  ' }), ['"meaning" must be a non-empty string']],
+    [
+      'too many sounds',
+      JSON.stringify({ sequence: Array(7).fill(BARK), meaning: 'Hi' }),
+      ['"sequence" must have at most 6 items'],
+    ],
+    ['an item that is not an object', JSON.stringify({ sequence: ['bark'], meaning: 'Hi' }), ['sequence[0] must be an object']],
+    [
+      'a sound the animal cannot make',
+      JSON.stringify({ sequence: [{ ...BARK, sound: 'meow' }], meaning: 'Hi' }),
+      ['sequence[0].sound must be one of bark, yip, growl, howl, whine (got "meow")'],
+    ],
+    [
+      'a missing length and intensity',
+      JSON.stringify({ sequence: [{ sound: 'bark', count: 1 }], meaning: 'Hi' }),
+      ['sequence[0].length must be one of short, medium, long', 'sequence[0].intensity must be one of soft, medium, loud'],
+    ],
+    [
+      'an unknown length',
+      JSON.stringify({ sequence: [BARK, { ...HOWL, length: 'endless' }], meaning: 'Hi' }),
+      ['sequence[1].length must be one of short, medium, long'],
+    ],
+  ])('rejects %s', (description, text, errors) => {
+    expect(parseVocalReply(text, DOG)).toEqual({ value: null, errors })
+  })
+
+  it.each([0, 5, 1.5, -1, 'twice', null])('rejects a count of %s', (count) => {
+    const text = JSON.stringify({ sequence: [{ ...BARK, count }], meaning: 'Hi' })
+    expect(parseVocalReply(text, DOG).errors).toEqual(['sequence[0].count must be a whole number from 1 to 4'])
+  })
+
+  it('accepts the count limits', () => {
+    const text = JSON.stringify({ sequence: [{ ...BARK, count: 1 }, { ...BARK, count: 4 }], meaning: 'Hi' })
+    expect(parseVocalReply(text, DOG).errors).toEqual([])
+  })
+})
+
+describe('buildMockVocalReply', () => {
+  it.each([
+    ['Hello', [{ sound: 'bark', length: 'short', count: 1, intensity: 'medium' }]],
+    ['Sit down right now!', [{ sound: 'bark', length: 'short', count: 2, intensity: 'loud' }]],
+    [
+      'Do you want to go for a walk?',
+      [
+        { sound: 'bark', length: 'short', count: 4, intensity: 'medium' },
+        { sound: 'yip', length: 'long', count: 1, intensity: 'medium' },
+      ],
+    ],
+    ['   ', [{ sound: 'bark', length: 'short', count: 1, intensity: 'medium' }]],
+  ])('answers "%s"', (phrase, sequence) => {
+    expect(buildMockVocalReply(phrase, DOG).sequence).toEqual(sequence)
+  })
+
+  it('passes its own validation', () => {
+    const reply = buildMockVocalReply(' Where is the ball? ', DOG)
+    expect(reply.meaning).toBe('A best guess at "Where is the ball?"')
+    expect(parseVocalReply(JSON.stringify(reply), DOG).value).toEqual(reply)
+  })
+
+  it('repeats the only sound an animal has for questions', () => {
+    expect(buildMockVocalReply('Why?', ['quack']).sequence.map(item => item.sound)).toEqual(['quack', 'quack'])
+  })
+})
+
+describe('describeVocalization', () => {
+  it('mentions the count only for repeats', () => {
+    expect(describeVocalization(BARK)).toBe('2× short bark')
+    expect(describeVocalization(HOWL)).toBe('long howl')
+  })
+})
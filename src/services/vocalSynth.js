@@ -0,0 +1,197 @@
+// Web Audio synthesizer for reverse mode: renders a sequence of
+// vocalizations ("short bark ×2, long howl") into an AudioBuffer with an
+// OfflineAudioContext, so the same result can be played and saved as WAV.
+// Each sound is a recipe: an oscillator with a pitch contour, optional
+// noise, vibrato and tremolo, shaped by a band-pass filter and an envelope.
+import { encodeWav } from './wavEncoder'
+
+const SAMPLE_RATE = 44100
+
+export const LENGTHS = ['short', 'medium', 'long']
+export const INTENSITIES = ['soft', 'medium', 'loud']
+export const MAX_REPEAT = 4
+
+const INTENSITY_GAIN = { soft: 0.35, medium: 0.6, loud: 0.9 }
+
+// Silence between repeats of one sound, and between different sounds
+const REPEAT_GAP_SECONDS = 0.12
+const ITEM_GAP_SECONDS = 0.3
+
+// baseHz is for a typical animal of the kind; contour multiplies it at the start, peak and end
+export const VOCALIZATIONS = {
+  bark: { baseHz: 450, contour: [0.8, 1.2, 0.6], seconds: [0.12, 0.2, 0.35], wave: 'sawtooth', noise: 0.35, filter: 2, q: 1 },
+  yip: { baseHz: 900, contour: [1, 1.4, 1.1], seconds: [0.08, 0.12, 0.2], wave: 'sawtooth', noise: 0.15, filter: 2, q: 1 },
+  growl: { baseHz: 110, contour: [0.9, 1, 0.85], seconds: [0.4, 0.8, 1.5], wave: 'sawtooth', noise: 0.5, filter: 3, q: 1, tremoloHz: 30 },
+  howl: { baseHz: 450, contour: [0.7, 1.1, 0.8], seconds: [0.8, 1.5, 2.5], wave: 'triangle', noise: 0.05, filter: 2, q: 1, vibratoHz: 5, vibratoDepth: 8 },
+  whine: { baseHz: 900, contour: [1, 1.3, 0.9], seconds: [0.3, 0.6, 1], wave: 'triangle', noise: 0, filter: 2, q: 1, vibratoHz: 6, vibratoDepth: 15 },
+  meow: { baseHz: 600, contour: [0.8, 1.3, 0.7], seconds: [0.3, 0.5, 0.9], wave: 'sawtooth', noise: 0.05, filter: 1.5, q: 2 },
+  purr: { baseHz: 120, contour: [1, 1, 1], seconds: [0.6, 1.2, 2], wave: 'sawtooth', noise: 0.6, filter: 2, q: 0.7, tremoloHz: 25 },
+  hiss: { baseHz: 3000, contour: [1, 1, 1], seconds: [0.3, 0.6, 1], wave: 'sine', noise: 1, toneless: true, filter: 1, q: 0.7 },
+  chirp: { baseHz: 3000, contour: [0.8, 1.4, 1], seconds: [0.06, 0.1, 0.18], wave: 'sine', noise: 0, filter: 1, q: 0.5 },
+  tweet: { baseHz: 4000, contour: [1.2, 0.9, 1.1], seconds: [0.1, 0.18, 0.3], wave: 'sine', noise: 0, filter: 1, q: 0.5, vibratoHz: 30, vibratoDepth: 150 },
+  trill: { baseHz: 2500, contour: [1, 1.1, 1], seconds: [0.3, 0.6, 1], wave: 'sine', noise: 0, filter: 1, q: 0.5, vibratoHz: 20, vibratoDepth: 300 },
+  moo: { baseHz: 150, contour: [0.9, 1.1, 0.8], seconds: [0.6, 1.2, 2], wave: 'sawtooth', noise: 0.05, filter: 3, q: 2 },
+  oink: { baseHz: 250, contour: [1, 1.2, 0.8], seconds: [0.1, 0.18, 0.3], wave: 'square', noise: 0.3, filter: 2, q: 1.5 },
+  grunt: { baseHz: 120, contour: [1, 1, 0.8], seconds: [0.12, 0.2, 0.35], wave: 'sawtooth', noise: 0.4, filter: 2, q: 1 },
+  squeal: { baseHz: 1400, contour: [0.9, 1.3, 1.1], seconds: [0.3, 0.6, 1], wave: 'sawtooth', noise: 0.1, filter: 1.5, q: 1 },
+  crow: { baseHz: 700, contour: [0.8, 1.3, 0.9], seconds: [0.6, 1, 1.6], wave: 'sawtooth', noise: 0.1, filter: 2, q: 1.5, vibratoHz: 6, vibratoDepth: 20 },
+  cluck: { baseHz: 400, contour: [1, 0.9, 0.8], seconds: [0.06, 0.1, 0.15], wave: 'square', noise: 0.3, filter: 2, q: 1 },
+  quack: { baseHz: 350, contour: [1, 1.1, 0.8], seconds: [0.15, 0.25, 0.4], wave: 'sawtooth', noise: 0.2, filter: 3, q: 4 },
+  baa: { baseHz: 350, contour: [1, 1.05, 0.9], seconds: [0.4, 0.7, 1.2], wave: 'sawtooth', noise: 0.05, filter: 3, q: 2, tremoloHz: 7 },
+  neigh: { baseHz: 600, contour: [1.2, 1.4, 0.6], seconds: [0.6, 1, 1.6], wave: 'sawtooth', noise: 0.1, filter: 2, q: 1.5, vibratoHz: 9, vibratoDepth: 40 },
+  snort: { baseHz: 200, contour: [1, 1, 1], seconds: [0.1, 0.2, 0.3], wave: 'sawtooth', noise: 0.9, filter: 4, q: 0.7 },
+  roar: { baseHz: 150, contour: [0.8, 1.1, 0.6], seconds: [0.6, 1.2, 2], wave: 'sawtooth', noise: 0.5, filter: 4, q: 1, tremoloHz: 20 },
+  call: { baseHz: 500, contour: [0.9, 1.2, 0.8], seconds: [0.2, 0.5, 0.9], wave: 'triangle', noise: 0.05, filter: 2, q: 1 },
+}
+
+/**
+ * Total length of a sequence, before rendering
+ * @param {{sound: string, length: string, count: number}[]} sequence
+ * @returns {number} - Seconds
+ */
+export function getSequenceDuration(sequence) {
+  return sequence.reduce((total, item, index) => {
+    const seconds = VOCALIZATIONS[item.sound].seconds[LENGTHS.indexOf(item.length)]
+    const gaps = (item.count - 1) * REPEAT_GAP_SECONDS + (index < sequence.length - 1 ? ITEM_GAP_SECONDS : 0)
+    return total + seconds * item.count + gaps
+  }, 0)
+}
+
+/**
+ * One second of white noise, shared by every sound in a render
+ * @param {BaseAudioContext} context
+ * @returns {AudioBuffer}
+ */
+function createNoiseBuffer(context) {
+  const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate)
+  const data = buffer.getChannelData(0)
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.random() * 2 - 1
+  }
+  return buffer
+}
+
+/**
+ * Schedule one vocalization
+ * @param {BaseAudioContext} context
+ * @param {AudioNode} output
+ * @param {AudioBuffer} noiseBuffer
+ * @param {Object} recipe - Entry of VOCALIZATIONS
+ * @param {{start: number, duration: number, gain: number, pitchScale: number}} event
+ */
+function scheduleVocalization(context, output, noiseBuffer, recipe, { start, duration, gain, pitchScale }) {
+  const end = start + duration
+  const baseHz = recipe.baseHz * pitchScale
+  const [startMul, peakMul, endMul] = recipe.contour
+
+  const filter = context.createBiquadFilter()
+  filter.type = 'bandpass'
+  filter.frequency.value = Math.min(context.sampleRate / 2 - 100, baseHz * recipe.filter)
+  filter.Q.value = recipe.q
+
+  // Envelope: fast attack, hold, then release over the last third
+  const envelope = context.createGain()
+  const attack = Math.min(0.02, duration / 4)
+  envelope.gain.setValueAtTime(0, start)
+  envelope.gain.linearRampToValueAtTime(gain, start + attack)
+  envelope.gain.setValueAtTime(gain, start + duration * 0.66)
+  envelope.gain.linearRampToValueAtTime(0, end)
+
+  filter.connect(envelope)
+  let last = envelope
+
+  if (recipe.tremoloHz) {
+    // Amplitude modulation: gain swings between 0 and 1
+    const tremolo = context.createGain()
+    tremolo.gain.value = 0.5
+    const lfo = context.createOscillator()
+    lfo.frequency.value = recipe.tremoloHz
+    const depth = context.createGain()
+    depth.gain.value = 0.5
+    lfo.connect(depth).connect(tremolo.gain)
+    lfo.start(start)
+    lfo.stop(end)
+    envelope.connect(tremolo)
+    last = tremolo
+  }
+  last.connect(output)
+
+  if (!recipe.toneless) {
+    const oscillator = context.createOscillator()
+    oscillator.type = recipe.wave
+    oscillator.frequency.setValueAtTime(baseHz * startMul, start)
+    oscillator.frequency.linearRampToValueAtTime(baseHz * peakMul, start + duration * 0.3)
+    oscillator.frequency.exponentialRampToValueAtTime(baseHz * endMul, end)
+    if (recipe.vibratoHz) {
+      const lfo = context.createOscillator()
+      lfo.frequency.value = recipe.vibratoHz
+      const depth = context.createGain()
+      depth.gain.value = recipe.vibratoDepth * pitchScale
+      lfo.connect(depth).connect(oscillator.frequency)
+      lfo.start(start)
+      lfo.stop(end)
+    }
+    const toneGain = context.createGain()
+    toneGain.gain.value = 1 - recipe.noise
+    oscillator.connect(toneGain).connect(filter)
+    oscillator.start(start)
+    oscillator.stop(end)
+  }
+
+  if (recipe.noise > 0) {
+    const noise = context.createBufferSource()
+    noise.buffer = noiseBuffer
+    noise.loop = true
+    const noiseGain = context.createGain()
+    noiseGain.gain.value = recipe.noise
+    noise.connect(noiseGain).connect(filter)
+    noise.start(start)
+    noise.stop(end)
+  }
+}
+
+/**
+ * Render a vocalization sequence
+ * @param {{sound: string, length: string, count: number, intensity: string}[]} sequence - Validated sequence
+ * @param {Object} [options]
+ * @param {number} [options.pitchScale] - Voice pitch of the animal relative to the recipes (0.5 is an octave lower)
+ * @returns {Promise<AudioBuffer>} - Mono audio
+ */
+export async function renderSequence(sequence, { pitchScale = 1 } = {}) {
+  // A little tail so the last release isn't cut off
+  const durationSeconds = getSequenceDuration(sequence) + 0.2
+  const context = new OfflineAudioContext(1, Math.ceil(durationSeconds * SAMPLE_RATE), SAMPLE_RATE)
+  const noiseBuffer = createNoiseBuffer(context)
+
+  // Overlapping noise and tone can exceed full scale; the compressor keeps it clean
+  const compressor = context.createDynamicsCompressor()
+  compressor.connect(context.destination)
+
+  let time = 0.05
+  sequence.forEach((item) => {
+    const recipe = VOCALIZATIONS[item.sound]
+    const duration = recipe.seconds[LENGTHS.indexOf(item.length)]
+    for (let i = 0; i < item.count; i++) {
+      // Vary repeats slightly so "bark ×3" doesn't sound like a loop
+      const jitter = 1 + (Math.random() - 0.5) * 0.08
+      scheduleVocalization(context, compressor, noiseBuffer, recipe, {
+        start: time,
+        duration: duration * jitter,
+        gain: INTENSITY_GAIN[item.intensity],
+        pitchScale: pitchScale * jitter,
+      })
+      time += duration * jitter + REPEAT_GAP_SECONDS
+    }
+    time += ITEM_GAP_SECONDS - REPEAT_GAP_SECONDS
+  })
+
+  return context.startRendering()
+}
+
+/**
+ * @param {AudioBuffer} audioBuffer - A rendered sequence
+ * @returns {Blob} - audio/wav blob
+ */
+export function audioBufferToWav(audioBuffer) {
+  return encodeWav(audioBuffer.getChannelData(0), audioBuffer.sampleRate)
+}
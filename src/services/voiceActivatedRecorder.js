@@ -0,0 +1,146 @@
+// Hands-free capture: listen continuously, start when the input gets loud,
+// and stop after a stretch of silence. Raw PCM is kept (rather than using
+// MediaRecorder) so the second or two before the trigger can be included.
+import { encodeWav } from './wavEncoder'
+
+export const DEFAULT_VOICE_ACTIVATION = {
+  thresholdDb: -40,
+  preRollSeconds: 1.5,
+  silenceSeconds: 1.5,
+  maxSeconds: 15,
+}
+
+// Drop this far below the trigger level before counting silence, so a
+// sound hovering around the threshold doesn't stop and start the capture
+const SILENCE_HYSTERESIS_DB = 6
+const BUFFER_SIZE = 2048
+
+function levelDb(samples) {
+  let sum = 0
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i]
+  }
+  const rms = Math.sqrt(sum / samples.length)
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity
+}
+
+function concatChunks(chunks) {
+  const length = chunks.reduce((total, chunk) => total + chunk.length, 0)
+  const result = new Float32Array(length)
+  let offset = 0
+  chunks.forEach((chunk) => {
+    result.set(chunk, offset)
+    offset += chunk.length
+  })
+  return result
+}
+
+/**
+ * Arm a voice-activated recorder on a microphone stream
+ * @param {MediaStream} stream - Microphone stream; the caller owns it and stops its tracks
+ * @param {Object} [options]
+ * @param {number} [options.thresholdDb] - Input level (dBFS) that starts the capture
+ * @param {number} [options.preRollSeconds] - Audio kept from before the trigger
+ * @param {number} [options.silenceSeconds] - Silence that ends the capture
+ * @param {number} [options.maxSeconds] - Hard limit on capture length (pre-roll included)
+ * @param {() => void} [options.onTrigger] - Called when the capture starts
+ * @param {(blob: Blob) => void} [options.onComplete] - Called once with the captured WAV
+ * @returns {{finish: () => void, cancel: () => void}} - finish() ends a capture early, cancel() disarms without a result
+ */
+export function createVoiceActivatedRecorder(stream, {
+  thresholdDb = DEFAULT_VOICE_ACTIVATION.thresholdDb,
+  preRollSeconds = DEFAULT_VOICE_ACTIVATION.preRollSeconds,
+  silenceSeconds = DEFAULT_VOICE_ACTIVATION.silenceSeconds,
+  maxSeconds = DEFAULT_VOICE_ACTIVATION.maxSeconds,
+  onTrigger = () => {},
+  onComplete = () => {},
+} = {}) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext
+  if (!AudioContextClass) {
+    throw new Error('Web Audio API is not supported in this browser')
+  }
+
+  const context = new AudioContextClass()
+  const sampleRate = context.sampleRate
+  const source = context.createMediaStreamSource(stream)
+  // ScriptProcessorNode is deprecated but still universally supported and,
+  // unlike an AudioWorklet, needs no separate module file
+  const processor = context.createScriptProcessor(BUFFER_SIZE, 1, 1)
+  // The processor only runs while connected to the destination; keep it silent
+  const mute = context.createGain()
+  mute.gain.value = 0
+  source.connect(processor)
+  processor.connect(mute)
+  mute.connect(context.destination)
+
+  const preRollLimit = Math.round(preRollSeconds * sampleRate)
+  const silenceLimit = Math.round(silenceSeconds * sampleRate)
+  const maxLimit = Math.round(maxSeconds * sampleRate)
+
+  let state = 'armed'
+  let preRoll = []
+  let preRollLength = 0
+  let captured = []
+  let capturedLength = 0
+  let silentLength = 0
+
+  const teardown = () => {
+    processor.onaudioprocess = null
+    source.disconnect()
+    processor.disconnect()
+    mute.disconnect()
+    context.close().catch(() => {
+      // Ignore errors if the context is already closed
+    })
+  }
+
+  const finish = () => {
+    if (state === 'done') return
+    const wasCapturing = state === 'capturing'
+    state = 'done'
+    teardown()
+    if (wasCapturing) {
+      onComplete(encodeWav(concatChunks(captured), sampleRate))
+    }
+  }
+
+  processor.onaudioprocess = (event) => {
+    if (state === 'done') return
+    // The input buffer is reused by the browser, so copy it
+    const chunk = new Float32Array(event.inputBuffer.getChannelData(0))
+    const chunkDb = levelDb(chunk)
+
+    if (state === 'armed') {
+      preRoll.push(chunk)
+      preRollLength += chunk.length
+      // Always keep the newest chunk: it is the one that may trigger the capture
+      while (preRoll.length > 1 && preRollLength - preRoll[0].length >= preRollLimit) {
+        preRollLength -= preRoll.shift().length
+      }
+      if (chunkDb >= thresholdDb) {
+        state = 'capturing'
+        captured = preRoll
+        capturedLength = preRollLength
+        preRoll = []
+        onTrigger()
+      }
+      return
+    }
+
+    captured.push(chunk)
+    capturedLength += chunk.length
+    silentLength = chunkDb < thresholdDb - SILENCE_HYSTERESIS_DB ? silentLength + chunk.length : 0
+    if (silentLength >= silenceLimit || capturedLength >= maxLimit) {
+      finish()
+    }
+  }
+
+  return {
+    finish,
+    cancel() {
+      if (state === 'done') return
+      state = 'done'
+      teardown()
+    },
+  }
+}
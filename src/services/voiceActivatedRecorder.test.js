@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createVoiceActivatedRecorder } from './voiceActivatedRecorder'
+
+const RATE = 8000
+const CHUNK = 2048
+const HEADER_BYTES = 44
+
+// Just enough of the Web Audio graph for the recorder; the test feeds the processor by hand
+class FakeAudioContext {
+  constructor() {
+    this.sampleRate = RATE
+    this.destination = {}
+  }
+  createMediaStreamSource() {
+    return { connect() {}, disconnect() {} }
+  }
+  createScriptProcessor() {
+    processor = { connect() {}, disconnect() {}, onaudioprocess: null }
+    return processor
+  }
+  createGain() {
+    return { gain: { value: 1 }, connect() {}, disconnect() {} }
+  }
+  close() {
+    return Promise.resolve()
+  }
+}
+
+let processor
+
+const feed = (level) => {
+  const samples = new Float32Array(CHUNK).fill(level)
+  // The recorder detaches its handler once it is done
+  processor.onaudioprocess?.({ inputBuffer: { getChannelData: () => samples } })
+}
+
+const capturedSamples = blob => (blob.size - HEADER_BYTES) / 2
+
+describe('createVoiceActivatedRecorder', () => {
+  beforeEach(() => {
+    vi.stubGlobal('window', { AudioContext: FakeAudioContext })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('keeps the pre-roll up to the trigger', () => {
+    const onComplete = vi.fn()
+    const recorder = createVoiceActivatedRecorder({}, { preRollSeconds: 3 * CHUNK / RATE, onComplete })
+    feed(0)
+    feed(0)
+    feed(0)
+    feed(0)
+    feed(0.5)
+    recorder.finish()
+    // Two quiet chunks and the one that triggered
+    expect(capturedSamples(onComplete.mock.calls[0][0])).toBe(3 * CHUNK)
+  })
+
+  it('works without a pre-roll', () => {
+    const onTrigger = vi.fn()
+    const onComplete = vi.fn()
+    const recorder = createVoiceActivatedRecorder({}, { preRollSeconds: 0, onTrigger, onComplete })
+    feed(0)
+    feed(0)
+    feed(0.5)
+    expect(onTrigger).toHaveBeenCalledTimes(1)
+    recorder.finish()
+    expect(capturedSamples(onComplete.mock.calls[0][0])).toBe(CHUNK)
+  })
+
+  it('stops after the silence and only reports once', () => {
+    const onComplete = vi.fn()
+    const recorder = createVoiceActivatedRecorder({}, { preRollSeconds: 0, silenceSeconds: 2 * CHUNK / RATE, onComplete })
+    feed(0.5)
+    feed(0)
+    feed(0)
+    expect(onComplete).toHaveBeenCalledTimes(1)
+    feed(0.5)
+    recorder.finish()
+    expect(onComplete).toHaveBeenCalledTimes(1)
+  })
+
+  it('reports nothing when cancelled while armed', () => {
+    const onComplete = vi.fn()
+    const recorder = createVoiceActivatedRecorder({}, { onComplete })
+    feed(0)
+    recorder.cancel()
+    recorder.finish()
+    expect(onComplete).not.toHaveBeenCalled()
+  })
+})
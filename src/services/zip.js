@@ -0,0 +1,176 @@
+// Minimal ZIP archives for history bundles, without a dependency. Files are
+// written uncompressed (recordings are compressed already); reading also
+// accepts deflated entries, so bundles re-zipped by other tools import too.
+
+const LOCAL_FILE_HEADER = 0x04034b50
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+
+// UTF-8 file names (general purpose flag bit 11)
+const UTF8_FLAG = 0x0800
+const METHOD_STORED = 0
+const METHOD_DEFLATED = 8
+
+let crcTable = null
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} - CRC-32 as an unsigned integer
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c >>> 0
+    }
+  }
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * MS-DOS date and time fields
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  }
+}
+
+/**
+ * Build a ZIP archive
+ * @param {{path: string, data: Blob|string}[]} files
+ * @returns {Promise<Blob>} - application/zip
+ */
+export async function createZip(files) {
+  const encoder = new TextEncoder()
+  const parts = []
+  const centralDirectory = []
+  let offset = 0
+  const { time, date } = toDosDateTime(new Date())
+
+  for (const file of files) {
+    const name = encoder.encode(file.path)
+    const data = typeof file.data === 'string'
+      ? encoder.encode(file.data)
+      : new Uint8Array(await file.data.arrayBuffer())
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, LOCAL_FILE_HEADER, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(6, UTF8_FLAG, true)
+    local.setUint16(8, METHOD_STORED, true)
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    parts.push(local, name, data)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true)
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint16(8, UTF8_FLAG, true)
+    central.setUint16(10, METHOD_STORED, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, date, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true)
+    centralDirectory.push(central, name)
+
+    offset += 30 + name.length + data.length
+  }
+
+  const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, directorySize, true)
+  end.setUint32(16, offset, true)
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' })
+}
+
+/**
+ * @param {Uint8Array} bytes - Raw deflate data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot unpack compressed ZIP files. Use a bundle exported by the app.')
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Read the files in a ZIP archive
+ * @param {Blob} blob
+ * @returns {Promise<Map<string, Uint8Array>>} - Contents by path
+ */
+export async function readZip(blob) {
+  const buffer = await blob.arrayBuffer()
+  const view = new DataView(buffer)
+  const decoder = new TextDecoder()
+
+  // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+  let endOffset = -1
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i
+      break
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a ZIP file')
+  }
+
+  const count = view.getUint16(endOffset + 10, true)
+  let pointer = view.getUint32(endOffset + 16, true)
+  const files = new Map()
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('The ZIP file is damaged')
+    }
+    const method = view.getUint16(pointer + 10, true)
+    const compressedSize = view.getUint32(pointer + 20, true)
+    const nameLength = view.getUint16(pointer + 28, true)
+    const extraLength = view.getUint16(pointer + 30, true)
+    const commentLength = view.getUint16(pointer + 32, true)
+    const localOffset = view.getUint32(pointer + 42, true)
+    const path = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength))
+    pointer += 46 + nameLength + extraLength + commentLength
+
+    if (path.endsWith('/')) continue
+
+    // Local headers can carry a different extra field, so their own lengths locate the data
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+    const data = new Uint8Array(buffer, dataStart, compressedSize)
+    if (method === METHOD_STORED) {
+      files.set(path, data)
+    } else if (method === METHOD_DEFLATED) {
+      files.set(path, await inflateRaw(data))
+    } else {
+      console.warn(`Skipping ${path}: unsupported ZIP compression method ${method}`)
+    }
+  }
+  return files
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import { deflateRawSync } from 'node:zlib'
+import { createZip, readZip } from './zip'
+
+const text = bytes => new TextDecoder().decode(bytes)
+
+/**
+ * A one-file archive with a deflated entry, as other zip tools write them
+ * @param {string} path
+ * @param {string} content
+ * @returns {Blob}
+ */
+function deflatedZip(path, content) {
+  const name = new TextEncoder().encode(path)
+  const data = deflateRawSync(Buffer.from(content))
+  const local = new DataView(new ArrayBuffer(30))
+  local.setUint32(0, 0x04034b50, true)
+  local.setUint16(8, 8, true)
+  local.setUint32(18, data.length, true)
+  local.setUint32(22, content.length, true)
+  local.setUint16(26, name.length, true)
+  const central = new DataView(new ArrayBuffer(46))
+  central.setUint32(0, 0x02014b50, true)
+  central.setUint16(10, 8, true)
+  central.setUint32(20, data.length, true)
+  central.setUint32(24, content.length, true)
+  central.setUint16(28, name.length, true)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, 1, true)
+  end.setUint16(10, 1, true)
+  end.setUint32(12, 46 + name.length, true)
+  end.setUint32(16, 30 + name.length + data.length, true)
+  return new Blob([local, name, data, central, name, end])
+}
+
+describe('zip', () => {
+  it('round-trips text and binary files', async () => {
+    const audio = new Uint8Array([0, 1, 2, 250, 255])
+    const zip = await createZip([
+      { path: 'manifest.json', data: '{"ok":true}' },
+      { path: 'audio/hund-ü.webm', data: new Blob([audio]) },
+      { path: 'empty.txt', data: '' },
+    ])
+    expect(zip.type).toBe('application/zip')
+
+    const files = await readZip(zip)
+    expect([...files.keys()]).toEqual(['manifest.json', 'audio/hund-ü.webm', 'empty.txt'])
+    expect(text(files.get('manifest.json'))).toBe('{"ok":true}')
+    expect(Array.from(files.get('audio/hund-ü.webm'))).toEqual(Array.from(audio))
+    expect(files.get('empty.txt')).toHaveLength(0)
+  })
+
+  it('writes archives the CRC-32 check accepts', async () => {
+    const zip = await createZip([{ path: 'a.txt', data: 'The quick brown fox jumps over the lazy dog' }])
+    const view = new DataView(await zip.arrayBuffer())
+    // Well-known CRC-32 of this sentence
+    expect(view.getUint32(14, true)).toBe(0x414fa339)
+  })
+
+  it('reads deflated entries', async () => {
+    const content = 'woof '.repeat(100)
+    const files = await readZip(deflatedZip('notes.txt', content))
+    expect(text(files.get('notes.txt'))).toBe(content)
+  })
+
+  it('rejects files that are not archives', async () => {
+    await expect(readZip(new Blob(['not a zip file at all, just some text']))).rejects.toThrow('Not a ZIP file')
+  })
+})
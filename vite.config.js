@@ -1,29 +1,73 @@
-import { defineConfig } from 'vite'
+import { createHash } from 'node:crypto'
+import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs'
+import { join } from 'node:path'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    proxy: {
-      '/api/hf-inference': {
-        target: 'https://api-inference.huggingface.co',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/hf-inference/, ''),
-        configure: (proxy, _options) => {
-          proxy.on('proxyReq', (proxyReq, req, _res) => {
-            // Forward the authorization header from the original request
-            const authHeader = req.headers['x-hf-token']
-            if (authHeader) {
-              proxyReq.setHeader('Authorization', `Bearer ${authHeader}`)
-            }
-            // Ensure binary data is handled correctly
-            if (req.headers['content-type'] === 'application/octet-stream') {
-              proxyReq.setHeader('Content-Type', 'application/octet-stream')
-            }
-          })
+// Credentials belong to the API server (server/index.js); anything prefixed
+// VITE_ is inlined into the browser bundle
+const LEAKY_ENV_VARS = ['VITE_HF_TOKEN', 'VITE_OPENAI_API_KEY']
+
+const SERVICE_WORKER_TEMPLATE = 'src/serviceWorker.js'
+
+/**
+ * Write dist/sw.js from the service worker template with every file of this
+ * build as the app shell, versioned by their contents so each deploy gets a fresh cache
+ * @returns {import('vite').Plugin}
+ */
+function serviceWorkerPlugin() {
+  let config
+  return {
+    name: 'animal-translator-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig
+    },
+    generateBundle(options, bundle) {
+      const publicDir = config.publicDir
+      const publicFiles = publicDir && existsSync(publicDir)
+        ? readdirSync(publicDir, { recursive: true })
+          .filter(file => statSync(join(publicDir, file)).isFile())
+          .map(file => file.split('\\').join('/'))
+        : []
+      const bundleFiles = Object.keys(bundle).filter(file => !file.endsWith('.map'))
+
+      const version = createHash('sha256')
+      publicFiles.forEach(file => version.update(file).update(readFileSync(join(publicDir, file))))
+      bundleFiles.forEach(file => version.update(file))
+
+      const shellFiles = [...new Set(['index.html', ...bundleFiles, ...publicFiles])].map(file => `/${file}`)
+      const source = readFileSync(join(config.root, SERVICE_WORKER_TEMPLATE), 'utf8')
+        .replace('__SHELL_FILES__', () => JSON.stringify(shellFiles, null, 2))
+        .replace('__SHELL_VERSION__', () => JSON.stringify(version.digest('hex').slice(0, 12)))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
+export default defineConfig(({ command, mode }) => {
+  const env = loadEnv(mode, process.cwd(), '')
+  const leaked = LEAKY_ENV_VARS.filter(name => env[name])
+  if (leaked.length > 0) {
+    const message = `${leaked.join(', ')} would be bundled into the client. Rename to ${leaked.map(name => name.replace(/^VITE_/, '')).join(', ')} so only the API server reads it.`
+    if (command === 'build') {
+      throw new Error(message)
+    }
+    console.warn(`⚠️ ${message}`)
+  }
+
+  return {
+    plugins: [react(), serviceWorkerPlugin()],
+    server: {
+      proxy: {
+        // Forward API calls to the server started with `npm run server`
+        '/api': {
+          // The server listens on 127.0.0.1 by default; "localhost" may resolve to ::1
+          target: `http://127.0.0.1:${env.PORT || 3001}`,
+          changeOrigin: true,
         },
       },
     },
-  },
+  }
 })
-